@@ -0,0 +1,689 @@
+#!/usr/bin/env node
+/**
+ * FlexDAO — persistent SQLite store (better-sqlite3)
+ *
+ * The JSON artifacts in backend/data and fdc-carbon/out only ever hold the
+ * latest run. Scripts also write every run into this database so history can
+ * be queried by attestation tx hash, participant or slot:
+ *
+ *   attestation_requests   FdcHub.requestAttestation submissions
+ *   attestation_proofs     DA layer proofs (one per request + voting round)
+ *   verification_results   check_attestation.js runs (append-only)
+ *   reward_executions      reward txs (RewardExecutor / FlexDAO)
+ *   reward_recipients      participants paid by each reward tx
+ *   flex_events            simulated half-hour slots from simulate.py
+ *   flex_participations    household responses per slot
+ *   chain_events           logs indexed by backend/indexer.js
+ *   indexer_checkpoints    last indexed block (+ hash) per contract
+ *
+ * Database path: FLEXDAO_DB_PATH (default backend/data/flexdao.sqlite).
+ * Set FLEXDAO_DB_DISABLED=1 to stop the pipeline scripts from recording.
+ * better-sqlite3 (a root dependency) is only loaded when a store is opened, so
+ * the pipeline scripts, including fdc-carbon's, still run where it is missing
+ * or failed to build.
+ *
+ * CLI:
+ *   node backend/db.js import                      (load current JSON artifacts)
+ *   node backend/db.js attestation <txHash>
+ *   node backend/db.js participant <address|householdId>
+ *   node backend/db.js slot <ISO timestamp|slotKey>
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { slotKeyOf } = require("./rewards");
+
+const DATA_DIR = path.join(__dirname, "data");
+const FDC_OUT_DIR = path.join(__dirname, "..", "fdc-carbon", "out");
+const DEFAULT_DB_PATH = path.join(DATA_DIR, "flexdao.sqlite");
+
+// Append-only: PRAGMA user_version holds the number of migrations applied.
+const MIGRATIONS = [
+  `
+  CREATE TABLE attestation_requests (
+    id INTEGER PRIMARY KEY,
+    tx_hash TEXT NOT NULL UNIQUE,
+    network TEXT,
+    fdc_hub TEXT,
+    api_url TEXT,
+    post_process_jq TEXT,
+    abi_signature TEXT,
+    abi_encoded_request TEXT,
+    computed_mic TEXT,
+    verifier_mic TEXT,
+    request_fee_wei TEXT,
+    block_number INTEGER,
+    submitted_at TEXT,
+    raw_json TEXT NOT NULL
+  );
+
+  CREATE TABLE attestation_proofs (
+    id INTEGER PRIMARY KEY,
+    request_bytes TEXT NOT NULL,
+    voting_round INTEGER,
+    attestation_tx_hash TEXT,
+    da_base TEXT,
+    endpoint TEXT,
+    proof_json TEXT NOT NULL,
+    response_json TEXT NOT NULL,
+    fetched_at TEXT,
+    UNIQUE (request_bytes, voting_round)
+  );
+  CREATE INDEX idx_attestation_proofs_tx ON attestation_proofs (attestation_tx_hash);
+
+  CREATE TABLE verification_results (
+    id INTEGER PRIMARY KEY,
+    attestation_tx_hash TEXT NOT NULL,
+    chain_id TEXT,
+    block_number INTEGER,
+    confirmations INTEGER,
+    confirmed INTEGER,
+    verification_passed INTEGER,
+    verification_function TEXT,
+    payload_hash_valid INTEGER,
+    timestamp_valid INTEGER,
+    computed_mic TEXT,
+    checked_at TEXT,
+    raw_json TEXT NOT NULL
+  );
+  CREATE INDEX idx_verification_results_tx ON verification_results (attestation_tx_hash);
+
+  CREATE TABLE reward_executions (
+    id INTEGER PRIMARY KEY,
+    tx_hash TEXT NOT NULL UNIQUE,
+    chain_id TEXT,
+    contract_address TEXT,
+    function_name TEXT NOT NULL,
+    attestation_tx_hash TEXT,
+    payload_hash TEXT,
+    slot_key TEXT,
+    recovery_slot_key TEXT,
+    block_number INTEGER,
+    executed_at TEXT
+  );
+  CREATE INDEX idx_reward_executions_attestation ON reward_executions (attestation_tx_hash);
+  CREATE INDEX idx_reward_executions_slot ON reward_executions (slot_key);
+
+  CREATE TABLE reward_recipients (
+    id INTEGER PRIMARY KEY,
+    reward_tx_hash TEXT NOT NULL REFERENCES reward_executions (tx_hash),
+    participant TEXT NOT NULL,
+    household_id TEXT,
+    slot_key TEXT,
+    shifted_kw TEXT,
+    reward TEXT
+  );
+  CREATE INDEX idx_reward_recipients_tx ON reward_recipients (reward_tx_hash);
+  CREATE INDEX idx_reward_recipients_participant ON reward_recipients (participant);
+  CREATE INDEX idx_reward_recipients_slot ON reward_recipients (slot_key);
+
+  CREATE TABLE flex_events (
+    slot_key TEXT PRIMARY KEY,
+    slot_from TEXT NOT NULL UNIQUE,
+    slot_to TEXT,
+    intensity INTEGER,
+    flex_requested INTEGER NOT NULL,
+    aggregate_shifted_kw REAL,
+    recovery_from TEXT,
+    recovery_intensity INTEGER,
+    imported_at TEXT
+  );
+
+  CREATE TABLE flex_participations (
+    slot_key TEXT NOT NULL REFERENCES flex_events (slot_key),
+    household_id TEXT NOT NULL,
+    shifted_kw REAL NOT NULL,
+    PRIMARY KEY (slot_key, household_id)
+  );
+  CREATE INDEX idx_flex_participations_household ON flex_participations (household_id);
+  `,
+  `
+  CREATE TABLE indexer_checkpoints (
+    chain_id TEXT NOT NULL,
+    contract_address TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT,
+    updated_at TEXT,
+    PRIMARY KEY (chain_id, contract_address)
+  );
+
+  CREATE TABLE chain_events (
+    id INTEGER PRIMARY KEY,
+    chain_id TEXT NOT NULL,
+    contract_address TEXT NOT NULL,
+    event_name TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    attestation_tx_hash TEXT,
+    slot_key TEXT,
+    recovery_slot_key TEXT,
+    participant TEXT,
+    amount TEXT,
+    args_json TEXT NOT NULL,
+    UNIQUE (chain_id, tx_hash, log_index)
+  );
+  CREATE INDEX idx_chain_events_contract_block ON chain_events (chain_id, contract_address, block_number);
+  CREATE INDEX idx_chain_events_participant ON chain_events (participant);
+  CREATE INDEX idx_chain_events_slot ON chain_events (slot_key);
+  CREATE INDEX idx_chain_events_recovery_slot ON chain_events (recovery_slot_key);
+  CREATE INDEX idx_chain_events_attestation ON chain_events (attestation_tx_hash);
+  `,
+];
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+const lower = (hex) => (hex ? String(hex).toLowerCase() : null);
+const flag = (value) => (value === null || value === undefined ? null : value ? 1 : 0);
+const asText = (value) => (value === null || value === undefined ? null : String(value));
+
+function normalizeAddress(value) {
+  return value ? ethers.getAddress(value) : null;
+}
+
+function migrate(db) {
+  const version = db.pragma("user_version", { simple: true });
+  for (let v = version; v < SCHEMA_VERSION; v++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[v]);
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+  }
+}
+
+// Native module, loaded on first open rather than when this file is required
+function loadSqlite() {
+  try {
+    return require("better-sqlite3");
+  } catch (err) {
+    throw new Error(`better-sqlite3 is not available (${err.message.split("\n")[0]}); run npm install in the repo root`);
+  }
+}
+
+/**
+ * Opens (and migrates) the store.
+ * @param {string} [dbPath] File path or ":memory:"
+ */
+function openStore(dbPath = process.env.FLEXDAO_DB_PATH || DEFAULT_DB_PATH) {
+  if (dbPath !== ":memory:") fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const Database = loadSqlite();
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  migrate(db);
+
+  const stmts = {
+    upsertRequest: db.prepare(`
+      INSERT INTO attestation_requests (tx_hash, network, fdc_hub, api_url, post_process_jq, abi_signature,
+        abi_encoded_request, computed_mic, verifier_mic, request_fee_wei, block_number, submitted_at, raw_json)
+      VALUES (@txHash, @network, @fdcHub, @apiUrl, @postProcessJq, @abiSignature,
+        @abiEncodedRequest, @computedMic, @verifierMic, @requestFeeWei, @blockNumber, @submittedAt, @rawJson)
+      ON CONFLICT (tx_hash) DO UPDATE SET
+        abi_encoded_request = COALESCE(excluded.abi_encoded_request, abi_encoded_request),
+        verifier_mic = COALESCE(excluded.verifier_mic, verifier_mic),
+        block_number = COALESCE(excluded.block_number, block_number),
+        raw_json = excluded.raw_json`),
+    upsertProof: db.prepare(`
+      INSERT INTO attestation_proofs (request_bytes, voting_round, attestation_tx_hash, da_base, endpoint,
+        proof_json, response_json, fetched_at)
+      VALUES (@requestBytes, @votingRound, @attestationTxHash, @daBase, @endpoint, @proofJson, @responseJson, @fetchedAt)
+      ON CONFLICT (request_bytes, voting_round) DO UPDATE SET
+        attestation_tx_hash = COALESCE(excluded.attestation_tx_hash, attestation_tx_hash),
+        proof_json = excluded.proof_json,
+        response_json = excluded.response_json,
+        fetched_at = excluded.fetched_at`),
+    linkProofs: db.prepare(`
+      UPDATE attestation_proofs SET attestation_tx_hash = ?
+      WHERE request_bytes = ? AND attestation_tx_hash IS NULL`),
+    insertVerification: db.prepare(`
+      INSERT INTO verification_results (attestation_tx_hash, chain_id, block_number, confirmations, confirmed,
+        verification_passed, verification_function, payload_hash_valid, timestamp_valid, computed_mic,
+        checked_at, raw_json)
+      VALUES (@attestationTxHash, @chainId, @blockNumber, @confirmations, @confirmed, @verificationPassed,
+        @verificationFunction, @payloadHashValid, @timestampValid, @computedMic, @checkedAt, @rawJson)`),
+    insertReward: db.prepare(`
+      INSERT INTO reward_executions (tx_hash, chain_id, contract_address, function_name, attestation_tx_hash,
+        payload_hash, slot_key, recovery_slot_key, block_number, executed_at)
+      VALUES (@txHash, @chainId, @contractAddress, @functionName, @attestationTxHash, @payloadHash,
+        @slotKey, @recoverySlotKey, @blockNumber, @executedAt)
+      ON CONFLICT (tx_hash) DO NOTHING`),
+    insertRecipient: db.prepare(`
+      INSERT INTO reward_recipients (reward_tx_hash, participant, household_id, slot_key, shifted_kw, reward)
+      VALUES (@rewardTxHash, @participant, @householdId, @slotKey, @shiftedKw, @reward)`),
+    upsertFlexEvent: db.prepare(`
+      INSERT INTO flex_events (slot_key, slot_from, slot_to, intensity, flex_requested, aggregate_shifted_kw,
+        recovery_from, recovery_intensity, imported_at)
+      VALUES (@slotKey, @slotFrom, @slotTo, @intensity, @flexRequested, @aggregateShiftedKw,
+        @recoveryFrom, @recoveryIntensity, @importedAt)
+      ON CONFLICT (slot_key) DO UPDATE SET
+        intensity = excluded.intensity,
+        flex_requested = excluded.flex_requested,
+        aggregate_shifted_kw = excluded.aggregate_shifted_kw,
+        recovery_from = excluded.recovery_from,
+        recovery_intensity = excluded.recovery_intensity,
+        imported_at = excluded.imported_at`),
+    deleteParticipations: db.prepare("DELETE FROM flex_participations WHERE slot_key = ?"),
+    getCheckpoint: db.prepare(
+      "SELECT * FROM indexer_checkpoints WHERE chain_id = ? AND contract_address = ?"
+    ),
+    upsertCheckpoint: db.prepare(`
+      INSERT INTO indexer_checkpoints (chain_id, contract_address, block_number, block_hash, updated_at)
+      VALUES (@chainId, @contractAddress, @blockNumber, @blockHash, @updatedAt)
+      ON CONFLICT (chain_id, contract_address) DO UPDATE SET
+        block_number = excluded.block_number,
+        block_hash = excluded.block_hash,
+        updated_at = excluded.updated_at`),
+    upsertChainEvent: db.prepare(`
+      INSERT OR REPLACE INTO chain_events (chain_id, contract_address, event_name, block_number, block_hash,
+        tx_hash, log_index, attestation_tx_hash, slot_key, recovery_slot_key, participant, amount, args_json)
+      VALUES (@chainId, @contractAddress, @eventName, @blockNumber, @blockHash, @txHash, @logIndex,
+        @attestationTxHash, @slotKey, @recoverySlotKey, @participant, @amount, @argsJson)`),
+    deleteChainEventsAfter: db.prepare(
+      "DELETE FROM chain_events WHERE chain_id = ? AND contract_address = ? AND block_number > ?"
+    ),
+    insertParticipation: db.prepare(`
+      INSERT INTO flex_participations (slot_key, household_id, shifted_kw)
+      VALUES (@slotKey, @householdId, @shiftedKw)`),
+  };
+
+  function recordAttestationRequest(submission) {
+    if (!submission || !submission.txHash) throw new Error("Attestation request needs a txHash");
+    stmts.upsertRequest.run({
+      txHash: lower(submission.txHash),
+      network: submission.network || null,
+      fdcHub: normalizeAddress(submission.fdcHubAddress),
+      apiUrl: submission.apiUrl || null,
+      postProcessJq: submission.postProcessJq || null,
+      abiSignature: submission.abiSignature || null,
+      abiEncodedRequest: lower(submission.abiEncodedRequest),
+      computedMic: lower(submission.computedMic),
+      verifierMic: lower(submission.verifierMic),
+      requestFeeWei: asText(submission.requestFeeWei),
+      blockNumber: submission.blockNumber ?? null,
+      submittedAt: submission.submittedAtIso || null,
+      rawJson: JSON.stringify(submission),
+    });
+    if (submission.abiEncodedRequest) {
+      stmts.linkProofs.run(lower(submission.txHash), lower(submission.abiEncodedRequest));
+    }
+  }
+
+  /** @param daProof fetch_da_proof.js output ({ votingRoundId, requestBytes, response: { response, proof } }) */
+  function recordProof(daProof, attestationTxHash = null) {
+    const payload = daProof.response || {};
+    const requestBytes = lower(daProof.requestBytes);
+    if (!requestBytes) throw new Error("DA proof needs requestBytes");
+    const linkedTxHash =
+      attestationTxHash ||
+      (db.prepare("SELECT tx_hash FROM attestation_requests WHERE abi_encoded_request = ?").get(requestBytes) || {})
+        .tx_hash ||
+      null;
+    const votingRound =
+      daProof.votingRoundId ?? (payload.response ? Number(payload.response.votingRound) : null);
+    stmts.upsertProof.run({
+      requestBytes,
+      votingRound,
+      attestationTxHash: lower(linkedTxHash),
+      daBase: daProof.daBase || null,
+      endpoint: daProof.endpoint || null,
+      proofJson: JSON.stringify(payload.proof || []),
+      responseJson: JSON.stringify(payload.response || {}),
+      fetchedAt: daProof.fetchedAtIso || new Date().toISOString(),
+    });
+  }
+
+  /** @param result checkAttestation() result */
+  function recordVerification(result) {
+    stmts.insertVerification.run({
+      attestationTxHash: lower(result.txHash),
+      chainId: asText(result.chainId),
+      blockNumber: result.blockNumber ?? null,
+      confirmations: result.confirmations ?? null,
+      confirmed: flag(result.confirmed),
+      verificationPassed: flag(result.verificationPassed),
+      verificationFunction: result.verificationFunction || null,
+      payloadHashValid: flag(result.payloadHashValid),
+      timestampValid: flag(result.timestampValid),
+      computedMic: lower(result.payloadHash && result.payloadHash.computedMic),
+      checkedAt: result.checkedAtIso || new Date().toISOString(),
+      rawJson: JSON.stringify(result, (_k, v) => (typeof v === "bigint" ? v.toString() : v)),
+    });
+  }
+
+  /**
+   * @param execution { txHash, chainId, contractAddress, functionName, attestationTxHash?, payloadHash?,
+   *                    slotKey?, recoverySlotKey?, blockNumber?, executedAtIso?,
+   *                    recipients: [{ participant, householdId?, slotKey?, shiftedKw?, reward? }] }
+   * @returns {boolean} false if the tx was already recorded
+   */
+  const recordRewardExecution = db.transaction((execution) => {
+    const txHash = lower(execution.txHash);
+    const inserted = stmts.insertReward.run({
+      txHash,
+      chainId: asText(execution.chainId),
+      contractAddress: normalizeAddress(execution.contractAddress),
+      functionName: execution.functionName,
+      attestationTxHash: lower(execution.attestationTxHash),
+      payloadHash: lower(execution.payloadHash),
+      slotKey: lower(execution.slotKey),
+      recoverySlotKey: lower(execution.recoverySlotKey),
+      blockNumber: execution.blockNumber ?? null,
+      executedAt: execution.executedAtIso || new Date().toISOString(),
+    });
+    if (inserted.changes === 0) return false;
+    for (const r of execution.recipients || []) {
+      stmts.insertRecipient.run({
+        rewardTxHash: txHash,
+        participant: normalizeAddress(r.participant),
+        householdId: r.householdId || null,
+        slotKey: lower(r.slotKey || execution.slotKey),
+        shiftedKw: asText(r.shiftedKw),
+        reward: asText(r.reward),
+      });
+    }
+    return true;
+  });
+
+  /** @param flexResponses simulate.py output (flex_responses.json) */
+  const importFlexEvents = db.transaction((flexResponses) => {
+    const importedAt = new Date().toISOString();
+    for (const event of flexResponses.events) {
+      const slotKey = slotKeyOf(event.from);
+      stmts.upsertFlexEvent.run({
+        slotKey,
+        slotFrom: event.from,
+        slotTo: event.to || null,
+        intensity: event.intensity_actual ?? null,
+        flexRequested: flag(event.flex_requested),
+        aggregateShiftedKw: event.aggregate_shifted_kw ?? null,
+        recoveryFrom: event.recovery_from || null,
+        recoveryIntensity: event.recovery_intensity ?? null,
+        importedAt,
+      });
+      stmts.deleteParticipations.run(slotKey);
+      for (const p of event.participants || []) {
+        stmts.insertParticipation.run({ slotKey, householdId: p.id, shiftedKw: p.shifted_kw });
+      }
+    }
+    return flexResponses.events.length;
+  });
+
+  function getIndexerCheckpoint(chainId, contractAddress) {
+    return stmts.getCheckpoint.get(String(chainId), normalizeAddress(contractAddress)) || null;
+  }
+
+  /**
+   * Stores one indexed block range atomically: the decoded logs plus the new checkpoint,
+   * so a crash never leaves events without the checkpoint that covers them.
+   * @param range { chainId, contractAddress, events: [...], toBlock, toBlockHash }
+   */
+  const recordChainEvents = db.transaction(({ chainId, contractAddress, events, toBlock, toBlockHash }) => {
+    const contract = normalizeAddress(contractAddress);
+    for (const e of events) {
+      stmts.upsertChainEvent.run({
+        chainId: String(chainId),
+        contractAddress: contract,
+        eventName: e.eventName,
+        blockNumber: e.blockNumber,
+        blockHash: lower(e.blockHash),
+        txHash: lower(e.txHash),
+        logIndex: e.logIndex,
+        attestationTxHash: lower(e.attestationTxHash),
+        slotKey: lower(e.slotKey),
+        recoverySlotKey: lower(e.recoverySlotKey),
+        participant: normalizeAddress(e.participant),
+        amount: asText(e.amount),
+        argsJson: JSON.stringify(e.args || {}),
+      });
+    }
+    stmts.upsertCheckpoint.run({
+      chainId: String(chainId),
+      contractAddress: contract,
+      blockNumber: toBlock,
+      blockHash: lower(toBlockHash),
+      updatedAt: new Date().toISOString(),
+    });
+    return events.length;
+  });
+
+  /** Drops indexed events above blockNumber (reorg) and moves the checkpoint back to it. */
+  const rewindChainEvents = db.transaction(({ chainId, contractAddress, blockNumber, blockHash }) => {
+    const contract = normalizeAddress(contractAddress);
+    const removed = stmts.deleteChainEventsAfter.run(String(chainId), contract, blockNumber).changes;
+    stmts.upsertCheckpoint.run({
+      chainId: String(chainId),
+      contractAddress: contract,
+      blockNumber,
+      blockHash: lower(blockHash),
+      updatedAt: new Date().toISOString(),
+    });
+    return removed;
+  });
+
+  /**
+   * Indexed on-chain events, oldest first. Filters are ANDed.
+   * @param filter { participant?, slotKey?, attestationTxHash?, eventName? }
+   */
+  function getChainEvents({ participant, slotKey, attestationTxHash, eventName } = {}) {
+    const where = [];
+    const params = {};
+    if (participant) {
+      where.push("participant = @participant");
+      params.participant = normalizeAddress(participant);
+    }
+    if (slotKey) {
+      where.push("(slot_key = @slotKey OR recovery_slot_key = @slotKey)");
+      params.slotKey = lower(slotKey);
+    }
+    if (attestationTxHash) {
+      where.push("attestation_tx_hash = @attestationTxHash");
+      params.attestationTxHash = lower(attestationTxHash);
+    }
+    if (eventName) {
+      where.push("event_name = @eventName");
+      params.eventName = eventName;
+    }
+    const sql = `SELECT * FROM chain_events ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY block_number, log_index`;
+    return db
+      .prepare(sql)
+      .all(params)
+      .map(({ args_json: argsJson, ...row }) => ({ ...row, args: JSON.parse(argsJson) }));
+  }
+
+  function recipientsOf(txHashes) {
+    if (txHashes.length === 0) return [];
+    return db
+      .prepare(
+        `SELECT * FROM reward_recipients WHERE reward_tx_hash IN (${txHashes.map(() => "?").join(",")}) ORDER BY id`
+      )
+      .all(...txHashes);
+  }
+
+  function withRecipients(executions) {
+    const recipients = recipientsOf(executions.map((e) => e.tx_hash));
+    return executions.map((e) => ({
+      ...e,
+      recipients: recipients.filter((r) => r.reward_tx_hash === e.tx_hash),
+    }));
+  }
+
+  function getAttestationHistory(txHash) {
+    const hash = lower(txHash);
+    return {
+      request: db.prepare("SELECT * FROM attestation_requests WHERE tx_hash = ?").get(hash) || null,
+      proofs: db.prepare("SELECT * FROM attestation_proofs WHERE attestation_tx_hash = ? ORDER BY id").all(hash),
+      verifications: db
+        .prepare("SELECT * FROM verification_results WHERE attestation_tx_hash = ? ORDER BY id")
+        .all(hash),
+      rewards: withRecipients(
+        db.prepare("SELECT * FROM reward_executions WHERE attestation_tx_hash = ? ORDER BY id").all(hash)
+      ),
+      chainEvents: getChainEvents({ attestationTxHash: hash }),
+    };
+  }
+
+  /** @param participant Address (reward history) or simulated household ID (flex history) */
+  function getParticipantHistory(participant) {
+    if (ethers.isAddress(participant)) {
+      const address = ethers.getAddress(participant);
+      const rewards = db
+        .prepare(
+          `SELECT e.*, r.household_id, r.shifted_kw AS recipient_shifted_kw, r.reward AS recipient_reward
+           FROM reward_recipients r JOIN reward_executions e ON e.tx_hash = r.reward_tx_hash
+           WHERE r.participant = ? ORDER BY e.id`
+        )
+        .all(address);
+      return {
+        participant: address,
+        rewards,
+        flexParticipations: [],
+        chainEvents: getChainEvents({ participant: address }),
+      };
+    }
+    const flexParticipations = db
+      .prepare(
+        `SELECT f.*, p.shifted_kw FROM flex_participations p JOIN flex_events f ON f.slot_key = p.slot_key
+         WHERE p.household_id = ? ORDER BY f.slot_from`
+      )
+      .all(participant);
+    const rewards = db
+      .prepare(
+        `SELECT e.*, r.participant, r.shifted_kw AS recipient_shifted_kw, r.reward AS recipient_reward
+         FROM reward_recipients r JOIN reward_executions e ON e.tx_hash = r.reward_tx_hash
+         WHERE r.household_id = ? ORDER BY e.id`
+      )
+      .all(participant);
+    return { participant, rewards, flexParticipations, chainEvents: [] };
+  }
+
+  /** @param slot ISO slot start ("2026-01-31T15:00Z") or slot key */
+  function getSlotHistory(slot) {
+    const slotKey = ethers.isHexString(slot, 32) ? lower(slot) : slotKeyOf(slot);
+    const event = db.prepare("SELECT * FROM flex_events WHERE slot_key = ?").get(slotKey) || null;
+    return {
+      slotKey,
+      event,
+      participations: db
+        .prepare("SELECT household_id, shifted_kw FROM flex_participations WHERE slot_key = ? ORDER BY household_id")
+        .all(slotKey),
+      rewards: withRecipients(
+        db
+          .prepare(
+            `SELECT * FROM reward_executions WHERE slot_key = @slotKey OR recovery_slot_key = @slotKey
+               OR tx_hash IN (SELECT reward_tx_hash FROM reward_recipients WHERE slot_key = @slotKey)
+             ORDER BY id`
+          )
+          .all({ slotKey })
+      ),
+      chainEvents: getChainEvents({ slotKey }),
+    };
+  }
+
+  return {
+    db,
+    recordAttestationRequest,
+    recordProof,
+    recordVerification,
+    recordRewardExecution,
+    importFlexEvents,
+    getAttestationHistory,
+    getParticipantHistory,
+    getSlotHistory,
+    getIndexerCheckpoint,
+    recordChainEvents,
+    rewindChainEvents,
+    getChainEvents,
+    close: () => db.close(),
+  };
+}
+
+// Runs fn against the default store, closing it afterwards.
+function withStore(fn) {
+  const store = openStore();
+  try {
+    return fn(store);
+  } finally {
+    store.close();
+  }
+}
+
+/**
+ * Best-effort write used by the pipeline scripts: the JSON artifacts remain the
+ * source of truth, so a store failure is logged rather than failing the run.
+ * Set FLEXDAO_DB_DISABLED=1 to skip recording entirely.
+ */
+function recordToStore(fn) {
+  if (/^(1|true|yes)$/i.test(process.env.FLEXDAO_DB_DISABLED || "")) return;
+  try {
+    withStore(fn);
+  } catch (err) {
+    console.warn(`FlexDAO store not updated: ${err.message || err}`);
+  }
+}
+
+function readJsonIfExists(filePath) {
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : null;
+}
+
+// Loads whatever JSON artifacts are currently on disk.
+function importArtifacts(store) {
+  const summary = {};
+  const flexResponses = readJsonIfExists(path.join(DATA_DIR, "flex_responses.json"));
+  if (flexResponses) summary.flexEvents = store.importFlexEvents(flexResponses);
+
+  const submission = readJsonIfExists(path.join(FDC_OUT_DIR, "request_submission.json"));
+  if (submission && submission.txHash) {
+    store.recordAttestationRequest(submission);
+    summary.attestationRequests = 1;
+  }
+  const daProof = readJsonIfExists(path.join(FDC_OUT_DIR, "da_proof.json"));
+  if (daProof && daProof.requestBytes) {
+    store.recordProof(daProof);
+    summary.proofs = 1;
+  }
+  const check = readJsonIfExists(path.join(FDC_OUT_DIR, "check_attestation_result.json"));
+  if (check && check.txHash) {
+    store.recordVerification(check);
+    summary.verifications = 1;
+  }
+  return summary;
+}
+
+function main() {
+  const [command, arg] = process.argv.slice(2);
+  const queries = {
+    attestation: (store) => store.getAttestationHistory(arg),
+    participant: (store) => store.getParticipantHistory(arg),
+    slot: (store) => store.getSlotHistory(arg),
+  };
+
+  if (command === "import") {
+    const summary = withStore(importArtifacts);
+    console.log(`Imported: ${JSON.stringify(summary)}`);
+    return;
+  }
+  if (!queries[command] || !arg) {
+    throw new Error("Usage: node backend/db.js import | attestation <txHash> | participant <id> | slot <iso|key>");
+  }
+  console.log(JSON.stringify(withStore(queries[command]), null, 2));
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(err.message || err);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  DEFAULT_DB_PATH,
+  SCHEMA_VERSION,
+  openStore,
+  withStore,
+  recordToStore,
+  importArtifacts,
+};
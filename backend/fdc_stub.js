@@ -11,6 +11,10 @@
  *        key    = keccak256(timestamp)
  *        value  = actual carbon intensity (uint)
  *   3. Writes backend/data/fdc_attestations.json
+ *   4. If backend/data/carbon_regions.json exists (fetch_carbon_source.js
+ *      --regions), does the same per grid region with
+ *        key    = RegionalSlots key of (region, keccak256(timestamp))
+ *      and writes backend/data/fdc_regional_attestations.json
  *
  * WHAT IS SIMULATED:
  *   - The multi-provider voting / Merkle-tree construction
@@ -25,10 +29,16 @@ const fs = require("fs");
 const path = require("path");
 const { keccak256, toUtf8Bytes } = require("ethers");
 const { assertSimulationMode } = require("../scripts/attestation_mode");
+const { regionalSlotKeyOf } = require("./rewards");
 
 const DATA_DIR = path.join(__dirname, "data");
 const CARBON_FILE = path.join(DATA_DIR, "carbon_week.json");
 const OUT_FILE = path.join(DATA_DIR, "fdc_attestations.json");
+const REGIONS_FILE = path.join(DATA_DIR, "carbon_regions.json");
+const REGIONAL_OUT_FILE = path.join(DATA_DIR, "fdc_regional_attestations.json");
+
+// Attested value: actual where published, else the forecast (regional API)
+const intensityOf = (slot) => slot.intensity.actual ?? slot.intensity.forecast ?? 0;
 
 function run() {
   assertSimulationMode("backend/fdc_stub.js");
@@ -44,13 +54,10 @@ function run() {
   const attestations = carbon.map((slot) => {
     const timestamp = slot.from; // ISO string
     const key = keccak256(toUtf8Bytes(timestamp));
-    const actual =
-      slot.intensity.actual ?? slot.intensity.forecast ?? 0;
-
     return {
       timestamp,
       key, // bytes32 oracle key
-      intensity: actual, // uint256 value to store on-chain
+      intensity: intensityOf(slot), // uint256 value to store on-chain
       index: slot.intensity.index || "unknown",
     };
   });
@@ -63,6 +70,24 @@ function run() {
   attestations.slice(0, 2).forEach((a) => {
     console.log(`  ${a.timestamp}  intensity=${a.intensity}  key=${a.key.slice(0, 18)}…`);
   });
+
+  if (!fs.existsSync(REGIONS_FILE)) {
+    console.log("\nNo carbon_regions.json — households are rewarded against national intensity.");
+    return;
+  }
+  const regions = JSON.parse(fs.readFileSync(REGIONS_FILE, "utf-8"));
+  const regional = Object.entries(regions).flatMap(([region, slots]) =>
+    slots.map((slot) => ({
+      region: Number(region),
+      timestamp: slot.from,
+      slotKey: keccak256(toUtf8Bytes(slot.from)),
+      key: regionalSlotKeyOf(Number(region), slot.from),
+      intensity: intensityOf(slot),
+      index: slot.intensity.index || "unknown",
+    }))
+  );
+  fs.writeFileSync(REGIONAL_OUT_FILE, JSON.stringify(regional, null, 2));
+  console.log(`✓ Wrote ${regional.length} regional attestations (${Object.keys(regions).length} regions) → ${REGIONAL_OUT_FILE}`);
 }
 
 run();
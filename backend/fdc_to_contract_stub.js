@@ -7,35 +7,46 @@
  *
  * In production this would be an on-chain transaction calling
  *   FDCShim.submitAttestation(bytes32 key, uint256 intensity)
- * signed by the FDC relay.
+ * signed by the FDC relay (a RELAYER_ROLE holder).
  *
  * Here we simulate it by:
- *   1. Connecting to a local Hardhat node (http://127.0.0.1:8545)
+ *   1. Connecting to a local Hardhat node (RPC_URL, default http://127.0.0.1:8545)
  *   2. Calling FDCShim.submitAttestation() for each record
  *   3. Reading back a sample to prove round-trip
+ *   4. Relaying fdc_regional_attestations.json (if present) through
+ *      FDCShim.submitRegionalAttestation(uint16 region, bytes32 slotKey, uint256 intensity)
  *
  * Usage:
  *   npx hardhat node                      (terminal 1)
  *   npx hardhat run scripts/deploy.js     (terminal 2)
  *   node backend/fdc_to_contract_stub.js  (terminal 2)
  *
- * The deploy script must write deployed addresses to backend/data/deployed.json
+ * The deploy script must write deployed addresses to backend/data/deployed.json.
+ * Transactions are signed by the first relayer recorded there (deploy.js
+ * ROLES_RELAYER, which must be a node account), else Hardhat account #0; the
+ * signer's relayer role is checked before anything is sent.
  */
 
 const fs = require("fs");
 const path = require("path");
 const { ethers } = require("ethers");
 const { assertSimulationMode } = require("../scripts/attestation_mode");
+const { ACCESS_ROLES_ABI, assertRole, roleHolder } = require("../scripts/roles");
+const { NETWORKS } = require("../scripts/networks");
 
 const DATA_DIR = path.join(__dirname, "data");
 const ATTESTATION_FILE = path.join(DATA_DIR, "fdc_attestations.json");
+const REGIONAL_ATTESTATION_FILE = path.join(DATA_DIR, "fdc_regional_attestations.json");
 const DEPLOYED_FILE = path.join(DATA_DIR, "deployed.json");
 
 // Minimal ABI for the calls we need
 const FDC_SHIM_ABI = [
   "function submitAttestation(bytes32 key, uint256 intensity) external",
+  "function submitRegionalAttestation(uint16 region, bytes32 slotKey, uint256 intensity) external",
+  "function getRegionalIntensity(uint16 region, bytes32 slotKey) external view returns (uint256)",
   "function getIntensity(bytes32 key) external view returns (uint256)",
   "function attestationCount() external view returns (uint256)",
+  ...ACCESS_ROLES_ABI,
 ];
 
 async function run() {
@@ -55,23 +66,14 @@ async function run() {
   const deployed = JSON.parse(fs.readFileSync(DEPLOYED_FILE, "utf-8"));
 
   // --- Connect to local Hardhat node ---
-  const provider = new ethers.JsonRpcProvider("http://127.0.0.1:8545");
-  const signer = await provider.getSigner(0); // Hardhat account #0
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || NETWORKS.localhost.rpcUrl);
+  const signer = await provider.getSigner(roleHolder(deployed, "fdcShim", "relayer") ?? 0);
   const shim = new ethers.Contract(deployed.fdcShim, FDC_SHIM_ABI, signer);
+  await assertRole(shim, "relayer", signer.address, "FDCShim");
 
   console.log(`Relaying ${attestations.length} attestations to FDCShim @ ${deployed.fdcShim} …`);
 
-  // Submit in batches of 50 for speed
-  const BATCH = 50;
-  for (let i = 0; i < attestations.length; i += BATCH) {
-    const batch = attestations.slice(i, i + BATCH);
-    const txPromises = batch.map((a) =>
-      shim.submitAttestation(a.key, a.intensity)
-    );
-    const txs = await Promise.all(txPromises);
-    await Promise.all(txs.map((tx) => tx.wait()));
-    process.stdout.write(`  submitted ${Math.min(i + BATCH, attestations.length)} / ${attestations.length}\r`);
-  }
+  await relay(attestations, (a) => shim.submitAttestation(a.key, a.intensity));
 
   const count = await shim.attestationCount();
   console.log(`\n✓ ${count} attestations stored on-chain`);
@@ -84,6 +86,26 @@ async function run() {
   console.log(`  expected  = ${sample.intensity}`);
   console.log(`  on-chain  = ${stored.toString()}`);
   console.log(`  match     = ${stored.toString() === String(sample.intensity) ? "✓ YES" : "✗ NO"}`);
+
+  if (!fs.existsSync(REGIONAL_ATTESTATION_FILE)) return;
+  const regional = JSON.parse(fs.readFileSync(REGIONAL_ATTESTATION_FILE, "utf-8"));
+  console.log(`\nRelaying ${regional.length} regional attestations …`);
+  await relay(regional, (a) => shim.submitRegionalAttestation(a.region, a.slotKey, a.intensity));
+  const regionalSample = regional[0];
+  const regionalStored = await shim.getRegionalIntensity(regionalSample.region, regionalSample.slotKey);
+  console.log(
+    `\n✓ region ${regionalSample.region} ${regionalSample.timestamp}: expected ${regionalSample.intensity}, on-chain ${regionalStored}`
+  );
+}
+
+// Submit in batches of 50 for speed
+async function relay(records, submit) {
+  const BATCH = 50;
+  for (let i = 0; i < records.length; i += BATCH) {
+    const txs = await Promise.all(records.slice(i, i + BATCH).map(submit));
+    await Promise.all(txs.map((tx) => tx.wait()));
+    process.stdout.write(`  submitted ${Math.min(i + BATCH, records.length)} / ${records.length}\r`);
+  }
 }
 
 run().catch((err) => {
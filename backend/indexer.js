@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+/**
+ * FlexDAO — on-chain event indexer
+ *
+ * Backfills and then tails reward logs into the FlexDAO store (backend/db.js)
+ * so reward history no longer has to be pieced together one tx at a time:
+ *
+ *   RewardExecutor  RewardExecuted, BatchRewardClaimed, BatchRewardsVoided
+ *   FlexDAO         FlexEventVerified, RewardClaimed,
+ *                   RewardVoided, SlotRewardsVoided (disputes),
+ *                   ProposalCreated, VoteCast, ProposalExecuted (governance)
+ *   FDCShim         AttestationSubmitted, RegionalAttestationSubmitted
+ *
+ * Only blocks at least INDEXER_CONFIRMATIONS below the head are indexed, so
+ * stored events are final. Each contract has its own checkpoint (last indexed
+ * block + hash), written in the same transaction as the logs it covers. As a
+ * safety net for reorgs deeper than that, the checkpoint block hash is
+ * compared with the chain before every pass; if it changed, the contract is
+ * rewound by INDEXER_CONFIRMATIONS blocks and re-indexed.
+ *
+ * Usage:
+ *   node backend/indexer.js            (backfill, then poll for new blocks)
+ *   node backend/indexer.js --once     (backfill to head - confirmations, then exit)
+ *
+ * Contracts: REWARD_EXECUTOR_ADDRESS (or REWARD_CONTRACT_ADDRESS), FLEXDAO_ADDRESS,
+ * FDC_SHIM_ADDRESS; each defaults to backend/data/deployed.json.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { openStore } = require("./db");
+const { REWARD_EXECUTOR_ABI } = require("../scripts/inspect_reward_tx");
+const { NETWORKS } = require("../scripts/networks");
+
+const DEPLOYED_PATH = path.join(__dirname, "data", "deployed.json");
+
+const DEFAULTS = {
+  rpcUrl: NETWORKS.localhost.rpcUrl,
+  confirmations: 12,
+  startBlock: 0,
+  // Flare public RPCs cap eth_getLogs ranges; use INDEXER_BATCH_SIZE=30 on Coston2.
+  batchSize: 500,
+  pollIntervalMs: 15000,
+};
+
+const EVENT_ABIS = {
+  rewardExecutor: [
+    ...REWARD_EXECUTOR_ABI.filter((fragment) => fragment.startsWith("event ")),
+    "event BatchRewardClaimed(bytes32 indexed attestationTxHash, bytes32 indexed leaf, address indexed participant, uint256 reward)",
+    "event BatchRewardsVoided(bytes32 indexed attestationTxHash, bytes32 indexed slotKey, address indexed admin, string reason)",
+  ],
+  flexDAO: [
+    "event FlexEventVerified(bytes32 indexed slotKey, bytes32 indexed recoverySlotKey, uint16 indexed region, uint256 intensity, uint256 recoveryIntensity, uint256 participantCount, uint256 totalShiftedKw)",
+    "event RewardClaimed(address indexed participant, uint256 amount)",
+    "event RewardVoided(bytes32 indexed slotKey, uint16 indexed region, address indexed participant, uint256 amount, string reason)",
+    "event SlotRewardsVoided(bytes32 indexed slotKey, uint16 indexed region, address indexed admin, uint256 totalVoided, uint256 alreadyClaimed, string reason)",
+    "event ProposalCreated(uint256 indexed proposalId, address indexed proposer, uint8 indexed parameter, uint256 value, uint64 voteEnd, uint64 eta)",
+    "event VoteCast(uint256 indexed proposalId, address indexed voter, bool support)",
+    "event ProposalExecuted(uint256 indexed proposalId, uint8 indexed parameter, uint256 oldValue, uint256 newValue)",
+  ],
+  fdcShim: [
+    "event AttestationSubmitted(bytes32 indexed key, uint256 intensity)",
+    "event RegionalAttestationSubmitted(uint16 indexed region, bytes32 indexed slotKey, uint256 intensity)",
+  ],
+};
+
+// Columns the store indexes on, per event; everything else stays in args.
+const EVENT_COLUMNS = {
+  RewardExecuted: (a) => ({
+    attestationTxHash: a.attestationTxHash,
+    slotKey: a.slotKey,
+    participant: a.participant,
+    amount: a.shiftedKw,
+  }),
+  BatchRewardClaimed: (a) => ({
+    attestationTxHash: a.attestationTxHash,
+    participant: a.participant,
+    amount: a.reward,
+  }),
+  BatchRewardsVoided: (a) => ({ attestationTxHash: a.attestationTxHash, slotKey: a.slotKey }),
+  FlexEventVerified: (a) => ({
+    slotKey: a.slotKey,
+    recoverySlotKey: a.recoverySlotKey,
+    amount: a.totalShiftedKw,
+  }),
+  RewardClaimed: (a) => ({ participant: a.participant, amount: a.amount }),
+  RewardVoided: (a) => ({ slotKey: a.slotKey, participant: a.participant, amount: a.amount }),
+  SlotRewardsVoided: (a) => ({ slotKey: a.slotKey, amount: a.totalVoided }),
+  ProposalCreated: (a) => ({ participant: a.proposer, amount: a.value }),
+  VoteCast: (a) => ({ participant: a.voter }),
+  ProposalExecuted: (a) => ({ amount: a.newValue }),
+  AttestationSubmitted: (a) => ({ slotKey: a.key, amount: a.intensity }),
+  RegionalAttestationSubmitted: (a) => ({ slotKey: a.slotKey, amount: a.intensity }),
+};
+
+function readDeployed() {
+  return fs.existsSync(DEPLOYED_PATH) ? JSON.parse(fs.readFileSync(DEPLOYED_PATH, "utf8")) : {};
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function loadConfig() {
+  const deployed = readDeployed();
+  const contracts = [
+    {
+      kind: "rewardExecutor",
+      address:
+        process.env.REWARD_EXECUTOR_ADDRESS ||
+        process.env.REWARD_CONTRACT_ADDRESS ||
+        deployed.rewardExecutor,
+    },
+    { kind: "flexDAO", address: process.env.FLEXDAO_ADDRESS || deployed.flexDAO },
+    { kind: "fdcShim", address: process.env.FDC_SHIM_ADDRESS || deployed.fdcShim },
+  ].filter((c) => c.address);
+  if (contracts.length === 0) {
+    throw new Error("No contracts to index. Set REWARD_EXECUTOR_ADDRESS, FLEXDAO_ADDRESS or FDC_SHIM_ADDRESS.");
+  }
+  return {
+    rpcUrl: process.env.RPC_URL || DEFAULTS.rpcUrl,
+    contracts,
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || DEFAULTS.confirmations),
+    startBlock: Number(process.env.INDEXER_START_BLOCK || DEFAULTS.startBlock),
+    batchSize: Number(process.env.INDEXER_BATCH_SIZE || DEFAULTS.batchSize),
+    pollIntervalMs: Number(process.env.INDEXER_POLL_INTERVAL_MS || DEFAULTS.pollIntervalMs),
+  };
+}
+
+// Decodes a raw log into a store row; returns null for events we do not index.
+function decodeLog(iface, log) {
+  let parsed;
+  try {
+    parsed = iface.parseLog(log);
+  } catch (_err) {
+    return null;
+  }
+  if (!parsed || !EVENT_COLUMNS[parsed.name]) return null;
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return {
+    eventName: parsed.name,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    txHash: log.transactionHash,
+    logIndex: log.index,
+    args,
+    ...EVENT_COLUMNS[parsed.name](args),
+  };
+}
+
+/**
+ * @param config  loadConfig() shape
+ * @param options { provider?, store?, log? } — provider/store default to config.rpcUrl / openStore()
+ */
+function createIndexer(config, { provider, store, log = console.log } = {}) {
+  const rpc = provider || new ethers.JsonRpcProvider(config.rpcUrl);
+  const db = store || openStore();
+  const contracts = config.contracts.map((c) => ({
+    ...c,
+    address: ethers.getAddress(c.address),
+    iface: new ethers.Interface(EVENT_ABIS[c.kind]),
+  }));
+  let chainId = null;
+
+  // Rewinds the contract if its checkpoint block is no longer canonical.
+  async function checkReorg(contract) {
+    const checkpoint = db.getIndexerCheckpoint(chainId, contract.address);
+    if (!checkpoint) return null;
+    if (checkpoint.block_hash === null) return checkpoint.block_number;
+    const block = await rpc.getBlock(checkpoint.block_number);
+    if (block && block.hash.toLowerCase() === checkpoint.block_hash) return checkpoint.block_number;
+
+    const rewindTo = Math.max(config.startBlock - 1, checkpoint.block_number - config.confirmations);
+    const rewindBlock = rewindTo >= 0 ? await rpc.getBlock(rewindTo) : null;
+    const dropped = db.rewindChainEvents({
+      chainId,
+      contractAddress: contract.address,
+      blockNumber: rewindTo,
+      blockHash: rewindBlock ? rewindBlock.hash : null,
+    });
+    log(
+      `Reorg: block ${checkpoint.block_number} changed; ${contract.kind} rewound to ${rewindTo} (${dropped} events dropped)`
+    );
+    return rewindTo;
+  }
+
+  async function indexContract(contract, lastBlock) {
+    const checkpoint = await checkReorg(contract);
+    let fromBlock = checkpoint === null ? config.startBlock : checkpoint + 1;
+    let indexed = 0;
+    while (fromBlock <= lastBlock) {
+      const toBlock = Math.min(fromBlock + config.batchSize - 1, lastBlock);
+      // Hash first: if the range reorgs while we read logs, the next pass sees the mismatch.
+      const toBlockHeader = await rpc.getBlock(toBlock);
+      const logs = await rpc.getLogs({ address: contract.address, fromBlock, toBlock });
+      const events = logs.map((l) => decodeLog(contract.iface, l)).filter(Boolean);
+      indexed += db.recordChainEvents({
+        chainId,
+        contractAddress: contract.address,
+        events,
+        toBlock,
+        toBlockHash: toBlockHeader.hash,
+      });
+      fromBlock = toBlock + 1;
+    }
+    return indexed;
+  }
+
+  async function runOnce() {
+    if (chainId === null) chainId = (await rpc.getNetwork()).chainId.toString();
+    const head = await rpc.getBlockNumber();
+    // Newer blocks may still reorg; they are picked up once they are deep enough
+    const toBlock = head - config.confirmations;
+    const summary = {};
+    for (const contract of contracts) {
+      summary[contract.kind] = await indexContract(contract, toBlock);
+    }
+    return { head, toBlock, indexed: summary };
+  }
+
+  return { runOnce, close: () => (store ? undefined : db.close()) };
+}
+
+async function main() {
+  const once = process.argv.includes("--once");
+  const config = loadConfig();
+
+  let stopping = false;
+  const stop = () => {
+    stopping = true;
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+
+  const indexer = createIndexer(config);
+  try {
+    console.log(
+      `Indexer: ${config.contracts.map((c) => `${c.kind}@${c.address}`).join(", ")} via ${config.rpcUrl}`
+    );
+    do {
+      const { head, toBlock, indexed } = await indexer.runOnce();
+      const total = Object.values(indexed).reduce((sum, n) => sum + n, 0);
+      if (total > 0 || once) console.log(`Indexed to block ${toBlock} (head ${head}): ${JSON.stringify(indexed)}`);
+      if (once) break;
+      for (let waited = 0; waited < config.pollIntervalMs && !stopping; waited += 1000) {
+        await sleep(Math.min(1000, config.pollIntervalMs - waited));
+      }
+    } while (!stopping);
+  } finally {
+    indexer.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULTS,
+  EVENT_ABIS,
+  decodeLog,
+  loadConfig,
+  createIndexer,
+};
@@ -0,0 +1,55 @@
+/**
+ * FlexDAO — reward encoding shared by the backend and the pipeline scripts
+ *
+ * Off-chain mirrors of what the contracts compute, so the store, the API and
+ * scripts/build_reward_tree.js agree on keys and amounts:
+ *
+ *   slotKeyOf          keccak256(slot "from" timestamp)  (FDCShim / CarbonSlots key)
+ *   regionalSlotKeyOf  RegionalSlots.key(region, slotKeyOf(timestamp)); region 0 = slotKeyOf
+ *   rewardLeaf         RewardExecutor.rewardLeaf (batch mode Merkle leaf)
+ *   computeReward      FlexDAO reward formula:
+ *                      shiftedKw × (intensity − recovery intensity) × 1e18 / 2e6
+ */
+
+const { ethers } = require("ethers");
+
+const REWARD_PER_KG_CO2 = 10n ** 18n;
+const REWARD_DIVISOR = 2_000_000n; // milliKw × 0.5h → kWh, gCO2 → kg
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+function slotKeyOf(timestamp) {
+  return ethers.keccak256(ethers.toUtf8Bytes(timestamp));
+}
+
+// FDCShim key for a slot in one grid region (contracts/RegionalSlots.sol); region 0 = national.
+function regionalSlotKeyOf(region, timestamp) {
+  const slotKey = slotKeyOf(timestamp);
+  if (!region) return slotKey;
+  return ethers.solidityPackedKeccak256(["uint16", "bytes32"], [region, slotKey]);
+}
+
+function rewardLeaf(participant, slotKey, shiftedKw, reward) {
+  const inner = ethers.keccak256(
+    coder.encode(
+      ["address", "bytes32", "uint256", "uint256"],
+      [participant, slotKey, shiftedKw, reward]
+    )
+  );
+  return ethers.keccak256(inner);
+}
+
+function computeReward(shiftedKw, intensity, recoveryIntensity) {
+  const delta = BigInt(intensity) - BigInt(recoveryIntensity);
+  if (delta <= 0n) return 0n;
+  return (BigInt(shiftedKw) * delta * REWARD_PER_KG_CO2) / REWARD_DIVISOR;
+}
+
+module.exports = {
+  REWARD_PER_KG_CO2,
+  REWARD_DIVISOR,
+  slotKeyOf,
+  regionalSlotKeyOf,
+  rewardLeaf,
+  computeReward,
+};
@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+/**
+ * FlexDAO — REST API server
+ *
+ * Serves the pipeline artifacts and live contract state to the dashboard so
+ * the frontend no longer depends on hand-copied JSON snapshots:
+ *
+ *   GET /api/health                      → liveness + configured RPC
+ *   GET /api/households                  → backend/data/households.json
+ *   GET /api/households/by-address/:address → household enrolled with that payout address
+ *                                          (HouseholdRegistry; household_addresses.json if not deployed)
+ *   GET /api/flex-events                 → backend/data/flex_responses.json
+ *   GET /api/aggregates                  → backend/data/aggregates.csv (parsed)
+ *   GET /api/attestations                → backend/data/fdc_attestations.json
+ *   GET /api/attestations/:id            → one attestation by key or timestamp
+ *   GET /api/onchain                     → backend/data/onchain.json (Coston2 evidence)
+ *   GET /api/contract/addresses          → deployed.json addresses + chain ID (wallet target)
+ *   GET /api/contract/stats              → live FlexDAO.getStats()
+ *   GET /api/contract/balances/:address  → live FlexDAO.balances(address) + FLEX balanceOf
+ *   GET /api/governance                  → live FlexDAO parameters, quorum and proposals with their state
+ *   GET /api/rewards/participant/:address → indexed reward/claim events for an address
+ *   GET /api/rewards/slot/:slot          → indexed events for a slot (ISO timestamp or slot key)
+ *
+ * Artifacts are re-read on every request so re-running fetch_carbon.py /
+ * simulate.py / fdc_stub.js is picked up without restarting the server.
+ * Reward history comes from the store that backend/indexer.js fills.
+ *
+ * Usage:
+ *   node backend/server.js                (defaults: port 4000, RPC 127.0.0.1:8545)
+ *   API_PORT=4001 RPC_URL=http://127.0.0.1:8545 node backend/server.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const cors = require("cors");
+const { parse } = require("csv-parse/sync");
+const { ethers } = require("ethers");
+const { openStore } = require("./db");
+const { DEFAULTS: INDEXER_DEFAULTS } = require("./indexer");
+const { slotKeyOf } = require("./rewards");
+const { NETWORKS } = require("../scripts/networks");
+
+const DATA_DIR = path.join(__dirname, "data");
+const FILES = {
+  households: path.join(DATA_DIR, "households.json"),
+  flexResponses: path.join(DATA_DIR, "flex_responses.json"),
+  aggregates: path.join(DATA_DIR, "aggregates.csv"),
+  attestations: path.join(DATA_DIR, "fdc_attestations.json"),
+  onchain: path.join(DATA_DIR, "onchain.json"),
+  deployed: path.join(DATA_DIR, "deployed.json"),
+  householdAddresses: path.join(DATA_DIR, "household_addresses.json"),
+};
+
+const DEFAULTS = {
+  port: 4000,
+  rpcUrl: NETWORKS.localhost.rpcUrl,
+};
+
+// Minimal ABI for the read-only calls we expose
+const FLEX_DAO_ABI = [
+  "function getStats() external view returns (uint256 eventsVerified, uint256 rewardsIssued, uint256 threshold, uint256 attestations)",
+  "function balances(address) external view returns (uint256)",
+  "function totalRewardsVoided() external view returns (uint256)",
+  "function intensityThreshold() external view returns (uint256)",
+  "function rewardPerKgCo2() external view returns (uint256)",
+  "function operator() external view returns (address)",
+  "function quorum() external view returns (uint256)",
+  "function VOTING_PERIOD() external view returns (uint64)",
+  "function TIMELOCK_DELAY() external view returns (uint64)",
+  "function proposalCount() external view returns (uint256)",
+  "function proposals(uint256) external view returns (uint8 parameter, uint256 value, address proposer, uint64 voteEnd, uint64 eta, uint32 quorum, uint32 forVotes, uint32 againstVotes, bool executed)",
+  "function state(uint256) external view returns (uint8)",
+];
+const FLEX_TOKEN_ABI = ["function balanceOf(address) external view returns (uint256)"];
+const HOUSEHOLD_REGISTRY_ABI = [
+  "function householdOf(address) external view returns (bytes32)",
+  "function households(bytes32) external view returns (address payout, uint8 assets, uint16 region, uint8 status)",
+];
+const REGISTRY_STATUS = ["None", "Pending", "Approved", "Revoked"];
+// FlexGovernance.Parameter / ProposalState
+const GOVERNANCE_PARAMETERS = ["intensityThreshold", "rewardPerKgCo2", "operator", "quorum"];
+const PROPOSAL_STATES = ["Active", "Defeated", "Queued", "Ready", "Executed"];
+
+class NotFoundError extends Error {}
+
+function readJsonArtifact(filePath, hint) {
+  if (!fs.existsSync(filePath)) {
+    throw new NotFoundError(`${path.basename(filePath)} not found. ${hint}`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+}
+
+function readAggregates() {
+  if (!fs.existsSync(FILES.aggregates)) {
+    throw new NotFoundError("aggregates.csv not found. Run simulate.py first.");
+  }
+  const rows = parse(fs.readFileSync(FILES.aggregates, "utf-8"), {
+    columns: true,
+    skip_empty_lines: true,
+    cast: (value, context) =>
+      context.header || context.column === "timestamp" ? value : Number(value),
+  });
+  return rows.map((row) => ({ ...row, is_high_carbon: row.is_high_carbon === 1 }));
+}
+
+// On-chain enrollment for a payout address, or null if no registry is deployed.
+async function readEnrollment(provider, address) {
+  const deployed = fs.existsSync(FILES.deployed) ? readJsonArtifact(FILES.deployed) : {};
+  if (!deployed.householdRegistry) return null;
+  const registry = new ethers.Contract(deployed.householdRegistry, HOUSEHOLD_REGISTRY_ABI, provider);
+  const id = await registry.householdOf(address);
+  if (id === ethers.ZeroHash) return { householdRegistry: deployed.householdRegistry, householdId: null };
+  const { assets, region, status } = await registry.households(id);
+  return {
+    householdRegistry: deployed.householdRegistry,
+    householdId: ethers.decodeBytes32String(id),
+    assets: Number(assets), // HouseholdRegistry ASSET_* bitmask
+    region: Number(region), // grid region id, 0 = national
+    status: REGISTRY_STATUS[Number(status)],
+  };
+}
+
+function getFlexDao(provider) {
+  const deployed = readJsonArtifact(FILES.deployed, "Deploy contracts first.");
+  return {
+    address: deployed.flexDAO,
+    dao: new ethers.Contract(deployed.flexDAO, FLEX_DAO_ABI, provider),
+    token: deployed.flexToken
+      ? new ethers.Contract(deployed.flexToken, FLEX_TOKEN_ABI, provider)
+      : null,
+  };
+}
+
+// Marks indexed events final once they are INDEXER_CONFIRMATIONS deep. Without RPC, confirmed is null.
+async function withConfirmations(provider, events) {
+  const required = Number(process.env.INDEXER_CONFIRMATIONS || INDEXER_DEFAULTS.confirmations);
+  let head = null;
+  try {
+    head = await provider.getBlockNumber();
+  } catch (_err) {
+    head = null;
+  }
+  return events.map((e) => ({
+    ...e,
+    confirmed: head === null ? null : head - e.block_number + 1 >= required,
+  }));
+}
+
+// Operator values are uint256(uint160(address)) on-chain.
+function governanceValue(parameter, value) {
+  return parameter === "operator" ? ethers.getAddress(ethers.toBeHex(value, 20)) : value.toString();
+}
+
+async function readGovernance(provider) {
+  const { address, dao } = getFlexDao(provider);
+  const [threshold, rewardPerKgCo2, operator, quorum, votingPeriod, timelockDelay, count] = await Promise.all([
+    dao.intensityThreshold(),
+    dao.rewardPerKgCo2(),
+    dao.operator(),
+    dao.quorum(),
+    dao.VOTING_PERIOD(),
+    dao.TIMELOCK_DELAY(),
+    dao.proposalCount(),
+  ]);
+  const proposals = [];
+  for (let id = 1n; id <= count; id++) {
+    const [p, state] = await Promise.all([dao.proposals(id), dao.state(id)]);
+    const parameter = GOVERNANCE_PARAMETERS[Number(p.parameter)];
+    proposals.push({
+      id: Number(id),
+      parameter,
+      value: governanceValue(parameter, p.value),
+      proposer: p.proposer,
+      voteEnd: Number(p.voteEnd),
+      eta: Number(p.eta),
+      quorum: Number(p.quorum),
+      forVotes: Number(p.forVotes),
+      againstVotes: Number(p.againstVotes),
+      state: PROPOSAL_STATES[Number(state)],
+    });
+  }
+  return {
+    flexDAO: address,
+    parameters: {
+      intensityThreshold: threshold.toString(),
+      rewardPerKgCo2: rewardPerKgCo2.toString(),
+      operator,
+    },
+    quorum: Number(quorum),
+    votingPeriodSeconds: Number(votingPeriod),
+    timelockDelaySeconds: Number(timelockDelay),
+    proposals,
+  };
+}
+
+const sumAmounts = (events, names) =>
+  events
+    .filter((e) => names.includes(e.event_name))
+    .reduce((sum, e) => sum + BigInt(e.amount), 0n)
+    .toString();
+
+// Wraps async handlers so artifact/RPC errors become JSON responses.
+function handle(fn) {
+  return async (req, res) => {
+    try {
+      res.json(await fn(req));
+    } catch (err) {
+      if (err instanceof NotFoundError) {
+        res.status(404).json({ error: err.message });
+      } else if (err && err.code === "INVALID_ARGUMENT") {
+        res.status(400).json({ error: err.shortMessage || err.message });
+      } else {
+        res.status(502).json({ error: (err && (err.shortMessage || err.message)) || String(err) });
+      }
+    }
+  };
+}
+
+function createApp({ rpcUrl = process.env.RPC_URL || DEFAULTS.rpcUrl, store } = {}) {
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  let openedStore = store || null;
+  const getStore = () => (openedStore = openedStore || openStore());
+  const app = express();
+  app.use(cors());
+
+  app.get("/api/health", (_req, res) => {
+    res.json({ ok: true, rpcUrl });
+  });
+
+  app.get(
+    "/api/households",
+    handle(() => readJsonArtifact(FILES.households, "Run simulate.py first."))
+  );
+
+  app.get(
+    "/api/flex-events",
+    handle(() => readJsonArtifact(FILES.flexResponses, "Run simulate.py first."))
+  );
+
+  app.get(
+    "/api/households/by-address/:address",
+    handle(async (req) => {
+      const address = ethers.getAddress(req.params.address);
+      const { households } = readJsonArtifact(FILES.households, "Run simulate.py first.");
+      const enrollment = await readEnrollment(provider, address);
+      if (enrollment) {
+        return {
+          address,
+          enrollment,
+          households: households.filter((h) => h.id === enrollment.householdId),
+        };
+      }
+      const addresses = readJsonArtifact(FILES.householdAddresses, "Run demoFlow.js first.");
+      const ids = Object.keys(addresses).filter(
+        (id) => ethers.getAddress(addresses[id]) === address
+      );
+      return { address, enrollment: null, households: households.filter((h) => ids.includes(h.id)) };
+    })
+  );
+
+  app.get("/api/aggregates", handle(() => readAggregates()));
+
+  app.get(
+    "/api/attestations",
+    handle(() => readJsonArtifact(FILES.attestations, "Run fdc_stub.js first."))
+  );
+
+  app.get(
+    "/api/attestations/:id",
+    handle((req) => {
+      const attestations = readJsonArtifact(FILES.attestations, "Run fdc_stub.js first.");
+      const id = req.params.id.toLowerCase();
+      const match = attestations.find(
+        (a) => a.key.toLowerCase() === id || a.timestamp.toLowerCase() === id
+      );
+      if (!match) throw new NotFoundError(`No attestation for ${req.params.id}`);
+      return match;
+    })
+  );
+
+  app.get(
+    "/api/onchain",
+    handle(() => readJsonArtifact(FILES.onchain, "Run inspect scripts and record results."))
+  );
+
+  app.get(
+    "/api/contract/addresses",
+    handle(async () => {
+      const deployed = readJsonArtifact(FILES.deployed, "Deploy contracts first.");
+      const chainId = deployed.chainId ?? Number((await provider.getNetwork()).chainId);
+      return { ...deployed, chainId };
+    })
+  );
+
+  app.get(
+    "/api/contract/stats",
+    handle(async () => {
+      const { address, dao } = getFlexDao(provider);
+      const [stats, rewardsVoided] = await Promise.all([dao.getStats(), dao.totalRewardsVoided()]);
+      return {
+        flexDAO: address,
+        eventsVerified: stats.eventsVerified.toString(),
+        rewardsIssued: stats.rewardsIssued.toString(),
+        rewardsVoided: rewardsVoided.toString(),
+        threshold: stats.threshold.toString(),
+        attestations: stats.attestations.toString(),
+      };
+    })
+  );
+
+  app.get(
+    "/api/contract/balances/:address",
+    handle(async (req) => {
+      const participant = ethers.getAddress(req.params.address);
+      const { address, dao, token } = getFlexDao(provider);
+      const balance = await dao.balances(participant);
+      const tokenBalance = token ? await token.balanceOf(participant) : null;
+      return {
+        flexDAO: address,
+        participant,
+        balance: balance.toString(), // accrued, unclaimed (FLEX base units)
+        tokenBalance: tokenBalance === null ? null : tokenBalance.toString(), // claimed ERC-20
+      };
+    })
+  );
+
+  app.get("/api/governance", handle(() => readGovernance(provider)));
+
+  app.get(
+    "/api/rewards/participant/:address",
+    handle(async (req) => {
+      const participant = ethers.getAddress(req.params.address);
+      const events = await withConfirmations(provider, getStore().getChainEvents({ participant }));
+      return {
+        participant,
+        totalShiftedKw: sumAmounts(events, ["RewardExecuted"]), // milliKw
+        totalClaimed: sumAmounts(events, ["RewardClaimed", "BatchRewardClaimed"]), // FLEX base units
+        totalVoided: sumAmounts(events, ["RewardVoided"]), // FLEX base units
+        events,
+      };
+    })
+  );
+
+  app.get(
+    "/api/rewards/slot/:slot",
+    handle(async (req) => {
+      const slot = req.params.slot;
+      const slotKey = ethers.isHexString(slot, 32) ? slot.toLowerCase() : slotKeyOf(slot);
+      const events = await withConfirmations(provider, getStore().getChainEvents({ slotKey }));
+      return {
+        slotKey,
+        totalShiftedKw: sumAmounts(events, ["RewardExecuted"]),
+        totalVoided: sumAmounts(events, ["RewardVoided"]),
+        events,
+      };
+    })
+  );
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = Number(process.env.API_PORT || DEFAULTS.port);
+  const app = createApp();
+  app.listen(port, () => {
+    console.log(`FlexDAO API listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createApp };
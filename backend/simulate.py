@@ -12,6 +12,10 @@ Model:
   into INFLEXIBLE load (lighting, cooking, heating baseload) and FLEXIBLE load
   (EV charging, dishwasher, heat-pump slack, battery).
 
+  Each household sits in a grid region (UK carbon-intensity API region ID,
+  see scripts/carbon_sources/uk_regional.js) so its rewards can be verified
+  against regional rather than national intensity.
+
   Comfort constraints per household:
     - max_shift_fraction : 20-40% of daily energy is flexible
     - max_shift_hours    : up to 2-4 hours of shifting per day
@@ -45,6 +49,12 @@ N_HOUSEHOLDS = 25
 HIGH_THRESHOLD = 150  # gCO2/kWh
 SEED = 42
 
+# Grid regions (UK carbon-intensity API region IDs), assigned round-robin so the
+# seeded draws below are unaffected: 13 London, 14 South East England,
+# 1 North Scotland, 2 South Scotland, 3 North West England, 8 West Midlands,
+# 12 South England, 7 South Wales.
+REGION_MIX = [13, 14, 1, 2, 3, 8, 12, 7]
+
 
 # ---------------------------------------------------------------------------
 # Demand profile shapes (kW multipliers by half-hour-of-day, 0-47)
@@ -142,6 +152,7 @@ def simulate():
         peak_demand = max(0.8, peak_demand)  # floor
         households.append({
             "id": f"HH-{i+1:03d}",
+            "region": REGION_MIX[i % len(REGION_MIX)],
             "peak_demand_kw": peak_demand,
             "max_shift_fraction": round(float(rng.uniform(0.20, 0.40)), 2),
             "max_shift_hours": round(float(rng.uniform(2.0, 4.0)), 1),
@@ -304,12 +315,20 @@ def simulate():
                 if sk > 0.001:
                     slot_record["participants"].append({
                         "id": households[hi]["id"],
+                        "region": households[hi]["region"],
                         "shifted_kw": round(float(sk), 3),
                     })
                     slot_record["aggregate_shifted_kw"] += sk
             slot_record["aggregate_shifted_kw"] = round(
                 slot_record["aggregate_shifted_kw"], 3
             )
+            # Recovery slot = the day's lowest-intensity slot (same day_low as
+            # the reward formula). FlexDAO.submitFlexEvent reads both slots
+            # from the oracle and rewards the attested intensity delta.
+            day_slots = np.where(day_of_slot == day_of_slot[t])[0]
+            recovery_t = int(day_slots[np.argmin(intensities[day_slots])])
+            slot_record["recovery_from"] = carbon[recovery_t]["from"]
+            slot_record["recovery_intensity"] = int(intensities[recovery_t])
             total_shifted_kwh_global += slot_record["aggregate_shifted_kw"] * 0.5
 
         flex_events.append(slot_record)
@@ -351,6 +370,7 @@ def simulate():
                 "max_shift_hours": hh["max_shift_hours"],
                 "p_respond": hh["p_respond"],
                 "flex_assets": str(hh["flex_assets"]),
+                "region": hh["region"],
                 "total_shifted_kwh": round(float(hh_total_shifted_kwh[i]), 2),
                 "carbon_avoided_gCO2": round(float(hh_carbon_avoided[i]), 0),
                 "tokens_earned": round(float(hh_rewards[i]), 1),
@@ -375,6 +395,7 @@ def simulate():
             "id": hh["id"],
             "peak_demand_kw": hh["peak_demand_kw"],
             "flex_assets": str(hh["flex_assets"]),
+            "region": hh["region"],
             "max_shift_fraction": hh["max_shift_fraction"],
             "max_shift_hours": hh["max_shift_hours"],
             "total_shifted_kwh": round(float(hh_total_shifted_kwh[hi]), 2),
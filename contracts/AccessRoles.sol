@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title AccessRoles
+ * @notice Role-based access and an emergency pause shared by FDCShim, FlexDAO
+ *         and RewardExecutor, so no single key signs attestations, flex events
+ *         and rewards.
+ *
+ *   ADMIN_ROLE      grants and revokes the other roles (FlexDAO: except SUBMITTER_ROLE), contract configuration
+ *   RELAYER_ROLE    FDCShim.submitAttestation / submitRegionalAttestation
+ *   SUBMITTER_ROLE  FlexDAO.submitFlexEvent
+ *   EXECUTOR_ROLE   RewardExecutor.executeReward / executeVerifiedReward / commitRewardRoot
+ *   PAUSER_ROLE     pause / unpause
+ *
+ * Role IDs are keccak256 of the role name (scripts/roles.js). Each contract
+ * grants its deployer (RewardExecutor: its owner argument) the roles it uses,
+ * except FlexDAO's SUBMITTER_ROLE, which goes to its operator argument;
+ * scripts/deploy.js then moves them to the configured holders.
+ */
+abstract contract AccessRoles {
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant RELAYER_ROLE = keccak256("RELAYER_ROLE");
+    bytes32 public constant SUBMITTER_ROLE = keccak256("SUBMITTER_ROLE");
+    bytes32 public constant EXECUTOR_ROLE = keccak256("EXECUTOR_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    bool public paused;
+    mapping(bytes32 => mapping(address => bool)) private _roles;
+
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event Paused(address indexed account);
+    event Unpaused(address indexed account);
+
+    modifier onlyRole(bytes32 role) {
+        require(_roles[role][msg.sender], "AccessRoles: missing role");
+        _;
+    }
+
+    modifier whenNotPaused() {
+        require(!paused, "AccessRoles: paused");
+        _;
+    }
+
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return _roles[role][account];
+    }
+
+    function grantRole(bytes32 role, address account) external onlyRole(ADMIN_ROLE) {
+        require(account != address(0), "AccessRoles: account is zero");
+        _checkAdminManaged(role);
+        _grantRole(role, account);
+    }
+
+    function revokeRole(bytes32 role, address account) external onlyRole(ADMIN_ROLE) {
+        _checkAdminManaged(role);
+        _revokeRole(role, account);
+    }
+
+    /// @notice Gives up one of the caller's own roles (e.g. a leaked relayer key).
+    function renounceRole(bytes32 role) external {
+        _revokeRole(role, msg.sender);
+    }
+
+    function pause() external onlyRole(PAUSER_ROLE) {
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    /// @dev Reverts for roles that admins may not grant or revoke; every role is admin-managed by default.
+    function _checkAdminManaged(bytes32 role) internal view virtual {}
+
+    function _grantRole(bytes32 role, address account) internal virtual {
+        if (_roles[role][account]) return;
+        _roles[role][account] = true;
+        emit RoleGranted(role, account, msg.sender);
+    }
+
+    function _revokeRole(bytes32 role, address account) internal virtual {
+        if (!_roles[role][account]) return;
+        _roles[role][account] = false;
+        emit RoleRevoked(role, account, msg.sender);
+    }
+}
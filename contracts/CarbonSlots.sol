@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title CarbonSlots
+ * @notice Decodes an attested carbon-intensity payload.
+ *
+ * PAYLOAD FORMAT (Web2Json abiEncodedData):
+ *   abiSignature = tuple(string from, uint256 intensity)[]
+ *   e.g. jq: .data | map({from: .from, intensity: .intensity.actual})
+ *
+ * Slots are matched by the same key scheme as FDCShim:
+ *   key = keccak256(abi.encodePacked(from)), e.g. keccak256("2026-01-31T15:00Z")
+ */
+library CarbonSlots {
+    struct Slot {
+        string from;
+        uint256 intensity;
+    }
+
+    function decode(bytes memory abiEncodedData) internal pure returns (Slot[] memory) {
+        return abi.decode(abiEncodedData, (Slot[]));
+    }
+
+    /// @notice Looks up a slot's intensity by key. Returns found=false if absent.
+    function intensityOf(
+        Slot[] memory slots,
+        bytes32 slotKey
+    ) internal pure returns (bool found, uint256 intensity) {
+        for (uint256 i = 0; i < slots.length; i++) {
+            if (keccak256(bytes(slots[i].from)) == slotKey) {
+                return (true, slots[i].intensity);
+            }
+        }
+        return (false, 0);
+    }
+}
@@ -2,6 +2,8 @@
 pragma solidity ^0.8.18;
 
 import "./IFDCOracle.sol";
+import "./RegionalSlots.sol";
+import "./AccessRoles.sol";
 
 /**
  * @title FDCShim
@@ -18,42 +20,74 @@ import "./IFDCOracle.sol";
  * KEY SCHEME:
  *   key = keccak256(abi.encodePacked(isoTimestamp))
  *   e.g. keccak256("2026-01-31T15:00Z")
+ *   Regional intensities are stored under RegionalSlots.key(region, key).
+ *
+ * Attestations are submitted by RELAYER_ROLE holders (AccessRoles).
  */
-contract FDCShim is IFDCOracle {
-    address public owner;
+contract FDCShim is IFDCOracle, AccessRoles {
     mapping(bytes32 => uint256) private _intensities;
     mapping(bytes32 => bool) private _exists;
     uint256 private _count;
 
     event AttestationSubmitted(bytes32 indexed key, uint256 intensity);
-
-    modifier onlyOwner() {
-        require(msg.sender == owner, "FDCShim: not owner");
-        _;
-    }
+    event RegionalAttestationSubmitted(uint16 indexed region, bytes32 indexed slotKey, uint256 intensity);
 
     constructor() {
-        owner = msg.sender;
+        _grantRole(ADMIN_ROLE, msg.sender);
+        _grantRole(RELAYER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
     }
 
     /// @notice Submit an attestation (simulates FDC relay).
-    function submitAttestation(bytes32 key, uint256 intensity) external onlyOwner {
-        if (!_exists[key]) {
-            _count++;
-            _exists[key] = true;
-        }
-        _intensities[key] = intensity;
+    function submitAttestation(
+        bytes32 key,
+        uint256 intensity
+    ) external onlyRole(RELAYER_ROLE) whenNotPaused {
+        _store(key, intensity);
         emit AttestationSubmitted(key, intensity);
     }
 
+    /// @notice Submit a regional attestation (region 0 = national, same as submitAttestation).
+    function submitRegionalAttestation(
+        uint16 region,
+        bytes32 slotKey,
+        uint256 intensity
+    ) external onlyRole(RELAYER_ROLE) whenNotPaused {
+        if (region == RegionalSlots.NATIONAL) {
+            _store(slotKey, intensity);
+            emit AttestationSubmitted(slotKey, intensity);
+            return;
+        }
+        _store(RegionalSlots.key(region, slotKey), intensity);
+        emit RegionalAttestationSubmitted(region, slotKey, intensity);
+    }
+
     /// @inheritdoc IFDCOracle
     function getIntensity(bytes32 key) external view override returns (uint256) {
         require(_exists[key], "FDCShim: key not found");
         return _intensities[key];
     }
 
+    /// @inheritdoc IFDCOracle
+    function getRegionalIntensity(
+        uint16 region,
+        bytes32 slotKey
+    ) external view override returns (uint256) {
+        bytes32 key = RegionalSlots.key(region, slotKey);
+        require(_exists[key], "FDCShim: key not found");
+        return _intensities[key];
+    }
+
     /// @inheritdoc IFDCOracle
     function attestationCount() external view override returns (uint256) {
         return _count;
     }
+
+    function _store(bytes32 key, uint256 intensity) private {
+        if (!_exists[key]) {
+            _count++;
+            _exists[key] = true;
+        }
+        _intensities[key] = intensity;
+    }
 }
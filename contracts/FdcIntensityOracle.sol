@@ -0,0 +1,148 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import "./IFDCOracle.sol";
+import "./IFdcVerification.sol";
+import "./CarbonSlots.sol";
+import "./Web2JsonSource.sol";
+import "./RegionalSlots.sol";
+
+/**
+ * @title FdcIntensityOracle
+ * @notice Carbon-intensity oracle fed only by FDC-verified Web2Json proofs.
+ *
+ * Production replacement for FDCShim: instead of trusting an owner-submitted
+ * number, submitProof takes the Web2Json proof from the DA layer, checks it
+ * with IFdcVerification.verifyWeb2Json, decodes the attested payload
+ * (CarbonSlots, tuple(string from, uint256 intensity)[]) and stores every
+ * slot under the FDCShim key scheme:
+ *
+ *   key = RegionalSlots.key(region, keccak256(from))   (region 0: keccak256(from))
+ *
+ * so FlexDAO reads it through IFDCOracle unchanged. Anyone may relay a proof;
+ * the owner only decides which requests are trusted per region
+ * (Web2JsonSource: the URL must be exactly urlPrefix + window + urlSuffix,
+ * with urlSuffix e.g. "/regionid/13", a plain GET, and the same jq filter and
+ * ABI signature). A slot is only overwritten by a proof from the same or a
+ * later voting round. Zero intensities (unpublished actuals) are skipped.
+ */
+contract FdcIntensityOracle is IFDCOracle {
+    // "Web2Json" right-padded to bytes32 (same as RewardExecutor)
+    bytes32 public constant WEB2JSON_ATTESTATION_TYPE = bytes32("Web2Json");
+
+    struct Reading {
+        uint64 votingRound;
+        uint192 intensity; // 0 = not attested
+    }
+
+    address public owner;
+    IFdcVerification public immutable fdcVerification;
+
+    // Grid region (0 = national) → trusted attestation request
+    mapping(uint16 => Web2JsonSource.Source) public sources;
+    // RegionalSlots.key(region, slotKey) → latest attested reading
+    mapping(bytes32 => Reading) public readings;
+    uint256 private _count;
+
+    event SourceSet(
+        uint16 indexed region,
+        string urlPrefix,
+        string urlSuffix,
+        bytes32 postProcessJqHash,
+        bytes32 abiSignatureHash
+    );
+    event ProofSubmitted(
+        uint16 indexed region,
+        bytes32 indexed attestationId,
+        uint64 indexed votingRound,
+        uint256 slotsStored
+    );
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "FdcIntensityOracle: not owner");
+        _;
+    }
+
+    constructor(address _owner, address _fdcVerification) {
+        require(_owner != address(0), "FdcIntensityOracle: owner is zero");
+        require(_fdcVerification != address(0), "FdcIntensityOracle: verification is zero");
+        owner = _owner;
+        fdcVerification = IFdcVerification(_fdcVerification);
+    }
+
+    function setOwner(address _owner) external onlyOwner {
+        require(_owner != address(0), "FdcIntensityOracle: owner is zero");
+        owner = _owner;
+    }
+
+    /**
+     * @notice Trusts attestation requests for one region (an empty urlPrefix stops accepting it).
+     * @param urlPrefix Everything before the window, e.g. "https://api.carbonintensity.org.uk/intensity/"
+     * @param urlSuffix Everything after it: "/regionid/13" for a regional source, "" for national
+     */
+    function setSource(
+        uint16 region,
+        string calldata urlPrefix,
+        string calldata urlSuffix,
+        string calldata postProcessJq,
+        string calldata abiSignature
+    ) external onlyOwner {
+        Web2JsonSource.Source storage source = sources[region];
+        Web2JsonSource.set(source, urlPrefix, urlSuffix, postProcessJq, abiSignature);
+        emit SourceSet(region, urlPrefix, urlSuffix, source.postProcessJqHash, source.abiSignatureHash);
+    }
+
+    /**
+     * @notice Verifies a Web2Json proof and stores its per-slot intensities for `region`.
+     * @param proof Web2Json proof as served by the DA layer (see buildVerifyWeb2JsonProof)
+     * @return stored Number of slots written (older or zero readings are skipped)
+     */
+    function submitProof(
+        uint16 region,
+        IWeb2Json.Proof calldata proof
+    ) external returns (uint256 stored) {
+        require(
+            proof.data.attestationType == WEB2JSON_ATTESTATION_TYPE,
+            "FdcIntensityOracle: not a Web2Json attestation"
+        );
+        require(
+            Web2JsonSource.isTrusted(sources[region], proof.data),
+            "FdcIntensityOracle: untrusted source"
+        );
+        require(fdcVerification.verifyWeb2Json(proof), "FdcIntensityOracle: invalid FDC proof");
+
+        uint64 votingRound = proof.data.votingRound;
+        CarbonSlots.Slot[] memory slots = CarbonSlots.decode(proof.data.responseBody.abiEncodedData);
+        for (uint256 i = 0; i < slots.length; i++) {
+            if (slots[i].intensity == 0) continue;
+            bytes32 key = RegionalSlots.key(region, keccak256(bytes(slots[i].from)));
+            Reading storage reading = readings[key];
+            if (reading.votingRound > votingRound) continue;
+            if (reading.intensity == 0) _count++;
+            reading.votingRound = votingRound;
+            reading.intensity = uint192(slots[i].intensity);
+            stored++;
+        }
+        emit ProofSubmitted(region, keccak256(abi.encode(proof.data)), votingRound, stored);
+    }
+
+    /// @inheritdoc IFDCOracle
+    function getIntensity(bytes32 key) public view override returns (uint256) {
+        uint256 intensity = readings[key].intensity;
+        require(intensity != 0, "FdcIntensityOracle: key not found");
+        return intensity;
+    }
+
+    /// @inheritdoc IFDCOracle
+    function getRegionalIntensity(
+        uint16 region,
+        bytes32 slotKey
+    ) external view override returns (uint256) {
+        return getIntensity(RegionalSlots.key(region, slotKey));
+    }
+
+    /// @inheritdoc IFDCOracle
+    function attestationCount() external view override returns (uint256) {
+        return _count;
+    }
+}
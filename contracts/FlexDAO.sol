@@ -2,37 +2,95 @@
 pragma solidity ^0.8.18;
 
 import "./IFDCOracle.sol";
+import "./IFlexToken.sol";
+import "./IHouseholdRegistry.sol";
+import "./RegionalSlots.sol";
+import "./FlexGovernance.sol";
+import "./AccessRoles.sol";
 
 /**
  * @title FlexDAO
  * @notice On-chain verification and reward distribution for demand-flexibility.
  *
  * Flow:
- *   1. Operator submits a flex event (slot key, list of participants, kW shifted).
- *   2. Contract reads FDCShim to verify the slot was indeed high-carbon (≥ threshold).
- *   3. If verified, each participant's reward balance increases proportionally.
- *   4. Participants can claim accumulated rewards.
+ *   1. Operator submits a flex event for one grid region: the curtailment slot
+ *      key, the recovery slot key (where the load was moved to) and
+ *      participants with kW shifted.
+ *   2. Contract reads FDCShim to verify the curtailment slot was high-carbon
+ *      (≥ threshold) and the recovery slot was cleaner, in that region.
+ *   3. If verified, each participant earns FLEX in proportion to the attested
+ *      carbon saved: reward = kWh shifted × intensity delta / 1000
+ *      (1 FLEX = 1 kg CO2 avoided, same formula as backend/simulate.py).
+ *   4. Participants claim accumulated rewards, which mints FLEX (ERC-20) to them.
  *
- * Rewards are in "FLEX tokens" (tracked as a simple uint mapping for the PoC —
- * a production version would use ERC-20).
+ * Disputes: for DISPUTE_WINDOW after a flex event, an admin can void its
+ * rewards with a reason (voidSlotRewards), e.g. after a bad attestation.
+ * Rewards a participant has not claimed since the event are removed from their
+ * balance; claimed ones are reported as such. A voided slot stays processed.
+ *
+ * Balances are accrued-but-unclaimed FLEX in 18-decimal base units. FlexDAO
+ * must be a minter on the FlexToken. Every participant must be an approved
+ * household in the HouseholdRegistry.
+ *
+ * Regions: each household is rewarded against its own grid region's intensity,
+ * so participants of a regional event must be registered in that region.
+ * Region 0 is the national average and accepts any household; it is the
+ * fallback where no regional attestation exists.
+ *
+ * Governance: the threshold, reward rate and operator are changed only by
+ * household proposals (FlexGovernance): households approved before a proposal
+ * was made vote on it, and a passed change takes effect after the timelock.
+ * The HouseholdRegistry operator decides who is approved, so it is trusted not
+ * to enroll households just to reach quorum (see FlexGovernance).
+ *
+ * Access (AccessRoles): the SUBMITTER_ROLE holder submits flex events; a pauser
+ * can halt submissions and claims. `operator` is the only submitter. It is set
+ * at deployment and afterwards only by an Operator proposal, which moves
+ * SUBMITTER_ROLE to the new address; admins cannot grant or revoke
+ * SUBMITTER_ROLE. If the operator renounces the role, `operator` is cleared
+ * until a proposal appoints a new one.
  */
-contract FlexDAO {
+contract FlexDAO is FlexGovernance, AccessRoles {
     IFDCOracle public oracle;
+    IFlexToken public token;
+    IHouseholdRegistry public registry;
     address public operator;
     uint256 public intensityThreshold; // gCO2/kWh
 
-    // Reward rate: FLEX tokens per kW shifted in a verified event
-    uint256 public rewardPerKw = 10;
+    // Reward rate: FLEX (18 decimals) per kg CO2 avoided
+    uint256 public rewardPerKgCo2 = 1 ether;
+
+    // milliKw over a half-hour slot → kWh (÷1000 ÷2), gCO2 → kg (÷1000)
+    uint256 private constant REWARD_DIVISOR = 2_000_000;
 
-    // Participant balances (address → FLEX tokens)
+    // Unclaimed participant balances (address → FLEX base units)
     mapping(address => uint256) public balances;
 
-    // Track processed slots to prevent double-claiming
+    // Track processed (region, slot) keys to prevent double-claiming
+    // (RegionalSlots.key; for region 0 this is the slot key itself)
     mapping(bytes32 => bool) public processedSlots;
 
+    uint64 public constant DISPUTE_WINDOW = 2 days;
+
+    // Per processed (region, slot) key: when it was rewarded, to whom, and whether it was voided
+    struct SlotRecord {
+        uint64 processedAt;
+        uint64 eventIndex; // totalEventsVerified after this event
+        bool voided;
+    }
+    struct Accrual {
+        address participant;
+        uint256 reward;
+    }
+    mapping(bytes32 => SlotRecord) public slotRecords;
+    mapping(bytes32 => Accrual[]) private _accruals;
+    // totalEventsVerified at each participant's last claim
+    mapping(address => uint256) private _claimedThrough;
+
     // Stats
     uint256 public totalEventsVerified;
     uint256 public totalRewardsIssued;
+    uint256 public totalRewardsVoided;
 
     struct FlexParticipant {
         address participant;
@@ -41,67 +99,197 @@ contract FlexDAO {
 
     event FlexEventVerified(
         bytes32 indexed slotKey,
+        bytes32 indexed recoverySlotKey,
+        uint16 indexed region,
         uint256 intensity,
+        uint256 recoveryIntensity,
         uint256 participantCount,
         uint256 totalShiftedKw
     );
     event RewardClaimed(address indexed participant, uint256 amount);
+    event RewardVoided(
+        bytes32 indexed slotKey,
+        uint16 indexed region,
+        address indexed participant,
+        uint256 amount,
+        string reason
+    );
+    event SlotRewardsVoided(
+        bytes32 indexed slotKey,
+        uint16 indexed region,
+        address indexed admin,
+        uint256 totalVoided,
+        uint256 alreadyClaimed,
+        string reason
+    );
 
-    modifier onlyOperator() {
-        require(msg.sender == operator, "FlexDAO: not operator");
-        _;
-    }
-
-    constructor(address _oracle, uint256 _threshold) {
+    /// @param _operator First operator (submitter); later operators are appointed by governance
+    constructor(address _oracle, uint256 _threshold, address _token, address _registry, address _operator) {
+        require(_token != address(0), "FlexDAO: token is zero");
+        require(_registry != address(0), "FlexDAO: registry is zero");
+        require(_operator != address(0), "FlexDAO: operator is zero");
         oracle = IFDCOracle(_oracle);
-        operator = msg.sender;
+        token = IFlexToken(_token);
+        registry = IHouseholdRegistry(_registry);
+        operator = _operator;
         intensityThreshold = _threshold;
+        _grantRole(ADMIN_ROLE, msg.sender);
+        _grantRole(SUBMITTER_ROLE, _operator);
+        _grantRole(PAUSER_ROLE, msg.sender);
     }
 
     /**
      * @notice Submit a verified flex event.
-     * @param slotKey keccak256(timestamp) — must exist in FDCShim
-     * @param participants Array of (address, shiftedKw) tuples
+     * @param region Grid region whose intensities are used (0 = national)
+     * @param slotKey keccak256(timestamp) of the curtailment slot — must exist in FDCShim for the region
+     * @param recoverySlotKey keccak256(timestamp) of the low-carbon slot the load moved to
+     * @param participants Array of (address, shiftedKw) tuples, shiftedKw in milliKw;
+     *        each address must be enrolled in the HouseholdRegistry, in `region` unless it is 0
      */
     function submitFlexEvent(
+        uint16 region,
         bytes32 slotKey,
+        bytes32 recoverySlotKey,
         FlexParticipant[] calldata participants
-    ) external onlyOperator {
-        require(!processedSlots[slotKey], "FlexDAO: slot already processed");
+    ) external onlyRole(SUBMITTER_ROLE) whenNotPaused {
+        bytes32 processedKey = RegionalSlots.key(region, slotKey);
+        require(!processedSlots[processedKey], "FlexDAO: slot already processed");
 
-        // Read carbon intensity from FDC oracle
-        uint256 intensity = oracle.getIntensity(slotKey);
+        // Read both carbon intensities for the region from FDC oracle
+        uint256 intensity = oracle.getRegionalIntensity(region, slotKey);
         require(
             intensity >= intensityThreshold,
             "FlexDAO: intensity below threshold"
         );
+        uint256 recoveryIntensity = oracle.getRegionalIntensity(region, recoverySlotKey);
+        require(
+            recoveryIntensity < intensity,
+            "FlexDAO: recovery slot not lower-carbon"
+        );
+        uint256 delta = intensity - recoveryIntensity;
 
-        processedSlots[slotKey] = true;
+        processedSlots[processedKey] = true;
         totalEventsVerified++;
+        slotRecords[processedKey] = SlotRecord(uint64(block.timestamp), uint64(totalEventsVerified), false);
+        Accrual[] storage accruals = _accruals[processedKey];
 
         uint256 totalShifted = 0;
         for (uint256 i = 0; i < participants.length; i++) {
-            uint256 reward = (participants[i].shiftedKw * rewardPerKw) / 1000;
-            if (reward == 0) reward = 1; // minimum 1 token
+            require(
+                registry.isEnrolled(participants[i].participant),
+                "FlexDAO: participant not enrolled"
+            );
+            require(
+                region == RegionalSlots.NATIONAL ||
+                    registry.regionOf(participants[i].participant) == region,
+                "FlexDAO: participant not in region"
+            );
+            uint256 reward = (participants[i].shiftedKw * delta * rewardPerKgCo2) /
+                REWARD_DIVISOR;
             balances[participants[i].participant] += reward;
+            accruals.push(Accrual(participants[i].participant, reward));
             totalRewardsIssued += reward;
             totalShifted += participants[i].shiftedKw;
         }
 
-        emit FlexEventVerified(slotKey, intensity, participants.length, totalShifted);
+        emit FlexEventVerified(
+            slotKey,
+            recoverySlotKey,
+            region,
+            intensity,
+            recoveryIntensity,
+            participants.length,
+            totalShifted
+        );
     }
 
     /**
-     * @notice Claim accumulated FLEX rewards.
+     * @notice Claim accumulated FLEX rewards as ERC-20 tokens.
      */
-    function claimRewards() external {
+    function claimRewards() external whenNotPaused {
         uint256 amount = balances[msg.sender];
         require(amount > 0, "FlexDAO: no rewards");
         balances[msg.sender] = 0;
-        // In production: transfer ERC-20 tokens here
+        _claimedThrough[msg.sender] = totalEventsVerified;
+        token.mint(msg.sender, amount);
         emit RewardClaimed(msg.sender, amount);
     }
 
+    /**
+     * @notice Voids the rewards of one flex event within DISPUTE_WINDOW of its submission.
+     * @param reason Why the rewards are voided; recorded in the events
+     * @dev Only rewards still unclaimed are removed. A participant who claimed after
+     *      the event was submitted already holds that reward as FLEX.
+     */
+    function voidSlotRewards(
+        uint16 region,
+        bytes32 slotKey,
+        string calldata reason
+    ) external onlyRole(ADMIN_ROLE) {
+        bytes32 processedKey = RegionalSlots.key(region, slotKey);
+        SlotRecord storage record = slotRecords[processedKey];
+        require(record.processedAt != 0, "FlexDAO: slot not processed");
+        require(!record.voided, "FlexDAO: slot already voided");
+        require(block.timestamp <= record.processedAt + DISPUTE_WINDOW, "FlexDAO: dispute window closed");
+        require(bytes(reason).length > 0, "FlexDAO: reason is empty");
+        record.voided = true;
+
+        uint256 totalVoided = 0;
+        uint256 alreadyClaimed = 0;
+        Accrual[] storage accruals = _accruals[processedKey];
+        for (uint256 i = 0; i < accruals.length; i++) {
+            Accrual storage accrual = accruals[i];
+            if (accrual.reward == 0) continue;
+            if (_claimedThrough[accrual.participant] >= record.eventIndex) {
+                alreadyClaimed += accrual.reward;
+                continue;
+            }
+            balances[accrual.participant] -= accrual.reward;
+            totalVoided += accrual.reward;
+            emit RewardVoided(slotKey, region, accrual.participant, accrual.reward, reason);
+        }
+        totalRewardsVoided += totalVoided;
+        emit SlotRewardsVoided(slotKey, region, msg.sender, totalVoided, alreadyClaimed, reason);
+    }
+
+    /// @notice Rewards accrued by one flex event, in participant order.
+    function slotAccruals(uint16 region, bytes32 slotKey) external view returns (Accrual[] memory) {
+        return _accruals[RegionalSlots.key(region, slotKey)];
+    }
+
+    function _isVoter(address account) internal view override returns (bool) {
+        return registry.isEnrolled(account);
+    }
+
+    function _isVoterBefore(address account, uint64 timestamp) internal view override returns (bool) {
+        uint64 since = registry.approvedSince(account);
+        return since != 0 && since < timestamp;
+    }
+
+    function _setParameter(Parameter parameter, uint256 value) internal override returns (uint256 oldValue) {
+        if (parameter == Parameter.IntensityThreshold) {
+            oldValue = intensityThreshold;
+            intensityThreshold = value;
+        } else if (parameter == Parameter.RewardPerKgCo2) {
+            oldValue = rewardPerKgCo2;
+            rewardPerKgCo2 = value;
+        } else {
+            oldValue = uint256(uint160(operator));
+            _revokeRole(SUBMITTER_ROLE, operator);
+            operator = address(uint160(value));
+            _grantRole(SUBMITTER_ROLE, operator);
+        }
+    }
+
+    function _checkAdminManaged(bytes32 role) internal pure override {
+        require(role != SUBMITTER_ROLE, "FlexDAO: submitter is set by governance");
+    }
+
+    function _revokeRole(bytes32 role, address account) internal override {
+        super._revokeRole(role, account);
+        if (role == SUBMITTER_ROLE && account == operator) operator = address(0);
+    }
+
     /**
      * @notice View function for dashboard.
      */
@@ -0,0 +1,164 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title FlexGovernance
+ * @notice Household vote + timelock for FlexDAO's parameters.
+ *
+ * Any voter (FlexDAO: an approved household payout address) may propose a new
+ * value for one parameter. Voters then have VOTING_PERIOD to vote, one vote
+ * per address. Voters are snapshotted at creation: only addresses that were
+ * already voters before the proposal's block (voteEnd - VOTING_PERIOD) may
+ * vote on it, so voters added while it is open cannot swing it. A proposal
+ * passes with at least `quorum` votes for and more for than against; the
+ * quorum is fixed when the proposal is made. A passed proposal is queued until
+ * voteEnd + TIMELOCK_DELAY, after which anyone can execute it.
+ *
+ * Votes are per household rather than per FLEX: FlexToken has no balance
+ * checkpoints, so a token-weighted vote could be cast again after a transfer.
+ *
+ * Trust assumption: whoever admits voters (FlexDAO: the HouseholdRegistry
+ * operator, whose enrollFor approves at once) can still add enough of them
+ * before a proposal to reach quorum. The snapshot only stops that during a
+ * vote; the operator key must be held as carefully as the quorum it could forge.
+ *
+ * Lifecycle (state()): Active → Defeated | Queued → Ready → Executed.
+ * ProposalCreated, VoteCast and ProposalExecuted carry everything the
+ * dashboard needs to list pending and executed proposals.
+ */
+abstract contract FlexGovernance {
+    enum Parameter {
+        IntensityThreshold, // gCO2/kWh
+        RewardPerKgCo2, // FLEX base units per kg CO2 avoided
+        Operator, // address as uint256(uint160(operator))
+        Quorum // votes for needed to pass
+    }
+
+    enum ProposalState {
+        Active,
+        Defeated,
+        Queued,
+        Ready,
+        Executed
+    }
+
+    struct Proposal {
+        Parameter parameter;
+        uint256 value;
+        address proposer;
+        uint64 voteEnd;
+        uint64 eta;
+        uint32 quorum;
+        uint32 forVotes;
+        uint32 againstVotes;
+        bool executed;
+    }
+
+    uint64 public constant VOTING_PERIOD = 3 days;
+    uint64 public constant TIMELOCK_DELAY = 2 days;
+
+    uint256 public quorum = 3;
+    uint256 public proposalCount;
+    // Proposal IDs start at 1
+    mapping(uint256 => Proposal) public proposals;
+    mapping(uint256 => mapping(address => bool)) public hasVoted;
+
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        Parameter indexed parameter,
+        uint256 value,
+        uint64 voteEnd,
+        uint64 eta
+    );
+    event VoteCast(uint256 indexed proposalId, address indexed voter, bool support);
+    event ProposalExecuted(
+        uint256 indexed proposalId,
+        Parameter indexed parameter,
+        uint256 oldValue,
+        uint256 newValue
+    );
+
+    modifier onlyVoter() {
+        require(_isVoter(msg.sender), "FlexGovernance: not a voter");
+        _;
+    }
+
+    /**
+     * @notice Proposes `value` for `parameter`; voting opens immediately.
+     * @return proposalId ID for castVote / execute / state
+     */
+    function propose(Parameter parameter, uint256 value) external onlyVoter returns (uint256 proposalId) {
+        if (parameter == Parameter.Operator) {
+            require(value != 0 && value <= type(uint160).max, "FlexGovernance: invalid operator");
+        } else if (parameter == Parameter.Quorum) {
+            require(value != 0 && value <= type(uint32).max, "FlexGovernance: invalid quorum");
+        }
+
+        proposalId = ++proposalCount;
+        uint64 voteEnd = uint64(block.timestamp) + VOTING_PERIOD;
+        uint64 eta = voteEnd + TIMELOCK_DELAY;
+        Proposal storage proposal = proposals[proposalId];
+        proposal.parameter = parameter;
+        proposal.value = value;
+        proposal.proposer = msg.sender;
+        proposal.voteEnd = voteEnd;
+        proposal.eta = eta;
+        proposal.quorum = uint32(quorum);
+        emit ProposalCreated(proposalId, msg.sender, parameter, value, voteEnd, eta);
+    }
+
+    /// @notice Votes on an active proposal; only voters from before its creation count.
+    function castVote(uint256 proposalId, bool support) external {
+        require(state(proposalId) == ProposalState.Active, "FlexGovernance: voting closed");
+        Proposal storage proposal = proposals[proposalId];
+        require(_isVoterBefore(msg.sender, proposal.voteEnd - VOTING_PERIOD), "FlexGovernance: not a voter");
+        require(!hasVoted[proposalId][msg.sender], "FlexGovernance: already voted");
+        hasVoted[proposalId][msg.sender] = true;
+        if (support) {
+            proposal.forVotes++;
+        } else {
+            proposal.againstVotes++;
+        }
+        emit VoteCast(proposalId, msg.sender, support);
+    }
+
+    /**
+     * @notice Applies a passed proposal once its timelock has run out. Callable by anyone.
+     */
+    function execute(uint256 proposalId) external {
+        require(state(proposalId) == ProposalState.Ready, "FlexGovernance: not ready");
+        Proposal storage proposal = proposals[proposalId];
+        proposal.executed = true;
+
+        uint256 oldValue;
+        if (proposal.parameter == Parameter.Quorum) {
+            oldValue = quorum;
+            quorum = proposal.value;
+        } else {
+            oldValue = _setParameter(proposal.parameter, proposal.value);
+        }
+        emit ProposalExecuted(proposalId, proposal.parameter, oldValue, proposal.value);
+    }
+
+    function state(uint256 proposalId) public view returns (ProposalState) {
+        require(proposalId != 0 && proposalId <= proposalCount, "FlexGovernance: unknown proposal");
+        Proposal storage proposal = proposals[proposalId];
+        if (proposal.executed) return ProposalState.Executed;
+        if (block.timestamp < proposal.voteEnd) return ProposalState.Active;
+        if (proposal.forVotes < proposal.quorum || proposal.forVotes <= proposal.againstVotes) {
+            return ProposalState.Defeated;
+        }
+        if (block.timestamp < proposal.eta) return ProposalState.Queued;
+        return ProposalState.Ready;
+    }
+
+    /// @dev True if `account` may propose.
+    function _isVoter(address account) internal view virtual returns (bool);
+
+    /// @dev True if `account` is a voter now and already was before `timestamp`.
+    function _isVoterBefore(address account, uint64 timestamp) internal view virtual returns (bool);
+
+    /// @dev Writes a governed parameter (all but Quorum) and returns its previous value.
+    function _setParameter(Parameter parameter, uint256 value) internal virtual returns (uint256 oldValue);
+}
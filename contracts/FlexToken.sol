@@ -0,0 +1,81 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import "./IFlexToken.sol";
+
+/**
+ * @title FlexToken
+ * @notice FLEX — ERC-20 reward token for verified demand flexibility.
+ *
+ * 1 FLEX = 1e18 base units. Supply is only created by minters (FlexDAO on
+ * claim, RewardExecutor on execution); the owner manages the minter set.
+ */
+contract FlexToken is IFlexToken {
+    string public constant name = "FlexDAO Token";
+    string public constant symbol = "FLEX";
+    uint8 public constant decimals = 18;
+
+    address public owner;
+    uint256 public totalSupply;
+
+    mapping(address => uint256) public override balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+    mapping(address => bool) public minters;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+    event MinterUpdated(address indexed minter, bool allowed);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "FlexToken: not owner");
+        _;
+    }
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    function setMinter(address minter, bool allowed) external onlyOwner {
+        require(minter != address(0), "FlexToken: minter is zero");
+        minters[minter] = allowed;
+        emit MinterUpdated(minter, allowed);
+    }
+
+    /// @inheritdoc IFlexToken
+    function mint(address to, uint256 amount) external override {
+        require(minters[msg.sender], "FlexToken: not minter");
+        require(to != address(0), "FlexToken: mint to zero");
+        totalSupply += amount;
+        balanceOf[to] += amount;
+        emit Transfer(address(0), to, amount);
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    function approve(address spender, uint256 amount) external returns (bool) {
+        allowance[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        uint256 allowed = allowance[from][msg.sender];
+        if (allowed != type(uint256).max) {
+            require(allowed >= amount, "FlexToken: insufficient allowance");
+            allowance[from][msg.sender] = allowed - amount;
+        }
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    function _transfer(address from, address to, uint256 amount) private {
+        require(to != address(0), "FlexToken: transfer to zero");
+        require(balanceOf[from] >= amount, "FlexToken: insufficient balance");
+        balanceOf[from] -= amount;
+        balanceOf[to] += amount;
+        emit Transfer(from, to, amount);
+    }
+}
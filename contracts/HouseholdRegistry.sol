@@ -0,0 +1,181 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import "./IHouseholdRegistry.sol";
+
+/**
+ * @title HouseholdRegistry
+ * @notice Maps simulated/metered household IDs (e.g. "HH-001") to payout addresses.
+ *
+ * A household either applies itself (enroll: payout = msg.sender, status
+ * Pending) and waits for the operator to approve it, or the operator enrolls it
+ * directly (enrollFor: status Approved). Only Approved households can be
+ * rewarded by FlexDAO / RewardExecutor. Each payout address belongs to at most
+ * one household, so on-chain rewards always trace back to a single household ID.
+ *
+ * householdId is the ID as a bytes32 string (ethers.encodeBytes32String("HH-001")).
+ * assets is a bitmask of the household's flexible assets (ASSET_* constants).
+ * region is the household's grid region (RegionalSlots IDs, 0 = national);
+ * FlexDAO only rewards it against that region's intensity or the national one.
+ *
+ * Approved households are also FlexDAO's voters, counted from approvedSince, so
+ * the operator decides who may vote: see FlexGovernance.
+ */
+contract HouseholdRegistry is IHouseholdRegistry {
+    uint8 public constant ASSET_EV = 1;
+    uint8 public constant ASSET_HEAT_PUMP = 2;
+    uint8 public constant ASSET_BATTERY = 4;
+    uint8 public constant ASSET_DISHWASHER = 8;
+    uint8 public constant ASSET_LAUNDRY = 16;
+
+    enum Status {
+        None,
+        Pending,
+        Approved,
+        Revoked
+    }
+
+    struct Household {
+        address payout;
+        uint8 assets;
+        uint16 region;
+        Status status;
+    }
+
+    address public operator;
+    uint256 public approvedCount;
+
+    mapping(bytes32 => Household) public households;
+    // payout address → household ID (bytes32(0) if none)
+    mapping(address => bytes32) public householdOf;
+    // Household ID → timestamp of its latest approval
+    mapping(bytes32 => uint64) public approvedAt;
+
+    event HouseholdEnrolled(
+        bytes32 indexed householdId,
+        address indexed payout,
+        uint16 region,
+        uint8 assets,
+        Status status
+    );
+    event HouseholdStatusChanged(bytes32 indexed householdId, Status status);
+    event HouseholdAssetsUpdated(bytes32 indexed householdId, uint8 assets);
+    event HouseholdRegionUpdated(bytes32 indexed householdId, uint16 region);
+    event OperatorUpdated(address indexed operator);
+
+    modifier onlyOperator() {
+        require(msg.sender == operator, "HouseholdRegistry: not operator");
+        _;
+    }
+
+    constructor() {
+        operator = msg.sender;
+    }
+
+    function setOperator(address _operator) external onlyOperator {
+        require(_operator != address(0), "HouseholdRegistry: operator is zero");
+        operator = _operator;
+        emit OperatorUpdated(_operator);
+    }
+
+    /// @notice Applies for enrollment with msg.sender as payout address; needs operator approval.
+    function enroll(bytes32 householdId, uint16 region, uint8 assets) external {
+        _enroll(householdId, msg.sender, region, assets, Status.Pending);
+    }
+
+    /// @notice Enrolls and approves a household in one step.
+    function enrollFor(
+        bytes32 householdId,
+        address payout,
+        uint16 region,
+        uint8 assets
+    ) external onlyOperator {
+        _enroll(householdId, payout, region, assets, Status.Approved);
+    }
+
+    function approve(bytes32 householdId) external onlyOperator {
+        Status status = households[householdId].status;
+        require(
+            status == Status.Pending || status == Status.Revoked,
+            "HouseholdRegistry: not pending or revoked"
+        );
+        _setStatus(householdId, Status.Approved);
+    }
+
+    /// @notice Stops future rewards; balances already accrued stay claimable.
+    function revoke(bytes32 householdId) external onlyOperator {
+        require(
+            households[householdId].status == Status.Approved ||
+                households[householdId].status == Status.Pending,
+            "HouseholdRegistry: not enrolled"
+        );
+        _setStatus(householdId, Status.Revoked);
+    }
+
+    function setAssets(bytes32 householdId, uint8 assets) external onlyOperator {
+        require(households[householdId].status != Status.None, "HouseholdRegistry: unknown household");
+        households[householdId].assets = assets;
+        emit HouseholdAssetsUpdated(householdId, assets);
+    }
+
+    function setRegion(bytes32 householdId, uint16 region) external onlyOperator {
+        require(households[householdId].status != Status.None, "HouseholdRegistry: unknown household");
+        households[householdId].region = region;
+        emit HouseholdRegionUpdated(householdId, region);
+    }
+
+    /// @inheritdoc IHouseholdRegistry
+    function isEnrolled(address payout) external view override returns (bool) {
+        bytes32 householdId = householdOf[payout];
+        return householdId != bytes32(0) && households[householdId].status == Status.Approved;
+    }
+
+    /// @inheritdoc IHouseholdRegistry
+    function regionOf(address payout) external view override returns (uint16) {
+        return households[householdOf[payout]].region;
+    }
+
+    /// @inheritdoc IHouseholdRegistry
+    function approvedSince(address payout) external view override returns (uint64) {
+        bytes32 householdId = householdOf[payout];
+        if (householdId == bytes32(0) || households[householdId].status != Status.Approved) return 0;
+        return approvedAt[householdId];
+    }
+
+    function _enroll(
+        bytes32 householdId,
+        address payout,
+        uint16 region,
+        uint8 assets,
+        Status status
+    ) private {
+        require(householdId != bytes32(0), "HouseholdRegistry: id is empty");
+        require(payout != address(0), "HouseholdRegistry: payout is zero");
+        require(households[householdId].status == Status.None, "HouseholdRegistry: already enrolled");
+        require(householdOf[payout] == bytes32(0), "HouseholdRegistry: payout in use");
+
+        households[householdId] = Household({
+            payout: payout,
+            assets: assets,
+            region: region,
+            status: status
+        });
+        householdOf[payout] = householdId;
+        if (status == Status.Approved) {
+            approvedCount++;
+            approvedAt[householdId] = uint64(block.timestamp);
+        }
+        emit HouseholdEnrolled(householdId, payout, region, assets, status);
+    }
+
+    function _setStatus(bytes32 householdId, Status status) private {
+        Status previous = households[householdId].status;
+        if (previous == Status.Approved) approvedCount--;
+        if (status == Status.Approved) {
+            approvedCount++;
+            approvedAt[householdId] = uint64(block.timestamp);
+        }
+        households[householdId].status = status;
+        emit HouseholdStatusChanged(householdId, status);
+    }
+}
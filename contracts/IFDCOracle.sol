@@ -3,14 +3,20 @@ pragma solidity ^0.8.18;
 
 /**
  * @title IFDCOracle
- * @notice Interface for the Flare Data Connector oracle shim.
- *         In production this would be the on-chain FDC verification contract.
+ * @notice Carbon-intensity oracle read by FlexDAO.
+ *         Implemented by FDCShim (owner-submitted, simulation) and
+ *         FdcIntensityOracle (FDC Web2Json proofs verified on-chain).
  */
 interface IFDCOracle {
     /// @notice Returns the carbon intensity for a given attestation key.
     /// @param key keccak256(timestamp) identifying the half-hour slot.
     function getIntensity(bytes32 key) external view returns (uint256);
 
+    /// @notice Returns the carbon intensity of a slot in one grid region.
+    /// @param region Grid region ID (0 = national, same as getIntensity(slotKey)).
+    /// @param slotKey keccak256(timestamp) identifying the half-hour slot.
+    function getRegionalIntensity(uint16 region, bytes32 slotKey) external view returns (uint256);
+
     /// @notice Total number of attestations stored.
     function attestationCount() external view returns (uint256);
 }
@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title IWeb2Json
+ * @notice Web2Json attestation types, mirroring Flare's IWeb2Json.
+ *         Field order must match the DA layer response exactly: the Merkle
+ *         leaf is keccak256(abi.encode(Response)).
+ */
+interface IWeb2Json {
+    struct RequestBody {
+        string url;
+        string httpMethod;
+        string headers;
+        string queryParams;
+        string body;
+        string postProcessJq;
+        string abiSignature;
+    }
+
+    struct ResponseBody {
+        bytes abiEncodedData;
+    }
+
+    struct Response {
+        bytes32 attestationType;
+        bytes32 sourceId;
+        uint64 votingRound;
+        uint64 lowestUsedTimestamp;
+        RequestBody requestBody;
+        ResponseBody responseBody;
+    }
+
+    struct Proof {
+        bytes32[] merkleProof;
+        Response data;
+    }
+}
+
+/**
+ * @title IFdcVerification
+ * @notice Subset of Flare's FdcVerification contract used by FlexDAO.
+ *         Same selector as scripts/check_attestation.js VERIFY_WEB2JSON_FUNCTION_ABI.
+ */
+interface IFdcVerification {
+    /// @notice Returns true if the proof's response is in the Merkle root of its voting round.
+    function verifyWeb2Json(IWeb2Json.Proof calldata _proof) external view returns (bool _proved);
+}
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title IFlexToken
+ * @notice Minting interface of the FLEX ERC-20 used by FlexDAO and RewardExecutor.
+ */
+interface IFlexToken {
+    /// @notice Mints `amount` (18 decimals) to `to`. Caller must be an approved minter.
+    function mint(address to, uint256 amount) external;
+
+    function balanceOf(address account) external view returns (uint256);
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title IHouseholdRegistry
+ * @notice Enrollment check used by FlexDAO and RewardExecutor before paying a participant.
+ */
+interface IHouseholdRegistry {
+    /// @notice True if `payout` belongs to an operator-approved household.
+    function isEnrolled(address payout) external view returns (bool);
+
+    /// @notice Grid region of the household paid to `payout` (0 = national / not enrolled).
+    function regionOf(address payout) external view returns (uint16);
+
+    /// @notice When the household paid to `payout` was last approved (0 if it is not approved now).
+    function approvedSince(address payout) external view returns (uint64);
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title MerkleProof
+ * @notice Sorted-pair keccak256 Merkle proof verification.
+ *
+ * Pairs are hashed in ascending order, so proofs carry no left/right flags.
+ * Same scheme as Flare's FDC Merkle trees and scripts/merkle_tree.js.
+ */
+library MerkleProof {
+    function verify(
+        bytes32[] calldata proof,
+        bytes32 root,
+        bytes32 leaf
+    ) internal pure returns (bool) {
+        bytes32 computed = leaf;
+        for (uint256 i = 0; i < proof.length; i++) {
+            computed = hashPair(computed, proof[i]);
+        }
+        return computed == root;
+    }
+
+    function hashPair(bytes32 a, bytes32 b) internal pure returns (bytes32) {
+        return a < b ? keccak256(abi.encodePacked(a, b)) : keccak256(abi.encodePacked(b, a));
+    }
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title RegionalSlots
+ * @notice Oracle key for a (grid region, half-hour slot) pair.
+ *
+ * KEY SCHEME:
+ *   region 0 (national)  key = slotKey = keccak256("2026-01-31T15:00Z")
+ *   region r > 0         key = keccak256(abi.encodePacked(uint16 r, slotKey))
+ *
+ * Region IDs are the UK carbon-intensity API's (1–14 DNO regions, 15–17
+ * England/Scotland/Wales). National keys are unchanged, so existing
+ * attestations and CarbonSlots payloads keep working.
+ * Off-chain: regionalSlotKeyOf in backend/rewards.js.
+ */
+library RegionalSlots {
+    uint16 internal constant NATIONAL = 0;
+
+    function key(uint16 region, bytes32 slotKey) internal pure returns (bytes32) {
+        if (region == NATIONAL) return slotKey;
+        return keccak256(abi.encodePacked(region, slotKey));
+    }
+}
@@ -1,21 +1,77 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.18;
 
+import "./IFdcVerification.sol";
+import "./CarbonSlots.sol";
+import "./Web2JsonSource.sol";
+import "./IFlexToken.sol";
+import "./IHouseholdRegistry.sol";
+import "./MerkleProof.sol";
+import "./AccessRoles.sol";
+
 /**
  * @title RewardExecutor
  * @notice Minimal on-chain "reward executed" recorder.
  *
- * This contract intentionally does NOT verify FDC proofs on-chain.
- * Verification is done off-chain via IFdcVerification (see scripts/check_attestation.js),
- * then this contract is called only after confirmation.
+ * Entry points:
+ *   - executeReward: trusts the executor's off-chain verification
+ *     (IFdcVerification via scripts/check_attestation.js) and just records.
+ *   - executeVerifiedReward: takes the Web2Json proof itself, calls
+ *     IFdcVerification.verifyWeb2Json on-chain and decodes the attested
+ *     payload to enforce that the slot exists and is high-carbon. An executor
+ *     key alone cannot record a reward against data Flare did not attest.
+ *     The request itself must match the admin-set trusted source
+ *     (Web2JsonSource: URL prefix + window + suffix, plain GET, jq filter and
+ *     ABI signature), so a proof of some other URL is rejected.
+ *   - commitRewardRoot / claimBatchReward: batch mode for one attestation
+ *     covering many households and slots. The executor commits a Merkle root of
+ *     (participant, slotKey, shiftedKw, reward) leaves; each household claims
+ *     its own leaves with a proof. Replay protection is per (participant,
+ *     slotKey) across all roots, so a household is paid once per slot even if
+ *     a later root re-commits it with a different amount. For DISPUTE_WINDOW
+ *     after a commit, an admin can void a slot with a reason
+ *     (voidBatchRewards); the void applies to that slot under every root.
+ *
+ * Both record an auditable on-chain event with replay protection. If an admin
+ * has configured a reward token (setRewardToken), the participant is also
+ * minted shiftedKw * rewardPerKw / 1000 FLEX; this contract must be a minter.
+ * If a household registry is configured (setHouseholdRegistry), rewards are only
+ * recorded for participants enrolled there.
  *
- * No token minting / incentive logic here: just an auditable on-chain event + replay protection.
+ * Access (AccessRoles): EXECUTOR_ROLE records rewards and commits roots,
+ * ADMIN_ROLE configures token, registry and trusted source, PAUSER_ROLE halts
+ * execution and claims. The constructor's `_owner` receives all three.
  */
-contract RewardExecutor {
-    address public owner;
+contract RewardExecutor is AccessRoles {
+    // "Web2Json" right-padded to bytes32 (same as fdc-carbon/request_jsonapi_attestation.js)
+    bytes32 public constant WEB2JSON_ATTESTATION_TYPE = bytes32("Web2Json");
+
+    IFdcVerification public immutable fdcVerification;
+    uint256 public immutable minIntensity; // gCO2/kWh
+
+    // Optional FLEX minting (zero address = record only)
+    IFlexToken public token;
+    uint256 public rewardPerKw; // FLEX base units per kW shifted
 
-    // Replay protection: one reward execution per attestation tx hash.
+    // Optional enrollment check (zero address = any participant)
+    IHouseholdRegistry public householdRegistry;
+
+    // Replay protection: one reward execution per attestation
+    // (tx hash for executeReward, Merkle leaf hash for executeVerifiedReward).
     mapping(bytes32 => bool) public executedAttestations;
+    // Attestation request accepted by executeVerifiedReward (empty urlPrefix = none)
+    Web2JsonSource.Source public source;
+
+    // Batch mode: attestation tx hash → committed reward root / payload hash
+    mapping(bytes32 => bytes32) public rewardRoots;
+    mapping(bytes32 => bytes32) public rewardPayloadHashes;
+    // Replay protection for batch claims: participant → slotKey → claimed (across all roots)
+    mapping(address => mapping(bytes32 => bool)) public claimedSlots;
+
+    uint64 public constant DISPUTE_WINDOW = 2 days;
+    // Batch mode disputes: attestation tx hash → commit time; slot key → voided under every root
+    mapping(bytes32 => uint64) public rewardRootCommittedAt;
+    mapping(bytes32 => bool) public voidedBatchSlots;
 
     event RewardExecuted(
         bytes32 indexed attestationTxHash,
@@ -24,20 +80,75 @@ contract RewardExecutor {
         address participant,
         uint256 shiftedKw
     );
+    event AttestationVerified(
+        bytes32 indexed attestationId,
+        uint64 indexed votingRound,
+        bytes32 indexed slotKey,
+        uint256 intensity
+    );
+    event SourceSet(
+        string urlPrefix,
+        string urlSuffix,
+        bytes32 postProcessJqHash,
+        bytes32 abiSignatureHash
+    );
+    event RewardTokenSet(address indexed token, uint256 rewardPerKw);
+    event HouseholdRegistrySet(address indexed registry);
+    event RewardRootCommitted(
+        bytes32 indexed attestationTxHash,
+        bytes32 indexed payloadHash,
+        bytes32 root,
+        uint256 leafCount
+    );
+    event BatchRewardClaimed(
+        bytes32 indexed attestationTxHash,
+        bytes32 indexed leaf,
+        address indexed participant,
+        uint256 reward
+    );
+    event BatchRewardsVoided(
+        bytes32 indexed attestationTxHash,
+        bytes32 indexed slotKey,
+        address indexed admin,
+        string reason
+    );
 
-    modifier onlyOwner() {
-        require(msg.sender == owner, "RewardExecutor: not owner");
-        _;
+    constructor(address _owner, address _fdcVerification, uint256 _minIntensity) {
+        require(_owner != address(0), "RewardExecutor: owner is zero");
+        require(_fdcVerification != address(0), "RewardExecutor: verification is zero");
+        fdcVerification = IFdcVerification(_fdcVerification);
+        minIntensity = _minIntensity;
+        _grantRole(ADMIN_ROLE, _owner);
+        _grantRole(EXECUTOR_ROLE, _owner);
+        _grantRole(PAUSER_ROLE, _owner);
     }
 
-    constructor(address _owner) {
-        require(_owner != address(0), "RewardExecutor: owner is zero");
-        owner = _owner;
+    /// @notice Enables (or, with address(0), disables) FLEX minting on execution.
+    function setRewardToken(address _token, uint256 _rewardPerKw) external onlyRole(ADMIN_ROLE) {
+        token = IFlexToken(_token);
+        rewardPerKw = _rewardPerKw;
+        emit RewardTokenSet(_token, _rewardPerKw);
     }
 
-    function setOwner(address _owner) external onlyOwner {
-        require(_owner != address(0), "RewardExecutor: owner is zero");
-        owner = _owner;
+    /// @notice Enables (or, with address(0), disables) the participant enrollment check.
+    function setHouseholdRegistry(address _registry) external onlyRole(ADMIN_ROLE) {
+        householdRegistry = IHouseholdRegistry(_registry);
+        emit HouseholdRegistrySet(_registry);
+    }
+
+    /**
+     * @notice Trusts one attestation request for executeVerifiedReward (an empty urlPrefix stops accepting any).
+     * @param urlPrefix Everything before the window, e.g. "https://api.carbonintensity.org.uk/intensity/"
+     * @param urlSuffix Everything after it ("" for the national series)
+     */
+    function setSource(
+        string calldata urlPrefix,
+        string calldata urlSuffix,
+        string calldata postProcessJq,
+        string calldata abiSignature
+    ) external onlyRole(ADMIN_ROLE) {
+        Web2JsonSource.set(source, urlPrefix, urlSuffix, postProcessJq, abiSignature);
+        emit SourceSet(urlPrefix, urlSuffix, source.postProcessJqHash, source.abiSignatureHash);
     }
 
     /**
@@ -50,10 +161,150 @@ contract RewardExecutor {
         bytes32 slotKey,
         address participant,
         uint256 shiftedKw
-    ) external onlyOwner {
+    ) external onlyRole(EXECUTOR_ROLE) whenNotPaused {
         require(!executedAttestations[attestationTxHash], "RewardExecutor: already executed");
+        _requireEnrolled(participant);
         executedAttestations[attestationTxHash] = true;
         emit RewardExecuted(attestationTxHash, payloadHash, slotKey, participant, shiftedKw);
+        _mintReward(participant, shiftedKw);
     }
-}
 
+    /**
+     * @notice Verifies a Web2Json proof on-chain, then records one reward execution.
+     * @param proof Web2Json proof as served by the DA layer (see buildVerifyWeb2JsonProof)
+     * @param slotKey keccak256(timestamp) of the rewarded slot — must be in the attested payload
+     * @param participant Reward recipient
+     * @param shiftedKw Shifted load in milliKw
+     * @dev The attestation id is the Merkle leaf keccak256(abi.encode(proof.data)), so the
+     *      same proof cannot be replayed under a different off-chain tx hash.
+     */
+    function executeVerifiedReward(
+        IWeb2Json.Proof calldata proof,
+        bytes32 slotKey,
+        address participant,
+        uint256 shiftedKw
+    ) external onlyRole(EXECUTOR_ROLE) whenNotPaused {
+        require(
+            proof.data.attestationType == WEB2JSON_ATTESTATION_TYPE,
+            "RewardExecutor: not a Web2Json attestation"
+        );
+        require(Web2JsonSource.isTrusted(source, proof.data), "RewardExecutor: untrusted source");
+        bytes32 attestationId = keccak256(abi.encode(proof.data));
+        require(!executedAttestations[attestationId], "RewardExecutor: already executed");
+        _requireEnrolled(participant);
+        require(fdcVerification.verifyWeb2Json(proof), "RewardExecutor: invalid FDC proof");
+
+        bytes calldata payload = proof.data.responseBody.abiEncodedData;
+        (bool found, uint256 intensity) = CarbonSlots.intensityOf(
+            CarbonSlots.decode(payload),
+            slotKey
+        );
+        require(found, "RewardExecutor: slot not attested");
+        require(intensity >= minIntensity, "RewardExecutor: intensity below threshold");
+
+        executedAttestations[attestationId] = true;
+        emit AttestationVerified(attestationId, proof.data.votingRound, slotKey, intensity);
+        emit RewardExecuted(attestationId, keccak256(payload), slotKey, participant, shiftedKw);
+        _mintReward(participant, shiftedKw);
+    }
+
+    /**
+     * @notice Commits the reward Merkle root for one attestation (batch mode).
+     * @param root Root over rewardLeaf(participant, slotKey, shiftedKw, reward) leaves
+     * @param leafCount Number of leaves, for the audit trail
+     * @dev Marks the attestation executed, so it cannot also be paid via executeReward.
+     */
+    function commitRewardRoot(
+        bytes32 attestationTxHash,
+        bytes32 payloadHash,
+        bytes32 root,
+        uint256 leafCount
+    ) external onlyRole(EXECUTOR_ROLE) whenNotPaused {
+        require(root != bytes32(0), "RewardExecutor: root is zero");
+        require(!executedAttestations[attestationTxHash], "RewardExecutor: already executed");
+        executedAttestations[attestationTxHash] = true;
+        rewardRoots[attestationTxHash] = root;
+        rewardPayloadHashes[attestationTxHash] = payloadHash;
+        rewardRootCommittedAt[attestationTxHash] = uint64(block.timestamp);
+        emit RewardRootCommitted(attestationTxHash, payloadHash, root, leafCount);
+    }
+
+    /**
+     * @notice Claims one batch reward leaf for msg.sender.
+     * @param reward FLEX base units committed for this leaf (minted if a token is set)
+     * @param proof Sorted-pair Merkle proof from scripts/build_reward_tree.js
+     * @dev Each (participant, slotKey) is paid once, whichever root it is claimed under.
+     */
+    function claimBatchReward(
+        bytes32 attestationTxHash,
+        bytes32 slotKey,
+        uint256 shiftedKw,
+        uint256 reward,
+        bytes32[] calldata proof
+    ) external whenNotPaused {
+        bytes32 root = rewardRoots[attestationTxHash];
+        require(root != bytes32(0), "RewardExecutor: no reward root");
+        require(!voidedBatchSlots[slotKey], "RewardExecutor: rewards voided");
+        require(!claimedSlots[msg.sender][slotKey], "RewardExecutor: slot already claimed");
+        bytes32 leaf = rewardLeaf(msg.sender, slotKey, shiftedKw, reward);
+        require(MerkleProof.verify(proof, root, leaf), "RewardExecutor: invalid proof");
+        _requireEnrolled(msg.sender);
+
+        claimedSlots[msg.sender][slotKey] = true;
+        emit RewardExecuted(
+            attestationTxHash,
+            rewardPayloadHashes[attestationTxHash],
+            slotKey,
+            msg.sender,
+            shiftedKw
+        );
+        emit BatchRewardClaimed(attestationTxHash, leaf, msg.sender, reward);
+        if (address(token) != address(0) && reward > 0) token.mint(msg.sender, reward);
+    }
+
+    /**
+     * @notice Voids the unclaimed batch leaves of one slot within DISPUTE_WINDOW of the commit.
+     * @param attestationTxHash Root the disputed slot was committed under; starts the window
+     * @param reason Why the rewards are voided; recorded in BatchRewardsVoided
+     * @dev The void is global: the slot cannot be claimed under this or any other
+     * root, so re-committing it under a new attestation does not undo it. Leaves
+     * already claimed were minted and stay with the household.
+     */
+    function voidBatchRewards(
+        bytes32 attestationTxHash,
+        bytes32 slotKey,
+        string calldata reason
+    ) external onlyRole(ADMIN_ROLE) {
+        uint64 committedAt = rewardRootCommittedAt[attestationTxHash];
+        require(committedAt != 0, "RewardExecutor: no reward root");
+        require(!voidedBatchSlots[slotKey], "RewardExecutor: rewards voided");
+        require(block.timestamp <= committedAt + DISPUTE_WINDOW, "RewardExecutor: dispute window closed");
+        require(bytes(reason).length > 0, "RewardExecutor: reason is empty");
+        voidedBatchSlots[slotKey] = true;
+        emit BatchRewardsVoided(attestationTxHash, slotKey, msg.sender, reason);
+    }
+
+    /// @notice Batch leaf encoding (double-hashed to rule out second-preimage attacks).
+    function rewardLeaf(
+        address participant,
+        bytes32 slotKey,
+        uint256 shiftedKw,
+        uint256 reward
+    ) public pure returns (bytes32) {
+        return
+            keccak256(
+                bytes.concat(keccak256(abi.encode(participant, slotKey, shiftedKw, reward)))
+            );
+    }
+
+    function _requireEnrolled(address participant) private view {
+        if (address(householdRegistry) == address(0)) return;
+        require(householdRegistry.isEnrolled(participant), "RewardExecutor: participant not enrolled");
+    }
+
+    function _mintReward(address participant, uint256 shiftedKw) private {
+        if (address(token) == address(0)) return;
+        uint256 amount = (shiftedKw * rewardPerKw) / 1000;
+        if (amount > 0) token.mint(participant, amount);
+    }
+}
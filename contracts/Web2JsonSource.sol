@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import "./IFdcVerification.sol";
+
+/**
+ * @title Web2JsonSource
+ * @notice Pins which Web2Json attestation requests a contract accepts.
+ *
+ * A valid FDC proof only says that the DA layer attested *some* response;
+ * without this check anyone can request an attestation of their own URL
+ * returning a matching payload. A response is trusted when:
+ *   - sourceId is "PublicWeb2",
+ *   - the URL is exactly urlPrefix + window + urlSuffix, where window is the
+ *     attested range in the API's fixed format ("2026-01-31T00:00Z/2026-02-07T00:00Z")
+ *     and urlSuffix the rest of the path ("" for the national series), so no
+ *     extra path segment or query string gets through,
+ *   - it is a plain GET (no headers, query params or body),
+ *   - the jq filter and ABI signature hash to the configured values.
+ */
+library Web2JsonSource {
+    // "PublicWeb2" right-padded to bytes32 (same as fdc-carbon/request_jsonapi_attestation.js)
+    bytes32 internal constant PUBLIC_WEB2_SOURCE_ID = bytes32("PublicWeb2");
+    // Window between urlPrefix and urlSuffix: "9" = any digit, anything else literal
+    bytes internal constant WINDOW_FORMAT = "9999-99-99T99:99Z/9999-99-99T99:99Z";
+
+    struct Source {
+        string urlPrefix; // empty = nothing trusted
+        string urlSuffix;
+        bytes32 postProcessJqHash;
+        bytes32 abiSignatureHash;
+    }
+
+    function set(
+        Source storage source,
+        string calldata urlPrefix,
+        string calldata urlSuffix,
+        string calldata postProcessJq,
+        string calldata abiSignature
+    ) internal {
+        source.urlPrefix = urlPrefix;
+        source.urlSuffix = urlSuffix;
+        source.postProcessJqHash = keccak256(bytes(postProcessJq));
+        source.abiSignatureHash = keccak256(bytes(abiSignature));
+    }
+
+    function isTrusted(
+        Source storage source,
+        IWeb2Json.Response calldata response
+    ) internal view returns (bool) {
+        IWeb2Json.RequestBody calldata request = response.requestBody;
+        bytes memory prefix = bytes(source.urlPrefix);
+        bytes memory suffix = bytes(source.urlSuffix);
+        bytes calldata url = bytes(request.url);
+        if (response.sourceId != PUBLIC_WEB2_SOURCE_ID) return false;
+        if (prefix.length == 0 || url.length != prefix.length + WINDOW_FORMAT.length + suffix.length) return false;
+        return
+            keccak256(url[:prefix.length]) == keccak256(prefix) &&
+            _isWindow(url[prefix.length:url.length - suffix.length]) &&
+            keccak256(url[url.length - suffix.length:]) == keccak256(suffix) &&
+            keccak256(bytes(request.httpMethod)) == keccak256("GET") &&
+            bytes(request.headers).length == 0 &&
+            bytes(request.queryParams).length == 0 &&
+            bytes(request.body).length == 0 &&
+            keccak256(bytes(request.postProcessJq)) == source.postProcessJqHash &&
+            keccak256(bytes(request.abiSignature)) == source.abiSignatureHash;
+    }
+
+    // True if `window` has WINDOW_FORMAT's length, a digit at each "9" and its other bytes verbatim
+    function _isWindow(bytes calldata window) private pure returns (bool) {
+        bytes memory format = WINDOW_FORMAT;
+        if (window.length != format.length) return false;
+        for (uint256 i = 0; i < format.length; i++) {
+            bool ok = format[i] == "9" ? window[i] >= "0" && window[i] <= "9" : window[i] == format[i];
+            if (!ok) return false;
+        }
+        return true;
+    }
+}
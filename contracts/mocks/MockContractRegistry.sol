@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title MockContractRegistry
+ * @notice Local stand-in for Flare's ContractRegistry (Hardhat only).
+ *
+ * Answers getContractAddressByName like the real registry (zero address for an
+ * unknown name), so scripts/contract_registry.js resolves the mock FDC stack
+ * the same way it resolves Coston2. deploy_mock_fdc.js registers the mocks.
+ */
+contract MockContractRegistry {
+    address public owner;
+    mapping(bytes32 => address) private contracts;
+
+    event ContractRegistered(string name, address indexed contractAddress);
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    function setContractAddress(string calldata _name, address _address) external {
+        require(msg.sender == owner, "MockContractRegistry: not owner");
+        contracts[keccak256(bytes(_name))] = _address;
+        emit ContractRegistered(_name, _address);
+    }
+
+    function getContractAddressByName(string calldata _name) external view returns (address) {
+        return contracts[keccak256(bytes(_name))];
+    }
+}
@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title MockFdcHub
+ * @notice Local stand-in for Flare's FdcHub (Hardhat only).
+ *
+ * Accepts requestAttestation(bytes) with the fee and emits the same
+ * AttestationRequest event as the real hub. scripts/mock_fdc_server.js reads
+ * these events to assign requests to voting rounds and build their Merkle trees.
+ */
+contract MockFdcHub {
+    address public owner;
+    uint256 public requestFee;
+
+    event AttestationRequest(bytes data, uint256 fee);
+    event RequestFeeUpdated(uint256 fee);
+
+    constructor(uint256 _requestFee) {
+        owner = msg.sender;
+        requestFee = _requestFee;
+    }
+
+    function setRequestFee(uint256 _requestFee) external {
+        require(msg.sender == owner, "MockFdcHub: not owner");
+        requestFee = _requestFee;
+        emit RequestFeeUpdated(_requestFee);
+    }
+
+    function requestAttestation(bytes calldata _data) external payable {
+        require(msg.value >= requestFee, "MockFdcHub: fee too low");
+        emit AttestationRequest(_data, msg.value);
+    }
+}
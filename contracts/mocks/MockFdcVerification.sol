@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import "../IFdcVerification.sol";
+import "../MerkleProof.sol";
+
+/**
+ * @title MockFdcVerification
+ * @notice Local stand-in for Flare's FdcVerification (Hardhat only).
+ *
+ * Mirrors the real contract: a proof is valid when its response leaf,
+ * keccak256(abi.encode(response)), is in the Merkle root relayed for its
+ * voting round. Roots are published by the owner — in practice
+ * scripts/mock_fdc_server.js, which plays the role of the DA layer and Relay.
+ */
+contract MockFdcVerification is IFdcVerification {
+    bytes32 public constant WEB2JSON_ATTESTATION_TYPE = bytes32("Web2Json");
+
+    address public owner;
+    mapping(uint256 => bytes32) public merkleRoots;
+
+    event MerkleRootSet(uint256 indexed votingRound, bytes32 root);
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    function setMerkleRoot(uint256 votingRound, bytes32 root) external {
+        require(msg.sender == owner, "MockFdcVerification: not owner");
+        require(root != bytes32(0), "MockFdcVerification: empty root");
+        require(merkleRoots[votingRound] == bytes32(0), "MockFdcVerification: root already set");
+        merkleRoots[votingRound] = root;
+        emit MerkleRootSet(votingRound, root);
+    }
+
+    /// @inheritdoc IFdcVerification
+    function verifyWeb2Json(IWeb2Json.Proof calldata _proof) external view override returns (bool) {
+        if (_proof.data.attestationType != WEB2JSON_ATTESTATION_TYPE) return false;
+        bytes32 root = merkleRoots[_proof.data.votingRound];
+        if (root == bytes32(0)) return false;
+        return MerkleProof.verify(_proof.merkleProof, root, keccak256(abi.encode(_proof.data)));
+    }
+}
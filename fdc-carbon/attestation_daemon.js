@@ -0,0 +1,485 @@
+#!/usr/bin/env node
+/**
+ * Continuous FDC attestation daemon.
+ *
+ * Rolls a fresh carbon-intensity window every period (one UTC day by default)
+ * and drives it through the live pipeline:
+ *
+ *   fetched → prepared → signed → submitted → proved → verified
+ *
+ *   fetched    window bytes written to out/daemon/<period>/api_response.json
+ *   prepared   verifier prepareRequest + MIC
+ *   signed     FdcHub.requestAttestation tx signed; hash + raw tx recorded
+ *   submitted  tx mined
+ *   proved     DA layer proof fetched for the tx block's voting round
+ *   verified   verifyWeb2Json(proof) called on FdcVerification
+ *
+ * Every transition is appended to an append-only JSONL ledger
+ * (out/daemon/ledger.jsonl). On restart the ledger is folded to recover each
+ * period's state and work resumes from there. The tx is signed and recorded
+ * before it is broadcast, so a crash mid-submission re-broadcasts the same
+ * signed tx instead of requesting the window again: once a period has a
+ * "signed" record it is never submitted anew. The one exception is a signed
+ * tx whose nonce another tx has since used: it can never be mined, so the
+ * period goes back to "prepared" and its request is signed again with a
+ * fresh nonce. A lock file keeps a second daemon from running against the
+ * same ledger.
+ *
+ * The window URL, jq filter and ABI signature come from a carbon source
+ * adapter (scripts/carbon_sources): CARBON_SOURCE (default uk-national),
+ * CARBON_REGION_ID for regional sources, CARBON_API_BASE to point it elsewhere.
+ * RPC, verifier, DA layer, FdcHub and FdcVerification are the FLARE_NETWORK's
+ * (scripts/networks.js, default coston2) unless set explicitly.
+ *
+ * Usage:
+ *   PRIVATE_KEY=0x... VERIFIER_API_KEY=... node fdc-carbon/attestation_daemon.js
+ *   node fdc-carbon/attestation_daemon.js --once     (single pass, then exit)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+  FDC_HUB_ABI,
+  sha256Hex,
+  buildWeb2JsonRequest,
+  prepareRequest,
+  fetchVerifierMic,
+} = require("./request_jsonapi_attestation");
+const { RequestRejectedError, pollDaProof } = require("./fetch_da_proof");
+const {
+  DEFAULT_VERIFY_WEB2JSON_ABI,
+  normalizeForVerifyWeb2Json,
+} = require("./verify_with_fdc_verification");
+
+const { DEFAULT_SOURCE, getSource } = require("../scripts/carbon_sources");
+const { getNetwork, networkSetting, votingEpochOf, votingRoundAt } = require("../scripts/networks");
+const { resolveContract } = require("../scripts/contract_registry");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULTS = {
+  // URL, jq and ABI signature come from the adapter (scripts/carbon_sources)
+  carbonSource: DEFAULT_SOURCE,
+  periodDays: 1,
+  settleMinutes: 60, // wait for "actual" intensities to settle after the window closes
+  pollIntervalMs: 10 * 60 * 1000,
+  daAttemptsPerPass: 4,
+  daIntervalMs: 15000,
+  txTimeoutMs: 10 * 60 * 1000,
+  outDir: path.join(__dirname, "out", "daemon"),
+};
+
+// Ledger statuses in pipeline order; "abandoned" is terminal and set only when
+// the request tx was mined but reverted, or when the DA layer finalized the
+// request's voting round without it.
+const STAGES = ["fetched", "prepared", "signed", "submitted", "proved", "verified"];
+
+function must(name) {
+  const value = process.env[name];
+  if (!value) {
+    throw new Error(`Missing required env var: ${name}`);
+  }
+  return value;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Carbon-intensity API timestamps: minute precision, "Z" suffix.
+function toApiIso(ms) {
+  return new Date(ms).toISOString().replace(/:\d{2}\.\d{3}Z$/, "Z");
+}
+
+function periodWindow(startMs, periodDays) {
+  const endMs = startMs + periodDays * DAY_MS;
+  return { period: toApiIso(startMs), startMs, endMs, fromIso: toApiIso(startMs), toIso: toApiIso(endMs) };
+}
+
+/**
+ * Periods whose window has closed (plus the settle delay) by `nowMs`, oldest first.
+ * Starts at startDate, else at the oldest period in the ledger, else at the latest due period.
+ */
+function duePeriods({ nowMs, periodDays, settleMinutes, startDate = null, knownPeriods = [] }) {
+  const periodMs = periodDays * DAY_MS;
+  const settleMs = settleMinutes * 60 * 1000;
+  const latestStart = Math.floor((nowMs - settleMs) / periodMs) * periodMs - periodMs;
+  if (latestStart < 0) return [];
+
+  const known = knownPeriods.map((p) => Date.parse(p)).filter(Number.isFinite);
+  let firstStart = startDate ? Date.parse(startDate) : known.length ? Math.min(...known) : latestStart;
+  if (!Number.isFinite(firstStart)) {
+    throw new Error(`Invalid ATTEST_START_DATE: ${startDate}`);
+  }
+  firstStart = Math.floor(firstStart / periodMs) * periodMs;
+
+  const periods = [];
+  for (let start = firstStart; start <= latestStart; start += periodMs) {
+    periods.push(periodWindow(start, periodDays));
+  }
+  return periods;
+}
+
+function readLedger(ledgerPath) {
+  if (!fs.existsSync(ledgerPath)) return [];
+  const lines = fs.readFileSync(ledgerPath, "utf8").split("\n").filter(Boolean);
+  const records = [];
+  lines.forEach((line, i) => {
+    try {
+      records.push(JSON.parse(line));
+    } catch (err) {
+      // A crash mid-append can only truncate the final line
+      if (i !== lines.length - 1) throw new Error(`Corrupt ledger line ${i + 1}: ${ledgerPath}`);
+    }
+  });
+  return records;
+}
+
+function appendLedger(ledgerPath, record) {
+  const entry = { ...record, atIso: new Date().toISOString() };
+  const fd = fs.openSync(ledgerPath, "a");
+  try {
+    fs.writeSync(fd, `${JSON.stringify(entry)}\n`);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return entry;
+}
+
+/** Folds ledger records into period → { status, ...latest fields, errors }. */
+function foldLedger(records) {
+  const periods = new Map();
+  for (const record of records) {
+    const state = periods.get(record.period) || { period: record.period, status: null, errors: 0 };
+    if (record.status === "error") {
+      state.errors++;
+      state.lastError = record.error;
+    } else {
+      Object.assign(state, record);
+    }
+    periods.set(record.period, state);
+  }
+  return periods;
+}
+
+function isDone(state) {
+  return !!state && (state.status === "verified" || state.status === "abandoned");
+}
+
+function hasBeenSigned(state) {
+  return !!state && STAGES.indexOf(state.status) >= STAGES.indexOf("signed");
+}
+
+function acquireLock(lockPath) {
+  try {
+    fs.writeFileSync(lockPath, String(process.pid), { flag: "wx" });
+  } catch (err) {
+    if (err.code !== "EEXIST") throw err;
+    const pid = Number(fs.readFileSync(lockPath, "utf8"));
+    let alive = false;
+    try {
+      process.kill(pid, 0);
+      alive = true;
+    } catch (_e) {
+      alive = false;
+    }
+    if (alive) {
+      throw new Error(`Another attestation daemon (pid ${pid}) holds ${lockPath}`);
+    }
+    fs.writeFileSync(lockPath, String(process.pid));
+  }
+  return () => {
+    if (fs.existsSync(lockPath) && fs.readFileSync(lockPath, "utf8") === String(process.pid)) {
+      fs.unlinkSync(lockPath);
+    }
+  };
+}
+
+// Async: FDC contracts may come from the network's ContractRegistry
+async function loadConfig() {
+  const outDir = process.env.DAEMON_OUT_DIR || DEFAULTS.outDir;
+  const source = getSource(process.env.CARBON_SOURCE || DEFAULTS.carbonSource);
+  const network = getNetwork();
+  const rpcUrl = networkSetting(network, "rpcUrl", "RPC_URL");
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  return {
+    privateKey: must("PRIVATE_KEY"),
+    verifierApiKey: must("VERIFIER_API_KEY"),
+    network: network.name,
+    rpcUrl,
+    verifierBase: networkSetting(network, "verifierBase", "VERIFIER_BASE"),
+    daBase: networkSetting(network, "daBase", "DA_BASE"),
+    votingEpoch: votingEpochOf(network),
+    fdcHubAddress: await resolveContract(network, "FdcHub", provider, process.env.FDC_HUB_ADDRESS),
+    verificationAddress: await resolveContract(
+      network,
+      "FdcVerification",
+      provider,
+      process.env.FDC_VERIFICATION_ADDRESS
+    ),
+    carbonSource: source.id,
+    carbonApiBase: process.env.CARBON_API_BASE || source.baseUrl,
+    carbonRegion: process.env.CARBON_REGION_ID || null,
+    postProcessJq: process.env.POST_PROCESS_JQ || source.postProcessJq,
+    abiSignature: process.env.ABI_SIGNATURE || source.abiSignature,
+    periodDays: Number(process.env.ATTEST_PERIOD_DAYS || DEFAULTS.periodDays),
+    settleMinutes: Number(process.env.ATTEST_SETTLE_MINUTES || DEFAULTS.settleMinutes),
+    startDate: process.env.ATTEST_START_DATE || null,
+    pollIntervalMs: Number(process.env.DAEMON_POLL_INTERVAL_MS || DEFAULTS.pollIntervalMs),
+    daAttemptsPerPass: Number(process.env.DA_MAX_ATTEMPTS || DEFAULTS.daAttemptsPerPass),
+    daIntervalMs: Number(process.env.DA_INTERVAL_MS || DEFAULTS.daIntervalMs),
+    txTimeoutMs: Number(process.env.DAEMON_TX_TIMEOUT_MS || DEFAULTS.txTimeoutMs),
+    fallbackFeeEther: process.env.FDC_FEE_C2FLR || "0.01",
+    outDir,
+    ledgerPath: path.join(outDir, "ledger.jsonl"),
+    lockPath: path.join(outDir, "daemon.lock"),
+  };
+}
+
+function createDaemon(config, { log = console.log, provider = new ethers.JsonRpcProvider(config.rpcUrl) } = {}) {
+  const wallet = new ethers.Wallet(config.privateKey, provider);
+  const fdcHub = new ethers.Contract(config.fdcHubAddress, FDC_HUB_ABI, wallet);
+  const verifier = new ethers.Contract(
+    config.verificationAddress,
+    [DEFAULT_VERIFY_WEB2JSON_ABI],
+    provider
+  );
+
+  const record = (entry) => appendLedger(config.ledgerPath, entry);
+  const periodDir = (period) => path.join(config.outDir, period.replace(/:/g, ""));
+
+  async function fetchAndPrepare(window) {
+    const apiUrl = getSource(config.carbonSource).buildUrl({
+      baseUrl: config.carbonApiBase,
+      fromIso: window.fromIso,
+      toIso: window.toIso,
+      region: config.carbonRegion,
+    });
+    const res = await globalThis.fetch(apiUrl);
+    if (!res.ok) throw new Error(`Carbon API ${res.status} for ${apiUrl}`);
+    const bytes = Buffer.from(await res.arrayBuffer());
+    const dir = periodDir(window.period);
+    fs.mkdirSync(dir, { recursive: true });
+    const apiResponsePath = path.join(dir, "api_response.json");
+    fs.writeFileSync(apiResponsePath, bytes);
+    record({ period: window.period, status: "fetched", apiUrl, apiResponsePath, computedMic: sha256Hex(bytes) });
+
+    const requestArgs = {
+      verifierBase: config.verifierBase,
+      verifierApiKey: config.verifierApiKey,
+      apiUrl,
+      postProcessJq: config.postProcessJq,
+      abiSignature: config.abiSignature,
+    };
+    const { abiEncodedRequest } = await prepareRequest(requestArgs);
+    const micResponse = await fetchVerifierMic({
+      verifierBase: config.verifierBase,
+      verifierApiKey: config.verifierApiKey,
+      requestPayload: buildWeb2JsonRequest(requestArgs),
+    });
+    return record({
+      period: window.period,
+      status: "prepared",
+      abiEncodedRequest,
+      verifierMic: micResponse.messageIntegrityCode,
+    });
+  }
+
+  async function sign(state) {
+    let requestFee;
+    try {
+      requestFee = await fdcHub.requestFee();
+    } catch (_e) {
+      requestFee = ethers.parseEther(config.fallbackFeeEther);
+    }
+    const unsigned = await fdcHub.requestAttestation.populateTransaction(state.abiEncodedRequest, {
+      value: requestFee,
+    });
+    const populated = await wallet.populateTransaction(unsigned);
+    const rawTx = await wallet.signTransaction(populated);
+    return record({
+      period: state.period,
+      status: "signed",
+      txHash: ethers.Transaction.from(rawTx).hash,
+      nonce: populated.nonce,
+      requestFeeWei: requestFee.toString(),
+      rawTx,
+    });
+  }
+
+  async function submit(state) {
+    let receipt = await provider.getTransactionReceipt(state.txHash);
+    if (!receipt) {
+      try {
+        await provider.broadcastTransaction(state.rawTx);
+      } catch (err) {
+        const nonce = await provider.getTransactionCount(wallet.address, "latest");
+        receipt = await provider.getTransactionReceipt(state.txHash);
+        if (!receipt && nonce > state.nonce) {
+          // This tx can never be mined; the prepared request is still good, so sign it again
+          return record({
+            period: state.period,
+            status: "prepared",
+            reason: `Nonce ${state.nonce} used by another tx; ${state.txHash} dropped for re-signing`,
+            txHash: null,
+            nonce: null,
+            rawTx: null,
+          });
+        }
+        if (!receipt && !/already known|known transaction/i.test(err.message || "")) throw err;
+      }
+      receipt = receipt || (await provider.waitForTransaction(state.txHash, 1, config.txTimeoutMs));
+    }
+    if (receipt.status !== 1) {
+      return record({ period: state.period, status: "abandoned", reason: `Tx ${state.txHash} reverted` });
+    }
+    return record({
+      period: state.period,
+      status: "submitted",
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash,
+    });
+  }
+
+  async function prove(state) {
+    // The request is attested in the voting round its block falls in
+    const block = await provider.getBlock(state.blockNumber);
+    const votingRoundId = votingRoundAt(block.timestamp, config.votingEpoch);
+    let result;
+    try {
+      result = await pollDaProof({
+        daBase: config.daBase,
+        requestBytes: state.abiEncodedRequest,
+        votingRoundId,
+        maxAttempts: config.daAttemptsPerPass,
+        intervalMs: config.daIntervalMs,
+        progressPath: path.join(periodDir(state.period), "da_proof.progress.json"),
+        log: (msg) => log(`[${state.period}] ${msg}`),
+      });
+    } catch (err) {
+      if (!(err instanceof RequestRejectedError)) throw err;
+      return record({ period: state.period, status: "abandoned", reason: err.message });
+    }
+    const daProofPath = path.join(periodDir(state.period), "da_proof.json");
+    fs.mkdirSync(path.dirname(daProofPath), { recursive: true });
+    fs.writeFileSync(
+      daProofPath,
+      JSON.stringify(
+        {
+          votingRoundId: result.votingRoundId,
+          requestBytes: state.abiEncodedRequest,
+          daBase: config.daBase,
+          endpoint: result.endpoint,
+          fetchedAtIso: new Date().toISOString(),
+          response: result.response,
+        },
+        null,
+        2
+      )
+    );
+    return record({
+      period: state.period,
+      status: "proved",
+      votingRound: result.votingRoundId,
+      proof: result.response.proof,
+      daProofPath,
+    });
+  }
+
+  async function verify(state) {
+    const daProof = JSON.parse(fs.readFileSync(state.daProofPath, "utf8"));
+    const verified = await verifier.verifyWeb2Json(normalizeForVerifyWeb2Json(daProof.response));
+    if (!verified) {
+      // The Relay root for the round may lag the DA layer; retried next pass
+      throw new Error(`verifyWeb2Json returned false for voting round ${state.votingRound}`);
+    }
+    return record({ period: state.period, status: "verified", verified: true });
+  }
+
+  // Advances one period as far as it can go in this pass.
+  async function advance(window, state) {
+    let current = state || { period: window.period, status: null };
+    try {
+      if (!hasBeenSigned(current)) {
+        if (current.status !== "prepared") current = { ...current, ...(await fetchAndPrepare(window)) };
+        current = { ...current, ...(await sign(current)) };
+      }
+      if (current.status === "signed") current = { ...current, ...(await submit(current)) };
+      if (current.status === "submitted") current = { ...current, ...(await prove(current)) };
+      if (current.status === "proved") current = { ...current, ...(await verify(current)) };
+      log(`[${window.period}] ${current.status}${current.txHash ? ` (tx ${current.txHash})` : ""}`);
+    } catch (err) {
+      record({ period: window.period, status: "error", stage: current.status, error: err.message || String(err) });
+      log(`[${window.period}] ${current.status || "new"}: ${err.message || err}`);
+    }
+  }
+
+  async function runOnce(nowMs = Date.now()) {
+    const states = foldLedger(readLedger(config.ledgerPath));
+    const periods = duePeriods({
+      nowMs,
+      periodDays: config.periodDays,
+      settleMinutes: config.settleMinutes,
+      startDate: config.startDate,
+      knownPeriods: [...states.keys()],
+    });
+    for (const window of periods) {
+      const state = states.get(window.period);
+      if (!isDone(state)) await advance(window, state);
+    }
+  }
+
+  return { runOnce };
+}
+
+async function main() {
+  const once = process.argv.includes("--once");
+  const config = await loadConfig();
+  fs.mkdirSync(config.outDir, { recursive: true });
+  const releaseLock = acquireLock(config.lockPath);
+
+  let stopping = false;
+  const stop = () => {
+    stopping = true;
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+
+  try {
+    const daemon = createDaemon(config);
+    console.log(`Attestation daemon (${config.network}): ${config.carbonSource} → ledger ${config.ledgerPath}`);
+    do {
+      await daemon.runOnce();
+      if (once) break;
+      for (let waited = 0; waited < config.pollIntervalMs && !stopping; waited += 1000) {
+        await sleep(Math.min(1000, config.pollIntervalMs - waited));
+      }
+    } while (!stopping);
+  } finally {
+    releaseLock();
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULTS,
+  STAGES,
+  periodWindow,
+  duePeriods,
+  readLedger,
+  appendLedger,
+  foldLedger,
+  isDone,
+  hasBeenSigned,
+  acquireLock,
+  loadConfig,
+  createDaemon,
+};
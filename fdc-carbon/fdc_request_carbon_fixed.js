@@ -9,6 +9,8 @@ const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const { ethers } = require("ethers");
+const { getNetwork, networkSetting } = require("../scripts/networks");
+const { resolveContract } = require("../scripts/contract_registry");
 
 function mustEnv(name) {
   const v = process.env[name];
@@ -21,12 +23,9 @@ function optionalEnv(name, fallback) {
   return v ? String(v) : fallback;
 }
 
-const RPC = optionalEnv("RPC_URL", "https://coston2-api.flare.network/ext/C/rpc");
+const NETWORK = getNetwork();
+const RPC = networkSetting(NETWORK, "rpcUrl", "RPC_URL");
 const PRIVATE_KEY = mustEnv("PRIVATE_KEY");
-const FDC_HUB_ADDRESS = optionalEnv(
-  "FDC_HUB_ADDRESS",
-  "0x48aC463d7975828989331F4De43341627b9c5f1D"
-);
 const API_URL = optionalEnv(
   "API_URL",
   "https://api.carbonintensity.org.uk/intensity/2026-01-31T00:00Z/2026-02-07T00:00Z"
@@ -36,7 +35,7 @@ const JQ = optionalEnv(
   ".data | map({t: .from, carbon_gCO2_per_kWh: .intensity.forecast})"
 );
 const FEE_WEI = ethers.parseEther(optionalEnv("FDC_FEE_C2FLR", "0.01"));
-const VERIFIER_BASE = optionalEnv("VERIFIER_BASE", "https://fdc-verifiers-testnet.flare.network");
+const VERIFIER_BASE = networkSetting(NETWORK, "verifierBase", "VERIFIER_BASE");
 const VERIFIER_API_KEY = mustEnv("VERIFIER_API_KEY");
 const API_RESPONSE_PATH = optionalEnv("API_RESPONSE_PATH", path.join(__dirname, "api_response.json"));
 
@@ -88,7 +87,8 @@ async function main() {
   // 2) submit to FDC hub
   const provider = new ethers.JsonRpcProvider(RPC);
   const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-  const fdcHub = new ethers.Contract(FDC_HUB_ADDRESS, ["function requestAttestation(bytes abiEncodedRequest) payable"], wallet);
+  const fdcHubAddress = await resolveContract(NETWORK, "FdcHub", provider, process.env.FDC_HUB_ADDRESS);
+  const fdcHub = new ethers.Contract(fdcHubAddress, ["function requestAttestation(bytes abiEncodedRequest) payable"], wallet);
 
   console.log("Submitting requestAttestation to FDC hub...");
   const tx = await fdcHub.requestAttestation(abiEncodedRequest, { value: FEE_WEI });
@@ -1,43 +1,59 @@
 #!/usr/bin/env node
 /**
  * Fetches Merkle proof for a submitted FDC attestation request from DA layer.
- * Polls until proof is available or max attempts reached.
+ *
+ * The voting round is derived from the requestAttestation tx: its block
+ * timestamp falls in round floor((ts - firstVotingRoundStartTs) / votingEpochSeconds)
+ * (scripts/networks.js votingEpochOf), and that is the round the request is
+ * attested in. VOTING_ROUND_ID skips the derivation.
+ *
+ * The round is polled with jittered exponential backoff (INTERVAL_MS doubling
+ * up to MAX_INTERVAL_MS, at most MAX_ATTEMPTS per run). While the round is
+ * newer than the DA layer's latest finalized round the proof is "not ready"
+ * (exit 4); once the round is finalized and the DA layer still has no proof,
+ * the request was not included and is rejected for good (exit 3).
+ *
+ * Progress (round, attempts, last response) is saved to PROGRESS_PATH
+ * (default: next to OUT_PATH, da_proof.progress.json) after every attempt, so
+ * an interrupted poll resumes with the same round and backoff. It is deleted
+ * once the proof is saved.
+ *
+ * RPC and DA layer are the FLARE_NETWORK's unless RPC_URL / DA_BASE are set.
  */
 
 const fs = require("fs");
 const path = require("path");
+const { ethers } = require("ethers");
+const { recordToStore } = require("../backend/db");
+const { CheckFailedError, NotReadyError, exitCodeOf } = require("../scripts/exit_codes");
+const { getNetwork, networkSetting, votingEpochOf, votingRoundAt } = require("../scripts/networks");
 
 const fetchFn = globalThis.fetch;
 
-if (!fetchFn) {
+if (!fetchFn && require.main === module) {
   console.error("Global fetch is unavailable. Use Node.js >= 18.");
   process.exit(1);
 }
 
 const DEFAULTS = {
-  daBase: "https://ctn2-data-availability.flare.network",
   requestPath: path.join(__dirname, "out", "request_submission.json"),
   outPath: path.join(__dirname, "out", "da_proof.json"),
-  endpointLatest: "/api/v0/fdc/get-proof-round-bytes",
   endpointRound: "/api/v1/fdc/proof-by-request-round",
   maxAttempts: 40,
   intervalMs: 15000,
+  maxIntervalMs: 120000,
 };
 
-function must(name) {
-  const value = process.env[name];
-  if (!value) {
-    throw new Error(`Missing required env var: ${name}`);
-  }
-  return value;
-}
+// The DA layer has finalized the round and the request is not in it
+class RequestRejectedError extends CheckFailedError {}
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function hasNonEmptyProof(data) {
-  return !!(data && Array.isArray(data.proof) && data.proof.length > 0);
+// A single-leaf round has an empty proof, so only require the response to be present.
+function hasProof(data) {
+  return !!(data && data.response && Array.isArray(data.proof));
 }
 
 async function fetchLatestVotingRound(daBase) {
@@ -47,11 +63,14 @@ async function fetchLatestVotingRound(daBase) {
   return Number(data.voting_round_id);
 }
 
-async function fetchOnceLatest({ daBase, endpoint, requestBytes }) {
+async function fetchOnceRound({ daBase, endpoint, votingRoundId, requestBytes }) {
   const res = await fetchFn(`${daBase}${endpoint}`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ requestBytes }),
+    body: JSON.stringify({
+      votingRoundId: Number(votingRoundId),
+      requestBytes,
+    }),
   });
 
   const text = await res.text();
@@ -65,36 +84,144 @@ async function fetchOnceLatest({ daBase, endpoint, requestBytes }) {
   return { status: res.status, ok: res.ok, data };
 }
 
-async function fetchOnceRound({ daBase, endpoint, votingRoundId, requestBytes }) {
-  const res = await fetchFn(`${daBase}${endpoint}`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      votingRoundId: Number(votingRoundId),
-      requestBytes,
-    }),
-  });
+/**
+ * Voting round of the requestAttestation tx `txHash`.
+ * @returns {Promise<{ votingRoundId: number, blockNumber: number, blockTimestamp: number }>}
+ */
+async function votingRoundOfTx(provider, txHash, epoch) {
+  const receipt = await provider.getTransactionReceipt(txHash);
+  if (!receipt) throw new NotReadyError(`Attestation request tx not mined yet: ${txHash}`);
+  if (receipt.status !== 1) throw new CheckFailedError(`Attestation request tx reverted: ${txHash}`);
+  const block = await provider.getBlock(receipt.blockNumber);
+  return {
+    votingRoundId: votingRoundAt(block.timestamp, epoch),
+    blockNumber: receipt.blockNumber,
+    blockTimestamp: block.timestamp,
+  };
+}
 
-  const text = await res.text();
-  let data;
+/**
+ * Wait before retry `attempt` (1-based): intervalMs doubled per attempt up to
+ * maxIntervalMs, then jittered to between half and all of it.
+ */
+function backoffDelay(attempt, { intervalMs, maxIntervalMs, random = Math.random }) {
+  const base = Math.min(maxIntervalMs, intervalMs * 2 ** Math.max(0, attempt - 1));
+  return Math.round(base / 2 + random() * (base / 2));
+}
+
+/**
+ * "proved", "pending" (round not finalized, or a DA layer / network error) or
+ * "rejected" (round finalized, request not in it).
+ */
+function classifyAttempt(result, votingRoundId, latestFinalizedRound) {
+  if (result.ok && hasProof(result.data)) return "proved";
+  if (!Number.isFinite(latestFinalizedRound) || votingRoundId > latestFinalizedRound) return "pending";
+  return result.status >= 400 && result.status < 500 ? "rejected" : "pending";
+}
+
+// Saved progress for `requestBytes`; progress for another request is ignored
+function readProgress(progressPath, requestBytes) {
+  if (!progressPath || !fs.existsSync(progressPath)) return null;
   try {
-    data = JSON.parse(text);
-  } catch (_e) {
-    data = { raw: text };
+    const progress = JSON.parse(fs.readFileSync(progressPath, "utf8"));
+    return progress.requestBytes === requestBytes ? progress : null;
+  } catch {
+    return null;
   }
+}
 
-  return { status: res.status, ok: res.ok, data };
+function writeProgress(progressPath, progress) {
+  if (!progressPath) return;
+  fs.mkdirSync(path.dirname(progressPath), { recursive: true });
+  fs.writeFileSync(progressPath, JSON.stringify(progress, null, 2));
+}
+
+/**
+ * Polls the DA layer until the proof for requestBytes in votingRoundId is
+ * available. Resolves { votingRoundId, endpoint, response, attempts }; rejects
+ * with NotReadyError after maxAttempts or RequestRejectedError once the
+ * finalized round turns out not to include the request.
+ *
+ * With progressPath, attempts already made for the same request count towards
+ * the backoff and progress is saved after each attempt.
+ */
+async function pollDaProof({
+  daBase,
+  requestBytes,
+  votingRoundId,
+  endpointRound = DEFAULTS.endpointRound,
+  maxAttempts = DEFAULTS.maxAttempts,
+  intervalMs = DEFAULTS.intervalMs,
+  maxIntervalMs = DEFAULTS.maxIntervalMs,
+  progressPath = null,
+  log = console.log,
+  wait = sleep,
+  random = Math.random,
+}) {
+  if (!Number.isInteger(Number(votingRoundId))) {
+    throw new Error(`A voting round is required to fetch the proof (got ${votingRoundId}).`);
+  }
+  const round = Number(votingRoundId);
+  const resumed = readProgress(progressPath, requestBytes);
+  const progress =
+    resumed && resumed.votingRoundId === round
+      ? resumed
+      : { requestBytes, votingRoundId: round, attempts: 0, startedAtIso: new Date().toISOString() };
+  if (progress === resumed) log(`Resuming round ${round} after ${progress.attempts} earlier attempts`);
+
+  let last;
+  for (let i = 1; i <= maxAttempts; i++) {
+    const attempt = progress.attempts + 1;
+    const latestFinalizedRound = await fetchLatestVotingRound(daBase).catch(() => null);
+    last = await fetchOnceRound({ daBase, endpoint: endpointRound, votingRoundId: round, requestBytes }).catch(
+      (err) => ({ status: null, ok: false, data: { error: err.message || String(err) } })
+    );
+    const outcome = classifyAttempt(last, round, latestFinalizedRound);
+    Object.assign(progress, {
+      attempts: attempt,
+      latestFinalizedRound,
+      lastStatus: last.status,
+      lastOutcome: outcome,
+      lastResponse: outcome === "proved" ? null : last.data,
+      updatedAtIso: new Date().toISOString(),
+    });
+
+    if (outcome === "proved") {
+      if (progressPath && fs.existsSync(progressPath)) fs.unlinkSync(progressPath);
+      return { votingRoundId: round, endpoint: endpointRound, response: last.data, attempts: attempt };
+    }
+    writeProgress(progressPath, progress);
+    if (outcome === "rejected") {
+      throw new RequestRejectedError(
+        `Request not included in voting round ${round} (finalized; latest ${latestFinalizedRound}). ` +
+          `DA layer: ${last.status} ${JSON.stringify(last.data)}`
+      );
+    }
+
+    const delayMs = backoffDelay(attempt, { intervalMs, maxIntervalMs, random });
+    const finality = Number.isFinite(latestFinalizedRound)
+      ? `latest finalized ${latestFinalizedRound}`
+      : "latest round unknown";
+    log(
+      `Round ${round}, attempt ${attempt} (${i}/${maxAttempts} this run) -> status ${last.status}; ` +
+        `not ready (${finality})${i < maxAttempts ? `, retrying in ${(delayMs / 1000).toFixed(1)}s` : ""}`
+    );
+    if (i < maxAttempts) await wait(delayMs);
+  }
+
+  throw new NotReadyError(
+    `Proof for round ${round} not available after ${maxAttempts} attempts (${progress.attempts} in total). ` +
+      `Last response: ${JSON.stringify(last)}`
+  );
 }
 
 async function main() {
-  const votingRoundId = process.env.VOTING_ROUND_ID;
-  const daBase = process.env.DA_BASE || DEFAULTS.daBase;
-  const endpointLatest = process.env.DA_ENDPOINT_LATEST || DEFAULTS.endpointLatest;
-  const endpointRound = process.env.DA_ENDPOINT_ROUND || DEFAULTS.endpointRound;
+  const network = getNetwork();
+  const daBase = networkSetting(network, "daBase", "DA_BASE");
   const requestPath = process.env.REQUEST_SUBMISSION_PATH || DEFAULTS.requestPath;
   const outPath = process.env.OUT_PATH || DEFAULTS.outPath;
-  const maxAttempts = Number(process.env.MAX_ATTEMPTS || DEFAULTS.maxAttempts);
-  const intervalMs = Number(process.env.INTERVAL_MS || DEFAULTS.intervalMs);
+  const progressPath =
+    process.env.PROGRESS_PATH || path.join(path.dirname(outPath), `${path.basename(outPath, ".json")}.progress.json`);
 
   if (!fs.existsSync(requestPath)) {
     throw new Error(`Request submission file not found: ${requestPath}`);
@@ -105,91 +232,65 @@ async function main() {
     throw new Error(`abiEncodedRequest missing in ${requestPath}`);
   }
 
-  let last;
-  for (let i = 1; i <= maxAttempts; i++) {
-    if (votingRoundId) {
-      last = await fetchOnceRound({
-        daBase,
-        endpoint: endpointRound,
-        votingRoundId,
-        requestBytes,
-      });
-      if (last.ok && hasNonEmptyProof(last.data)) {
-        const output = {
-          votingRoundId: Number(votingRoundId),
-          requestBytes,
-          daBase,
-          endpoint: endpointRound,
-          fetchedAtIso: new Date().toISOString(),
-          response: last.data,
-        };
-        fs.mkdirSync(path.dirname(outPath), { recursive: true });
-        fs.writeFileSync(outPath, JSON.stringify(output, null, 2));
-        console.log(`Proof fetched for round ${votingRoundId}`);
-        console.log(`Saved: ${outPath}`);
-        return;
-      }
-    } else {
-      const latestRound = await fetchLatestVotingRound(daBase);
-      if (Number.isFinite(latestRound)) {
-        for (const round of [latestRound - 2, latestRound - 1, latestRound, latestRound + 1]) {
-          last = await fetchOnceRound({
-            daBase,
-            endpoint: endpointRound,
-            votingRoundId: round,
-            requestBytes,
-          });
-          if (last.ok && hasNonEmptyProof(last.data)) {
-            const output = {
-              votingRoundId: round,
-              requestBytes,
-              daBase,
-              endpoint: endpointRound,
-              fetchedAtIso: new Date().toISOString(),
-              response: last.data,
-            };
-            fs.mkdirSync(path.dirname(outPath), { recursive: true });
-            fs.writeFileSync(outPath, JSON.stringify(output, null, 2));
-            console.log(`Proof fetched for round ${round}`);
-            console.log(`Saved: ${outPath}`);
-            return;
-          }
-        }
-      }
-
-      last = await fetchOnceLatest({
-        daBase,
-        endpoint: endpointLatest,
-        requestBytes,
-      });
-      if (last.ok && hasNonEmptyProof(last.data)) {
-        const output = {
-          votingRoundId: null,
-          requestBytes,
-          daBase,
-          endpoint: endpointLatest,
-          fetchedAtIso: new Date().toISOString(),
-          response: last.data,
-        };
-        fs.mkdirSync(path.dirname(outPath), { recursive: true });
-        fs.writeFileSync(outPath, JSON.stringify(output, null, 2));
-        console.log(`Latest proof fetched for request bytes`);
-        console.log(`Saved: ${outPath}`);
-        return;
-      }
+  // VOTING_ROUND_ID, else the round of a resumed poll, else the request tx's block
+  const resumed = readProgress(progressPath, requestBytes);
+  let votingRoundId = process.env.VOTING_ROUND_ID ? Number(process.env.VOTING_ROUND_ID) : null;
+  if (votingRoundId === null && resumed) votingRoundId = resumed.votingRoundId;
+  if (votingRoundId === null) {
+    if (!requestJson.txHash) {
+      throw new Error(`txHash missing in ${requestPath}; set VOTING_ROUND_ID.`);
     }
+    const provider = new ethers.JsonRpcProvider(networkSetting(network, "rpcUrl", "RPC_URL"));
+    const derived = await votingRoundOfTx(provider, requestJson.txHash, votingEpochOf(network));
+    votingRoundId = derived.votingRoundId;
     console.log(
-      `Attempt ${i}/${maxAttempts} -> status ${last.status}; proof not ready yet`
+      `Request tx ${requestJson.txHash} mined in block ${derived.blockNumber} ` +
+        `(${new Date(derived.blockTimestamp * 1000).toISOString()}) -> voting round ${votingRoundId}`
     );
-    await sleep(intervalMs);
   }
 
-  throw new Error(
-    `Proof not available after ${maxAttempts} attempts. Last response: ${JSON.stringify(last)}`
-  );
+  const result = await pollDaProof({
+    daBase,
+    requestBytes,
+    votingRoundId,
+    endpointRound: process.env.DA_ENDPOINT_ROUND || DEFAULTS.endpointRound,
+    maxAttempts: Number(process.env.MAX_ATTEMPTS || DEFAULTS.maxAttempts),
+    intervalMs: Number(process.env.INTERVAL_MS || DEFAULTS.intervalMs),
+    maxIntervalMs: Number(process.env.MAX_INTERVAL_MS || DEFAULTS.maxIntervalMs),
+    progressPath,
+  });
+
+  const output = {
+    votingRoundId: result.votingRoundId,
+    requestBytes,
+    daBase,
+    endpoint: result.endpoint,
+    fetchedAtIso: new Date().toISOString(),
+    response: result.response,
+  };
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, JSON.stringify(output, null, 2));
+  recordToStore((store) => store.recordProof(output, requestJson.txHash || null));
+  console.log(`Proof fetched for round ${result.votingRoundId} after ${result.attempts} attempts`);
+  console.log(`Saved: ${outPath}`);
 }
 
-main().catch((err) => {
-  console.error(err.message || err);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(exitCodeOf(err));
+  });
+}
+
+module.exports = {
+  DEFAULTS,
+  RequestRejectedError,
+  hasProof,
+  fetchLatestVotingRound,
+  fetchOnceRound,
+  votingRoundOfTx,
+  backoffDelay,
+  classifyAttempt,
+  readProgress,
+  pollDaProof,
+};
@@ -4,27 +4,38 @@
  * 1) Computes MIC from exact api_response.json bytes
  * 2) Calls verifier /verifier/web2/Web2Json/prepareRequest
  * 3) Calls verifier /verifier/web2/Web2Json/mic and checks expected MIC
- * 3) Submits requestAttestation(...) to FdcHub on Coston2
+ * 3) Submits requestAttestation(...) to FdcHub on FLARE_NETWORK (default coston2;
+ *    RPC, verifier and FdcHub from scripts/networks.js unless overridden)
+ *
+ * The payload defaults to the carbon source adapter's structured jq and
+ * tuple-array ABI signature (CARBON_SOURCE, default uk-national), e.g.
+ *   .data | map({from: .from, intensity: .intensity.actual})
+ *   tuple(string from,uint256 intensity)[]
+ * so contracts (CarbonSlots) and check_attestation.js can read per-slot
+ * intensities. POST_PROCESS_JQ=".data | tostring" ABI_SIGNATURE=string
+ * requests the legacy opaque string payload.
  */
 
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
 const { ethers } = require("ethers");
+const { recordToStore } = require("../backend/db");
+const { DEFAULT_SOURCE, getSource } = require("../scripts/carbon_sources");
+const { parseAbiSignature } = require("../scripts/attested_payload");
+const { getNetwork, networkSetting } = require("../scripts/networks");
+const { resolveContract } = require("../scripts/contract_registry");
 
 const fetchFn = globalThis.fetch;
 
-if (!fetchFn) {
+if (!fetchFn && require.main === module) {
   console.error("Global fetch is unavailable. Use Node.js >= 18.");
   process.exit(1);
 }
 
 const DEFAULTS = {
-  rpcUrl: "https://coston2-api.flare.network/ext/C/rpc",
-  verifierBase: "https://fdc-verifiers-testnet.flare.network",
-  fdcHubAddress: "0x48aC463d7975828989331F4De43341627b9c5f1D",
   apiUrl: "https://api.carbonintensity.org.uk/intensity/2026-01-31T00:00Z/2026-02-07T00:00Z",
-  jq: ".data | tostring",
+  carbonSource: DEFAULT_SOURCE,
   apiResponsePath: path.join(__dirname, "api_response.json"),
   outPath: path.join(__dirname, "out", "request_submission.json"),
 };
@@ -127,12 +138,22 @@ async function main() {
   const privateKey = must("PRIVATE_KEY");
   const verifierApiKey = must("VERIFIER_API_KEY");
 
-  const rpcUrl = process.env.RPC_URL || DEFAULTS.rpcUrl;
-  const verifierBase = process.env.VERIFIER_BASE || DEFAULTS.verifierBase;
-  const fdcHubAddress = process.env.FDC_HUB_ADDRESS || DEFAULTS.fdcHubAddress;
+  const network = getNetwork();
+  const rpcUrl = networkSetting(network, "rpcUrl", "RPC_URL");
+  const verifierBase = networkSetting(network, "verifierBase", "VERIFIER_BASE");
   const apiUrl = process.env.API_URL || DEFAULTS.apiUrl;
-  const postProcessJq = process.env.POST_PROCESS_JQ || DEFAULTS.jq;
-  const abiSignature = process.env.ABI_SIGNATURE || "string";
+  // jq and ABI signature default to the carbon source adapter's structured payload
+  const source = getSource(process.env.CARBON_SOURCE || DEFAULTS.carbonSource);
+  const postProcessJq = process.env.POST_PROCESS_JQ || source.postProcessJq;
+  const abiSignature = process.env.ABI_SIGNATURE || source.abiSignature;
+  if (!source.matchesUrl(apiUrl)) {
+    throw new Error(`API_URL is not a ${source.id} request: ${apiUrl}`);
+  }
+  try {
+    parseAbiSignature(abiSignature);
+  } catch (err) {
+    throw new Error(`Invalid ABI_SIGNATURE ${abiSignature}: ${err.shortMessage || err.message}`);
+  }
   const apiResponsePath = process.env.API_RESPONSE_PATH || DEFAULTS.apiResponsePath;
   const outPath = process.env.OUT_PATH || DEFAULTS.outPath;
   const expectedMic = process.env.EXPECTED_MIC;
@@ -186,6 +207,7 @@ async function main() {
 
   console.log("Step 3/4: submit to FdcHub");
   const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const fdcHubAddress = await resolveContract(network, "FdcHub", provider, process.env.FDC_HUB_ADDRESS);
   const signer = new ethers.Wallet(privateKey, provider);
   const fdcHub = new ethers.Contract(fdcHubAddress, FDC_HUB_ABI, signer);
 
@@ -199,7 +221,7 @@ async function main() {
   const receipt = await tx.wait();
 
   const output = {
-    network: "coston2",
+    network: network.name,
     rpcUrl,
     verifierBase,
     fdcHubAddress,
@@ -223,6 +245,7 @@ async function main() {
 
   fs.mkdirSync(path.dirname(outPath), { recursive: true });
   fs.writeFileSync(outPath, JSON.stringify(output, null, 2));
+  recordToStore((store) => store.recordAttestationRequest(output));
 
   console.log("Step 4/4: done");
   console.log(`MIC: ${computedMic}`);
@@ -230,13 +253,24 @@ async function main() {
   console.log(`Saved: ${outPath}`);
 }
 
-main().catch((err) => {
-  console.error(err && err.message ? err.message : err);
-  if (err && err.cause) {
-    console.error("Cause:", err.cause.message || err.cause);
-  }
-  if (err && err.stack) {
-    console.error(err.stack);
-  }
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err && err.message ? err.message : err);
+    if (err && err.cause) {
+      console.error("Cause:", err.cause.message || err.cause);
+    }
+    if (err && err.stack) {
+      console.error(err.stack);
+    }
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULTS,
+  FDC_HUB_ABI,
+  sha256Hex,
+  buildWeb2JsonRequest,
+  prepareRequest,
+  fetchVerifierMic,
+};
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * Relays a fetched Web2Json DA proof into FdcIntensityOracle.
+ *
+ * The oracle verifies the proof on-chain (IFdcVerification.verifyWeb2Json),
+ * decodes the structured payload and stores each slot's intensity under
+ * keccak256(timestamp) — the keys FlexDAO reads. The grid region comes from
+ * the attested URL via its carbon source adapter (national = 0), and must be
+ * trusted on the oracle with setSource (deploy_mock_fdc.js does national).
+ *
+ * The proof must be a structured payload (`flexdao attest` default); the legacy
+ * `.data | tostring` proof is rejected as an untrusted source.
+ *
+ * Env: PRIVATE_KEY, INTENSITY_ORACLE_ADDRESS; RPC_URL (default: the
+ * FLARE_NETWORK's, see scripts/networks.js), DA_PROOF_PATH (default fdc-carbon/out/da_proof.json).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+  extractDaProofPayload,
+  buildVerifyWeb2JsonProof,
+  VERIFY_WEB2JSON_FUNCTION_ABI,
+} = require("../scripts/check_attestation");
+const { sourceForUrl } = require("../scripts/carbon_sources");
+const { getNetwork, networkSetting } = require("../scripts/networks");
+
+const DEFAULTS = {
+  proofPath: path.join(__dirname, "out", "da_proof.json"),
+};
+
+// submitProof(uint16 region, IWeb2Json.Proof proof); the proof tuple is verifyWeb2Json's.
+const INTENSITY_ORACLE_ABI = [
+  {
+    inputs: [{ name: "region", type: "uint16" }, VERIFY_WEB2JSON_FUNCTION_ABI.inputs[0]],
+    name: "submitProof",
+    outputs: [{ name: "stored", type: "uint256" }],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  "function attestationCount() external view returns (uint256)",
+  "event ProofSubmitted(uint16 indexed region, bytes32 indexed attestationId, uint64 indexed votingRound, uint256 slotsStored)",
+];
+
+function must(name) {
+  const value = process.env[name];
+  if (!value) throw new Error(`Missing required env var: ${name}`);
+  return value;
+}
+
+// Grid region of the attested request, from its carbon source adapter.
+function regionOfProof(proof) {
+  const url = proof.data.requestBody ? proof.data.requestBody.url : "";
+  const source = sourceForUrl(url || "");
+  if (!source) throw new Error(`Proof URL is not a known carbon source request: ${url}`);
+  const region = source.regionOf(url);
+  if (region === null) throw new Error(`Could not read the grid region from ${url}`);
+  return region;
+}
+
+async function main() {
+  const privateKey = must("PRIVATE_KEY");
+  const oracleAddress = ethers.getAddress(must("INTENSITY_ORACLE_ADDRESS"));
+  const rpcUrl = networkSetting(getNetwork(), "rpcUrl", "RPC_URL");
+  const proofPath = process.env.DA_PROOF_PATH || DEFAULTS.proofPath;
+  if (!fs.existsSync(proofPath)) throw new Error(`Proof file not found: ${proofPath}`);
+
+  const proof = buildVerifyWeb2JsonProof(extractDaProofPayload(JSON.parse(fs.readFileSync(proofPath, "utf8"))));
+  const region = regionOfProof(proof);
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const signer = new ethers.Wallet(privateKey, provider);
+  const oracle = new ethers.Contract(oracleAddress, INTENSITY_ORACLE_ABI, signer);
+
+  // Simulate first so a rejected proof fails with the contract's reason, not a gas error
+  const expected = await oracle.submitProof.staticCall(region, proof);
+  const tx = await oracle.submitProof(region, proof);
+  const receipt = await tx.wait();
+
+  console.log(`Proof round ${proof.data.votingRound}, region ${region} → FdcIntensityOracle @ ${oracleAddress}`);
+  console.log(`Slots stored: ${expected} (older or unpublished readings skipped)`);
+  console.log(`Oracle attestations: ${await oracle.attestationCount()}`);
+  console.log(`Tx: ${tx.hash} (block ${receipt.blockNumber})`);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.shortMessage || err.message || err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  INTENSITY_ORACLE_ABI,
+  regionOfProof,
+};
@@ -5,15 +5,18 @@
  * Default verify function is IFdcVerification.verifyJsonApi(IJsonApi.Proof).
  * You can override ABI via VERIFY_FUNCTION_ABI (human-readable) or
  * VERIFY_FUNCTION_ABI_JSON (JSON fragment).
+ *
+ * RPC and FdcVerification come from FLARE_NETWORK (scripts/networks.js);
+ * RPC_URL and FDC_VERIFICATION_ADDRESS override them.
  */
 
 const fs = require("fs");
 const path = require("path");
 const { ethers } = require("ethers");
+const { getNetwork, networkSetting } = require("../scripts/networks");
+const { resolveContract } = require("../scripts/contract_registry");
 
 const DEFAULTS = {
-  rpcUrl: "https://coston2-api.flare.network/ext/C/rpc",
-  verificationAddress: "0x906507E0B64bcD494Db73bd0459d1C667e14B933",
   proofPath: path.join(__dirname, "out", "da_proof.json"),
   outPath: path.join(__dirname, "out", "verification_result.json"),
 };
@@ -156,9 +159,8 @@ function normalizeForVerifyWeb2Json(raw) {
 }
 
 async function main() {
-  const rpcUrl = process.env.RPC_URL || DEFAULTS.rpcUrl;
-  const verificationAddress =
-    process.env.FDC_VERIFICATION_ADDRESS || DEFAULTS.verificationAddress;
+  const network = getNetwork();
+  const rpcUrl = networkSetting(network, "rpcUrl", "RPC_URL");
   const proofPath = process.env.PROOF_PATH || DEFAULTS.proofPath;
   const outPath = process.env.OUT_PATH || DEFAULTS.outPath;
 
@@ -180,6 +182,12 @@ async function main() {
   const normalizedWeb2Json = normalizeForVerifyWeb2Json(proofPayload);
 
   const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const verificationAddress = await resolveContract(
+    network,
+    "FdcVerification",
+    provider,
+    process.env.FDC_VERIFICATION_ADDRESS
+  );
   const verifier = new ethers.Contract(
     verificationAddress,
     [verifyFunctionAbi],
@@ -198,6 +206,7 @@ async function main() {
   }
 
   const output = {
+    network: network.name,
     rpcUrl,
     verificationAddress,
     verifyFunctionAbi,
@@ -214,7 +223,15 @@ async function main() {
   console.log(`Saved: ${outPath}`);
 }
 
-main().catch((err) => {
-  console.error(err.message || err);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULT_VERIFY_WEB2JSON_ABI,
+  extractProofPayload,
+  normalizeForVerifyWeb2Json,
+};
@@ -1,10 +1,14 @@
-import React, { useState, useEffect, useMemo } from "react";
+import React, { useState, useEffect, useMemo, useCallback } from "react";
 import {
   LineChart, Line, AreaChart, Area, BarChart, Bar,
   XAxis, YAxis, CartesianGrid, Tooltip, Legend,
   ResponsiveContainer, ReferenceLine, ReferenceArea,
   ComposedChart,
 } from "recharts";
+import {
+  getInjectedProvider, connectWallet, getConnectedAccount, getChainId, switchChain,
+  sendClaimRewards, waitForReceipt, walletErrorMessage, formatFlex, shortAddr,
+} from "./wallet";
 
 // ─── Theme ──────────────────────────────────────────────────────────────────
 const C = {
@@ -27,10 +31,21 @@ const s = {
   hint: { fontSize: 12, color: C.muted, marginBottom: 14, lineHeight: 1.5 },
   label: { fontSize: 11, textTransform: "uppercase", letterSpacing: 1, color: C.muted, marginBottom: 2 },
   bigNum: { fontSize: 26, fontWeight: 700, color: C.green },
+  button: { padding: "6px 14px", borderRadius: 6, border: "none", cursor: "pointer", background: C.green, color: C.bg, fontSize: 12, fontWeight: 600 },
   select: { background: C.card, color: C.text, border: `1px solid ${C.border}`, borderRadius: 6, padding: "6px 10px", fontSize: 13, outline: "none" },
 };
 
 // ─── Helpers ────────────────────────────────────────────────────────────────
+// API base: empty in dev (CRA proxies /api to backend/server.js), override for builds.
+const API_BASE = process.env.REACT_APP_API_URL || "";
+
+function fetchApi(route) {
+  return fetch(`${API_BASE}${route}`).then(r => {
+    if (!r.ok) throw new Error(`${route} → ${r.status}`);
+    return r.json();
+  });
+}
+
 const fmt = (n, d = 1) => (typeof n === "number" ? n.toFixed(d) : n);
 const fmtK = (n) => (n >= 1000 ? `${(n / 1000).toFixed(1)}k` : fmt(n, 0));
 
@@ -76,6 +91,263 @@ function ChartTooltip({ active, payload, label }) {
   );
 }
 
+// ─── My Rewards (injected wallet) ───────────────────────────────────────────
+// Balances and history are read through the API; the wallet only signs claimRewards().
+const TX_LABEL = {
+  signing: "Confirm in your wallet…",
+  pending: "Pending",
+  confirmed: "Claimed",
+  failed: "Failed",
+};
+
+function MyRewards({ households, onSelectHousehold }) {
+  const wallet = getInjectedProvider();
+  const [account, setAccount] = useState(null);
+  const [chainId, setChainId] = useState(null);
+  const [contracts, setContracts] = useState(null);
+  const [rewards, setRewards] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [linked, setLinked] = useState([]);
+  const [enrollment, setEnrollment] = useState(null);
+  const [tx, setTx] = useState({ phase: "idle" });
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchApi("/api/contract/addresses").then(setContracts).catch(e => setError(e.message));
+  }, []);
+
+  // Pick up an already-authorised account and follow wallet account/network switches.
+  useEffect(() => {
+    if (!wallet) return undefined;
+    getConnectedAccount(wallet).then(setAccount).catch(() => {});
+    getChainId(wallet).then(setChainId).catch(() => {});
+    const onAccounts = (accounts) => { setAccount(accounts[0] || null); setTx({ phase: "idle" }); };
+    const onChain = (id) => setChainId(parseInt(id, 16));
+    wallet.on?.("accountsChanged", onAccounts);
+    wallet.on?.("chainChanged", onChain);
+    return () => {
+      wallet.removeListener?.("accountsChanged", onAccounts);
+      wallet.removeListener?.("chainChanged", onChain);
+    };
+  }, [wallet]);
+
+  const refresh = useCallback(() => {
+    if (!account) return;
+    fetchApi(`/api/contract/balances/${account}`).then(setRewards).catch(e => setError(e.message));
+    fetchApi(`/api/rewards/participant/${account}`).then(setHistory).catch(() => setHistory(null));
+    fetchApi(`/api/households/by-address/${account}`)
+      .then(r => { setLinked(r.households); setEnrollment(r.enrollment); })
+      .catch(() => { setLinked([]); setEnrollment(null); });
+  }, [account]);
+
+  useEffect(() => {
+    setRewards(null); setHistory(null); setLinked([]); setEnrollment(null); setError(null);
+    refresh();
+  }, [refresh]);
+
+  const onConnect = async () => {
+    setError(null);
+    try {
+      setAccount(await connectWallet(wallet));
+      setChainId(await getChainId(wallet));
+    } catch (e) {
+      setError(walletErrorMessage(e));
+    }
+  };
+
+  const onClaim = async () => {
+    setTx({ phase: "signing" });
+    try {
+      const hash = await sendClaimRewards(wallet, { from: account, flexDAO: contracts.flexDAO });
+      setTx({ phase: "pending", hash });
+      const receipt = await waitForReceipt(wallet, hash);
+      const ok = receipt.status === "0x1";
+      setTx({ phase: ok ? "confirmed" : "failed", hash, block: parseInt(receipt.blockNumber, 16), message: ok ? null : "Reverted" });
+      refresh();
+    } catch (e) {
+      setTx({ phase: "failed", message: walletErrorMessage(e) });
+    }
+  };
+
+  const wrongChain = contracts && chainId !== null && chainId !== contracts.chainId;
+  const claimable = rewards ? BigInt(rewards.balance) : 0n;
+  const busy = tx.phase === "signing" || tx.phase === "pending";
+
+  return (
+    <div style={s.section}>
+      <h2 style={s.h2}>My Rewards</h2>
+      <p style={s.hint}>
+        Connect the wallet your household is paid to. Rewards accrue in FlexDAO as verified flex events are submitted;
+        claiming mints them to your wallet as FLEX.
+      </p>
+      <div style={s.card}>
+        {!wallet && (
+          <div style={{ fontSize: 13, color: C.muted }}>
+            No injected wallet found. Install MetaMask (or another EIP-1193 wallet) to view and claim your rewards.
+          </div>
+        )}
+        {wallet && !account && (
+          <button style={s.button} onClick={onConnect}>Connect wallet</button>
+        )}
+        {wallet && account && (
+          <>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: 8, marginBottom: 14 }}>
+              <div style={{ fontSize: 12 }}>
+                Connected: <code style={{ color: C.blue }}>{shortAddr(account)}</code>
+                <span style={{ color: C.muted, marginLeft: 10 }}>Chain {chainId}</span>
+              </div>
+              {wrongChain && (
+                <button style={{ ...s.button, background: C.orange }} onClick={() => switchChain(wallet, contracts.chainId).catch(e => setError(walletErrorMessage(e)))}>
+                  Switch to chain {contracts.chainId}
+                </button>
+              )}
+            </div>
+
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))", gap: 14, marginBottom: 14 }}>
+              <div>
+                <div style={s.label}>Claimable (FlexDAO)</div>
+                <div style={{ ...s.bigNum, fontSize: 22 }}>{rewards ? formatFlex(rewards.balance) : "—"} <span style={{ fontSize: 12, color: C.muted }}>FLEX</span></div>
+              </div>
+              {history?.totalVoided && BigInt(history.totalVoided) > 0n && (
+                <div>
+                  <div style={s.label}>Voided (disputes)</div>
+                  <div style={{ ...s.bigNum, fontSize: 22, color: C.red }}>{formatFlex(history.totalVoided)} <span style={{ fontSize: 12, color: C.muted }}>FLEX</span></div>
+                </div>
+              )}
+              <div>
+                <div style={s.label}>In wallet</div>
+                <div style={{ ...s.bigNum, fontSize: 22, color: C.orange }}>{rewards?.tokenBalance != null ? formatFlex(rewards.tokenBalance) : "—"} <span style={{ fontSize: 12, color: C.muted }}>FLEX</span></div>
+              </div>
+              <div>
+                <div style={s.label}>Households</div>
+                <div style={{ fontSize: 13, marginTop: 6 }}>
+                  {linked.length === 0 && <span style={{ color: C.muted }}>Not enrolled in the household registry</span>}
+                  {linked.map(h => (
+                    <button key={h.id} onClick={() => onSelectHousehold(households.findIndex(x => x.id === h.id))}
+                      style={{ ...s.button, background: C.border, color: C.text, marginRight: 6, marginBottom: 4, fontWeight: 400 }}>
+                      {h.id} &rarr;
+                    </button>
+                  ))}
+                  {enrollment?.region > 0 && (
+                    <div style={{ fontSize: 11, color: C.muted, marginTop: 4 }}>
+                      Grid region {enrollment.region} — rewarded against regional carbon intensity
+                    </div>
+                  )}
+                  {enrollment?.status && enrollment.status !== "Approved" && (
+                    <div style={{ fontSize: 11, color: C.orange, marginTop: 4 }}>
+                      Registry status: {enrollment.status} — rewards start once an operator approves it
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+              <button style={{ ...s.button, opacity: claimable === 0n || busy || wrongChain ? 0.5 : 1 }}
+                disabled={claimable === 0n || busy || wrongChain || !contracts} onClick={onClaim}>
+                {busy ? "Claiming…" : "Claim rewards"}
+              </button>
+              {tx.phase !== "idle" && (
+                <span style={{ fontSize: 12, color: tx.phase === "failed" ? C.red : tx.phase === "confirmed" ? C.green : C.muted }}>
+                  {TX_LABEL[tx.phase]}
+                  {tx.hash && <> — <code style={{ fontSize: 11 }}>{tx.hash.slice(0, 12)}…</code></>}
+                  {tx.block && <> in block {tx.block}</>}
+                  {tx.message && <>: {tx.message}</>}
+                </span>
+              )}
+            </div>
+
+            {history?.events?.length > 0 && (
+              <div style={{ marginTop: 16, fontSize: 12 }}>
+                <div style={{ ...s.label, marginBottom: 6 }}>On-chain history (indexed)</div>
+                {history.events.slice(-8).reverse().map(e => (
+                  <div key={`${e.tx_hash}-${e.log_index}`} style={{ color: C.muted, marginBottom: 2 }}>
+                    Block {e.block_number} · <span style={{ color: e.event_name === "RewardVoided" ? C.red : C.text }}>{e.event_name}</span> ·{" "}
+                    {e.event_name === "RewardExecuted" ? `${e.amount} mKw` : `${formatFlex(e.amount)} FLEX`}
+                    {e.event_name === "RewardVoided" && <> — {e.args.reason}</>}
+                    {e.confirmed === false && <span style={{ color: C.orange }}> (unconfirmed)</span>}
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+        {error && <div style={{ fontSize: 12, color: C.red, marginTop: 10 }}>{error}</div>}
+      </div>
+    </div>
+  );
+}
+
+// ─── Governance ─────────────────────────────────────────────────────────────
+// Read-only: proposals are made and voted on by enrolled households (FlexDAO.propose / castVote).
+const PROPOSAL_COLOR = { Active: C.blue, Queued: C.orange, Ready: C.green, Executed: C.muted, Defeated: C.red };
+const PARAM_LABEL = {
+  intensityThreshold: "Intensity threshold",
+  rewardPerKgCo2: "Reward rate",
+  operator: "Operator",
+  quorum: "Quorum",
+};
+
+function paramValue(parameter, value) {
+  if (parameter === "intensityThreshold") return `${value} gCO2/kWh`;
+  if (parameter === "rewardPerKgCo2") return `${formatFlex(value)} FLEX/kg CO2`;
+  if (parameter === "operator") return shortAddr(value);
+  return `${value} votes`;
+}
+
+const fmtTime = (unix) => new Date(unix * 1000).toISOString().slice(0, 16).replace("T", " ");
+
+function Governance() {
+  const [gov, setGov] = useState(null);
+  useEffect(() => {
+    fetchApi("/api/governance").then(setGov).catch(() => {});
+  }, []);
+  if (!gov) return null;
+
+  const open = gov.proposals.filter(p => ["Active", "Queued", "Ready"].includes(p.state));
+  const closed = gov.proposals.filter(p => !open.includes(p)).slice(-5);
+  const row = (p) => (
+    <div key={p.id} style={{ fontSize: 12, marginBottom: 4 }}>
+      <span style={{ color: PROPOSAL_COLOR[p.state], fontWeight: 600 }}>{p.state}</span>{" "}
+      #{p.id} · {PARAM_LABEL[p.parameter]} → <b>{paramValue(p.parameter, p.value)}</b>
+      <span style={{ color: C.muted }}>
+        {" "}· {p.forVotes} for / {p.againstVotes} against (quorum {p.quorum})
+        {p.state === "Active" && <> · voting ends {fmtTime(p.voteEnd)}</>}
+        {p.state === "Queued" && <> · executable {fmtTime(p.eta)}</>}
+      </span>
+    </div>
+  );
+
+  return (
+    <div style={s.section}>
+      <h2 style={s.h2}>Governance</h2>
+      <p style={s.hint}>
+        Enrolled households propose and vote on FlexDAO's parameters, one vote per household. A proposal passes with
+        {" "}{gov.quorum} votes for and a majority, then waits {gov.timelockDelaySeconds / 86400} days before anyone can execute it.
+      </p>
+      <div style={s.card}>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))", gap: 14, marginBottom: 14 }}>
+          {Object.entries(gov.parameters).map(([k, v]) => (
+            <div key={k}>
+              <div style={s.label}>{PARAM_LABEL[k]}</div>
+              <div style={{ fontSize: 15, fontWeight: 600, marginTop: 4 }}>{paramValue(k, v)}</div>
+            </div>
+          ))}
+        </div>
+        <div style={{ ...s.label, marginBottom: 6 }}>Pending proposals</div>
+        {open.length === 0 && <div style={{ fontSize: 12, color: C.muted, marginBottom: 8 }}>None</div>}
+        {open.map(row)}
+        {closed.length > 0 && (
+          <>
+            <div style={{ ...s.label, marginTop: 12, marginBottom: 6 }}>Recent decisions</div>
+            {closed.reverse().map(row)}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
 // ═════════════════════════════════════════════════════════════════════════════
 // APP
 // ═════════════════════════════════════════════════════════════════════════════
@@ -88,9 +360,9 @@ export default function App() {
 
   // Load data
   useEffect(() => {
-    fetch("/data/households.json").then(r => r.json()).then(setHhData).catch(() => {});
-    fetch("/data/flex_responses.json").then(r => r.json()).then(setFlexData).catch(() => {});
-    fetch("/data/onchain.json").then(r => r.json()).then(setOnchain).catch(() => {});
+    fetchApi("/api/households").then(setHhData).catch(() => {});
+    fetchApi("/api/flex-events").then(setFlexData).catch(() => {});
+    fetchApi("/api/onchain").then(setOnchain).catch(() => {});
   }, []);
 
   // ── Derived data ────────────────────────────────────────────────────────
@@ -163,7 +435,7 @@ export default function App() {
         <h1 style={{ color: C.green, fontSize: 28 }}>FlexDAO</h1>
         <p style={{ color: C.muted, marginTop: 12 }}>Loading data...</p>
         <p style={{ color: C.muted, fontSize: 12, marginTop: 8 }}>
-          Ensure <code>households.json</code> and <code>flex_responses.json</code> are in <code>frontend/public/data/</code>
+          Ensure the API server is running: <code>npm run api</code> (serves <code>backend/data/</code>)
         </p>
       </div>
     );
@@ -221,6 +493,16 @@ export default function App() {
         </div>
       )}
 
+      {/* ── My Rewards (wallet) ─────────────────────────────────────────── */}
+      <MyRewards households={households} onSelectHousehold={(i) => {
+        if (i < 0) return;
+        setSelectedHH(i);
+        document.getElementById("household-detail")?.scrollIntoView({ behavior: "smooth" });
+      }} />
+
+      {/* ── Governance ──────────────────────────────────────────────────── */}
+      <Governance />
+
       {/* ── 1. Summary metrics ──────────────────────────────────────────── */}
       <div style={{ ...s.grid, ...s.grid4 }}>
         <Stat label="Peak Demand Reduction" value={`${summary.peak_demand_reduction_pct}%`} />
@@ -303,7 +585,7 @@ export default function App() {
       </div>
 
       {/* ── 4. Household detail ─────────────────────────────────────────── */}
-      <div style={s.section}>
+      <div style={s.section} id="household-detail">
         <h2 style={s.h2}>Household Detail</h2>
         <p style={s.hint}>
           Select a household to see its individual load curve. Each home has different flexible assets and comfort limits.
@@ -0,0 +1,65 @@
+// ─── Injected wallet (EIP-1193) ─────────────────────────────────────────────
+// Raw JSON-RPC through window.ethereum (MetaMask, Rabby, ...). Reads go through
+// the API server; the wallet is only used to sign claimRewards().
+
+// 4-byte selectors: keccak256("claimRewards()")
+const CLAIM_REWARDS_SELECTOR = "0x372500ab";
+
+export function getInjectedProvider() {
+  return typeof window !== "undefined" && window.ethereum ? window.ethereum : null;
+}
+
+export async function connectWallet(provider) {
+  const [account] = await provider.request({ method: "eth_requestAccounts" });
+  return account || null;
+}
+
+export async function getConnectedAccount(provider) {
+  const [account] = await provider.request({ method: "eth_accounts" });
+  return account || null;
+}
+
+export async function getChainId(provider) {
+  return parseInt(await provider.request({ method: "eth_chainId" }), 16);
+}
+
+export async function switchChain(provider, chainId) {
+  await provider.request({
+    method: "wallet_switchEthereumChain",
+    params: [{ chainId: `0x${chainId.toString(16)}` }],
+  });
+}
+
+export function sendClaimRewards(provider, { from, flexDAO }) {
+  return provider.request({
+    method: "eth_sendTransaction",
+    params: [{ from, to: flexDAO, data: CLAIM_REWARDS_SELECTOR, value: "0x0" }],
+  });
+}
+
+// Polls until the tx is mined; resolves with the receipt (status "0x1" = success).
+export async function waitForReceipt(provider, txHash, { intervalMs = 1500, timeoutMs = 5 * 60 * 1000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const receipt = await provider.request({ method: "eth_getTransactionReceipt", params: [txHash] });
+    if (receipt) return receipt;
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+  throw new Error(`Timed out waiting for ${txHash}`);
+}
+
+// Wallet errors: EIP-1193 code 4001 = user rejected; RPC reverts carry the reason in data.message.
+export function walletErrorMessage(err) {
+  if (err?.code === 4001) return "Rejected in wallet";
+  return err?.data?.message || err?.message || String(err);
+}
+
+// FLEX base units (18 decimals) → display string, without floating-point loss.
+export function formatFlex(wei, decimals = 4) {
+  const value = BigInt(wei || 0);
+  const whole = value / 10n ** 18n;
+  const frac = (value % 10n ** 18n).toString().padStart(18, "0").slice(0, decimals).replace(/0+$/, "");
+  return frac ? `${whole}.${frac}` : whole.toString();
+}
+
+export const shortAddr = (a) => (a ? `${a.slice(0, 6)}…${a.slice(-4)}` : "");
@@ -1,11 +1,28 @@
 require("@nomicfoundation/hardhat-toolbox");
+const { NETWORKS } = require("./scripts/networks");
+
+// Live Flare networks sign with PRIVATE_KEY when it is set
+const liveAccounts = process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [];
+
+function liveNetwork(name) {
+  return { url: NETWORKS[name].rpcUrl, chainId: NETWORKS[name].chainId, accounts: liveAccounts };
+}
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: "0.8.18",
   networks: {
+    // One funded account per simulated household (25) plus the operator
+    hardhat: {
+      accounts: { count: 30 },
+    },
     localhost: {
-      url: "http://127.0.0.1:8545",
+      url: NETWORKS.localhost.rpcUrl,
+      chainId: NETWORKS.localhost.chainId,
     },
+    flare: liveNetwork("flare"),
+    songbird: liveNetwork("songbird"),
+    coston: liveNetwork("coston"),
+    coston2: liveNetwork("coston2"),
   },
 };
@@ -39,6 +39,7 @@ function assertRealMode(context) {
 }
 
 module.exports = {
+  parseBooleanLike,
   getAttestationMode,
   assertSimulationMode,
   assertRealMode,
@@ -0,0 +1,84 @@
+/**
+ * Web2Json attested payloads: what `abiEncodedData` holds for a given
+ * postProcessJq / abiSignature, decoded into typed carbon slots.
+ *
+ *   structured  abiSignature = tuple(string from, uint256 intensity)[]
+ *               (CarbonSlots.decode layout; the intensity field may also be
+ *               named actual or forecast). Contracts can read it directly.
+ *   string      legacy `.data | tostring` with abiSignature "string": one
+ *               opaque JSON string. Decoded here, but no contract can read it.
+ *
+ * Slots come back as [{ from, intensity, slotKey }], slotKey = keccak256(from)
+ * as in FDCShim and CarbonSlots.intensityOf.
+ */
+
+const { ethers } = require("ethers");
+
+const LEGACY_JQ = ".data | tostring";
+const LEGACY_ABI_SIGNATURE = "string";
+
+// Accepted names for the intensity component of a structured slot
+const INTENSITY_FIELDS = ["intensity", "actual", "forecast"];
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+// abiSignature is either a Solidity type ("string") or a JSON ABI parameter.
+function parseAbiSignature(abiSignature) {
+  const trimmed = abiSignature.trim();
+  return ethers.ParamType.from(trimmed.startsWith("{") ? JSON.parse(trimmed) : trimmed);
+}
+
+function toSlot(from, intensity) {
+  return {
+    from,
+    intensity: intensity === null || intensity === undefined ? null : Number(intensity),
+    slotKey: ethers.keccak256(ethers.toUtf8Bytes(from)),
+  };
+}
+
+// Component names of a tuple(string from, uint256 <intensity>)[] signature, or null.
+function structuredFields(type) {
+  if (!type.isArray() || !type.arrayChildren.isTuple()) return null;
+  const components = type.arrayChildren.components;
+  const from = components.find((c) => c.name === "from" && c.type === "string");
+  const intensity = components.find((c) => INTENSITY_FIELDS.includes(c.name) && c.type.startsWith("uint"));
+  return from && intensity ? { from: from.name, intensity: intensity.name } : null;
+}
+
+/**
+ * @param abiSignature  request body abiSignature
+ * @param abiEncodedData response body abiEncodedData (0x hex)
+ * @returns { format: "structured" | "string", slots: [{ from, intensity, slotKey }] }
+ */
+function decodeAttestedSlots({ abiSignature, abiEncodedData }) {
+  const type = parseAbiSignature(abiSignature || "");
+  const [value] = coder.decode([type], abiEncodedData);
+
+  if (type.type === LEGACY_ABI_SIGNATURE) {
+    const data = JSON.parse(value);
+    if (!Array.isArray(data)) throw new Error("Attested string payload is not a JSON array of slots");
+    return {
+      format: "string",
+      slots: data.map((slot) => toSlot(slot.from, slot.intensity ? slot.intensity.actual : null)),
+    };
+  }
+
+  const fields = structuredFields(type);
+  if (!fields) {
+    throw new Error(
+      `Unsupported abiSignature ${abiSignature}: expected tuple(string from,uint256 intensity)[] or "string"`
+    );
+  }
+  return {
+    format: "structured",
+    slots: value.map((slot) => toSlot(slot[fields.from], slot[fields.intensity])),
+  };
+}
+
+module.exports = {
+  LEGACY_JQ,
+  LEGACY_ABI_SIGNATURE,
+  INTENSITY_FIELDS,
+  parseAbiSignature,
+  decodeAttestedSlots,
+};
@@ -3,6 +3,10 @@
 const fs = require("fs");
 const path = require("path");
 const { ethers } = require("ethers");
+const { getNetwork, networkSetting } = require("./networks");
+const { resolveContract } = require("./contract_registry");
+
+const DEFAULT_MIN_INTENSITY = 150; // gCO2/kWh, same threshold as scripts/deploy.js
 
 function mustEnv(name) {
   const value = process.env[name];
@@ -30,11 +34,13 @@ function writeOut(filePath, contents) {
 }
 
 async function main() {
-  const rpcUrl = mustEnv("FLARE_RPC_URL");
-  const expectedChainId = BigInt(mustEnv("FLARE_CHAIN_ID"));
+  const flareNetwork = getNetwork();
+  const rpcUrl = networkSetting(flareNetwork, "rpcUrl", "FLARE_RPC_URL");
+  const expectedChainId = BigInt(networkSetting(flareNetwork, "chainId", "FLARE_CHAIN_ID"));
 
   const signerAddress = normalizeAddress(mustEnv("SIGNER_ADDRESS"));
   const ownerAddress = normalizeAddress(optionalEnv("OWNER_ADDRESS") || signerAddress);
+  const minIntensity = BigInt(optionalEnv("MIN_INTENSITY") || DEFAULT_MIN_INTENSITY);
 
   const artifactPath =
     process.env.REWARD_EXECUTOR_ARTIFACT ||
@@ -61,9 +67,19 @@ async function main() {
       `FLARE_CHAIN_ID mismatch. Expected ${expectedChainId}, got ${network.chainId}.`
     );
   }
+  const verificationAddress = await resolveContract(
+    flareNetwork,
+    "FdcVerification",
+    provider,
+    optionalEnv("FDC_VERIFICATION_CONTRACT")
+  );
 
   const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode);
-  const deployTx = await factory.getDeployTransaction(ownerAddress);
+  const deployTx = await factory.getDeployTransaction(
+    ownerAddress,
+    verificationAddress,
+    minIntensity
+  );
   const data = deployTx.data;
 
   const feeData = await provider.getFeeData();
@@ -87,7 +103,7 @@ async function main() {
       : {}),
   };
 
-  const outDir = path.join(__dirname, "..", "fdc-carbon", "out");
+  const outDir = optionalEnv("DEPLOY_TX_OUT_DIR") || path.join(__dirname, "..", "fdc-carbon", "out");
   const jsonOutPath = path.join(outDir, "metamask_deploy_reward_executor_tx.json");
   const jsOutPath = path.join(outDir, "metamask_deploy_reward_executor_tx.js");
   const snippet = `// MetaMask deploy tx for RewardExecutor (contract creation).
@@ -116,6 +132,7 @@ async function main() {
   writeOut(jsonOutPath, `${JSON.stringify(txRequest, null, 2)}\n`);
   writeOut(jsOutPath, snippet);
 
+  console.log(`Constructor args: owner=${ownerAddress} verification=${verificationAddress} minIntensity=${minIntensity}`);
   console.log("MetaMask deploy tx (RewardExecutor):");
   console.log(JSON.stringify(txRequest, null, 2));
   console.log(`Saved deploy tx JSON: ${jsonOutPath}`);
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+/**
+ * Builds the batch reward Merkle tree for RewardExecutor (batch mode).
+ *
+ * One leaf per (household, high-carbon slot) in flex_responses.json:
+ *   leaf   = keccak256(keccak256(abi.encode(participant, slotKey, shiftedKw, reward)))
+ *   slotKey   = regionalSlotKeyOf(household region, slot "from" timestamp)
+ *               (keccak256(from) for region 0 = national)
+ *   shiftedKw = milliKw
+ *   reward    = FLEX base units, same formula as FlexDAO:
+ *               shiftedKw × (intensity − recovery intensity) × 1e18 / 2e6
+ *               with both intensities from the household's region
+ *               (encoding and formula live in backend/rewards.js)
+ *
+ * Regional intensities come from backend/fdc_stub.js's
+ * fdc_regional_attestations.json (REGIONAL_ATTESTATIONS_PATH); households in
+ * a region without intensities for both slots are skipped and reported, so
+ * nobody is paid at the national rate under a key that differs from their
+ * regional one. Household IDs are mapped to payout addresses via
+ * HOUSEHOLD_ADDRESSES_PATH ({ "HH-001": "0x…" }); unmapped households are
+ * skipped and reported.
+ *
+ * The output (root + every claim with its proof) is what households need to
+ * call claimBatchReward. run_reward_flow.js uses buildRewardTree() when
+ * REWARD_FUNCTION_NAME=commitRewardRoot.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { buildMerkleTree } = require("./merkle_tree");
+const { regionalSlotKeyOf, rewardLeaf, computeReward } = require("../backend/rewards");
+
+const DEFAULTS = {
+  flexResponsesPath: path.join(__dirname, "..", "backend", "data", "flex_responses.json"),
+  addressesPath: path.join(__dirname, "..", "backend", "data", "household_addresses.json"),
+  regionalAttestationsPath: path.join(__dirname, "..", "backend", "data", "fdc_regional_attestations.json"),
+  outPath: path.join(__dirname, "..", "fdc-carbon", "out", "reward_tree.json"),
+};
+
+function loadHouseholdAddresses(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(
+      `Household address map not found: ${filePath}. Set HOUSEHOLD_ADDRESSES_PATH ({"HH-001":"0x..."}).`
+    );
+  }
+  const raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const addresses = {};
+  for (const [id, address] of Object.entries(raw)) {
+    addresses[id] = ethers.getAddress(address);
+  }
+  return addresses;
+}
+
+// "<region>:<timestamp>" → intensity; empty if fdc_stub.js wrote no regional attestations.
+function loadRegionalIntensities(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  const intensities = {};
+  for (const a of JSON.parse(fs.readFileSync(filePath, "utf8"))) {
+    intensities[`${a.region}:${a.timestamp}`] = a.intensity;
+  }
+  return intensities;
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.flexResponses Parsed flex_responses.json
+ * @param {Object<string,string>} opts.addresses Household ID → payout address
+ * @param {string} opts.attestationTxHash Attestation the root is committed under
+ * @param {{startMs:number,endMs:number}|null} [opts.range] Only slots inside the attested window
+ * @param {Object<string,number>} [opts.regionalIntensities] See loadRegionalIntensities
+ */
+function buildRewardTree({
+  flexResponses,
+  addresses,
+  attestationTxHash,
+  range = null,
+  regionalIntensities = {},
+}) {
+  const claims = [];
+  const skippedHouseholds = new Set();
+  const unattestedRegions = new Set();
+
+  for (const event of flexResponses.events) {
+    if (!event.flex_requested || !event.recovery_from) continue;
+    if (range) {
+      const fromMs = Date.parse(event.from);
+      if (fromMs < range.startMs || fromMs >= range.endMs) continue;
+    }
+    for (const p of event.participants) {
+      const participant = addresses[p.id];
+      if (!participant) {
+        skippedHouseholds.add(p.id);
+        continue;
+      }
+      const region = p.region || 0;
+      const intensity = region ? regionalIntensities[`${region}:${event.from}`] : event.intensity_actual;
+      const recoveryIntensity = region
+        ? regionalIntensities[`${region}:${event.recovery_from}`]
+        : event.recovery_intensity;
+      if (intensity === undefined || recoveryIntensity === undefined) {
+        unattestedRegions.add(region);
+        continue;
+      }
+      const slotKey = regionalSlotKeyOf(region, event.from);
+      const shiftedKw = BigInt(Math.round(p.shifted_kw * 1000));
+      const reward = computeReward(shiftedKw, intensity, recoveryIntensity);
+      if (reward === 0n) continue;
+      claims.push({
+        householdId: p.id,
+        participant,
+        region,
+        slot: event.from,
+        slotKey,
+        shiftedKw: shiftedKw.toString(),
+        reward: reward.toString(),
+        leaf: rewardLeaf(participant, slotKey, shiftedKw, reward),
+      });
+    }
+  }
+
+  const tree = buildMerkleTree(claims.map((c) => c.leaf));
+  const totalReward = claims.reduce((sum, c) => sum + BigInt(c.reward), 0n);
+
+  return {
+    attestationTxHash,
+    root: tree.root,
+    leafCount: claims.length,
+    totalReward: totalReward.toString(),
+    skippedHouseholds: [...skippedHouseholds].sort(),
+    unattestedRegions: [...unattestedRegions].sort((a, b) => a - b),
+    builtAtIso: new Date().toISOString(),
+    claims: claims.map((c) => ({ ...c, proof: tree.getProof(c.leaf) })),
+  };
+}
+
+function writeRewardTree(tree, outPath = DEFAULTS.outPath) {
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, `${JSON.stringify(tree, null, 2)}\n`);
+  return outPath;
+}
+
+function main() {
+  const attestationTxHash = process.env.ATTESTATION_TX_HASH || ethers.ZeroHash;
+  const flexResponsesPath = process.env.FLEX_RESPONSES_PATH || DEFAULTS.flexResponsesPath;
+  const addressesPath = process.env.HOUSEHOLD_ADDRESSES_PATH || DEFAULTS.addressesPath;
+  const regionalPath = process.env.REGIONAL_ATTESTATIONS_PATH || DEFAULTS.regionalAttestationsPath;
+  const outPath = process.env.REWARD_TREE_OUT_PATH || DEFAULTS.outPath;
+
+  const flexResponses = JSON.parse(fs.readFileSync(flexResponsesPath, "utf8"));
+  const addresses = loadHouseholdAddresses(addressesPath);
+  const regionalIntensities = loadRegionalIntensities(regionalPath);
+  const tree = buildRewardTree({ flexResponses, addresses, attestationTxHash, regionalIntensities });
+  writeRewardTree(tree, outPath);
+
+  console.log(`Reward root: ${tree.root}`);
+  console.log(`Leaves: ${tree.leafCount}`);
+  console.log(`Total reward: ${ethers.formatEther(tree.totalReward)} FLEX`);
+  if (tree.skippedHouseholds.length > 0) {
+    console.log(`Skipped (no address): ${tree.skippedHouseholds.join(", ")}`);
+  }
+  if (tree.unattestedRegions.length > 0) {
+    console.log(`Skipped (no regional intensities): regions ${tree.unattestedRegions.join(", ")}`);
+  }
+  console.log(`Saved: ${outPath}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(err.message || err);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  DEFAULTS,
+  loadHouseholdAddresses,
+  loadRegionalIntensities,
+  buildRewardTree,
+  writeRewardTree,
+};
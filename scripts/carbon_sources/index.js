@@ -0,0 +1,60 @@
+/**
+ * Carbon-intensity source adapters.
+ *
+ * Everything source-specific about a Web2 carbon-intensity API lives in one
+ * adapter, so the attestation scripts, the mock FDC verifier and the range
+ * checks in check_attestation.js no longer assume api.carbonintensity.org.uk:
+ *
+ *   id              CARBON_SOURCE value
+ *   baseUrl         default API root (CARBON_API_BASE overrides it)
+ *   buildUrl({ baseUrl?, fromIso, toIso, region? })  → request URL for a window
+ *   postProcessJq   Web2Json jq: API response → [{from, intensity}]
+ *   abiSignature    ABI type of the jq output (the CarbonSlots.decode layout)
+ *   project(json)   JS equivalent of postProcessJq (mock verifier, tests)
+ *   matchesUrl(url) true if the URL is one of this source's requests
+ *   parseRange(url) → { startIso, endIso } | null
+ *   regionOf(url)   grid region of a request URL (0 = national)
+ *   oracleSource({ baseUrl?, region? }) → { urlPrefix, urlSuffix } that
+ *                   FdcIntensityOracle.setSource trusts for the region
+ *   normalize(json) → carbon_week.json slots [{from, to, intensity: {forecast, actual, index}}]
+ *
+ * To add a source, write an adapter module with these fields and list it in SOURCES.
+ */
+
+const ukNational = require("./uk_national");
+const ukRegional = require("./uk_regional");
+
+const DEFAULT_SOURCE = ukNational.id;
+
+// Most specific URL pattern first: sourceForUrl returns the first match.
+const SOURCES = {
+  [ukRegional.id]: ukRegional,
+  [ukNational.id]: ukNational,
+};
+
+function getSource(id = DEFAULT_SOURCE) {
+  const source = SOURCES[id];
+  if (!source) {
+    throw new Error(`Unknown carbon source "${id}". Known: ${Object.keys(SOURCES).join(", ")}`);
+  }
+  return source;
+}
+
+function sourceForUrl(url) {
+  return Object.values(SOURCES).find((source) => source.matchesUrl(url)) || null;
+}
+
+// Attested window of a request URL, whichever source it belongs to.
+function parseRange(url) {
+  const source = sourceForUrl(url);
+  const range = source ? source.parseRange(url) : null;
+  return range ? { source: source.id, ...range } : null;
+}
+
+module.exports = {
+  DEFAULT_SOURCE,
+  SOURCES,
+  getSource,
+  sourceForUrl,
+  parseRange,
+};
@@ -0,0 +1,27 @@
+// Helpers shared by the carbon source adapters.
+
+// carbon_week.json slot shape (as written by backend/fetch_carbon.py).
+// actual is null where the source only publishes forecasts.
+function slotsFrom(entries) {
+  return entries.map((entry) => ({
+    from: entry.from,
+    to: entry.to,
+    intensity: {
+      forecast: entry.intensity.forecast ?? null,
+      actual: entry.intensity.actual ?? null,
+      index: entry.intensity.index || "unknown",
+    },
+  }));
+}
+
+// "{marker}{from}/{to}..." → { startIso, endIso }, or null if either is not a timestamp.
+function isoPairAfter(url, marker) {
+  const idx = url.indexOf(marker);
+  if (idx < 0) return null;
+  const [startIso, endIso] = url.slice(idx + marker.length).split(/[?#]/)[0].split("/");
+  if (!startIso || !endIso) return null;
+  if (!Number.isFinite(Date.parse(startIso)) || !Number.isFinite(Date.parse(endIso))) return null;
+  return { startIso, endIso };
+}
+
+module.exports = { slotsFrom, isoPairAfter };
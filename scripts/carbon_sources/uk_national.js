@@ -0,0 +1,51 @@
+/**
+ * UK National Grid ESO carbon-intensity API, national (GB) half-hourly slots.
+ *
+ *   GET {baseUrl}/intensity/{from}/{to}
+ *   → { data: [{ from, to, intensity: { forecast, actual, index } }] }
+ *
+ * The original source for the whole pipeline; fdc-carbon/api_response.json is
+ * a recorded response.
+ */
+
+const { slotsFrom, isoPairAfter } = require("./slots");
+
+const PATH_PATTERN = /\/intensity\/[^/?#]+\/[^/?#]+/;
+
+module.exports = {
+  id: "uk-national",
+  description: "UK National Grid ESO, GB national intensity",
+  baseUrl: "https://api.carbonintensity.org.uk",
+  // Structured payload so RewardExecutor.executeVerifiedReward can decode it on-chain
+  postProcessJq: ".data | map({from: .from, intensity: .intensity.actual})",
+  abiSignature: "tuple(string from,uint256 intensity)[]",
+
+  buildUrl({ baseUrl = this.baseUrl, fromIso, toIso }) {
+    return `${baseUrl.replace(/\/$/, "")}/intensity/${fromIso}/${toIso}`;
+  },
+
+  matchesUrl(url) {
+    return PATH_PATTERN.test(url) && !url.includes("/regional/");
+  },
+
+  parseRange(url) {
+    return isoPairAfter(url, "/intensity/");
+  },
+
+  regionOf() {
+    return 0;
+  },
+
+  oracleSource({ baseUrl = this.baseUrl } = {}) {
+    return { urlPrefix: `${baseUrl.replace(/\/$/, "")}/intensity/`, urlSuffix: "" };
+  },
+
+  // JS equivalent of postProcessJq
+  project(json) {
+    return json.data.map((slot) => ({ from: slot.from, intensity: slot.intensity.actual }));
+  },
+
+  normalize(json) {
+    return slotsFrom(json.data);
+  },
+};
@@ -0,0 +1,63 @@
+/**
+ * UK National Grid ESO carbon-intensity API, one DNO region.
+ *
+ *   GET {baseUrl}/regional/intensity/{from}/{to}/regionid/{region}
+ *   → { data: { regionid, shortname, data: [{ from, to, intensity: { forecast, index }, generationmix }] } }
+ *
+ * Region IDs 1–14 are DNO regions (e.g. 13 = London), 15–17 England/Scotland/Wales.
+ * The regional API only publishes forecasts, so those are what gets attested.
+ */
+
+const { slotsFrom, isoPairAfter } = require("./slots");
+
+const PATH_PATTERN = /\/regional\/intensity\/[^/?#]+\/[^/?#]+\/regionid\/\d+/;
+const MAX_REGION_ID = 17;
+
+function regionId(region) {
+  const id = Number(region);
+  if (!Number.isInteger(id) || id < 1 || id > MAX_REGION_ID) {
+    throw new Error(`uk-regional: region must be an ID from 1 to ${MAX_REGION_ID}, got ${region}`);
+  }
+  return id;
+}
+
+module.exports = {
+  id: "uk-regional",
+  description: "UK National Grid ESO, regional (DNO) forecast intensity",
+  baseUrl: "https://api.carbonintensity.org.uk",
+  postProcessJq: ".data.data | map({from: .from, intensity: .intensity.forecast})",
+  abiSignature: "tuple(string from,uint256 intensity)[]",
+
+  buildUrl({ baseUrl = this.baseUrl, fromIso, toIso, region }) {
+    return `${baseUrl.replace(/\/$/, "")}/regional/intensity/${fromIso}/${toIso}/regionid/${regionId(region)}`;
+  },
+
+  matchesUrl(url) {
+    return PATH_PATTERN.test(url);
+  },
+
+  parseRange(url) {
+    return isoPairAfter(url, "/regional/intensity/");
+  },
+
+  regionOf(url) {
+    const match = url.match(/\/regionid\/(\d+)$/);
+    return match ? regionId(match[1]) : null;
+  },
+
+  oracleSource({ baseUrl = this.baseUrl, region } = {}) {
+    return {
+      urlPrefix: `${baseUrl.replace(/\/$/, "")}/regional/intensity/`,
+      urlSuffix: `/regionid/${regionId(region)}`,
+    };
+  },
+
+  // JS equivalent of postProcessJq
+  project(json) {
+    return json.data.data.map((slot) => ({ from: slot.from, intensity: slot.intensity.forecast }));
+  },
+
+  normalize(json) {
+    return slotsFrom(json.data.data);
+  },
+};
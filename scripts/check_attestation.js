@@ -5,9 +5,21 @@ const path = require("path");
 const crypto = require("crypto");
 const { ethers } = require("ethers");
 const { assertRealMode } = require("./attestation_mode");
+const { recordToStore } = require("../backend/db");
+const carbonSources = require("./carbon_sources");
+const { decodeAttestedSlots } = require("./attested_payload");
+const { CheckFailedError, NotReadyError, exitCodeOf } = require("./exit_codes");
+const { NETWORKS, getNetwork, networkSetting, votingEpochOf } = require("./networks");
+const { resolveContract } = require("./contract_registry");
 
-const DEFAULT_VERIFICATION_ADDRESS = "0x906507E0B64bcD494Db73bd0459d1C667e14B933";
 const DEFAULT_CONFIRMATIONS = 12;
+// Flare voting rounds: round N starts at firstVotingRoundStartTs + N * votingEpochSeconds.
+// FLARE_NETWORK's timing is used when set; these are Coston2's.
+const DEFAULT_FIRST_VOTING_ROUND_START_TS = NETWORKS.coston2.firstVotingRoundStartTs;
+const DEFAULT_VOTING_EPOCH_SECONDS = NETWORKS.coston2.votingEpochSeconds;
+// Longest gap allowed between the attested window's end and its voting round
+const DEFAULT_MAX_ATTESTATION_AGE_SECONDS = 2 * 24 * 60 * 60;
+const SLOT_MS = 30 * 60 * 1000;
 
 const VERIFY_FUNCTION_ABI = {
   inputs: [
@@ -98,10 +110,8 @@ const VERIFY_WEB2JSON_FUNCTION_ABI = {
 
 const FDC_HUB_ABI = ["function requestFee() external view returns (uint256)"];
 
-function mustEnv(name) {
-  const value = process.env[name];
-  if (!value) throw new Error(`Missing required env var: ${name}`);
-  return value;
+function envList(name) {
+  return (process.env[name] || "").split(",").map((v) => v.trim()).filter(Boolean);
 }
 
 function fileIfExists(filePath) {
@@ -121,25 +131,80 @@ function readJson(filePath) {
   return JSON.parse(fs.readFileSync(filePath, "utf8"));
 }
 
+// Attested window from the request URL; the carbon source adapter knows where it sits.
 function parseRequestRange(url) {
-  const marker = "/intensity/";
-  const idx = url.indexOf(marker);
-  if (idx < 0) return null;
-  const tail = url.slice(idx + marker.length);
-  const chunks = tail.split("/");
-  if (chunks.length < 2) return null;
-  const start = Date.parse(chunks[0]);
-  const end = Date.parse(chunks[1]);
-  if (!Number.isFinite(start) || !Number.isFinite(end)) return null;
+  const range = carbonSources.parseRange(url);
+  if (!range) return null;
+  const start = Date.parse(range.startIso);
+  const end = Date.parse(range.endIso);
   return {
-    startIso: chunks[0],
-    endIso: chunks[1],
+    startIso: range.startIso,
+    endIso: range.endIso,
     startMs: start,
     endMs: end,
     valid: end > start,
   };
 }
 
+const isoSlot = (ms) => `${new Date(ms).toISOString().slice(0, 16)}Z`;
+const slotKeyOf = (iso) => ethers.keccak256(ethers.toUtf8Bytes(iso));
+
+// Timestamp of a slot given as an ISO timestamp or a slot key (keccak256(from)).
+// Keys are looked up in the attested slots, then in the half-hour slots of the window.
+function resolveSlot(slot, { range, attestedSlots = [] }) {
+  if (!ethers.isHexString(slot, 32)) return { slotIso: slot, slotKey: slotKeyOf(slot) };
+  const slotKey = slot.toLowerCase();
+  const attested = attestedSlots.find((s) => s.slotKey.toLowerCase() === slotKey);
+  if (attested) return { slotIso: attested.from, slotKey };
+  if (range && range.valid) {
+    for (let ms = range.startMs; ms < range.endMs; ms += SLOT_MS) {
+      if (slotKeyOf(isoSlot(ms)) === slotKey) return { slotIso: isoSlot(ms), slotKey };
+    }
+  }
+  return { slotIso: null, slotKey };
+}
+
+/**
+ * Checks that each rewarded slot starts inside the attested window [start, end),
+ * the same bound build_reward_tree.js applies to batch claims.
+ * @returns [{ slot, slotIso, slotKey, covered }]; slotIso is null for an unknown key
+ */
+function checkSlotCoverage({ slots, range, attestedSlots }) {
+  return slots.map((slot) => {
+    const { slotIso, slotKey } = resolveSlot(slot, { range, attestedSlots });
+    const slotMs = slotIso ? Date.parse(slotIso) : NaN;
+    const covered =
+      Boolean(range && range.valid) && Number.isFinite(slotMs) && slotMs >= range.startMs && slotMs < range.endMs;
+    return { slot, slotIso, slotKey, covered };
+  });
+}
+
+/**
+ * Age of the attested data when it was attested: seconds from the window end to the
+ * start of the voting round. Negative when the window reaches past the round (forecasts);
+ * never fresh when the window can't be read from the URL.
+ */
+function checkFreshness({
+  range,
+  votingRound,
+  maxAgeSeconds = DEFAULT_MAX_ATTESTATION_AGE_SECONDS,
+  firstVotingRoundStartTs = DEFAULT_FIRST_VOTING_ROUND_START_TS,
+  votingEpochSeconds = DEFAULT_VOTING_EPOCH_SECONDS,
+}) {
+  const round = Number(votingRound);
+  const votingRoundStartTs = firstVotingRoundStartTs + round * votingEpochSeconds;
+  const known = Boolean(range && range.valid);
+  const ageSeconds = known ? votingRoundStartTs - Math.floor(range.endMs / 1000) : null;
+  return {
+    windowEndIso: known ? range.endIso : null,
+    votingRound: round,
+    votingRoundStartTs,
+    ageSeconds,
+    maxAgeSeconds,
+    fresh: known && ageSeconds <= maxAgeSeconds,
+  };
+}
+
 function extractDaProofPayload(daProofJson) {
   if (daProofJson && daProofJson.response && daProofJson.response.proof) {
     return daProofJson.response;
@@ -186,6 +251,20 @@ function buildVerifyJsonApiProof(rawPayload) {
   };
 }
 
+// Typed slots of the attested payload; an undecodable payload is reported, not thrown.
+function describeAttestedPayload(verifyProof) {
+  const abiSignature = verifyProof.data.request.requestBody.abi_signature;
+  try {
+    const { format, slots } = decodeAttestedSlots({
+      abiSignature,
+      abiEncodedData: verifyProof.data.responseBody.abi_encoded_data,
+    });
+    return { abiSignature, format, onChainReadable: format === "structured", slotCount: slots.length, slots };
+  } catch (err) {
+    return { abiSignature, format: null, onChainReadable: false, slotCount: 0, slots: [], error: err.message };
+  }
+}
+
 function validatePayloadHash({ apiResponsePath, expectedMic, submissionData }) {
   let computedMic = null;
   let micMatchesExpected = null;
@@ -220,18 +299,26 @@ function buildVerifyWeb2JsonProof(rawPayload) {
   };
 }
 
-async function checkAttestation() {
+/**
+ * @param {object} [opts]
+ * @param {string[]} [opts.slots] Rewarded slots (ISO timestamps or slot keys) that the
+ *   attested window must cover; defaults to comma-separated REWARD_SLOTS.
+ */
+async function checkAttestation({ slots = envList("REWARD_SLOTS") } = {}) {
   assertRealMode("check_attestation.js");
 
-  const rpcUrl = mustEnv("FLARE_RPC_URL");
-  const expectedChainId = BigInt(mustEnv("FLARE_CHAIN_ID"));
-  const fdcAttestationContract = normalizeAddress(mustEnv("FDC_ATTESTATION_CONTRACT"));
-  const verificationAddress = normalizeAddress(
-    process.env.FDC_VERIFICATION_CONTRACT || DEFAULT_VERIFICATION_ADDRESS
-  );
+  const flareNetwork = getNetwork();
+  const rpcUrl = networkSetting(flareNetwork, "rpcUrl", "FLARE_RPC_URL");
+  const expectedChainId = BigInt(networkSetting(flareNetwork, "chainId", "FLARE_CHAIN_ID"));
   const confirmationsRequired = Number(
     process.env.CONFIRMATIONS || DEFAULT_CONFIRMATIONS
   );
+  // Networks without FSP timing (localhost) fall back to Coston2's
+  const votingEpoch = votingEpochOf({
+    firstVotingRoundStartTs: DEFAULT_FIRST_VOTING_ROUND_START_TS,
+    votingEpochSeconds: DEFAULT_VOTING_EPOCH_SECONDS,
+    ...flareNetwork,
+  });
   const txHash =
     process.env.ATTESTATION_TX_HASH ||
     (() => {
@@ -269,6 +356,18 @@ async function checkAttestation() {
       `FLARE_CHAIN_ID mismatch. Expected ${expectedChainId}, got ${network.chainId}.`
     );
   }
+  const fdcAttestationContract = await resolveContract(
+    flareNetwork,
+    "FdcHub",
+    provider,
+    process.env.FDC_ATTESTATION_CONTRACT
+  );
+  const verificationAddress = await resolveContract(
+    flareNetwork,
+    "FdcVerification",
+    provider,
+    process.env.FDC_VERIFICATION_CONTRACT
+  );
 
   const tx = await provider.getTransaction(txHash);
   const receipt = await provider.getTransactionReceipt(txHash);
@@ -349,9 +448,22 @@ async function checkAttestation() {
   const lowestUsedTimestamp = Number(verifyProof.data.request.lowestUsedTimestamp);
   const blockTimestamp = Number(attestationBlock.timestamp);
   const timestampRange = parseRequestRange(verifyProof.data.request.requestBody.url);
+  const attestedPayload = describeAttestedPayload(verifyProof);
   const timestampValid =
     (lowestUsedTimestamp === 0 || blockTimestamp >= lowestUsedTimestamp) &&
     (!timestampRange || timestampRange.valid);
+  const slotCoverage = checkSlotCoverage({
+    slots,
+    range: timestampRange,
+    attestedSlots: attestedPayload.slots,
+  });
+  const slotsCovered = slots.length ? slotCoverage.every((s) => s.covered) : null;
+  const freshness = checkFreshness({
+    range: timestampRange,
+    votingRound: verifyProof.data.request.votingRound,
+    maxAgeSeconds: Number(process.env.MAX_ATTESTATION_AGE_SECONDS || DEFAULT_MAX_ATTESTATION_AGE_SECONDS),
+    ...votingEpoch,
+  });
 
   const result = {
     txHash,
@@ -363,6 +475,8 @@ async function checkAttestation() {
     verificationFunction,
     payloadHashValid: payloadHash.payloadHashValid,
     timestampValid,
+    slotsCovered,
+    fresh: freshness.fresh,
     chainId: network.chainId.toString(),
     fdcAttestationContract,
     verificationAddress,
@@ -373,6 +487,9 @@ async function checkAttestation() {
     lowestUsedTimestamp,
     blockTimestamp,
     requestTimestampRange: timestampRange,
+    slotCoverage,
+    freshness,
+    attestedPayload,
     checkedAtIso: new Date().toISOString(),
     verificationFallbackError: verificationError ? (verificationError.shortMessage || verificationError.message || String(verificationError)) : null,
   };
@@ -382,6 +499,7 @@ async function checkAttestation() {
     path.join(__dirname, "..", "fdc-carbon", "out", "check_attestation_result.json");
   fs.mkdirSync(path.dirname(outPath), { recursive: true });
   fs.writeFileSync(outPath, JSON.stringify(result, null, 2));
+  recordToStore((store) => store.recordVerification(result));
 
   console.log(`Attestation tx hash: ${result.txHash}`);
   console.log(`Block number: ${result.blockNumber}`);
@@ -390,17 +508,69 @@ async function checkAttestation() {
   console.log(`Verification function: ${result.verificationFunction}`);
   console.log(`Payload hash valid: ${result.payloadHashValid}`);
   console.log(`Timestamp valid: ${result.timestampValid}`);
+  console.log(
+    freshness.ageSeconds === null
+      ? "Fresh: false (attested window unknown)"
+      : `Fresh: ${freshness.fresh} (window end ${freshness.windowEndIso}, ${freshness.ageSeconds}s before round ${freshness.votingRound}; max ${freshness.maxAgeSeconds}s)`
+  );
+  for (const s of slotCoverage) {
+    console.log(`Slot ${s.slotIso || s.slot} covered: ${s.covered}`);
+  }
+  console.log(
+    attestedPayload.format
+      ? `Attested payload: ${attestedPayload.slotCount} slots (${attestedPayload.format}${attestedPayload.onChainReadable ? "" : ", not readable on-chain"})`
+      : `Attested payload: not decoded (${attestedPayload.error})`
+  );
   console.log(`Saved: ${outPath}`);
 
   return result;
 }
 
+/**
+ * Throws unless a checkAttestation() result may back a reward: CheckFailedError
+ * for a failed verification, hash/timestamp, freshness or coverage check,
+ * NotReadyError when it only lacks confirmations.
+ * @param {object} attestation checkAttestation() result
+ * @param {object} [opts]
+ * @param {number} [opts.confirmationsRequired] Defaults to the result's own requirement
+ */
+function assertAttestationUsable(attestation, { confirmationsRequired = attestation.confirmationsRequired } = {}) {
+  if (!attestation.verificationPassed) {
+    throw new CheckFailedError("Attestation verification failed. Reward flow blocked.");
+  }
+  if (!attestation.payloadHashValid || !attestation.timestampValid) {
+    throw new CheckFailedError("Attestation payload hash/timestamp validation failed.");
+  }
+  if (!attestation.fresh) {
+    const { windowEndIso, ageSeconds, maxAgeSeconds, votingRound } = attestation.freshness;
+    throw new CheckFailedError(
+      windowEndIso
+        ? `Attested data is stale: window ended ${ageSeconds}s before voting round ${votingRound} (max ${maxAgeSeconds}s).`
+        : "Attested window could not be read from the request URL; freshness unknown."
+    );
+  }
+  const uncovered = attestation.slotCoverage.filter((s) => !s.covered).map((s) => s.slotIso || s.slot);
+  if (uncovered.length) {
+    const range = attestation.requestTimestampRange;
+    const window = range ? `${range.startIso}/${range.endIso}` : "unknown";
+    throw new CheckFailedError(`Rewarded slot outside the attested window (${window}): ${uncovered.join(", ")}.`);
+  }
+  if (attestation.confirmations < confirmationsRequired) {
+    throw new NotReadyError(
+      `Attestation has ${attestation.confirmations} confirmations; requires ${confirmationsRequired}.`
+    );
+  }
+}
+
 function parseCliArgs() {
   const args = process.argv.slice(2);
   for (let i = 0; i < args.length; i++) {
     if (args[i] === "--id" && args[i + 1]) {
       process.env.ATTESTATION_TX_HASH = args[i + 1];
       i++;
+    } else if (args[i] === "--slot" && args[i + 1]) {
+      process.env.REWARD_SLOTS = [...envList("REWARD_SLOTS"), args[i + 1]].join(",");
+      i++;
     }
   }
 }
@@ -409,11 +579,21 @@ if (require.main === module) {
   parseCliArgs();
   checkAttestation().catch((err) => {
     console.error(err.message || err);
-    process.exit(1);
+    process.exit(exitCodeOf(err));
   });
 }
 
 module.exports = {
   checkAttestation,
+  assertAttestationUsable,
+  parseRequestRange,
+  checkSlotCoverage,
+  checkFreshness,
+  extractDaProofPayload,
+  buildVerifyJsonApiProof,
+  buildVerifyWeb2JsonProof,
+  describeAttestedPayload,
+  validatePayloadHash,
   VERIFY_FUNCTION_ABI,
+  VERIFY_WEB2JSON_FUNCTION_ABI,
 };
@@ -0,0 +1,151 @@
+/**
+ * FDC contract addresses from Flare's ContractRegistry.
+ *
+ * resolveContract() asks the network's registry for FdcHub, FdcVerification
+ * or Relay by name (getContractAddressByName), checks that the address holds
+ * contract code, and compares it with the configured address: an env override
+ * or the address the network pins in scripts/networks.js. A disagreement is a
+ * CheckFailedError, never a silent pick of one side.
+ *
+ * Registry answers are cached per chain and registry in
+ * fdc-carbon/out/contract_registry_cache.json (CONTRACT_REGISTRY_CACHE_PATH)
+ * for CONTRACT_REGISTRY_CACHE_TTL_SECONDS (default one day, 0 disables). A
+ * cached address is still checked for code, and a mismatch is re-checked
+ * against the registry before it fails.
+ *
+ * CONTRACT_REGISTRY_ADDRESS replaces the network's registry (the mock stack
+ * deploys its own); without one, the configured address is used as is.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { CheckFailedError } = require("./exit_codes");
+
+// ContractRegistry names
+const REGISTRY_CONTRACTS = ["FdcHub", "FdcVerification", "Relay"];
+const REGISTRY_ABI = ["function getContractAddressByName(string _name) view returns (address)"];
+
+const DEFAULTS = {
+  cachePath: path.join(__dirname, "..", "fdc-carbon", "out", "contract_registry_cache.json"),
+  cacheTtlSeconds: 24 * 60 * 60,
+};
+
+function cacheOptions({
+  cachePath = process.env.CONTRACT_REGISTRY_CACHE_PATH || DEFAULTS.cachePath,
+  cacheTtlSeconds = Number(process.env.CONTRACT_REGISTRY_CACHE_TTL_SECONDS ?? DEFAULTS.cacheTtlSeconds),
+  now = Date.now,
+} = {}) {
+  return { cachePath, cacheTtlSeconds, now };
+}
+
+// { "<chainId>:<registry>": { FdcHub: { address, resolvedAtIso } } }; unreadable → empty
+function readCache(cachePath) {
+  if (!fs.existsSync(cachePath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(cachePath, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function writeCache(cachePath, cache) {
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+}
+
+function registryOf(network) {
+  const registry = process.env.CONTRACT_REGISTRY_ADDRESS || network.registry;
+  return registry ? ethers.getAddress(registry) : null;
+}
+
+/**
+ * Address of `contractName` in the ContractRegistry at `registry`, uncached.
+ * @param {ethers.Provider} provider Connected to the registry's chain
+ */
+async function lookupContract(provider, contractName, registry) {
+  const address = await new ethers.Contract(registry, REGISTRY_ABI, provider).getContractAddressByName(contractName);
+  if (address === ethers.ZeroAddress) {
+    throw new CheckFailedError(`${contractName} is not registered in the ContractRegistry at ${registry}.`);
+  }
+  return ethers.getAddress(address);
+}
+
+/**
+ * Registry answer for `contractName` on `chainId`, from the cache unless it is
+ * older than the TTL or `fresh` is set.
+ */
+async function registeredAddress(provider, chainId, registry, contractName, { fresh = false, ...options } = {}) {
+  const { cachePath, cacheTtlSeconds, now } = cacheOptions(options);
+  const key = `${chainId}:${registry}`;
+  const useCache = cacheTtlSeconds > 0;
+  const cache = useCache ? readCache(cachePath) : {};
+  const entry = cache[key] && cache[key][contractName];
+  if (!fresh && entry && now() - Date.parse(entry.resolvedAtIso) < cacheTtlSeconds * 1000) {
+    return { address: entry.address, cached: true };
+  }
+
+  const address = await lookupContract(provider, contractName, registry);
+  if (useCache) {
+    cache[key] = { ...cache[key], [contractName]: { address, resolvedAtIso: new Date(now()).toISOString() } };
+    writeCache(cachePath, cache);
+  }
+  return { address, cached: false };
+}
+
+async function assertHasCode(provider, address, what) {
+  const code = await provider.getCode(address);
+  if (!code || code === "0x") {
+    throw new CheckFailedError(`${what} ${address} has no contract code.`);
+  }
+}
+
+/**
+ * FdcHub, FdcVerification or Relay for `network`.
+ * @param {object} network From scripts/networks.js getNetwork()
+ * @param {string} contractName One of REGISTRY_CONTRACTS
+ * @param {ethers.Provider} provider Connected to `network`
+ * @param {string} [override] Configured address (the script's env var), else the network's pinned one
+ * @param {object} [options] cachePath, cacheTtlSeconds, now (tests)
+ * @returns {Promise<string>} Checksummed address with code, agreed on by registry and config
+ */
+async function resolveContract(network, contractName, provider, override, options) {
+  const { chainId } = await provider.getNetwork();
+  if (chainId !== BigInt(network.chainId)) {
+    throw new Error(`RPC is chain ${chainId}, but network ${network.name} is chain ${network.chainId}.`);
+  }
+
+  const pinned = network.contracts[contractName];
+  const configured = override || pinned ? ethers.getAddress(override || pinned) : null;
+  const configuredAs = override ? "configured" : `pinned for ${network.name}`;
+  const registry = registryOf(network);
+  if (!registry) {
+    if (!configured) {
+      throw new Error(`${network.name} has no ContractRegistry; set the ${contractName} address explicitly.`);
+    }
+    await assertHasCode(provider, configured, `${contractName} (${configuredAs})`);
+    return configured;
+  }
+
+  let registered = await registeredAddress(provider, chainId, registry, contractName, options);
+  if (configured && registered.cached && registered.address !== configured) {
+    registered = await registeredAddress(provider, chainId, registry, contractName, { ...options, fresh: true });
+  }
+  if (configured && registered.address !== configured) {
+    throw new CheckFailedError(
+      `${contractName} mismatch on ${network.name}: ${configuredAs} ${configured}, ` +
+        `but the ContractRegistry at ${registry} returns ${registered.address}.`
+    );
+  }
+  await assertHasCode(provider, registered.address, `${contractName} from the ContractRegistry at ${registry}`);
+  return registered.address;
+}
+
+module.exports = {
+  REGISTRY_CONTRACTS,
+  DEFAULTS,
+  registryOf,
+  lookupContract,
+  registeredAddress,
+  resolveContract,
+};
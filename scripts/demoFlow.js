@@ -5,8 +5,21 @@
  *
  *   1. Read flex_responses.json (simulated household data)
  *   2. Read fdc_attestations.json (FDC-attested carbon intensity)
- *   3. Submit flex events to FlexDAO, which verifies each against FDCShim
- *   4. Print reward balances and contract stats
+ *   3. Submit flex events (curtailment + recovery slot) to FlexDAO, which
+ *      verifies both intensities against FDCShim and rewards the delta.
+ *      Participants are submitted per grid region when fdc_regional_attestations.json
+ *      covers both slots for their region; the rest fall back to national (region 0).
+ *   4. Participants claim their rewards as FLEX (ERC-20)
+ *   5. Print token balances and contract stats
+ *
+ * Each household is paid to a fixed address from household_addresses.json.
+ * If the file is missing, households are assigned one Hardhat account each in
+ * households.json order and the map is written out. Households are then
+ * enrolled in the HouseholdRegistry (scripts/enroll_households.js), which
+ * FlexDAO checks before rewarding a participant.
+ *
+ * Flex events and reward txs are also recorded in the FlexDAO store
+ * (backend/db.js) so they can be queried by slot or participant afterwards.
  *
  * Pre-requisites (run in order):
  *   python3 backend/fetch_carbon.py
@@ -22,8 +35,36 @@ const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 const { assertSimulationMode } = require("./attestation_mode");
+const { recordToStore } = require("../backend/db");
+const { enrollHouseholds } = require("./enroll_households");
+const { assertRole, roleHolder } = require("./roles");
 
 const DATA_DIR = path.join(__dirname, "..", "backend", "data");
+const HOUSEHOLD_ADDRESSES_PATH = path.join(DATA_DIR, "household_addresses.json");
+
+// Household ID → payout address. Reuses the existing map so payouts stay stable across runs.
+function loadOrAssignHouseholdAddresses(households, participants) {
+  if (fs.existsSync(HOUSEHOLD_ADDRESSES_PATH)) {
+    const addresses = JSON.parse(fs.readFileSync(HOUSEHOLD_ADDRESSES_PATH, "utf-8"));
+    const payouts = Object.values(addresses).map((a) => a.toLowerCase());
+    if (new Set(payouts).size !== payouts.length) {
+      throw new Error(
+        `${HOUSEHOLD_ADDRESSES_PATH} pays several households to one address; the registry needs one each. Delete it to reassign.`
+      );
+    }
+    return addresses;
+  }
+  if (households.length > participants.length) {
+    throw new Error(`${households.length} households but only ${participants.length} participant accounts`);
+  }
+  const addresses = {};
+  households.forEach((h, idx) => {
+    addresses[h.id] = participants[idx].address;
+  });
+  fs.writeFileSync(HOUSEHOLD_ADDRESSES_PATH, JSON.stringify(addresses, null, 2));
+  console.log(`Household addresses written to ${HOUSEHOLD_ADDRESSES_PATH}`);
+  return addresses;
+}
 
 async function main() {
   assertSimulationMode("scripts/demoFlow.js");
@@ -43,21 +84,51 @@ async function main() {
     fs.readFileSync(path.join(DATA_DIR, "fdc_attestations.json"), "utf-8")
   );
 
+  recordToStore((store) => store.importFlexEvents(flexData));
+
   // --- Connect to contracts ---
   const [operator, ...participants] = await ethers.getSigners();
+  // Flex events are signed by the first submitter recorded by deploy.js (else the operator)
+  const submitterAddress = roleHolder(deployed, "flexDAO", "submitter");
+  const submitter = submitterAddress ? await ethers.getSigner(submitterAddress) : operator;
 
   const FlexDAO = await ethers.getContractFactory("FlexDAO");
-  const dao = FlexDAO.attach(deployed.flexDAO);
+  const dao = FlexDAO.attach(deployed.flexDAO).connect(submitter);
+  await assertRole(dao, "submitter", submitter.address, "FlexDAO");
+  const FlexToken = await ethers.getContractFactory("FlexToken");
+  const token = FlexToken.attach(deployed.flexToken);
 
   console.log(`FlexDAO    @ ${deployed.flexDAO}`);
+  console.log(`FlexToken  @ ${deployed.flexToken}`);
   console.log(`FDCShim    @ ${deployed.fdcShim}`);
   console.log(`Operator   : ${operator.address}`);
+  console.log(`Submitter  : ${submitter.address}`);
   console.log(`Participants: ${participants.length} Hardhat accounts\n`);
 
-  // --- Build attestation lookup ---
+  const { households } = JSON.parse(
+    fs.readFileSync(path.join(DATA_DIR, "households.json"), "utf-8")
+  );
+  const householdAddresses = loadOrAssignHouseholdAddresses(households, participants);
+
+  // --- Enroll households (FlexDAO rejects unenrolled participants) ---
+  const HouseholdRegistry = await ethers.getContractFactory("HouseholdRegistry");
+  const registry = HouseholdRegistry.attach(deployed.householdRegistry);
+  console.log(`HouseholdRegistry @ ${deployed.householdRegistry}`);
+  const { enrolled, skipped } = await enrollHouseholds(registry, households, householdAddresses, {
+    log: () => {},
+  });
+  console.log(`Households enrolled: ${enrolled.length} new, ${skipped.length} already enrolled\n`);
+
+  // --- Build attestation lookups (region 0 = national) ---
+  const regionalPath = path.join(DATA_DIR, "fdc_regional_attestations.json");
+  const regional = fs.existsSync(regionalPath) ? JSON.parse(fs.readFileSync(regionalPath, "utf-8")) : [];
   const keyMap = {};
-  for (const a of attestations) {
-    keyMap[a.timestamp] = a;
+  for (const a of [...attestations.map((a) => ({ ...a, region: 0 })), ...regional]) {
+    keyMap[`${a.region}:${a.timestamp}`] = a;
+  }
+  const regionOf = Object.fromEntries(households.map((h) => [h.id, h.region ?? 0]));
+  if (regional.length === 0) {
+    console.log("No regional attestations — all households use national intensity\n");
   }
 
   // --- Process high-carbon flex events ---
@@ -66,30 +137,77 @@ async function main() {
   console.log(`High-carbon flex events to submit: ${highEvents.length}`);
   console.log("─".repeat(50));
 
+  const { chainId } = await ethers.provider.getNetwork();
   let submitted = 0;
+  let fallbacks = 0;
   for (const event of highEvents) {
-    const att = keyMap[event.from];
-    if (!att) continue;
+    // Group participants by the region whose attestations cover both slots
+    const groups = new Map();
+    for (const p of event.participants) {
+      let region = p.region ?? regionOf[p.id] ?? 0;
+      if (region !== 0 && !(keyMap[`${region}:${event.from}`] && keyMap[`${region}:${event.recovery_from}`])) {
+        region = 0;
+        fallbacks++;
+      }
+      if (!groups.has(region)) groups.set(region, []);
+      groups.get(region).push(p);
+    }
+
+    for (const [region, members] of groups) {
+      if (await submitRegion(event, region, members)) submitted++;
+    }
+  }
+  if (regional.length > 0 && fallbacks > 0) {
+    console.log(`  (${fallbacks} participations without regional attestations used national intensity)`);
+  }
+
+  async function submitRegion(event, region, members) {
+    const att = keyMap[`${region}:${event.from}`];
+    const recoveryAtt = keyMap[`${region}:${event.recovery_from}`];
+    if (!att || !recoveryAtt) return false;
+    // Regional attestations carry the plain slot key; FlexDAO derives the regional one
+    const slotKey = att.slotKey ?? att.key;
+    const recoverySlotKey = recoveryAtt.slotKey ?? recoveryAtt.key;
 
-    // Map simulated household IDs to Hardhat signer addresses (round-robin)
-    const flexParticipants = event.participants.map((p, idx) => ({
-      participant: participants[idx % participants.length].address,
+    const flexParticipants = members.map((p) => ({
+      participant: householdAddresses[p.id],
       shiftedKw: Math.round(p.shifted_kw * 1000), // convert to milliKw
     }));
 
     try {
-      const tx = await dao.submitFlexEvent(att.key, flexParticipants);
-      await tx.wait();
-      submitted++;
+      const tx = await dao.submitFlexEvent(region, slotKey, recoverySlotKey, flexParticipants);
+      const receipt = await tx.wait();
+      recordToStore((store) =>
+        store.recordRewardExecution({
+          txHash: tx.hash,
+          chainId,
+          contractAddress: deployed.flexDAO,
+          functionName: "submitFlexEvent",
+          slotKey,
+          recoverySlotKey,
+          blockNumber: receipt.blockNumber,
+          recipients: flexParticipants.map((p, idx) => ({
+            ...p,
+            householdId: members[idx].id,
+          })),
+        })
+      );
+      const regionLabel = region === 0 ? "national" : `region ${region}`;
       process.stdout.write(
-        `  ✓ ${event.from}  intensity=${event.intensity_actual}  participants=${event.participants.length}  shifted=${event.aggregate_shifted_kw}kW\n`
+        `  ✓ ${event.from}  ${regionLabel}  intensity=${att.intensity}→${recoveryAtt.intensity}  participants=${members.length}\n`
       );
+      return true;
     } catch (err) {
-      // Skip slots below threshold or already processed
-      if (err.message.includes("below threshold") || err.message.includes("already processed")) {
-        continue;
+      // Skip slots below threshold, without a cleaner recovery slot, or already processed
+      if (
+        err.message.includes("below threshold") ||
+        err.message.includes("not lower-carbon") ||
+        err.message.includes("already processed")
+      ) {
+        return false;
       }
       console.error(`  ✗ ${event.from}: ${err.message.slice(0, 80)}`);
+      return false;
     }
   }
 
@@ -98,22 +216,37 @@ async function main() {
   console.log("CONTRACT STATS:");
   const stats = await dao.getStats();
   console.log(`  Events verified  : ${stats[0]}`);
-  console.log(`  Rewards issued   : ${stats[1]} FLEX`);
+  console.log(`  Rewards issued   : ${ethers.formatEther(stats[1])} FLEX`);
   console.log(`  Intensity thresh : ${stats[2]} gCO2/kWh`);
   console.log(`  FDC attestations : ${stats[3]}`);
 
-  // Show top 5 participant balances
-  console.log("\nTOP PARTICIPANT BALANCES:");
+  // Participants claim accrued rewards → FLEX minted to their wallets.
+  // DEMO_AUTO_CLAIM=0 leaves them unclaimed so they can be claimed from the dashboard.
+  console.log("\nCLAIMING REWARDS:");
+  const autoClaim = process.env.DEMO_AUTO_CLAIM !== "0";
+  let claimed = 0;
+  for (let i = 0; autoClaim && i < participants.length; i++) {
+    const accrued = await dao.balances(participants[i].address);
+    if (accrued === 0n) continue;
+    const tx = await dao.connect(participants[i]).claimRewards();
+    await tx.wait();
+    claimed++;
+  }
+  console.log(autoClaim ? `  ${claimed} participants claimed` : "  Skipped (DEMO_AUTO_CLAIM=0)");
+  console.log(`  FLEX total supply: ${ethers.formatEther(await token.totalSupply())} FLEX`);
+
+  // Show top 5 participant token balances
+  console.log("\nTOP PARTICIPANT BALANCES (balanceOf):");
   const balances = [];
-  for (let i = 0; i < Math.min(participants.length, 19); i++) {
-    const bal = await dao.balances(participants[i].address);
+  for (let i = 0; i < participants.length; i++) {
+    const bal = await token.balanceOf(participants[i].address);
     if (bal > 0n) {
       balances.push({ address: participants[i].address, balance: bal });
     }
   }
   balances.sort((a, b) => (b.balance > a.balance ? 1 : -1));
   balances.slice(0, 5).forEach((b, i) => {
-    console.log(`  ${i + 1}. ${b.address.slice(0, 10)}…  ${b.balance} FLEX`);
+    console.log(`  ${i + 1}. ${b.address.slice(0, 10)}…  ${ethers.formatEther(b.balance)} FLEX`);
   });
 
   console.log("\n✓ Demo complete — FlexDAO verified real UK carbon data on-chain!");
@@ -1,7 +1,14 @@
 /**
  * FlexDAO — Deploy script (Hardhat)
  *
- * Deploys FDCShim and FlexDAO to the local Hardhat network.
+ * Deploys FDCShim, FlexToken (FLEX ERC-20), HouseholdRegistry, FlexDAO and
+ * RewardExecutor (backed by MockFdcVerification) to the local Hardhat network,
+ * makes FlexDAO and RewardExecutor FLEX minters, and has both check household
+ * enrollment before rewarding.
+ * Role holders (scripts/roles.js) are assigned from ROLES_ADMIN, ROLES_RELAYER,
+ * ROLES_SUBMITTER, ROLES_EXECUTOR and ROLES_PAUSER; unset roles stay with the
+ * deployer. ROLES_SUBMITTER is a single address: FlexDAO's operator, which
+ * only governance can replace.
  * Writes addresses to backend/data/deployed.json for other scripts to consume.
  */
 
@@ -9,9 +16,14 @@ const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 const { assertSimulationMode } = require("./attestation_mode");
+const { CONTRACT_ROLES, GOVERNED_ROLES, roleConfigFromEnv, assignRoles } = require("./roles");
 
 async function main() {
   assertSimulationMode("scripts/deploy.js");
+  const roleConfig = roleConfigFromEnv();
+  if (roleConfig.submitter && roleConfig.submitter.length > 1) {
+    throw new Error("ROLES_SUBMITTER: FlexDAO has one submitter, its operator; give a single address");
+  }
 
   const [deployer] = await ethers.getSigners();
   console.log("Deploying with account:", deployer.address);
@@ -23,19 +35,75 @@ async function main() {
   const shimAddr = await shim.getAddress();
   console.log("FDCShim deployed to:", shimAddr);
 
-  // 2. Deploy FlexDAO (threshold = 150 gCO2/kWh)
+  // 2. Deploy FlexToken (FLEX ERC-20)
+  const FlexToken = await ethers.getContractFactory("FlexToken");
+  const token = await FlexToken.deploy();
+  await token.waitForDeployment();
+  const tokenAddr = await token.getAddress();
+  console.log("FlexToken deployed to:", tokenAddr);
+
+  // 3. Deploy HouseholdRegistry (deployer is the enrollment operator)
+  const HouseholdRegistry = await ethers.getContractFactory("HouseholdRegistry");
+  const registry = await HouseholdRegistry.deploy();
+  await registry.waitForDeployment();
+  const registryAddr = await registry.getAddress();
+  console.log("HouseholdRegistry deployed to:", registryAddr);
+
+  // 4. Deploy FlexDAO (threshold = 150 gCO2/kWh); its operator is the submitter
+  const operator = roleConfig.submitter ? roleConfig.submitter[0] : deployer.address;
   const FlexDAO = await ethers.getContractFactory("FlexDAO");
-  const dao = await FlexDAO.deploy(shimAddr, 150);
+  const dao = await FlexDAO.deploy(shimAddr, 150, tokenAddr, registryAddr, operator);
   await dao.waitForDeployment();
   const daoAddr = await dao.getAddress();
   console.log("FlexDAO  deployed to:", daoAddr);
 
+  // 5. Deploy RewardExecutor against a local mock of FdcVerification
+  const MockFdcVerification = await ethers.getContractFactory("MockFdcVerification");
+  const verification = await MockFdcVerification.deploy();
+  await verification.waitForDeployment();
+  const verificationAddr = await verification.getAddress();
+  console.log("MockFdcVerification deployed to:", verificationAddr);
+
+  const RewardExecutor = await ethers.getContractFactory("RewardExecutor");
+  const executor = await RewardExecutor.deploy(deployer.address, verificationAddr, 150);
+  await executor.waitForDeployment();
+  const executorAddr = await executor.getAddress();
+  console.log("RewardExecutor deployed to:", executorAddr);
+
+  // 6. Wire FLEX minting: FlexDAO mints on claim, RewardExecutor on execution
+  await (await token.setMinter(daoAddr, true)).wait();
+  await (await token.setMinter(executorAddr, true)).wait();
+  // RewardExecutor has no recovery slot, so it mints at a flat FLEX-per-kW rate
+  await (await executor.setRewardToken(tokenAddr, ethers.parseEther("10"))).wait();
+  console.log("FLEX minters: FlexDAO, RewardExecutor");
+  await (await executor.setHouseholdRegistry(registryAddr)).wait();
+  console.log("RewardExecutor only rewards enrolled households");
+
+  // 7. Hand roles to their configured holders (admin last)
+  const roles = {};
+  for (const [key, contract] of Object.entries({ fdcShim: shim, flexDAO: dao, rewardExecutor: executor })) {
+    console.log(`Roles on ${key}:`);
+    const governed = GOVERNED_ROLES[key] || [];
+    const managed = CONTRACT_ROLES[key].filter((name) => !governed.includes(name));
+    roles[key] = await assignRoles(contract, managed, roleConfig, deployer.address);
+    if (key === "flexDAO") roles[key].submitter = [operator];
+    for (const [name, holders] of Object.entries(roles[key])) {
+      console.log(`  ${name.padEnd(9)} ${holders.join(", ")}`);
+    }
+  }
+
   // Write addresses
   const deployed = {
     fdcShim: shimAddr,
     flexDAO: daoAddr,
+    flexToken: tokenAddr,
+    householdRegistry: registryAddr,
+    fdcVerification: verificationAddr,
+    rewardExecutor: executorAddr,
     deployer: deployer.address,
+    roles,
     network: "localhost",
+    chainId: Number((await ethers.provider.getNetwork()).chainId),
     timestamp: new Date().toISOString(),
   };
   const outPath = path.join(__dirname, "..", "backend", "data", "deployed.json");
@@ -0,0 +1,116 @@
+/**
+ * FlexDAO — Deploy the mock FDC stack (Hardhat)
+ *
+ * Deploys MockFdcHub, MockFdcVerification, a MockContractRegistry naming
+ * both, FlexToken, a RewardExecutor verifying against the mock and an
+ * FdcIntensityOracle, both trusting national carbon-intensity requests (the
+ * oracle follows the CARBON_SOURCE adapter, default uk-national), so the
+ * real-mode pipeline can run against a local node with
+ * scripts/mock_fdc_server.js as verifier + DA layer.
+ * Writes addresses to fdc-carbon/out/mock_fdc_deployment.json.
+ *
+ * Usage:
+ *   npx hardhat run scripts/deploy_mock_fdc.js --network localhost
+ */
+
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { getSource } = require("./carbon_sources");
+
+const DEFAULTS = {
+  requestFee: "0.01", // C2FLR-equivalent, same fallback as request_jsonapi_attestation.js
+  minIntensity: 150,
+  outPath: path.join(__dirname, "..", "fdc-carbon", "out", "mock_fdc_deployment.json"),
+};
+
+async function main() {
+  const [deployer] = await ethers.getSigners();
+  const network = await ethers.provider.getNetwork();
+  console.log("Deploying mock FDC stack with account:", deployer.address);
+
+  const MockFdcHub = await ethers.getContractFactory("MockFdcHub");
+  const hub = await MockFdcHub.deploy(
+    ethers.parseEther(process.env.MOCK_FDC_REQUEST_FEE || DEFAULTS.requestFee)
+  );
+  await hub.waitForDeployment();
+  const hubAddr = await hub.getAddress();
+  console.log("MockFdcHub deployed to:", hubAddr);
+
+  const MockFdcVerification = await ethers.getContractFactory("MockFdcVerification");
+  const verification = await MockFdcVerification.deploy();
+  await verification.waitForDeployment();
+  const verificationAddr = await verification.getAddress();
+  console.log("MockFdcVerification deployed to:", verificationAddr);
+
+  // Scripts resolve the mocks through the registry, as on Flare (scripts/contract_registry.js)
+  const MockContractRegistry = await ethers.getContractFactory("MockContractRegistry");
+  const registry = await MockContractRegistry.deploy();
+  await registry.waitForDeployment();
+  const registryAddr = await registry.getAddress();
+  await (await registry.setContractAddress("FdcHub", hubAddr)).wait();
+  await (await registry.setContractAddress("FdcVerification", verificationAddr)).wait();
+  console.log("MockContractRegistry deployed to:", registryAddr);
+
+  const FlexToken = await ethers.getContractFactory("FlexToken");
+  const token = await FlexToken.deploy();
+  await token.waitForDeployment();
+  const tokenAddr = await token.getAddress();
+  console.log("FlexToken deployed to:", tokenAddr);
+
+  const minIntensity = Number(process.env.MIN_INTENSITY || DEFAULTS.minIntensity);
+  const RewardExecutor = await ethers.getContractFactory("RewardExecutor");
+  const executor = await RewardExecutor.deploy(deployer.address, verificationAddr, minIntensity);
+  await executor.waitForDeployment();
+  const executorAddr = await executor.getAddress();
+  console.log("RewardExecutor deployed to:", executorAddr);
+
+  await (await token.setMinter(executorAddr, true)).wait();
+  await (await executor.setRewardToken(tokenAddr, ethers.parseEther("10"))).wait();
+  // executeVerifiedReward matches national slot keys, so it trusts the national request
+  const national = getSource("uk-national");
+  const nationalSource = national.oracleSource();
+  await (
+    await executor.setSource(
+      nationalSource.urlPrefix,
+      nationalSource.urlSuffix,
+      national.postProcessJq,
+      national.abiSignature
+    )
+  ).wait();
+  console.log(`RewardExecutor trusts: ${nationalSource.urlPrefix}…${nationalSource.urlSuffix}`);
+
+  const FdcIntensityOracle = await ethers.getContractFactory("FdcIntensityOracle");
+  const oracle = await FdcIntensityOracle.deploy(deployer.address, verificationAddr);
+  await oracle.waitForDeployment();
+  const oracleAddr = await oracle.getAddress();
+  console.log("FdcIntensityOracle deployed to:", oracleAddr);
+
+  // Trust the same requests `flexdao attest` makes by default (national, region 0)
+  const source = getSource(process.env.CARBON_SOURCE);
+  const region = Number(process.env.CARBON_REGION_ID || 0);
+  const { urlPrefix, urlSuffix } = source.oracleSource({ region });
+  await (await oracle.setSource(region, urlPrefix, urlSuffix, source.postProcessJq, source.abiSignature)).wait();
+  console.log(`FdcIntensityOracle trusts region ${region}: ${urlPrefix}…${urlSuffix}`);
+
+  const deployment = {
+    fdcHub: hubAddr,
+    fdcVerification: verificationAddr,
+    contractRegistry: registryAddr,
+    flexToken: tokenAddr,
+    rewardExecutor: executorAddr,
+    fdcIntensityOracle: oracleAddr,
+    deployer: deployer.address,
+    chainId: network.chainId.toString(),
+    timestamp: new Date().toISOString(),
+  };
+  const outPath = process.env.MOCK_FDC_DEPLOYMENT_PATH || DEFAULTS.outPath;
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, JSON.stringify(deployment, null, 2));
+  console.log(`\n✓ Addresses written to ${outPath}`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
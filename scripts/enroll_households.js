@@ -0,0 +1,109 @@
+/**
+ * FlexDAO — Enroll households in the HouseholdRegistry (Hardhat)
+ *
+ * Enrolls every household in households.json against its payout address in
+ * household_addresses.json, with its flex assets (EV, heat pump, battery, ...)
+ * as the registry bitmask and its grid region (0 = national if absent). Uses
+ * enrollFor, so households are approved in the same tx; households already
+ * enrolled are skipped, so re-running is safe.
+ *
+ * FlexDAO (and RewardExecutor, once setHouseholdRegistry is called) reject
+ * rewards for addresses that are not approved here.
+ *
+ * Usage:
+ *   npx hardhat run scripts/enroll_households.js --network localhost
+ *
+ * Env: HOUSEHOLD_REGISTRY_ADDRESS (default: deployed.json householdRegistry),
+ * HOUSEHOLD_ADDRESSES_PATH (default: backend/data/household_addresses.json).
+ */
+
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR = path.join(__dirname, "..", "backend", "data");
+
+// Same bits as the HouseholdRegistry ASSET_* constants
+const ASSET_BITS = {
+  ev: 1,
+  "heat pump": 2,
+  battery: 4,
+  dishwasher: 8,
+  laundry: 16,
+};
+
+const STATUS = ["None", "Pending", "Approved", "Revoked"];
+
+// "EV + dishwasher + battery" (simulate.py flex_assets) → 13
+function assetMask(flexAssets) {
+  return String(flexAssets || "")
+    .split("+")
+    .map((asset) => asset.trim().toLowerCase())
+    .filter(Boolean)
+    .reduce((mask, asset) => {
+      if (!(asset in ASSET_BITS)) throw new Error(`Unknown flex asset "${asset}" in "${flexAssets}"`);
+      return mask | ASSET_BITS[asset];
+    }, 0);
+}
+
+const householdIdOf = (id) => ethers.encodeBytes32String(id);
+
+/**
+ * Enrolls (and approves) each household that is not yet in the registry.
+ * @returns {Promise<{ enrolled: string[], skipped: string[] }>} household IDs
+ */
+async function enrollHouseholds(registry, households, householdAddresses, { log = console.log } = {}) {
+  const enrolled = [];
+  const skipped = [];
+  for (const h of households) {
+    const payout = householdAddresses[h.id];
+    if (!payout) throw new Error(`No payout address for ${h.id}`);
+    const current = await registry.households(householdIdOf(h.id));
+    if (STATUS[Number(current.status)] !== "None") {
+      if (ethers.getAddress(current.payout) !== ethers.getAddress(payout)) {
+        throw new Error(`${h.id} is enrolled with payout ${current.payout}, expected ${payout}`);
+      }
+      skipped.push(h.id);
+      continue;
+    }
+    const region = h.region ?? 0;
+    await (await registry.enrollFor(householdIdOf(h.id), payout, region, assetMask(h.flex_assets))).wait();
+    enrolled.push(h.id);
+    log(`  ✓ ${h.id} → ${payout}  region ${region}  (${h.flex_assets})`);
+  }
+  return { enrolled, skipped };
+}
+
+async function main() {
+  const deployed = JSON.parse(fs.readFileSync(path.join(DATA_DIR, "deployed.json"), "utf-8"));
+  const registryAddress = process.env.HOUSEHOLD_REGISTRY_ADDRESS || deployed.householdRegistry;
+  if (!registryAddress) throw new Error("Missing HOUSEHOLD_REGISTRY_ADDRESS (or householdRegistry in deployed.json)");
+  const addressesPath =
+    process.env.HOUSEHOLD_ADDRESSES_PATH || path.join(DATA_DIR, "household_addresses.json");
+
+  const { households } = JSON.parse(fs.readFileSync(path.join(DATA_DIR, "households.json"), "utf-8"));
+  const householdAddresses = JSON.parse(fs.readFileSync(addressesPath, "utf-8"));
+
+  const HouseholdRegistry = await ethers.getContractFactory("HouseholdRegistry");
+  const registry = HouseholdRegistry.attach(registryAddress);
+  console.log(`HouseholdRegistry @ ${registryAddress}`);
+
+  const { enrolled, skipped } = await enrollHouseholds(registry, households, householdAddresses);
+  console.log(`\nEnrolled ${enrolled.length}, already enrolled ${skipped.length}`);
+  console.log(`Approved households: ${await registry.approvedCount()}`);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  ASSET_BITS,
+  STATUS,
+  assetMask,
+  householdIdOf,
+  enrollHouseholds,
+};
@@ -0,0 +1,43 @@
+/**
+ * Process exit codes shared by the flexdao CLI and the scripts it runs.
+ *
+ *   0  ok
+ *   1  error         RPC/network failure, bad artifact, anything unexpected
+ *   2  usage         unknown command or flag, missing config value
+ *   3  check failed  attestation not verified, stale or not covering a slot; signer lacks a role
+ *   4  not ready     too few confirmations, proof or tx not available yet (retry later)
+ *
+ * Scripts throw the matching error class and exit with exitCodeOf(err).
+ */
+
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  checkFailed: 3,
+  notReady: 4,
+};
+
+class UsageError extends Error {
+  get exitCode() {
+    return EXIT_CODES.usage;
+  }
+}
+
+class CheckFailedError extends Error {
+  get exitCode() {
+    return EXIT_CODES.checkFailed;
+  }
+}
+
+class NotReadyError extends Error {
+  get exitCode() {
+    return EXIT_CODES.notReady;
+  }
+}
+
+function exitCodeOf(err) {
+  return err && Number.isInteger(err.exitCode) ? err.exitCode : EXIT_CODES.error;
+}
+
+module.exports = { EXIT_CODES, UsageError, CheckFailedError, NotReadyError, exitCodeOf };
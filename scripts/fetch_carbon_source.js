@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * FlexDAO — Fetch carbon intensity from any carbon source adapter
+ *
+ * Same output as backend/fetch_carbon.py (backend/data/carbon_week.json, the
+ * last 7 days of half-hourly {from, to, intensity} slots), but for any source
+ * in scripts/carbon_sources — e.g. one UK region instead of the national mix.
+ *
+ * With --regions it instead fetches every grid region used in households.json
+ * (uk-regional, same window as carbon_week.json) into backend/data/carbon_regions.json,
+ * { "<region>": [slots] }, which fdc_stub.js turns into regional attestations.
+ *
+ * Usage:
+ *   CARBON_SOURCE=uk-regional CARBON_REGION_ID=13 node scripts/fetch_carbon_source.js
+ *   CARBON_SOURCE=uk-regional node scripts/fetch_carbon_source.js --fixture response.json   (offline)
+ *   node scripts/fetch_carbon_source.js --regions
+ *
+ * Env: CARBON_SOURCE (default uk-national), CARBON_REGION_ID, CARBON_API_BASE,
+ * CARBON_DAYS (default 7), CARBON_OUT_PATH (default backend/data/carbon_week.json).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_SOURCE, getSource } = require("./carbon_sources");
+
+const HALF_HOUR_MS = 30 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATA_DIR = path.join(__dirname, "..", "backend", "data");
+
+const DEFAULTS = {
+  days: 7,
+  outPath: path.join(DATA_DIR, "carbon_week.json"),
+  regionsOutPath: path.join(DATA_DIR, "carbon_regions.json"),
+  regionalSource: "uk-regional",
+};
+
+// Carbon-intensity API timestamps: minute precision, "Z" suffix.
+function toApiIso(ms) {
+  return new Date(ms).toISOString().replace(/:\d{2}\.\d{3}Z$/, "Z");
+}
+
+// Window of `days` ending at the last half-hour boundary before nowMs.
+function lastWindow(nowMs, days) {
+  const endMs = Math.floor(nowMs / HALF_HOUR_MS) * HALF_HOUR_MS;
+  return { fromIso: toApiIso(endMs - days * DAY_MS), toIso: toApiIso(endMs) };
+}
+
+async function fetchSlots({ source, baseUrl, region, fromIso, toIso }) {
+  const url = source.buildUrl({ baseUrl, fromIso, toIso, region });
+  console.log(`Fetching ${source.description}\n  URL: ${url}`);
+  const res = await globalThis.fetch(url);
+  if (!res.ok) throw new Error(`Carbon API ${res.status} for ${url}`);
+  return source.normalize(await res.json());
+}
+
+// Distinct non-national grid regions of the simulated households.
+function householdRegions(households) {
+  return [...new Set(households.map((h) => h.region).filter(Boolean))].sort((a, b) => a - b);
+}
+
+async function fetchRegions() {
+  const source = getSource(DEFAULTS.regionalSource);
+  const { households } = JSON.parse(fs.readFileSync(path.join(DATA_DIR, "households.json"), "utf8"));
+  // Align with the national week so every regional slot has a national counterpart
+  const national = fs.existsSync(DEFAULTS.outPath) ? JSON.parse(fs.readFileSync(DEFAULTS.outPath, "utf8")) : [];
+  const window = national.length
+    ? { fromIso: national[0].from, toIso: national[national.length - 1].to }
+    : lastWindow(Date.now(), DEFAULTS.days);
+
+  const regions = {};
+  for (const region of householdRegions(households)) {
+    regions[region] = await fetchSlots({
+      source,
+      baseUrl: process.env.CARBON_API_BASE,
+      region,
+      ...window,
+    });
+  }
+  const outPath = process.env.CARBON_OUT_PATH || DEFAULTS.regionsOutPath;
+  fs.writeFileSync(outPath, JSON.stringify(regions, null, 2));
+  console.log(`✓ Saved ${Object.keys(regions).length} regions → ${outPath}`);
+}
+
+async function main() {
+  if (process.argv.includes("--regions")) return fetchRegions();
+  const source = getSource(process.env.CARBON_SOURCE || DEFAULT_SOURCE);
+  const outPath = process.env.CARBON_OUT_PATH || DEFAULTS.outPath;
+  const fixtureIdx = process.argv.indexOf("--fixture");
+
+  let slots;
+  if (fixtureIdx >= 0) {
+    const fixturePath = process.argv[fixtureIdx + 1];
+    if (!fixturePath) throw new Error("--fixture needs a path to a recorded API response");
+    slots = source.normalize(JSON.parse(fs.readFileSync(fixturePath, "utf8")));
+  } else {
+    const days = Number(process.env.CARBON_DAYS || DEFAULTS.days);
+    slots = await fetchSlots({
+      source,
+      baseUrl: process.env.CARBON_API_BASE,
+      region: process.env.CARBON_REGION_ID,
+      ...lastWindow(Date.now(), days),
+    });
+  }
+  if (slots.length === 0) throw new Error(`${source.id} returned no slots`);
+
+  fs.writeFileSync(outPath, JSON.stringify(slots, null, 2));
+  console.log(`✓ Saved ${slots.length} ${source.id} slots → ${outPath}`);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
+}
+
+module.exports = { lastWindow, householdRegions, fetchSlots };
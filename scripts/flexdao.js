@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+/**
+ * flexdao — one command for the FDC pipeline, rewards and the local demo.
+ *
+ * Settings come from a network profile in flexdao.config.json (see
+ * scripts/flexdao_config.js); each subcommand runs the existing script with the
+ * profile mapped onto that script's env vars and its artifact under the
+ * profile's outDir.
+ *
+ * Usage:
+ *   flexdao [--network <name>] [--config <path>] [--json] <command> [options]
+ *
+ * --json prints one JSON object on stdout: { command, network, ok, exitCode,
+ * artifact, result, error }, where result is the artifact the command wrote.
+ * Script output goes to stderr. Exit codes: scripts/exit_codes.js.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { parseArgs } = require("util");
+const { resolveProfile, artifactPaths, profileEnv } = require("./flexdao_config");
+const { assertAttestationUsable } = require("./check_attestation");
+const { EXIT_CODES, UsageError, exitCodeOf } = require("./exit_codes");
+
+const ROOT = path.join(__dirname, "..");
+const DEPLOYED_PATH = path.join(ROOT, "backend", "data", "deployed.json");
+
+const OPTIONS = {
+  network: { type: "string" },
+  config: { type: "string" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+  source: { type: "string" },
+  url: { type: "string" },
+  round: { type: "string" },
+  attestation: { type: "string" },
+  slot: { type: "string", multiple: true },
+  function: { type: "string" },
+  args: { type: "string" },
+  execute: { type: "boolean" },
+  owner: { type: "string" },
+  tx: { type: "string" },
+  data: { type: "boolean" },
+};
+const GLOBAL_OPTIONS = ["network", "config", "json", "help"];
+
+const USAGE = `Usage: flexdao [--network <name>] [--config <path>] [--json] <command> [options]
+
+Commands:
+  attest    [--source <id>] [--url <api url>]      Submit a Web2Json attestation request to the FDC hub
+  proof     [--round <id>]                         Poll the DA layer for the request's proof
+  verify    [--attestation <tx>] [--slot <slot>]…  Check the attestation on-chain; fails unless it can back a reward
+  reward    [--function <name>] [--args <json>] [--attestation <tx>] [--slot <slot>]… [--execute]
+                                                   Verify, then dry-run (default) or send a reward call
+  inspect   attestation [tx] | reward <tx>         Print and save an on-chain inspection report
+  deploy    local | mock | reward-tx [--owner <address>] [--tx <deploy tx>]
+                                                   Deploy the demo contracts, the mock FDC stack, or build a MetaMask deploy tx
+  simulate  [--data]                               Local demo: attest, deploy, relay, demo flow (--data: fetch + simulate first)
+
+Options:
+  --network <name>  Profile in the config file (default: FLEXDAO_NETWORK, then defaultNetwork)
+  --config <path>   Config file (default: FLEXDAO_CONFIG, then ./flexdao.config.json)
+  --json            Print the result as JSON on stdout; script output goes to stderr
+
+Exit codes: 0 ok, 1 error, 2 usage, 3 check failed, 4 not ready (retry later)`;
+
+function parseCli(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const [command, ...positionals] = parsed.positionals;
+  return { command, positionals, flags: parsed.values };
+}
+
+// Artifact JSON, only if this run wrote it
+function readArtifact(filePath, sinceMs) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  if (fs.statSync(filePath).mtimeMs < sinceMs) return null;
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+// Runs one step; a non-zero exit ends the command with the same code
+function run(ctx, cmd, args, env = {}) {
+  const result = spawnSync(cmd, args, {
+    cwd: ROOT,
+    env: { ...process.env, ...ctx.env, ...env },
+    // --json keeps stdout for the result
+    stdio: ctx.json ? ["inherit", 2, "inherit"] : "inherit",
+  });
+  if (result.error) throw result.error;
+  if (result.status !== 0) {
+    const script = args.find((arg) => /\.(js|py)$/.test(arg)) || cmd;
+    const err = new Error(`${path.basename(script)} failed (exit ${result.status ?? result.signal}).`);
+    err.exitCode = result.status || EXIT_CODES.error;
+    throw err;
+  }
+}
+
+function runNode(ctx, script, env) {
+  run(ctx, process.execPath, [path.join(ROOT, script)], env);
+}
+
+function hardhatNetworkOf(ctx) {
+  if (!ctx.profile.hardhatNetwork) {
+    throw new UsageError(`Network "${ctx.network}" has no hardhatNetwork; use --network localhost or mock.`);
+  }
+  return ctx.profile.hardhatNetwork;
+}
+
+function runHardhat(ctx, script, env) {
+  run(ctx, "npx", ["hardhat", "run", script, "--network", hardhatNetworkOf(ctx)], env);
+}
+
+// Flag values as env vars, skipping flags that were not given
+function flagEnv(pairs) {
+  return Object.fromEntries(pairs.filter(([, value]) => value !== undefined && value !== null));
+}
+
+function slotsEnv(flags) {
+  return flags.slot ? flags.slot.join(",") : undefined;
+}
+
+const COMMANDS = {
+  attest: {
+    positionals: 0,
+    options: ["source", "url"],
+    run(ctx, { flags }) {
+      runNode(ctx, "fdc-carbon/request_jsonapi_attestation.js", {
+        OUT_PATH: ctx.paths.requestSubmission,
+        ...flagEnv([
+          ["CARBON_SOURCE", flags.source],
+          ["API_URL", flags.url],
+        ]),
+      });
+      return ctx.paths.requestSubmission;
+    },
+  },
+
+  proof: {
+    positionals: 0,
+    options: ["round"],
+    run(ctx, { flags }) {
+      runNode(ctx, "fdc-carbon/fetch_da_proof.js", {
+        OUT_PATH: ctx.paths.daProof,
+        ...flagEnv([["VOTING_ROUND_ID", flags.round]]),
+      });
+      return ctx.paths.daProof;
+    },
+  },
+
+  verify: {
+    positionals: 0,
+    options: ["attestation", "slot"],
+    run(ctx, { flags }) {
+      runNode(ctx, "scripts/check_attestation.js", {
+        ATTESTATION_MODE: "real",
+        ...flagEnv([
+          ["ATTESTATION_TX_HASH", flags.attestation],
+          ["REWARD_SLOTS", slotsEnv(flags)],
+        ]),
+      });
+      return ctx.paths.checkResult;
+    },
+    // The check script only fails on errors; a result that can't back a reward fails here
+    check(result) {
+      if (!result) throw new Error("check_attestation.js wrote no result.");
+      assertAttestationUsable(result);
+    },
+  },
+
+  reward: {
+    positionals: 0,
+    options: ["function", "args", "attestation", "slot", "execute"],
+    run(ctx, { flags }) {
+      runNode(ctx, "scripts/run_reward_flow.js", {
+        ATTESTATION_MODE: "real",
+        DRY_RUN: flags.execute ? "0" : "1",
+        ...flagEnv([
+          ["REWARD_FUNCTION_NAME", flags.function],
+          ["REWARD_FUNCTION_ARGS_JSON", flags.args],
+          ["ATTESTATION_TX_HASH", flags.attestation],
+          ["REWARD_SLOTS", slotsEnv(flags)],
+        ]),
+      });
+      return ctx.paths.rewardFlow;
+    },
+  },
+
+  inspect: {
+    positionals: 2,
+    options: [],
+    run(ctx, { positionals }) {
+      const [kind, tx] = positionals;
+      if (kind === "attestation") {
+        // Like verify, default to the last request made with this profile
+        const submission = fs.existsSync(ctx.paths.requestSubmission)
+          ? JSON.parse(fs.readFileSync(ctx.paths.requestSubmission, "utf8"))
+          : {};
+        const txHash = tx || process.env.ATTESTATION_TX_HASH || submission.txHash;
+        if (!txHash) throw new UsageError("inspect attestation needs a tx hash (no request_submission.json).");
+        runNode(ctx, "scripts/inspect_attestation_tx.js", { ATTESTATION_MODE: "real", ATTESTATION_TX_HASH: txHash });
+        return ctx.paths.inspectAttestation;
+      }
+      if (kind === "reward") {
+        if (!tx) throw new UsageError("inspect reward needs the reward tx hash.");
+        runNode(ctx, "scripts/inspect_reward_tx.js", { ATTESTATION_MODE: "real", REWARD_TX_HASH: tx });
+        return ctx.paths.inspectReward;
+      }
+      throw new UsageError("inspect needs a target: attestation or reward.");
+    },
+  },
+
+  deploy: {
+    positionals: 1,
+    options: ["owner", "tx"],
+    run(ctx, { positionals, flags }) {
+      const [target] = positionals;
+      if (target === "local") {
+        runHardhat(ctx, "scripts/deploy.js", { ATTESTATION_MODE: "simulation" });
+        return DEPLOYED_PATH;
+      }
+      if (target === "mock") {
+        runHardhat(ctx, "scripts/deploy_mock_fdc.js");
+        return ctx.paths.mockDeployment;
+      }
+      if (target === "reward-tx") {
+        runNode(
+          ctx,
+          "scripts/build_deploy_reward_executor_tx.js",
+          flagEnv([
+            ["OWNER_ADDRESS", flags.owner],
+            ["DEPLOY_TX_HASH", flags.tx],
+          ])
+        );
+        return ctx.paths.deployTx;
+      }
+      throw new UsageError("deploy needs a target: local, mock or reward-tx.");
+    },
+  },
+
+  simulate: {
+    positionals: 0,
+    options: ["data"],
+    run(ctx, { flags }) {
+      const env = { ATTESTATION_MODE: "simulation" };
+      hardhatNetworkOf(ctx); // before any step writes demo data
+      if (flags.data) {
+        run(ctx, "python3", [path.join(ROOT, "backend", "fetch_carbon.py")], env);
+        run(ctx, "python3", [path.join(ROOT, "backend", "simulate.py")], env);
+      }
+      runNode(ctx, "backend/fdc_stub.js", env);
+      runHardhat(ctx, "scripts/deploy.js", env);
+      runNode(ctx, "backend/fdc_to_contract_stub.js", env);
+      runHardhat(ctx, "scripts/demoFlow.js", env);
+      return DEPLOYED_PATH;
+    },
+  },
+};
+
+/**
+ * Runs one CLI invocation.
+ * @returns {Promise<number>} exit code
+ */
+async function main(argv = process.argv.slice(2), { stdout = process.stdout, stderr = process.stderr } = {}) {
+  const startedMs = Date.now();
+  const report = { command: null, network: null, ok: false, exitCode: EXIT_CODES.error, artifact: null, result: null };
+  let json = argv.includes("--json");
+
+  try {
+    const { command, positionals, flags } = parseCli(argv);
+    json = Boolean(flags.json);
+    report.command = command || null;
+    if (flags.help || !command) {
+      if (!command && !flags.help) throw new UsageError("No command given.");
+      stdout.write(`${USAGE}\n`);
+      return EXIT_CODES.ok;
+    }
+    const spec = COMMANDS[command];
+    if (!spec) throw new UsageError(`Unknown command: ${command}`);
+    if (positionals.length > spec.positionals) {
+      throw new UsageError(`${command}: unexpected argument ${positionals[spec.positionals]}`);
+    }
+    const allowed = new Set([...GLOBAL_OPTIONS, ...spec.options]);
+    const extra = Object.keys(flags).filter((name) => !allowed.has(name));
+    if (extra.length) {
+      throw new UsageError(`${command} does not take ${extra.map((name) => `--${name}`).join(", ")}`);
+    }
+
+    const { network, profile } = resolveProfile({ configPath: flags.config, network: flags.network });
+    report.network = network;
+    const ctx = { network, profile, paths: artifactPaths(profile), env: profileEnv(profile), json };
+
+    report.artifact = spec.run(ctx, { positionals, flags });
+    report.result = readArtifact(report.artifact, startedMs);
+    if (spec.check) spec.check(report.result);
+    report.ok = true;
+    report.exitCode = EXIT_CODES.ok;
+  } catch (err) {
+    report.exitCode = exitCodeOf(err);
+    report.error = err.message || String(err);
+    if (!json) {
+      stderr.write(`${report.error}\n`);
+      if (err instanceof UsageError) stderr.write("Run flexdao --help for usage.\n");
+    }
+  }
+
+  if (json) stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  return report.exitCode;
+}
+
+if (require.main === module) {
+  main().then((code) => process.exit(code));
+}
+
+module.exports = { main, parseCli, COMMANDS };
@@ -0,0 +1,239 @@
+/**
+ * Config profiles for the flexdao CLI (scripts/flexdao.js).
+ *
+ * flexdao.config.json (or --config / FLEXDAO_CONFIG) holds one profile per
+ * network under `networks`; --network / FLEXDAO_NETWORK picks one, else
+ * `defaultNetwork`. A profile value is overridden by FLEXDAO_<KEY> in the
+ * environment (e.g. FLEXDAO_RPC_URL, FLEXDAO_REWARD_EXECUTOR).
+ *
+ * A profile runs on the chain named by `flareNetwork`, or by the profile's own
+ * name when it is one of scripts/networks.js; that network's RPC, chain ID,
+ * verifier, DA layer, voting round timing and pinned FDC contracts fill in
+ * whatever the profile leaves out.
+ *
+ * The scripts the CLI runs still read their own env var names; profileEnv()
+ * maps each setting onto all of them (rpcUrl → RPC_URL and FLARE_RPC_URL, ...),
+ * so every script of one run sees the same value.
+ *
+ * Keys and secrets never go in the file: FLEXDAO_PRIVATE_KEY (or PRIVATE_KEY /
+ * FLARE_SIGNER_KEY), FLEXDAO_VERIFIER_API_KEY (or VERIFIER_API_KEY) and
+ * FLEXDAO_KEYSTORE_PASSWORD (or SIGNER_KEYSTORE_PASSWORD).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { UsageError } = require("./exit_codes");
+const { NETWORKS, getNetwork } = require("./networks");
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "..", "flexdao.config.json");
+
+// Profile key → env vars of the scripts that read it
+const SETTINGS = {
+  flareNetwork: ["FLARE_NETWORK"],
+  rpcUrl: ["RPC_URL", "FLARE_RPC_URL"],
+  chainId: ["FLARE_CHAIN_ID"],
+  fdcHub: ["FDC_HUB_ADDRESS", "FDC_ATTESTATION_CONTRACT"],
+  fdcVerification: ["FDC_VERIFICATION_CONTRACT", "FDC_VERIFICATION_ADDRESS"],
+  contractRegistry: ["CONTRACT_REGISTRY_ADDRESS"],
+  verifierBase: ["VERIFIER_BASE"],
+  daBase: ["DA_BASE"],
+  rewardExecutor: ["REWARD_CONTRACT_ADDRESS"],
+  intensityOracle: ["INTENSITY_ORACLE_ADDRESS"],
+  confirmations: ["CONFIRMATIONS"],
+  carbonSource: ["CARBON_SOURCE"],
+  carbonRegion: ["CARBON_REGION_ID"],
+  apiUrl: ["API_URL"],
+  apiResponsePath: ["API_RESPONSE_PATH"],
+  expectedMic: ["EXPECTED_MIC"],
+  firstVotingRoundStartTs: ["FDC_FIRST_VOTING_ROUND_START_TS"],
+  votingEpochSeconds: ["FDC_VOTING_EPOCH_SECONDS"],
+  maxAttestationAgeSeconds: ["MAX_ATTESTATION_AGE_SECONDS"],
+  proofPollIntervalMs: ["INTERVAL_MS"],
+  proofMaxIntervalMs: ["MAX_INTERVAL_MS"],
+  proofMaxAttempts: ["MAX_ATTEMPTS"],
+  signerMode: ["SIGNER_MODE"],
+  signerAddress: ["SIGNER_ADDRESS"],
+  signerKeystore: ["SIGNER_KEYSTORE_PATH"],
+  signerRpcUrl: ["SIGNER_RPC_URL"],
+  signerBridgePort: ["SIGNER_BRIDGE_PORT"],
+  rewardConfirmations: ["REWARD_CONFIRMATIONS"],
+  minIntensity: ["MIN_INTENSITY"],
+};
+
+// Read by the CLI itself rather than passed to the scripts
+const CLI_SETTINGS = ["outDir", "deploymentPath", "hardhatNetwork"];
+
+// Relative to the config file
+const PATH_SETTINGS = ["apiResponsePath", "signerKeystore", "outDir", "deploymentPath"];
+
+// Env-only; first name is the FLEXDAO_ one
+const SECRETS = {
+  privateKey: ["FLEXDAO_PRIVATE_KEY", "PRIVATE_KEY", "FLARE_SIGNER_KEY"],
+  verifierApiKey: ["FLEXDAO_VERIFIER_API_KEY", "VERIFIER_API_KEY"],
+  keystorePassword: ["FLEXDAO_KEYSTORE_PASSWORD", "SIGNER_KEYSTORE_PASSWORD"],
+};
+
+// deploy_mock_fdc.js output key → profile key
+const DEPLOYMENT_SETTINGS = {
+  fdcHub: "fdcHub",
+  fdcVerification: "fdcVerification",
+  contractRegistry: "contractRegistry",
+  rewardExecutor: "rewardExecutor",
+  fdcIntensityOracle: "intensityOracle",
+};
+
+// Settings a scripts/networks.js network supplies under the same key
+const NETWORK_SETTINGS = ["rpcUrl", "chainId", "verifierBase", "daBase", "firstVotingRoundStartTs", "votingEpochSeconds"];
+
+// rpcUrl → FLEXDAO_RPC_URL
+function overrideVarOf(key) {
+  return `FLEXDAO_${key.replace(/([A-Z])/g, "_$1").toUpperCase()}`;
+}
+
+function loadConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new UsageError(`Config file not found: ${configPath}`);
+  }
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (err) {
+    throw new UsageError(`Invalid config file ${configPath}: ${err.message}`);
+  }
+  if (!config.networks || typeof config.networks !== "object") {
+    throw new UsageError(`${configPath} has no "networks" profiles.`);
+  }
+  return config;
+}
+
+// Network defaults for a profile; registry-only contracts are left to the scripts
+function networkDefaults(name) {
+  let network;
+  try {
+    network = getNetwork(name);
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const defaults = {};
+  for (const key of NETWORK_SETTINGS) {
+    if (network[key] !== undefined) defaults[key] = network[key];
+  }
+  if (network.contracts.FdcHub) defaults.fdcHub = network.contracts.FdcHub;
+  if (network.contracts.FdcVerification) defaults.fdcVerification = network.contracts.FdcVerification;
+  return defaults;
+}
+
+/**
+ * Resolves one network profile:
+ * network defaults < deployment file < profile < FLEXDAO_* env.
+ * @param {object} [opts]
+ * @param {string} [opts.configPath] Defaults to FLEXDAO_CONFIG, then ./flexdao.config.json
+ * @param {string} [opts.network] Defaults to FLEXDAO_NETWORK, then the file's defaultNetwork
+ * @returns {{ network: string, configPath: string, profile: object }}
+ */
+function resolveProfile({ configPath, network, env = process.env } = {}) {
+  const resolvedPath = path.resolve(configPath || env.FLEXDAO_CONFIG || DEFAULT_CONFIG_PATH);
+  const config = loadConfig(resolvedPath);
+  const name = network || env.FLEXDAO_NETWORK || config.defaultNetwork;
+  if (!name) {
+    throw new UsageError(`No network given and ${resolvedPath} has no defaultNetwork.`);
+  }
+  const fileProfile = config.networks[name];
+  if (!fileProfile) {
+    throw new UsageError(
+      `Unknown network "${name}" (profiles in ${resolvedPath}: ${Object.keys(config.networks).join(", ")}).`
+    );
+  }
+
+  const known = new Set([...Object.keys(SETTINGS), ...CLI_SETTINGS]);
+  for (const key of Object.keys(fileProfile)) {
+    if (SECRETS[key]) {
+      throw new UsageError(`networks.${name}.${key}: keep secrets out of the config file; set ${SECRETS[key][0]}.`);
+    }
+    if (!known.has(key)) throw new UsageError(`networks.${name}: unknown setting "${key}".`);
+  }
+
+  const baseDir = path.dirname(resolvedPath);
+  const profile = { ...fileProfile };
+  for (const key of [...known]) {
+    const override = env[overrideVarOf(key)];
+    if (override !== undefined && override !== "") profile[key] = override;
+  }
+  for (const key of PATH_SETTINGS) {
+    if (profile[key] !== undefined) profile[key] = path.resolve(baseDir, String(profile[key]));
+  }
+  if (!profile.outDir) profile.outDir = path.join(baseDir, "fdc-carbon", "out");
+
+  // Addresses from the last deploy_mock_fdc.js run fill in what the profile leaves out
+  if (profile.deploymentPath && fs.existsSync(profile.deploymentPath)) {
+    const deployment = JSON.parse(fs.readFileSync(profile.deploymentPath, "utf8"));
+    for (const [from, to] of Object.entries(DEPLOYMENT_SETTINGS)) {
+      if (profile[to] === undefined && deployment[from]) profile[to] = deployment[from];
+    }
+  }
+
+  if (!profile.flareNetwork && NETWORKS[name]) profile.flareNetwork = name;
+  if (profile.flareNetwork) {
+    for (const [key, value] of Object.entries(networkDefaults(profile.flareNetwork))) {
+      if (profile[key] === undefined) profile[key] = value;
+    }
+  }
+  return { network: name, configPath: resolvedPath, profile };
+}
+
+// Artifact paths of one profile, all under outDir
+function artifactPaths(profile) {
+  const at = (file) => path.join(profile.outDir, file);
+  return {
+    requestSubmission: at("request_submission.json"),
+    daProof: at("da_proof.json"),
+    checkResult: at("check_attestation_result.json"),
+    inspectAttestation: at("inspect_attestation_result.json"),
+    inspectReward: at("inspect_reward_result.json"),
+    rewardFlow: at("reward_flow_result.json"),
+    deployTx: at("metamask_deploy_reward_executor_tx.json"),
+    mockDeployment: profile.deploymentPath || at("mock_fdc_deployment.json"),
+  };
+}
+
+/**
+ * Env for the scripts run under `profile`: every setting under each of its
+ * script names, the shared artifact paths and the secrets.
+ */
+function profileEnv(profile, env = process.env) {
+  const out = {};
+  for (const [key, names] of Object.entries(SETTINGS)) {
+    if (profile[key] === undefined || profile[key] === null) continue;
+    for (const name of names) out[name] = String(profile[key]);
+  }
+
+  const paths = artifactPaths(profile);
+  Object.assign(out, {
+    REQUEST_SUBMISSION_PATH: paths.requestSubmission,
+    DA_PROOF_PATH: paths.daProof,
+    CHECK_ATTESTATION_OUT_PATH: paths.checkResult,
+    INSPECT_ATTESTATION_OUT_PATH: paths.inspectAttestation,
+    INSPECT_REWARD_OUT_PATH: paths.inspectReward,
+    REWARD_FLOW_OUT_PATH: paths.rewardFlow,
+    DEPLOY_TX_OUT_DIR: path.dirname(paths.deployTx),
+    MOCK_FDC_DEPLOYMENT_PATH: paths.mockDeployment,
+  });
+
+  for (const names of Object.values(SECRETS)) {
+    const value = names.map((name) => env[name]).find(Boolean);
+    if (!value) continue;
+    for (const name of names.slice(1)) out[name] = value;
+  }
+  return out;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  SETTINGS,
+  SECRETS,
+  overrideVarOf,
+  loadConfig,
+  resolveProfile,
+  artifactPaths,
+  profileEnv,
+};
@@ -3,6 +3,7 @@
 const fs = require("fs");
 const path = require("path");
 const { ethers } = require("ethers");
+const { getNetwork, networkSetting } = require("./networks");
 const { checkAttestation } = require("./check_attestation");
 const { assertRealMode } = require("./attestation_mode");
 
@@ -65,8 +66,9 @@ function decodeHubMethod(transaction) {
 async function main() {
   assertRealMode("inspect_attestation_tx.js");
 
-  const rpcUrl = mustEnv("FLARE_RPC_URL");
-  const expectedChainId = BigInt(mustEnv("FLARE_CHAIN_ID"));
+  const flareNetwork = getNetwork();
+  const rpcUrl = networkSetting(flareNetwork, "rpcUrl", "FLARE_RPC_URL");
+  const expectedChainId = BigInt(networkSetting(flareNetwork, "chainId", "FLARE_CHAIN_ID"));
   const txHash = mustEnv("ATTESTATION_TX_HASH");
   const confirmationsRequired = Number(process.env.CONFIRMATIONS || DEFAULT_CONFIRMATIONS);
 
@@ -3,6 +3,7 @@
 const fs = require("fs");
 const path = require("path");
 const { ethers } = require("ethers");
+const { getNetwork, networkSetting } = require("./networks");
 const { assertRealMode } = require("./attestation_mode");
 
 const DEFAULT_CONFIRMATIONS = 12;
@@ -46,8 +47,9 @@ function decodeFunctionCall(iface, tx) {
 async function main() {
   assertRealMode("inspect_reward_tx.js");
 
-  const rpcUrl = mustEnv("FLARE_RPC_URL");
-  const expectedChainId = BigInt(mustEnv("FLARE_CHAIN_ID"));
+  const flareNetwork = getNetwork();
+  const rpcUrl = networkSetting(flareNetwork, "rpcUrl", "FLARE_RPC_URL");
+  const expectedChainId = BigInt(networkSetting(flareNetwork, "chainId", "FLARE_CHAIN_ID"));
   const rewardTxHash = mustEnv("REWARD_TX_HASH");
   const rewardContractAddress = normalizeAddress(mustEnv("REWARD_CONTRACT_ADDRESS"));
   const confirmationsRequired = Number(process.env.CONFIRMATIONS || DEFAULT_CONFIRMATIONS);
@@ -166,8 +168,12 @@ async function main() {
   console.log(`Saved: ${outPath}`);
 }
 
-main().catch((err) => {
-  console.error(err.message || err);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
+}
+
+module.exports = { REWARD_EXECUTOR_ABI };
 
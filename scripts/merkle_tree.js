@@ -0,0 +1,62 @@
+/**
+ * Sorted-pair keccak256 Merkle tree (matches contracts/MerkleProof.sol).
+ *
+ * Leaves are bytes32 hex strings. They are sorted and de-duplicated, then laid
+ * out as a complete binary tree in an array (root at index 0, leaves at the
+ * end), so a proof is just the list of sibling hashes from leaf to root.
+ */
+
+const { ethers } = require("ethers");
+
+function hashPair(a, b) {
+  const [lo, hi] = BigInt(a) < BigInt(b) ? [a, b] : [b, a];
+  return ethers.keccak256(ethers.concat([lo, hi]));
+}
+
+function buildMerkleTree(leaves) {
+  const sorted = [...new Set(leaves.map((l) => ethers.hexlify(l).toLowerCase()))].sort(
+    (a, b) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0)
+  );
+  if (sorted.length === 0) {
+    return { root: ethers.ZeroHash, leaves: [], getProof: () => [] };
+  }
+
+  const n = sorted.length;
+  const tree = new Array(2 * n - 1);
+  for (let i = 0; i < n; i++) {
+    tree[n - 1 + i] = sorted[i];
+  }
+  for (let i = n - 2; i >= 0; i--) {
+    tree[i] = hashPair(tree[2 * i + 1], tree[2 * i + 2]);
+  }
+
+  const indexOf = new Map(sorted.map((leaf, i) => [leaf, n - 1 + i]));
+
+  function getProof(leaf) {
+    let idx = indexOf.get(ethers.hexlify(leaf).toLowerCase());
+    if (idx === undefined) throw new Error(`Leaf not in tree: ${leaf}`);
+    const proof = [];
+    while (idx > 0) {
+      const sibling = idx % 2 === 1 ? idx + 1 : idx - 1;
+      proof.push(tree[sibling]);
+      idx = Math.floor((idx - 1) / 2);
+    }
+    return proof;
+  }
+
+  return { root: tree[0], leaves: sorted, getProof };
+}
+
+function verifyMerkleProof(proof, root, leaf) {
+  let computed = leaf;
+  for (const sibling of proof) {
+    computed = hashPair(computed, sibling);
+  }
+  return computed.toLowerCase() === root.toLowerCase();
+}
+
+module.exports = {
+  hashPair,
+  buildMerkleTree,
+  verifyMerkleProof,
+};
@@ -0,0 +1,400 @@
+#!/usr/bin/env node
+/**
+ * FlexDAO — local mock of Flare's FDC off-chain services
+ *
+ * Lets the real-mode pipeline (request_jsonapi_attestation.js → fetch_da_proof.js
+ * → check_attestation.js → run_reward_flow.js) run end-to-end against a Hardhat
+ * node, with contracts/mocks/MockFdcHub.sol and MockFdcVerification.sol
+ * (deployed by scripts/deploy_mock_fdc.js) standing in for Coston2.
+ *
+ * Verifier (VERIFIER_BASE):
+ *   POST /verifier/web2/Web2Json/prepareRequest → { status, abiEncodedRequest }
+ *   POST /verifier/web2/Web2Json/mic            → { status, messageIntegrityCode }
+ *
+ * Web2 source (CARBON_API_BASE, for the attestation daemon):
+ *   GET  /intensity/:from/:to                   → the Web2 fixture bytes
+ *   GET  /regional/intensity/:from/:to/regionid/:id → the Web2 fixture bytes
+ *
+ * DA layer (DA_BASE):
+ *   GET  /api/v0/fsp/latest-voting-round        → { voting_round_id, start_time }
+ *   POST /api/v1/fdc/proof-by-request-round     → { response, proof }
+ *   POST /api/v0/fdc/get-proof-round-bytes      → { response, proof }
+ *
+ * Voting rounds are wall-clock windows of MOCK_FDC_ROUND_SECONDS. Once a round
+ * has ended, every AttestationRequest the hub emitted during it is answered,
+ * the responses are hashed into a sorted-pair Merkle tree (scripts/merkle_tree.js)
+ * and the root is published with MockFdcVerification.setMerkleRoot — the job of
+ * Flare's data providers and Relay. Requests whose MIC does not match the
+ * response are left out of the tree, as on Flare.
+ *
+ * Web2 data is read from MOCK_WEB2_RESPONSE_PATH (default fdc-carbon/api_response.json)
+ * whatever the URL, or fetched live with MOCK_WEB2_LIVE=1. Only the jq filters in
+ * JQ_FILTERS (".data | tostring" plus each carbon source adapter's) are supported.
+ *
+ * Usage:
+ *   node scripts/mock_fdc_server.js
+ *   MOCK_FDC_PORT=8600 MOCK_FDC_ROUND_SECONDS=5 node scripts/mock_fdc_server.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const { ethers } = require("ethers");
+const { buildMerkleTree } = require("./merkle_tree");
+const { SOURCES: CARBON_SOURCES } = require("./carbon_sources");
+const { LEGACY_JQ, parseAbiSignature } = require("./attested_payload");
+const { NETWORKS } = require("./networks");
+
+const DEFAULTS = {
+  port: 8600,
+  rpcUrl: NETWORKS.localhost.rpcUrl,
+  roundSeconds: 90,
+  deploymentPath: path.join(__dirname, "..", "fdc-carbon", "out", "mock_fdc_deployment.json"),
+  web2ResponsePath: path.join(__dirname, "..", "fdc-carbon", "api_response.json"),
+};
+
+const WEB2JSON_ATTESTATION_TYPE = ethers.encodeBytes32String("Web2Json");
+const PUBLIC_WEB2_SOURCE_ID = ethers.encodeBytes32String("PublicWeb2");
+
+const REQUEST_BODY_TYPE =
+  "tuple(string url,string httpMethod,string headers,string queryParams,string body,string postProcessJq,string abiSignature)";
+const RESPONSE_TYPE = `tuple(bytes32 attestationType,bytes32 sourceId,uint64 votingRound,uint64 lowestUsedTimestamp,${REQUEST_BODY_TYPE} requestBody,tuple(bytes abiEncodedData) responseBody)`;
+
+const MOCK_FDC_HUB_ABI = ["event AttestationRequest(bytes data, uint256 fee)"];
+const MOCK_FDC_VERIFICATION_ABI = [
+  "function merkleRoots(uint256) external view returns (bytes32)",
+  "function setMerkleRoot(uint256 votingRound, bytes32 root) external",
+];
+
+// Supported postProcessJq filters (whitespace-insensitive).
+const JQ_FILTERS = {
+  [LEGACY_JQ]: (json) => JSON.stringify(json.data),
+  ...Object.fromEntries(
+    Object.values(CARBON_SOURCES).map((source) => [source.postProcessJq, (json) => source.project(json)])
+  ),
+};
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function normalizeJq(jq) {
+  return jq.replace(/\s+/g, " ").replace(/\s*([{}|:,()])\s*/g, "$1").trim();
+}
+
+const NORMALIZED_JQ_FILTERS = new Map(
+  Object.entries(JQ_FILTERS).map(([jq, fn]) => [normalizeJq(jq), fn])
+);
+
+function applyJq(postProcessJq, json) {
+  const filter = NORMALIZED_JQ_FILTERS.get(normalizeJq(postProcessJq));
+  if (!filter) {
+    throw new HttpError(400, `Unsupported postProcessJq in mock: ${postProcessJq}`);
+  }
+  return filter(json);
+}
+
+function toRequestBody(body = {}) {
+  return {
+    url: body.url || "",
+    httpMethod: body.httpMethod || "GET",
+    headers: body.headers || "",
+    queryParams: body.queryParams || "",
+    body: body.body || "",
+    postProcessJq: body.postProcessJq || "",
+    abiSignature: body.abiSignature || "",
+  };
+}
+
+// Same layout as Flare's verifier: attestationType ‖ sourceId ‖ MIC ‖ abi.encode(requestBody).
+function encodeRequest({ attestationType, sourceId, requestBody }, mic) {
+  return ethers.concat([attestationType, sourceId, mic, coder.encode([REQUEST_BODY_TYPE], [requestBody])]);
+}
+
+function decodeRequest(requestBytes) {
+  const [requestBody] = coder.decode([REQUEST_BODY_TYPE], ethers.dataSlice(requestBytes, 96));
+  return {
+    attestationType: ethers.dataSlice(requestBytes, 0, 32),
+    sourceId: ethers.dataSlice(requestBytes, 32, 64),
+    mic: ethers.dataSlice(requestBytes, 64, 96),
+    requestBody: toRequestBody(requestBody.toObject()),
+  };
+}
+
+// Flare MIC: keccak256(abi.encode(response with votingRound = 0, "Flare")).
+function computeMic(response) {
+  return ethers.keccak256(coder.encode([RESPONSE_TYPE, "string"], [{ ...response, votingRound: 0 }, "Flare"]));
+}
+
+function responseLeaf(response) {
+  return ethers.keccak256(coder.encode([RESPONSE_TYPE], [response]));
+}
+
+function assertWeb2JsonRequest(request) {
+  if (request.attestationType.toLowerCase() !== WEB2JSON_ATTESTATION_TYPE.toLowerCase()) {
+    throw new HttpError(400, `Unsupported attestationType: ${request.attestationType}`);
+  }
+  if (request.sourceId.toLowerCase() !== PUBLIC_WEB2_SOURCE_ID.toLowerCase()) {
+    throw new HttpError(400, `Unsupported sourceId: ${request.sourceId}`);
+  }
+  if (!request.requestBody.url) {
+    throw new HttpError(400, "requestBody.url is required");
+  }
+}
+
+function createWeb2Loader({
+  live = process.env.MOCK_WEB2_LIVE === "1",
+  responsePath = process.env.MOCK_WEB2_RESPONSE_PATH || DEFAULTS.web2ResponsePath,
+} = {}) {
+  return async (url) => {
+    if (live) {
+      const res = await globalThis.fetch(url);
+      if (!res.ok) throw new HttpError(502, `Web2 fetch failed (${res.status}): ${url}`);
+      return res.json();
+    }
+    if (!fs.existsSync(responsePath)) {
+      throw new HttpError(500, `Web2 fixture not found: ${responsePath}`);
+    }
+    return JSON.parse(fs.readFileSync(responsePath, "utf8"));
+  };
+}
+
+function loadDeployment(deploymentPath = process.env.MOCK_FDC_DEPLOYMENT_PATH || DEFAULTS.deploymentPath) {
+  const deployment = fs.existsSync(deploymentPath)
+    ? JSON.parse(fs.readFileSync(deploymentPath, "utf8"))
+    : {};
+  const fdcHub = process.env.MOCK_FDC_HUB_ADDRESS || deployment.fdcHub;
+  const fdcVerification = process.env.MOCK_FDC_VERIFICATION_ADDRESS || deployment.fdcVerification;
+  if (!fdcHub || !fdcVerification) {
+    throw new Error(
+      `Mock FDC contracts unknown. Run scripts/deploy_mock_fdc.js or set MOCK_FDC_HUB_ADDRESS and MOCK_FDC_VERIFICATION_ADDRESS.`
+    );
+  }
+  return { fdcHub: ethers.getAddress(fdcHub), fdcVerification: ethers.getAddress(fdcVerification) };
+}
+
+/**
+ * Verifier + DA layer logic, independent of HTTP.
+ *
+ * @param {object} opts
+ * @param {ethers.Provider} opts.provider
+ * @param {string} opts.fdcHub MockFdcHub address
+ * @param {string} opts.fdcVerification MockFdcVerification address
+ * @param {ethers.Signer} [opts.signer] MockFdcVerification owner (defaults to the node's first account)
+ * @param {number} [opts.roundSeconds]
+ * @param {(url: string) => Promise<any>} [opts.loadWeb2Json]
+ * @param {() => number} [opts.now] Unix seconds
+ */
+function createMockFdc({
+  provider,
+  fdcHub,
+  fdcVerification,
+  signer = null,
+  roundSeconds = DEFAULTS.roundSeconds,
+  loadWeb2Json = createWeb2Loader(),
+  now = () => Math.floor(Date.now() / 1000),
+}) {
+  const hub = new ethers.Contract(fdcHub, MOCK_FDC_HUB_ABI, provider);
+  const verification = new ethers.Contract(fdcVerification, MOCK_FDC_VERIFICATION_ABI, provider);
+  const rounds = new Map(); // votingRound → Promise<{ root, entries }>
+
+  const roundOf = (timestamp) => Math.floor(Number(timestamp) / roundSeconds);
+  const isFinalized = (votingRound) => now() >= (votingRound + 1) * roundSeconds;
+
+  async function buildResponse(requestBody, votingRound) {
+    const json = await loadWeb2Json(requestBody.url);
+    const result = applyJq(requestBody.postProcessJq, json);
+    const abiEncodedData = coder.encode([parseAbiSignature(requestBody.abiSignature)], [result]);
+    return {
+      attestationType: WEB2JSON_ATTESTATION_TYPE,
+      sourceId: PUBLIC_WEB2_SOURCE_ID,
+      votingRound,
+      lowestUsedTimestamp: 0,
+      requestBody,
+      responseBody: { abiEncodedData },
+    };
+  }
+
+  async function prepareRequest(body) {
+    const request = {
+      attestationType: body.attestationType,
+      sourceId: body.sourceId,
+      requestBody: toRequestBody(body.requestBody),
+    };
+    assertWeb2JsonRequest(request);
+    const mic = computeMic(await buildResponse(request.requestBody, 0));
+    return { status: "VALID", abiEncodedRequest: encodeRequest(request, mic) };
+  }
+
+  async function mic(body) {
+    const { abiEncodedRequest } = await prepareRequest(body);
+    return { status: "VALID", messageIntegrityCode: decodeRequest(abiEncodedRequest).mic };
+  }
+
+  async function findRequest(requestBytes) {
+    const logs = await hub.queryFilter(hub.filters.AttestationRequest(), 0, "latest");
+    const target = ethers.hexlify(requestBytes).toLowerCase();
+    const matching = logs.filter((log) => log.args.data.toLowerCase() === target);
+    if (matching.length === 0) {
+      throw new HttpError(404, "Request not submitted to FdcHub");
+    }
+    const block = await provider.getBlock(matching[matching.length - 1].blockNumber);
+    return { votingRound: roundOf(block.timestamp) };
+  }
+
+  async function buildRound(votingRound) {
+    const logs = await hub.queryFilter(hub.filters.AttestationRequest(), 0, "latest");
+    const entries = new Map();
+    for (const log of logs) {
+      const block = await provider.getBlock(log.blockNumber);
+      if (roundOf(block.timestamp) !== votingRound) continue;
+      const requestBytes = log.args.data.toLowerCase();
+      if (entries.has(requestBytes)) continue;
+      try {
+        const request = decodeRequest(requestBytes);
+        assertWeb2JsonRequest(request);
+        const response = await buildResponse(request.requestBody, votingRound);
+        if (computeMic(response).toLowerCase() !== request.mic.toLowerCase()) {
+          entries.set(requestBytes, { error: "MIC does not match the attested response" });
+          continue;
+        }
+        entries.set(requestBytes, { response, leaf: responseLeaf(response) });
+      } catch (err) {
+        entries.set(requestBytes, { error: err.message || String(err) });
+      }
+    }
+
+    const valid = [...entries.values()].filter((e) => e.response);
+    const tree = buildMerkleTree(valid.map((e) => e.leaf));
+    if (valid.length > 0) {
+      await publishRoot(votingRound, tree.root);
+    }
+    for (const entry of valid) {
+      entry.proof = tree.getProof(entry.leaf);
+    }
+    return { root: tree.root, entries };
+  }
+
+  async function publishRoot(votingRound, root) {
+    const existing = await verification.merkleRoots(votingRound);
+    if (existing === root) return;
+    if (existing !== ethers.ZeroHash) {
+      throw new HttpError(409, `Round ${votingRound} already has a different root on-chain`);
+    }
+    const owner = signer || (await provider.getSigner(0));
+    await (await verification.connect(owner).setMerkleRoot(votingRound, root)).wait();
+  }
+
+  function getRound(votingRound) {
+    if (!rounds.has(votingRound)) {
+      const pending = buildRound(votingRound);
+      rounds.set(votingRound, pending);
+      pending.catch(() => rounds.delete(votingRound));
+    }
+    return rounds.get(votingRound);
+  }
+
+  async function proofByRequestRound({ votingRoundId, requestBytes }) {
+    if (!requestBytes) throw new HttpError(400, "requestBytes is required");
+    const votingRound = Number(votingRoundId);
+    if (!Number.isInteger(votingRound) || votingRound < 0) {
+      throw new HttpError(400, "votingRoundId must be a non-negative integer");
+    }
+    if (!isFinalized(votingRound)) {
+      throw new HttpError(400, `Voting round ${votingRound} not finalized yet`);
+    }
+    const round = await getRound(votingRound);
+    const entry = round.entries.get(ethers.hexlify(requestBytes).toLowerCase());
+    if (!entry) {
+      throw new HttpError(404, `Request not found in voting round ${votingRound}`);
+    }
+    if (entry.error) {
+      throw new HttpError(404, `Request rejected in voting round ${votingRound}: ${entry.error}`);
+    }
+    return { response: entry.response, proof: entry.proof };
+  }
+
+  async function proofByRequestBytes({ requestBytes }) {
+    if (!requestBytes) throw new HttpError(400, "requestBytes is required");
+    const { votingRound } = await findRequest(requestBytes);
+    return proofByRequestRound({ votingRoundId: votingRound, requestBytes });
+  }
+
+  function latestVotingRound() {
+    const votingRound = roundOf(now()) - 1;
+    return { voting_round_id: votingRound, start_time: votingRound * roundSeconds };
+  }
+
+  return {
+    roundSeconds,
+    prepareRequest,
+    mic,
+    latestVotingRound,
+    proofByRequestRound,
+    proofByRequestBytes,
+  };
+}
+
+// Wraps handlers so mock errors become JSON responses.
+function handle(fn) {
+  return async (req, res) => {
+    try {
+      res.json(await fn(req));
+    } catch (err) {
+      const status = err instanceof HttpError ? err.status : 500;
+      res.status(status).json({ status: "INVALID", error: err.message || String(err) });
+    }
+  };
+}
+
+function createApp(mockFdc, { web2ResponsePath = process.env.MOCK_WEB2_RESPONSE_PATH || DEFAULTS.web2ResponsePath } = {}) {
+  const app = express();
+  app.use(express.json({ limit: "1mb" }));
+
+  const sendWeb2Response = (_req, res) => {
+    res.type("application/json").send(fs.readFileSync(web2ResponsePath));
+  };
+  app.get("/intensity/:from/:to", sendWeb2Response);
+  app.get("/regional/intensity/:from/:to/regionid/:regionId", sendWeb2Response);
+
+  app.post("/verifier/web2/Web2Json/prepareRequest", handle((req) => mockFdc.prepareRequest(req.body)));
+  app.post("/verifier/web2/Web2Json/mic", handle((req) => mockFdc.mic(req.body)));
+
+  app.get("/api/v0/fsp/latest-voting-round", handle(() => mockFdc.latestVotingRound()));
+  app.post("/api/v1/fdc/proof-by-request-round", handle((req) => mockFdc.proofByRequestRound(req.body)));
+  app.post("/api/v0/fdc/get-proof-round-bytes", handle((req) => mockFdc.proofByRequestBytes(req.body)));
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_FDC_PORT || DEFAULTS.port);
+  const rpcUrl = process.env.RPC_URL || DEFAULTS.rpcUrl;
+  const roundSeconds = Number(process.env.MOCK_FDC_ROUND_SECONDS || DEFAULTS.roundSeconds);
+  const { fdcHub, fdcVerification } = loadDeployment();
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const signer = process.env.MOCK_FDC_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.MOCK_FDC_PRIVATE_KEY, provider)
+    : null;
+
+  const mockFdc = createMockFdc({ provider, fdcHub, fdcVerification, signer, roundSeconds });
+  createApp(mockFdc).listen(port, () => {
+    console.log(`Mock FDC (verifier + DA layer) on http://localhost:${port}`);
+    console.log(`FdcHub: ${fdcHub}  FdcVerification: ${fdcVerification}  round: ${roundSeconds}s`);
+  });
+}
+
+module.exports = {
+  JQ_FILTERS,
+  encodeRequest,
+  decodeRequest,
+  computeMic,
+  responseLeaf,
+  createMockFdc,
+  createApp,
+};
@@ -0,0 +1,149 @@
+/**
+ * Supported networks: chain ID, public RPC, FDC verifier and DA layer, voting
+ * round timing, and where the FDC contracts come from.
+ *
+ * Scripts pick a network with FLARE_NETWORK (default coston2, or the Hardhat
+ * --network for Hardhat scripts); their own env vars (RPC_URL, DA_BASE, ...)
+ * still override single values. FDC contracts are resolved from Flare's
+ * ContractRegistry, which sits at the same address on every Flare network (see
+ * scripts/contract_registry.js); `contracts` pins the addresses a network's
+ * registry must agree with: Coston2 pins the contracts its recorded
+ * attestation and proofs were made against.
+ */
+
+const FLARE_CONTRACT_REGISTRY = "0xaD67FE66660Fb8dFE9d6b1b4240d8650e30F6019";
+
+const DEFAULT_NETWORK = "coston2";
+
+const NETWORKS = {
+  flare: {
+    chainId: 14,
+    rpcUrl: "https://flare-api.flare.network/ext/C/rpc",
+    verifierBase: "https://fdc-verifiers-mainnet.flare.network",
+    daBase: "https://flr-data-availability.flare.network",
+    registry: FLARE_CONTRACT_REGISTRY,
+    firstVotingRoundStartTs: 1658430000,
+    votingEpochSeconds: 90,
+    contracts: {},
+  },
+  songbird: {
+    chainId: 19,
+    rpcUrl: "https://songbird-api.flare.network/ext/C/rpc",
+    verifierBase: "https://fdc-verifiers-mainnet.flare.network",
+    daBase: "https://sgb-data-availability.flare.network",
+    registry: FLARE_CONTRACT_REGISTRY,
+    firstVotingRoundStartTs: 1658429955,
+    votingEpochSeconds: 90,
+    contracts: {},
+  },
+  coston: {
+    chainId: 16,
+    rpcUrl: "https://coston-api.flare.network/ext/C/rpc",
+    verifierBase: "https://fdc-verifiers-testnet.flare.network",
+    daBase: "https://ctn-data-availability.flare.network",
+    registry: FLARE_CONTRACT_REGISTRY,
+    firstVotingRoundStartTs: 1658429955,
+    votingEpochSeconds: 90,
+    contracts: {},
+  },
+  coston2: {
+    chainId: 114,
+    rpcUrl: "https://coston2-api.flare.network/ext/C/rpc",
+    verifierBase: "https://fdc-verifiers-testnet.flare.network",
+    daBase: "https://ctn2-data-availability.flare.network",
+    registry: FLARE_CONTRACT_REGISTRY,
+    firstVotingRoundStartTs: 1658430000,
+    votingEpochSeconds: 90,
+    contracts: {
+      FdcHub: "0x48aC463d7975828989331F4De43341627b9c5f1D",
+      FdcVerification: "0x906507E0B64bcD494Db73bd0459d1C667e14B933",
+    },
+  },
+  // Hardhat node; FDC contracts and a registry come from scripts/deploy_mock_fdc.js
+  localhost: {
+    chainId: 31337,
+    rpcUrl: "http://127.0.0.1:8545",
+    registry: null,
+    contracts: {},
+  },
+  // In-process Hardhat network (tests)
+  hardhat: {
+    chainId: 31337,
+    registry: null,
+    contracts: {},
+  },
+};
+
+/**
+ * @param {string} [name] Defaults to FLARE_NETWORK, then coston2
+ * @returns {object} A copy of the network, with its `name`
+ */
+function getNetwork(name = process.env.FLARE_NETWORK || DEFAULT_NETWORK) {
+  const network = NETWORKS[name];
+  if (!network) {
+    throw new Error(`Unknown network "${name}". Supported: ${Object.keys(NETWORKS).join(", ")}.`);
+  }
+  return { name, ...network, contracts: { ...network.contracts } };
+}
+
+// First network with `chainId` (31337 → localhost)
+function networkForChainId(chainId) {
+  const name = Object.keys(NETWORKS).find((key) => BigInt(NETWORKS[key].chainId) === BigInt(chainId));
+  return name ? getNetwork(name) : null;
+}
+
+/**
+ * `envVar` if set, else `network[key]`; throws when neither is (e.g. no DA
+ * layer on localhost).
+ */
+function networkSetting(network, key, envVar) {
+  const value = process.env[envVar] || network[key];
+  if (value === undefined || value === null) {
+    throw new Error(`Missing ${envVar}: network ${network.name} has no default ${key}.`);
+  }
+  return value;
+}
+
+// networkSetting as an integer; throws unless it is at least `min`
+function integerNetworkSetting(network, key, envVar, min) {
+  const raw = networkSetting(network, key, envVar);
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`Invalid ${envVar} "${raw}": expected an integer of at least ${min}.`);
+  }
+  return value;
+}
+
+/**
+ * FSP voting epoch timing: round N starts at firstVotingRoundStartTs +
+ * N * votingEpochSeconds. FDC_FIRST_VOTING_ROUND_START_TS and
+ * FDC_VOTING_EPOCH_SECONDS override the network's (the mock server uses 0 and
+ * MOCK_FDC_ROUND_SECONDS). The epoch must be positive; the start may be 0.
+ */
+function votingEpochOf(network) {
+  return {
+    firstVotingRoundStartTs: integerNetworkSetting(
+      network,
+      "firstVotingRoundStartTs",
+      "FDC_FIRST_VOTING_ROUND_START_TS",
+      0
+    ),
+    votingEpochSeconds: integerNetworkSetting(network, "votingEpochSeconds", "FDC_VOTING_EPOCH_SECONDS", 1),
+  };
+}
+
+// Voting round running at `timestamp` (unix seconds), e.g. a requestAttestation block's
+function votingRoundAt(timestamp, { firstVotingRoundStartTs, votingEpochSeconds }) {
+  return Math.floor((Number(timestamp) - firstVotingRoundStartTs) / votingEpochSeconds);
+}
+
+module.exports = {
+  FLARE_CONTRACT_REGISTRY,
+  DEFAULT_NETWORK,
+  NETWORKS,
+  getNetwork,
+  networkForChainId,
+  networkSetting,
+  votingEpochOf,
+  votingRoundAt,
+};
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Prints a network's settings (scripts/networks.js) and resolves FdcHub,
+ * FdcVerification and Relay through its ContractRegistry, bypassing and then
+ * refreshing the registry cache (scripts/contract_registry.js). Each address
+ * is checked for code and against the network's pinned or configured one.
+ *
+ * Usage:
+ *   node scripts/resolve_fdc_contracts.js [network]   (default FLARE_NETWORK, then coston2)
+ *
+ * Env: RPC_URL overrides the network's RPC; CONTRACT_REGISTRY_ADDRESS its
+ * registry; FDC_HUB_ADDRESS, FDC_VERIFICATION_ADDRESS and RELAY_ADDRESS are
+ * compared with the registry. Exits 3 on a mismatch or a missing contract.
+ */
+
+const { ethers } = require("ethers");
+const { getNetwork, networkSetting } = require("./networks");
+const { REGISTRY_CONTRACTS, registryOf, resolveContract } = require("./contract_registry");
+const { exitCodeOf } = require("./exit_codes");
+
+const OVERRIDE_VARS = {
+  FdcHub: "FDC_HUB_ADDRESS",
+  FdcVerification: "FDC_VERIFICATION_ADDRESS",
+  Relay: "RELAY_ADDRESS",
+};
+
+async function main() {
+  const network = getNetwork(process.argv[2] || undefined);
+  const rpcUrl = networkSetting(network, "rpcUrl", "RPC_URL");
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+
+  console.log(`Network:  ${network.name} (chain ${network.chainId})`);
+  console.log(`RPC:      ${rpcUrl}`);
+  console.log(`Verifier: ${network.verifierBase || "-"}`);
+  console.log(`DA layer: ${network.daBase || "-"}`);
+  console.log(`Registry: ${registryOf(network) || "-"}`);
+
+  let failure = null;
+  for (const name of REGISTRY_CONTRACTS) {
+    const override = process.env[OVERRIDE_VARS[name]];
+    const configured = Boolean(override || network.contracts[name]);
+    const from = !registryOf(network) ? "configured" : configured ? "registry, matches configured" : "registry";
+    try {
+      const address = await resolveContract(network, name, provider, override, { fresh: true });
+      console.log(`${name}: ${address} (${from})`);
+    } catch (err) {
+      failure = failure || err;
+      console.log(`${name}: ${err.shortMessage || err.message}`);
+    }
+  }
+  if (failure) process.exitCode = exitCodeOf(failure);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.shortMessage || err.message || err);
+    process.exit(exitCodeOf(err));
+  });
+}
@@ -0,0 +1,125 @@
+/**
+ * Role IDs and helpers for the AccessRoles contracts (FDCShim, FlexDAO,
+ * RewardExecutor).
+ *
+ * Role holders are configured with one env var per role, each a
+ * comma-separated list of addresses:
+ *   ROLES_ADMIN, ROLES_RELAYER, ROLES_SUBMITTER, ROLES_EXECUTOR, ROLES_PAUSER
+ * Unset roles stay with the deployer. scripts/deploy.js applies the config and
+ * records the holders in deployed.json under `roles`; scripts that send
+ * transactions call assertRole before sending.
+ *
+ * FlexDAO's submitter is its operator: one address, set at deployment from
+ * ROLES_SUBMITTER and afterwards only by an Operator proposal. Admins cannot
+ * grant or revoke it.
+ */
+
+const { ethers } = require("ethers");
+const { CheckFailedError } = require("./exit_codes");
+
+const ROLE_NAMES = ["admin", "relayer", "submitter", "executor", "pauser"];
+
+// keccak256("<NAME>_ROLE"), as in contracts/AccessRoles.sol
+const ROLES = Object.fromEntries(ROLE_NAMES.map((name) => [name, ethers.id(`${name.toUpperCase()}_ROLE`)]));
+
+// Roles each contract enforces (keys as in deployed.json)
+const CONTRACT_ROLES = {
+  fdcShim: ["admin", "relayer", "pauser"],
+  flexDAO: ["admin", "submitter", "pauser"],
+  rewardExecutor: ["admin", "executor", "pauser"],
+};
+
+// Roles admins cannot grant or revoke, per contract (set by constructor and governance instead)
+const GOVERNED_ROLES = {
+  flexDAO: ["submitter"],
+};
+
+const ACCESS_ROLES_ABI = [
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function grantRole(bytes32 role, address account)",
+  "function revokeRole(bytes32 role, address account)",
+  "function paused() view returns (bool)",
+];
+
+function envVarOf(name) {
+  return `ROLES_${name.toUpperCase()}`;
+}
+
+// { role: [checksummed addresses] } for every ROLES_* variable that is set
+function roleConfigFromEnv(env = process.env) {
+  const config = {};
+  for (const name of ROLE_NAMES) {
+    const raw = env[envVarOf(name)];
+    if (!raw || !raw.trim()) continue;
+    const accounts = raw
+      .split(",")
+      .map((a) => a.trim())
+      .filter(Boolean)
+      .map((a) => {
+        if (!ethers.isAddress(a)) throw new Error(`${envVarOf(name)}: invalid address ${a}`);
+        return ethers.getAddress(a);
+      });
+    config[name] = [...new Set(accounts)];
+  }
+  return config;
+}
+
+/**
+ * Grants each of `roleNames` on `contract` to its configured holders and
+ * revokes the deployer's copy unless the deployer is one of them. Admin is
+ * handled last so the deployer can still grant the other roles.
+ * @returns {Object<string, string[]>} role → holders
+ */
+async function assignRoles(contract, roleNames, config, deployer, { log = console.log } = {}) {
+  const ordered = [...roleNames.filter((name) => name !== "admin"), ...roleNames.filter((name) => name === "admin")];
+  const deployerAddress = ethers.getAddress(deployer);
+  const holders = {};
+  for (const name of ordered) {
+    const accounts = config[name] || [deployerAddress];
+    for (const account of accounts) {
+      if (await contract.hasRole(ROLES[name], account)) continue;
+      await (await contract.grantRole(ROLES[name], account)).wait();
+      log(`  granted ${name} to ${account}`);
+    }
+    if (!accounts.includes(deployerAddress)) {
+      await (await contract.revokeRole(ROLES[name], deployerAddress)).wait();
+      log(`  revoked ${name} from deployer`);
+    }
+    holders[name] = accounts;
+  }
+  return holders;
+}
+
+/**
+ * Throws a CheckFailedError unless `account` holds role `name` on `contract`.
+ * @param {string} label Contract name for the error message
+ */
+async function assertRole(contract, name, account, label) {
+  if (await contract.hasRole(ROLES[name], account)) return;
+  const address = await contract.getAddress();
+  const remedy =
+    label === "FlexDAO" && name === "submitter"
+      ? `FlexDAO's submitter is its operator; appoint ${account} with an Operator proposal (parameter 2)`
+      : `An admin must call grantRole(${ROLES[name]}, ${account})`;
+  throw new CheckFailedError(
+    `${account} does not hold the ${name} role on ${label} (${address}). ` +
+      `${remedy}, or redeploy with ${envVarOf(name)} set.`
+  );
+}
+
+// First holder of `name` on `contractKey` recorded by scripts/deploy.js, if any
+function roleHolder(deployed, contractKey, name) {
+  return deployed.roles?.[contractKey]?.[name]?.[0];
+}
+
+module.exports = {
+  ROLE_NAMES,
+  ROLES,
+  CONTRACT_ROLES,
+  GOVERNED_ROLES,
+  ACCESS_ROLES_ABI,
+  roleConfigFromEnv,
+  assignRoles,
+  assertRole,
+  roleHolder,
+};
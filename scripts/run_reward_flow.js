@@ -1,10 +1,32 @@
 #!/usr/bin/env node
 
+const fs = require("fs");
+const path = require("path");
 const { ethers } = require("ethers");
-const { checkAttestation } = require("./check_attestation");
+const { getNetwork, networkSetting } = require("./networks");
+const {
+  checkAttestation,
+  assertAttestationUsable,
+  extractDaProofPayload,
+  buildVerifyWeb2JsonProof,
+  VERIFY_WEB2JSON_FUNCTION_ABI,
+} = require("./check_attestation");
 const { assertRealMode } = require("./attestation_mode");
+const { ACCESS_ROLES_ABI, assertRole } = require("./roles");
+const { NotReadyError, exitCodeOf } = require("./exit_codes");
+const { openSigner, signerAddressOf, signerMode } = require("./signers");
+const { recordToStore } = require("../backend/db");
+const {
+  buildRewardTree,
+  loadHouseholdAddresses,
+  loadRegionalIntensities,
+  writeRewardTree,
+  DEFAULTS: REWARD_TREE_DEFAULTS,
+} = require("./build_reward_tree");
 
 const DEFAULT_CONFIRMATIONS = 12;
+const DEFAULT_REWARD_CONFIRMATIONS = 1;
+const DEFAULT_REWARD_TX_TIMEOUT_MS = 10 * 60 * 1000;
 const DEFAULT_REWARD_FUNCTION_ABI = {
   inputs: [
     { name: "attestationTxHash", type: "bytes32" },
@@ -19,8 +41,41 @@ const DEFAULT_REWARD_FUNCTION_ABI = {
   type: "function",
 };
 
+// RewardExecutor.executeVerifiedReward: the Web2Json proof is verified on-chain.
+// The proof argument is loaded from DA_PROOF_PATH and prepended to REWARD_FUNCTION_ARGS_JSON.
+const VERIFIED_REWARD_FUNCTION_ABI = {
+  inputs: [
+    { ...VERIFY_WEB2JSON_FUNCTION_ABI.inputs[0], name: "proof" },
+    { name: "slotKey", type: "bytes32" },
+    { name: "participant", type: "address" },
+    { name: "shiftedKw", type: "uint256" },
+  ],
+  name: "executeVerifiedReward",
+  outputs: [],
+  stateMutability: "nonpayable",
+  type: "function",
+};
+
+// RewardExecutor.commitRewardRoot: batch mode. Args are built from flex_responses.json
+// (see build_reward_tree.js); households then claim with claimBatchReward + proof.
+const COMMIT_REWARD_ROOT_FUNCTION_ABI = {
+  inputs: [
+    { name: "attestationTxHash", type: "bytes32" },
+    { name: "payloadHash", type: "bytes32" },
+    { name: "root", type: "bytes32" },
+    { name: "leafCount", type: "uint256" },
+  ],
+  name: "commitRewardRoot",
+  outputs: [],
+  stateMutability: "nonpayable",
+  type: "function",
+};
+
 const LEGACY_FLEXDAO_FUNCTION_ABI = {
   inputs: [
+    { name: "region", type: "uint16" },
+    { name: "slotKey", type: "bytes32" },
+    { name: "recoverySlotKey", type: "bytes32" },
     {
       components: [
         { name: "participant", type: "address" },
@@ -36,6 +91,14 @@ const LEGACY_FLEXDAO_FUNCTION_ABI = {
   type: "function",
 };
 
+// Role the signer needs for each reward call (contracts/AccessRoles.sol)
+const REWARD_FUNCTION_ROLES = {
+  executeReward: "executor",
+  executeVerifiedReward: "executor",
+  commitRewardRoot: "executor",
+  submitFlexEvent: "submitter",
+};
+
 function mustEnv(name) {
   const value = process.env[name];
   if (!value) throw new Error(`Missing required env var: ${name}`);
@@ -51,8 +114,155 @@ function normalizeAddress(value) {
   return ethers.getAddress(value);
 }
 
-function asHexQuantity(n) {
-  return ethers.toBeHex(BigInt(n));
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function loadVerifiedRewardProof() {
+  const daProofPath =
+    process.env.DA_PROOF_PATH ||
+    path.join(__dirname, "..", "fdc-carbon", "out", "da_proof.json");
+  if (!fs.existsSync(daProofPath)) {
+    throw new Error("DA proof file missing. Set DA_PROOF_PATH.");
+  }
+  const daProofJson = JSON.parse(fs.readFileSync(daProofPath, "utf8"));
+  return buildVerifyWeb2JsonProof(extractDaProofPayload(daProofJson));
+}
+
+function toBytes32(hex) {
+  if (!hex) return ethers.ZeroHash;
+  const prefixed = hex.startsWith("0x") ? hex : `0x${hex}`;
+  return ethers.zeroPadValue(prefixed, 32);
+}
+
+// Builds the reward tree for the attested window and returns commitRewardRoot args.
+// REWARD_FUNCTION_ARGS_JSON may carry a single payloadHash override: '["0x..."]'.
+function buildCommitRewardRootArgs(attestation, functionArgs) {
+  const flexResponsesPath =
+    process.env.FLEX_RESPONSES_PATH || REWARD_TREE_DEFAULTS.flexResponsesPath;
+  const addressesPath =
+    process.env.HOUSEHOLD_ADDRESSES_PATH || REWARD_TREE_DEFAULTS.addressesPath;
+  const regionalPath =
+    process.env.REGIONAL_ATTESTATIONS_PATH || REWARD_TREE_DEFAULTS.regionalAttestationsPath;
+  const flexResponses = JSON.parse(fs.readFileSync(flexResponsesPath, "utf8"));
+  const tree = buildRewardTree({
+    flexResponses,
+    addresses: loadHouseholdAddresses(addressesPath),
+    attestationTxHash: attestation.txHash,
+    range: attestation.requestTimestampRange,
+    regionalIntensities: loadRegionalIntensities(regionalPath),
+  });
+  if (tree.unattestedRegions.length > 0) {
+    console.log(`Reward tree: no regional intensities for regions ${tree.unattestedRegions.join(", ")}; skipped`);
+  }
+  if (tree.leafCount === 0) {
+    throw new Error("Reward tree is empty: no rewarded households in the attested window.");
+  }
+  const treePath = writeRewardTree(
+    tree,
+    process.env.REWARD_TREE_OUT_PATH || REWARD_TREE_DEFAULTS.outPath
+  );
+  console.log(`Reward tree: ${tree.leafCount} leaves, root ${tree.root} (${treePath})`);
+
+  const payloadHash = toBytes32(
+    (functionArgs && functionArgs[0]) || attestation.payloadHash.computedMic
+  );
+  return { args: [attestation.txHash, payloadHash, tree.root, tree.leafCount], tree };
+}
+
+// Checks the signer holds the role `functionName` needs before anything is sent.
+// Contracts deployed before AccessRoles (no hasRole) are skipped with a warning.
+async function checkSignerRole(provider, contractAddress, functionName, signerAddress) {
+  const role = REWARD_FUNCTION_ROLES[functionName];
+  if (!role) return;
+  if (!signerAddress) {
+    console.log(`Signer role check skipped: no signer address (set FLARE_SIGNER_KEY or SIGNER_ADDRESS).`);
+    return;
+  }
+  const contract = new ethers.Contract(contractAddress, ACCESS_ROLES_ABI, provider);
+  try {
+    await contract.hasRole.staticCall(ethers.ZeroHash, signerAddress);
+  } catch (_e) {
+    console.warn(`Signer role check skipped: ${contractAddress} has no hasRole (deployed before roles).`);
+    return;
+  }
+  await assertRole(contract, role, signerAddress, functionName === "submitFlexEvent" ? "FlexDAO" : "RewardExecutor");
+  console.log(`Signer ${signerAddress} holds the ${role} role.`);
+}
+
+// Slot keys the reward call pays for, which the attested window must cover.
+// commitRewardRoot trees only hold slots inside the window; other ABIs use REWARD_SLOTS.
+function rewardedSlots(functionName, functionArgs) {
+  if (!Array.isArray(functionArgs)) return undefined;
+  if (functionName === "executeReward") return [functionArgs[2]];
+  if (functionName === "executeVerifiedReward") return [functionArgs[0]];
+  if (functionName === "submitFlexEvent") return [functionArgs[1], functionArgs[2]];
+  return undefined;
+}
+
+// Maps the reward call onto a FlexDAO store row (see backend/db.js).
+// Batch commits record every tree claim as a recipient; the tokens move on claimBatchReward.
+function describeRewardExecution({ functionName, callArgs, attestation, rewardTree }) {
+  const base = { functionName, attestationTxHash: attestation.txHash, recipients: [] };
+  const participantOf = (p) =>
+    Array.isArray(p) ? { participant: p[0], shiftedKw: p[1] } : { participant: p.participant, shiftedKw: p.shiftedKw };
+
+  if (functionName === "executeReward") {
+    const [attestationTxHash, payloadHash, slotKey, participant, shiftedKw] = callArgs;
+    return { ...base, attestationTxHash, payloadHash, slotKey, recipients: [{ participant, shiftedKw }] };
+  }
+  if (functionName === "executeVerifiedReward") {
+    const [, slotKey, participant, shiftedKw] = callArgs;
+    return { ...base, slotKey, recipients: [{ participant, shiftedKw }] };
+  }
+  if (functionName === "submitFlexEvent") {
+    const [, slotKey, recoverySlotKey, participants] = callArgs;
+    return { ...base, slotKey, recoverySlotKey, recipients: participants.map(participantOf) };
+  }
+  if (functionName === "commitRewardRoot" && rewardTree) {
+    return {
+      ...base,
+      payloadHash: callArgs[1],
+      recipients: rewardTree.claims.map((c) => ({
+        participant: c.participant,
+        householdId: c.householdId,
+        slotKey: c.slotKey,
+        shiftedKw: c.shiftedKw,
+        reward: c.reward,
+      })),
+    };
+  }
+  return base;
+}
+
+function recordRewardTx({ execution, txHash, chainId, contractAddress, blockNumber }) {
+  recordToStore((store) =>
+    store.recordRewardExecution({ ...execution, txHash, chainId, contractAddress, blockNumber })
+  );
+}
+
+/**
+ * Waits until `txHash` is mined with `confirmations` blocks on top. Rejects
+ * with NotReadyError after timeoutMs (rerun with REWARD_TX_HASH to keep
+ * tracking it) and with an Error if the tx reverted.
+ */
+async function trackRewardTx(provider, txHash, { confirmations, timeoutMs, pollIntervalMs = 2000, wait = sleep }) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (receipt && receipt.status !== 1) {
+      throw new Error(`Reward tx ${txHash} reverted in block ${receipt.blockNumber}.`);
+    }
+    const seen = receipt ? (await provider.getBlockNumber()) - receipt.blockNumber + 1 : 0;
+    if (receipt && seen >= confirmations) return receipt;
+    if (Date.now() >= deadline) {
+      throw new NotReadyError(
+        `Reward tx ${txHash} ${receipt ? `has ${seen} of ${confirmations} confirmations` : "is not mined"} ` +
+          `after ${timeoutMs / 1000}s; rerun with REWARD_TX_HASH=${txHash} to keep tracking it.`
+      );
+    }
+    await wait(pollIntervalMs);
+  }
 }
 
 async function runRewardFlow() {
@@ -62,40 +272,51 @@ async function runRewardFlow() {
     process.env.CONFIRMATIONS || DEFAULT_CONFIRMATIONS
   );
   const dryRun = process.env.DRY_RUN !== "0";
-  const signerMode = (process.env.SIGNER_MODE || "private_key").trim().toLowerCase();
+  const mode = signerMode(process.env.SIGNER_MODE);
 
-  const attestation = await checkAttestation();
-  if (!attestation.verificationPassed) {
-    throw new Error("Attestation verification failed. Reward flow blocked.");
-  }
-  if (!attestation.confirmed || attestation.confirmations < confirmationsRequired) {
-    throw new Error(
-      `Attestation has ${attestation.confirmations} confirmations; requires ${confirmationsRequired}.`
-    );
-  }
-  if (!attestation.payloadHashValid || !attestation.timestampValid) {
-    throw new Error("Attestation payload hash/timestamp validation failed.");
-  }
-
-  const rpcUrl = mustEnv("FLARE_RPC_URL");
-  const expectedChainId = BigInt(mustEnv("FLARE_CHAIN_ID"));
-  const rewardContractAddress = normalizeAddress(mustEnv("REWARD_CONTRACT_ADDRESS"));
   const functionName = process.env.REWARD_FUNCTION_NAME || "executeReward";
   const functionAbi = process.env.REWARD_FUNCTION_ABI_JSON
     ? JSON.parse(process.env.REWARD_FUNCTION_ABI_JSON)
-    : process.env.REWARD_FUNCTION_NAME === "submitFlexEvent"
+    : functionName === "submitFlexEvent"
       ? LEGACY_FLEXDAO_FUNCTION_ABI
-      : DEFAULT_REWARD_FUNCTION_ABI;
+      : functionName === "executeVerifiedReward"
+        ? VERIFIED_REWARD_FUNCTION_ABI
+        : functionName === "commitRewardRoot"
+          ? COMMIT_REWARD_ROOT_FUNCTION_ABI
+          : DEFAULT_REWARD_FUNCTION_ABI;
   const functionArgs = process.env.REWARD_FUNCTION_ARGS_JSON
     ? JSON.parse(process.env.REWARD_FUNCTION_ARGS_JSON)
     : null;
 
-  if (!Array.isArray(functionArgs)) {
+  if (!Array.isArray(functionArgs) && functionName !== "commitRewardRoot") {
     throw new Error(
-      "REWARD_FUNCTION_ARGS_JSON must be a JSON array, e.g. '[\"0xslot\", [{\"participant\":\"0x...\",\"shiftedKw\":\"1000\"}]]'."
+      "REWARD_FUNCTION_ARGS_JSON must be a JSON array, e.g. '[0, \"0xslot\", \"0xrecoverySlot\", [{\"participant\":\"0x...\",\"shiftedKw\":\"1000\"}]]'."
     );
   }
 
+  const attestation = await checkAttestation({ slots: rewardedSlots(functionName, functionArgs) });
+  assertAttestationUsable(attestation, { confirmationsRequired });
+
+  const flareNetwork = getNetwork();
+  const rpcUrl = networkSetting(flareNetwork, "rpcUrl", "FLARE_RPC_URL");
+  const expectedChainId = BigInt(networkSetting(flareNetwork, "chainId", "FLARE_CHAIN_ID"));
+  const rewardContractAddress = normalizeAddress(mustEnv("REWARD_CONTRACT_ADDRESS"));
+
+  const rewardRoot =
+    functionName === "commitRewardRoot" ? buildCommitRewardRootArgs(attestation, functionArgs) : null;
+  const callArgs =
+    functionName === "executeVerifiedReward"
+      ? [loadVerifiedRewardProof(), ...functionArgs]
+      : rewardRoot
+        ? rewardRoot.args
+        : functionArgs;
+  const execution = describeRewardExecution({
+    functionName,
+    callArgs,
+    attestation,
+    rewardTree: rewardRoot && rewardRoot.tree,
+  });
+
   const provider = new ethers.JsonRpcProvider(rpcUrl);
   const network = await provider.getNetwork();
   if (network.chainId !== expectedChainId) {
@@ -105,139 +326,101 @@ async function runRewardFlow() {
   }
 
   const iface = new ethers.Interface([functionAbi]);
-  const calldata = iface.encodeFunctionData(functionName, functionArgs);
+  const calldata = iface.encodeFunctionData(functionName, callArgs);
   const feeData = await provider.getFeeData();
 
-  // Best-effort gas estimate. Some nodes require a `from`; MetaMask mode can pass SIGNER_ADDRESS.
-  const signerAddressEnv = optionalEnv("SIGNER_ADDRESS");
-  const estimateFrom = signerAddressEnv ? normalizeAddress(signerAddressEnv) : undefined;
-  let estimatedGas = null;
+  // Dry runs and REWARD_TX_HASH reruns take the address without unlocking a signer
+  const rewardTxHash = optionalEnv("REWARD_TX_HASH");
+  const opened = dryRun || rewardTxHash ? null : await openSigner(provider, { mode });
   try {
-    estimatedGas = await provider.estimateGas({
-      to: rewardContractAddress,
-      ...(estimateFrom ? { from: estimateFrom } : {}),
-      data: calldata,
-    });
-  } catch (_e) {
-    estimatedGas = null;
-  }
+    const signerAddress = opened ? await opened.signer.getAddress() : signerAddressOf({ mode });
+    await checkSignerRole(provider, rewardContractAddress, functionName, signerAddress);
 
-  if (dryRun) {
-    console.log("Reward flow dry-run only.");
-    console.log(`Attestation confirmed: ${attestation.confirmed}`);
-    console.log(`Estimated gas: ${estimatedGas ? estimatedGas.toString() : "N/A"}`);
-    console.log(`Max fee per gas: ${(feeData.maxFeePerGas || 0n).toString()}`);
-    console.log(`Reward contract: ${rewardContractAddress}`);
-    console.log(`Function: ${functionName}`);
-    console.log(`Calldata: ${calldata}`);
-
-    if (signerMode === "metamask") {
-      console.log("MetaMask mode: copy the tx request below.");
-      const fromForMetamask = estimateFrom || "<your_metamask_address>";
-      const txRequest = {
-        from: fromForMetamask,
+    // Best-effort gas estimate. Some nodes require a `from`.
+    let estimatedGas = null;
+    try {
+      estimatedGas = await provider.estimateGas({
         to: rewardContractAddress,
+        ...(signerAddress ? { from: signerAddress } : {}),
         data: calldata,
-        value: "0x0",
-        chainId: asHexQuantity(expectedChainId),
-        ...(estimatedGas ? { gas: asHexQuantity(estimatedGas) } : {}),
-        ...(feeData.maxFeePerGas ? { maxFeePerGas: asHexQuantity(feeData.maxFeePerGas) } : {}),
-        ...(feeData.maxPriorityFeePerGas
-          ? { maxPriorityFeePerGas: asHexQuantity(feeData.maxPriorityFeePerGas) }
-          : {}),
-      };
-      console.log(JSON.stringify(txRequest, null, 2));
-      console.log(
-        `MetaMask console snippet: await ethereum.request({ method: "eth_sendTransaction", params: [${JSON.stringify(
-          txRequest
-        )}] })`
-      );
+      });
+    } catch (_e) {
+      estimatedGas = null;
     }
 
-    return {
-      dryRun: true,
-      attestation,
-      estimatedGas: estimatedGas ? estimatedGas.toString() : null,
-      maxFeePerGas: (feeData.maxFeePerGas || 0n).toString(),
-      rewardContractAddress,
-      functionName,
-      calldata,
-    };
-  }
+    if (dryRun) {
+      console.log("Reward flow dry-run only.");
+      console.log(`Attestation confirmed: ${attestation.confirmed}`);
+      console.log(`Signer: ${signerAddress || "N/A"} (${mode})`);
+      console.log(`Estimated gas: ${estimatedGas ? estimatedGas.toString() : "N/A"}`);
+      console.log(`Max fee per gas: ${(feeData.maxFeePerGas || 0n).toString()}`);
+      console.log(`Reward contract: ${rewardContractAddress}`);
+      console.log(`Function: ${functionName}`);
+      console.log(`Calldata: ${calldata}`);
 
-  if (signerMode === "metamask") {
-    const rewardTxHash = optionalEnv("REWARD_TX_HASH");
-    if (!rewardTxHash) {
-      const fromForMetamask = estimateFrom || "<your_metamask_address>";
-      const txRequest = {
-        from: fromForMetamask,
-        to: rewardContractAddress,
-        data: calldata,
-        value: "0x0",
-        chainId: asHexQuantity(expectedChainId),
-        ...(estimatedGas ? { gas: asHexQuantity(estimatedGas) } : {}),
-        ...(feeData.maxFeePerGas ? { maxFeePerGas: asHexQuantity(feeData.maxFeePerGas) } : {}),
-        ...(feeData.maxPriorityFeePerGas
-          ? { maxPriorityFeePerGas: asHexQuantity(feeData.maxPriorityFeePerGas) }
-          : {}),
-      };
-      console.log("MetaMask live mode: send this transaction, then rerun with REWARD_TX_HASH.");
-      console.log(JSON.stringify(txRequest, null, 2));
-      console.log(
-        `MetaMask console snippet: await ethereum.request({ method: "eth_sendTransaction", params: [${JSON.stringify(
-          txRequest
-        )}] })`
-      );
       return {
-        dryRun: false,
+        dryRun: true,
         attestation,
-        rewardTxHash: null,
-        rewardBlockNumber: null,
+        signer: signerAddress || null,
+        estimatedGas: estimatedGas ? estimatedGas.toString() : null,
+        maxFeePerGas: (feeData.maxFeePerGas || 0n).toString(),
+        rewardContractAddress,
+        functionName,
+        calldata,
       };
     }
 
-    const receipt = await provider.getTransactionReceipt(rewardTxHash);
-    if (!receipt) {
-      throw new Error(`REWARD_TX_HASH not found yet: ${rewardTxHash}`);
+    let txHash = rewardTxHash;
+    if (txHash) {
+      console.log(`Tracking REWARD_TX_HASH ${txHash} instead of sending.`);
+    } else {
+      const tx = await opened.signer.sendTransaction({
+        to: rewardContractAddress,
+        data: calldata,
+        ...(estimatedGas ? { gasLimit: estimatedGas } : {}),
+      });
+      txHash = tx.hash;
+      console.log(`Reward tx sent by ${signerAddress} (${mode}): ${txHash}`);
     }
-    const latestBlock = await provider.getBlockNumber();
-    const confirmations = latestBlock - receipt.blockNumber + 1;
-    const confirmed = confirmations >= confirmationsRequired;
 
-    console.log(`Reward tx hash: ${rewardTxHash}`);
+    const rewardConfirmations = Number(process.env.REWARD_CONFIRMATIONS || DEFAULT_REWARD_CONFIRMATIONS);
+    const receipt = await trackRewardTx(provider, txHash, {
+      confirmations: rewardConfirmations,
+      timeoutMs: Number(process.env.REWARD_TX_TIMEOUT_MS || DEFAULT_REWARD_TX_TIMEOUT_MS),
+    });
+    console.log(`Reward tx hash: ${txHash}`);
     console.log(`Reward tx block number: ${receipt.blockNumber}`);
-    console.log(`Reward confirmations: ${confirmations} (need ${confirmationsRequired})`);
-    console.log(`Reward confirmed: ${confirmed}`);
-
-    if (!confirmed) {
-      throw new Error("Reward tx not confirmed enough yet.");
-    }
+    console.log(`Reward confirmations: at least ${rewardConfirmations}`);
+    recordRewardTx({
+      execution,
+      txHash,
+      chainId: network.chainId,
+      contractAddress: rewardContractAddress,
+      blockNumber: receipt.blockNumber,
+    });
+    console.log("Reward flow complete.");
 
     return {
       dryRun: false,
       attestation,
-      rewardTxHash,
+      signer: signerAddress || null,
+      rewardTxHash: txHash,
       rewardBlockNumber: receipt.blockNumber,
     };
+  } finally {
+    if (opened) await opened.close();
   }
+}
 
-  const signerKey = mustEnv("FLARE_SIGNER_KEY");
-  const signer = new ethers.Wallet(signerKey, provider);
-  const rewardContract = new ethers.Contract(rewardContractAddress, [functionAbi], signer);
-
-  const tx = await rewardContract[functionName](...functionArgs);
-  const receipt = await tx.wait(1);
-
-  console.log(`Reward tx hash: ${tx.hash}`);
-  console.log(`Reward tx block number: ${receipt.blockNumber}`);
-  console.log("Reward flow complete.");
-
-  return {
-    dryRun: false,
-    attestation,
-    rewardTxHash: tx.hash,
-    rewardBlockNumber: receipt.blockNumber,
-  };
+// Saves the run's result to REWARD_FLOW_OUT_PATH when set (the flexdao CLI sets it for --json)
+function writeRewardFlowResult(result) {
+  const outPath = optionalEnv("REWARD_FLOW_OUT_PATH");
+  if (!outPath) return;
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(
+    outPath,
+    JSON.stringify(result, (_key, value) => (typeof value === "bigint" ? value.toString() : value), 2)
+  );
 }
 
 function parseCliArgs() {
@@ -256,10 +439,12 @@ function parseCliArgs() {
 
 if (require.main === module) {
   parseCliArgs();
-  runRewardFlow().catch((err) => {
-    console.error(err.message || err);
-    process.exit(1);
-  });
+  runRewardFlow()
+    .then(writeRewardFlowResult)
+    .catch((err) => {
+      console.error(err.message || err);
+      process.exit(exitCodeOf(err));
+    });
 }
 
-module.exports = { runRewardFlow };
+module.exports = { runRewardFlow, describeRewardExecution, rewardedSlots, checkSignerRole, trackRewardTx };
@@ -0,0 +1,395 @@
+/**
+ * Signers for the transactions run_reward_flow.js sends.
+ *
+ * SIGNER_MODE picks one:
+ *   private_key  FLARE_SIGNER_KEY from the environment (default)
+ *   keystore     encrypted JSON keystore at SIGNER_KEYSTORE_PATH, unlocked with
+ *                SIGNER_KEYSTORE_PASSWORD
+ *   browser      EIP-1193 bridge: a page on http://127.0.0.1:SIGNER_BRIDGE_PORT
+ *                connects the browser wallet (MetaMask, Rabby, a hardware wallet
+ *                behind one) and sends each tx with eth_sendTransaction.
+ *                "metamask" is an alias.
+ *   remote       JSON-RPC signer at SIGNER_RPC_URL (Clef, Web3Signer,
+ *                scripts/stub_signer_server.js): eth_signTransaction signs, the
+ *                network's RPC broadcasts.
+ *
+ * Each mode is an ethers signer whose sendTransaction() resolves a
+ * TransactionResponse, so the caller tracks the tx the same way in every mode.
+ * SIGNER_ADDRESS pins the account for browser and remote; a wallet or signer
+ * that offers another one is refused.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const { ethers } = require("ethers");
+const { UsageError, NotReadyError } = require("./exit_codes");
+
+const SIGNER_MODES = ["private_key", "keystore", "browser", "remote"];
+const MODE_ALIASES = { metamask: "browser" };
+
+const DEFAULTS = {
+  mode: "private_key",
+  bridgePort: 8547,
+  bridgeTimeoutMs: 10 * 60 * 1000,
+  pollIntervalMs: 1000,
+};
+
+const BRIDGE_PAGE_PATH = path.join(__dirname, "signer_bridge.html");
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function signerMode(value) {
+  const mode = String(value || DEFAULTS.mode).trim().toLowerCase();
+  const resolved = MODE_ALIASES[mode] || mode;
+  if (!SIGNER_MODES.includes(resolved)) {
+    throw new UsageError(`Unknown SIGNER_MODE "${value}" (one of ${SIGNER_MODES.join(", ")}).`);
+  }
+  return resolved;
+}
+
+function signerOptions({
+  mode = process.env.SIGNER_MODE,
+  privateKey = process.env.FLARE_SIGNER_KEY,
+  keystorePath = process.env.SIGNER_KEYSTORE_PATH,
+  keystorePassword = process.env.SIGNER_KEYSTORE_PASSWORD,
+  rpcUrl = process.env.SIGNER_RPC_URL,
+  address = process.env.SIGNER_ADDRESS,
+  bridgePort = Number(process.env.SIGNER_BRIDGE_PORT || DEFAULTS.bridgePort),
+  bridgeTimeoutMs = Number(process.env.SIGNER_BRIDGE_TIMEOUT_MS || DEFAULTS.bridgeTimeoutMs),
+  log = console.log,
+} = {}) {
+  return {
+    mode: signerMode(mode),
+    privateKey,
+    keystorePath,
+    keystorePassword,
+    rpcUrl,
+    address: address ? ethers.getAddress(address) : null,
+    bridgePort,
+    bridgeTimeoutMs,
+    log,
+  };
+}
+
+function required(value, name, mode) {
+  if (!value) throw new UsageError(`SIGNER_MODE=${mode} needs ${name}.`);
+  return value;
+}
+
+// Ethers tx request → JSON-RPC tx object (hex quantities)
+function toRpcTransaction(tx) {
+  const quantity = (value) => (value === undefined || value === null ? undefined : ethers.toQuantity(value));
+  const out = {
+    from: tx.from,
+    to: tx.to,
+    data: tx.data || "0x",
+    value: quantity(tx.value || 0),
+    gas: quantity(tx.gasLimit),
+    nonce: quantity(tx.nonce),
+    chainId: quantity(tx.chainId),
+    type: quantity(tx.type),
+    gasPrice: quantity(tx.gasPrice),
+    maxFeePerGas: quantity(tx.maxFeePerGas),
+    maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas),
+  };
+  return Object.fromEntries(Object.entries(out).filter(([, value]) => value !== undefined && value !== null));
+}
+
+// Waits until `provider` knows a tx the wallet broadcast through its own RPC
+async function sentTransaction(provider, hash, { timeoutMs, pollIntervalMs = DEFAULTS.pollIntervalMs, wait = sleep }) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const tx = await provider.getTransaction(hash);
+    if (tx) return tx;
+    if (Date.now() >= deadline) {
+      throw new NotReadyError(`The wallet sent ${hash}, but the RPC has not seen it after ${timeoutMs / 1000}s.`);
+    }
+    await wait(pollIntervalMs);
+  }
+}
+
+/**
+ * Local page that connects a browser wallet and relays the transactions queued
+ * by send(). The page polls GET /pending, sends with eth_sendTransaction and
+ * posts the hash (or the wallet's error) to /result.
+ */
+class SignerBridge {
+  constructor({ chainId, address = null, port = DEFAULTS.bridgePort, timeoutMs = DEFAULTS.bridgeTimeoutMs }) {
+    this.chainId = BigInt(chainId);
+    this.expectedAddress = address;
+    this.port = port;
+    this.timeoutMs = timeoutMs;
+    this.url = null;
+    this.server = null;
+    this.account = null;
+    this.queue = [];
+    this.nextId = 1;
+    this.connected = new Promise((resolve) => {
+      this.onConnect = resolve;
+    });
+  }
+
+  app() {
+    const app = express();
+    app.use(express.json({ limit: "1mb" }));
+    app.get("/", (_req, res) => res.sendFile(BRIDGE_PAGE_PATH));
+    app.get("/config", (_req, res) =>
+      res.json({ chainId: ethers.toQuantity(this.chainId), address: this.expectedAddress })
+    );
+    app.post("/connect", (req, res) => {
+      const { account, chainId } = req.body || {};
+      if (!ethers.isAddress(account) || !ethers.isHexString(chainId)) {
+        return res.status(400).json({ error: "No account or chain ID from the wallet." });
+      }
+      if (BigInt(chainId) !== this.chainId) {
+        return res.status(409).json({ error: `Switch the wallet to chain ${this.chainId} (it is on ${BigInt(chainId)}).` });
+      }
+      const address = ethers.getAddress(account);
+      if (this.expectedAddress && address !== this.expectedAddress) {
+        return res.status(409).json({ error: `Connect ${this.expectedAddress} (SIGNER_ADDRESS), not ${address}.` });
+      }
+      if (this.account && address !== this.account) {
+        return res.status(409).json({ error: `Already signing as ${this.account}.` });
+      }
+      this.account = address;
+      this.onConnect(address);
+      res.json({ account: address });
+    });
+    app.get("/pending", (_req, res) => {
+      const next = this.queue[0];
+      res.json(next ? { id: next.id, tx: next.tx } : {});
+    });
+    app.post("/result", (req, res) => {
+      const { id, hash, error } = req.body || {};
+      const index = this.queue.findIndex((item) => item.id === id);
+      if (index < 0) return res.status(404).json({ error: `No pending transaction ${id}.` });
+      const [item] = this.queue.splice(index, 1);
+      if (hash && ethers.isHexString(hash, 32)) item.resolve(hash);
+      else item.reject(new Error(`Wallet did not send the transaction: ${error || "no tx hash"}`));
+      res.json({ ok: true });
+    });
+    return app;
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server = this.app().listen(this.port, "127.0.0.1", () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}/`;
+        resolve(this.url);
+      });
+      this.server.on("error", reject);
+    });
+  }
+
+  close() {
+    for (const item of this.queue.splice(0)) item.reject(new Error("Signer bridge closed."));
+    return new Promise((resolve) => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  async withTimeout(promise, what) {
+    let timer;
+    const timeout = new Promise((_resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new NotReadyError(`No ${what} from the browser wallet after ${this.timeoutMs / 1000}s.`)),
+        this.timeoutMs
+      );
+    });
+    try {
+      return await Promise.race([promise, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  getAccount() {
+    return this.withTimeout(this.connected, "connection");
+  }
+
+  // Resolves the tx hash once the page reports the wallet sent `tx`
+  async send(tx) {
+    const item = { id: this.nextId++, tx };
+    const sent = new Promise((resolve, reject) => Object.assign(item, { resolve, reject }));
+    this.queue.push(item);
+    try {
+      return await this.withTimeout(sent, "transaction");
+    } finally {
+      this.queue = this.queue.filter((queued) => queued !== item);
+    }
+  }
+}
+
+// Browser wallets sign and send in one step, so only sendTransaction works
+class BrowserSigner extends ethers.AbstractSigner {
+  constructor(bridge, provider) {
+    super(provider);
+    this.bridge = bridge;
+  }
+
+  connect(provider) {
+    return new BrowserSigner(this.bridge, provider);
+  }
+
+  getAddress() {
+    return this.bridge.getAccount();
+  }
+
+  async sendTransaction(tx) {
+    const request = await this.populateCall(tx);
+    const chainId = this.bridge.chainId;
+    const hash = await this.bridge.send(toRpcTransaction({ ...request, chainId }));
+    return sentTransaction(this.provider, hash, { timeoutMs: this.bridge.timeoutMs });
+  }
+
+  async signTransaction() {
+    throw new Error("Browser wallets do not sign without sending; use sendTransaction.");
+  }
+
+  async signMessage() {
+    throw new Error("BrowserSigner only sends transactions.");
+  }
+
+  async signTypedData() {
+    throw new Error("BrowserSigner only sends transactions.");
+  }
+}
+
+async function rpcCall(url, method, params) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+  });
+  if (!res.ok) throw new Error(`Remote signer ${url}: ${method} returned HTTP ${res.status}.`);
+  const body = await res.json();
+  if (body.error) throw new Error(`Remote signer ${url}: ${method} failed: ${body.error.message || JSON.stringify(body.error)}`);
+  return body.result;
+}
+
+// Signs with eth_signTransaction on a JSON-RPC signer; the provider broadcasts
+class RemoteSigner extends ethers.AbstractSigner {
+  constructor(url, address, provider) {
+    super(provider);
+    this.url = url;
+    this.address = address;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.url, this.address, provider);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async signTransaction(tx) {
+    const request = await this.populateTransaction(tx);
+    delete request.from;
+    const unsigned = ethers.Transaction.from(request);
+    const result = await rpcCall(this.url, "eth_signTransaction", [
+      toRpcTransaction({ ...request, type: unsigned.type, from: this.address }),
+    ]);
+    // Clef answers { raw, tx }, Web3Signer the raw tx
+    const signed = ethers.Transaction.from(typeof result === "string" ? result : result && result.raw);
+    if (signed.from !== this.address || signed.unsignedHash !== unsigned.unsignedHash) {
+      throw new Error(`Remote signer ${this.url} returned another transaction than the one requested.`);
+    }
+    return signed.serialized;
+  }
+
+  async signMessage() {
+    throw new Error("RemoteSigner only signs transactions.");
+  }
+
+  async signTypedData() {
+    throw new Error("RemoteSigner only signs transactions.");
+  }
+}
+
+// First account the remote signer offers, or the pinned one if it offers it
+async function remoteAccount(url, pinned) {
+  const accounts = (await rpcCall(url, "eth_accounts", [])).map((account) => ethers.getAddress(account));
+  if (pinned && !accounts.includes(pinned)) {
+    throw new Error(`Remote signer ${url} does not hold ${pinned} (SIGNER_ADDRESS); it offers ${accounts.join(", ") || "none"}.`);
+  }
+  if (!pinned && !accounts.length) throw new Error(`Remote signer ${url} offers no accounts.`);
+  return pinned || accounts[0];
+}
+
+function keystoreAddress(keystorePath) {
+  const { address } = JSON.parse(fs.readFileSync(keystorePath, "utf8"));
+  return address ? ethers.getAddress(address.startsWith("0x") ? address : `0x${address}`) : null;
+}
+
+/**
+ * Signer address without unlocking or connecting anything (dry runs): the
+ * key's or keystore's address, else SIGNER_ADDRESS.
+ */
+function signerAddressOf(options) {
+  const { mode, privateKey, keystorePath, address } = signerOptions(options);
+  if (mode === "private_key" && privateKey) return new ethers.Wallet(privateKey).address;
+  if (mode === "keystore" && keystorePath && fs.existsSync(keystorePath)) return keystoreAddress(keystorePath) || address;
+  return address;
+}
+
+/**
+ * Opens the SIGNER_MODE signer on `provider`.
+ * @param {ethers.Provider} provider Network the txs go to
+ * @param {object} [options] Overrides of the env settings (see signerOptions)
+ * @returns {Promise<{ mode: string, signer: ethers.Signer, close: () => Promise<void> }>}
+ *   close() stops the browser bridge; call it when done.
+ */
+async function openSigner(provider, options) {
+  const opts = signerOptions(options);
+  const { mode } = opts;
+  const done = async () => {};
+
+  if (mode === "private_key") {
+    const wallet = new ethers.Wallet(required(opts.privateKey, "FLARE_SIGNER_KEY", mode), provider);
+    return { mode, signer: wallet, close: done };
+  }
+
+  if (mode === "keystore") {
+    const keystorePath = required(opts.keystorePath, "SIGNER_KEYSTORE_PATH", mode);
+    const password = required(opts.keystorePassword, "SIGNER_KEYSTORE_PASSWORD", mode);
+    if (!fs.existsSync(keystorePath)) throw new UsageError(`Keystore not found: ${keystorePath}`);
+    let wallet;
+    try {
+      wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(keystorePath, "utf8"), password);
+    } catch (err) {
+      throw new Error(`Cannot unlock keystore ${keystorePath}: ${err.shortMessage || err.message}`);
+    }
+    return { mode, signer: wallet.connect(provider), close: done };
+  }
+
+  if (mode === "remote") {
+    const url = required(opts.rpcUrl, "SIGNER_RPC_URL", mode);
+    const address = await remoteAccount(url, opts.address);
+    return { mode, signer: new RemoteSigner(url, address, provider), close: done };
+  }
+
+  const { chainId } = await provider.getNetwork();
+  const bridge = new SignerBridge({
+    chainId,
+    address: opts.address,
+    port: opts.bridgePort,
+    timeoutMs: opts.bridgeTimeoutMs,
+  });
+  const url = await bridge.listen();
+  opts.log(`Open ${url} in the browser with your wallet (chain ${chainId}) to sign.`);
+  return { mode, signer: new BrowserSigner(bridge, provider), close: () => bridge.close() };
+}
+
+module.exports = {
+  SIGNER_MODES,
+  DEFAULTS,
+  signerMode,
+  toRpcTransaction,
+  SignerBridge,
+  BrowserSigner,
+  RemoteSigner,
+  signerAddressOf,
+  openSigner,
+};
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * FlexDAO — local stand-in for a remote JSON-RPC signer (Clef, Web3Signer)
+ *
+ * Lets SIGNER_MODE=remote (scripts/signers.js) run against a Hardhat node.
+ * One key, from STUB_SIGNER_KEY, signs whatever is asked; nothing is sent.
+ *
+ *   POST /  eth_accounts        → [address]
+ *           eth_chainId         → STUB_SIGNER_CHAIN_ID (default 31337)
+ *           eth_signTransaction → raw signed tx
+ *
+ * Usage:
+ *   STUB_SIGNER_KEY=0x... node scripts/stub_signer_server.js
+ *   SIGNER_MODE=remote SIGNER_RPC_URL=http://localhost:8548 node scripts/run_reward_flow.js --execute
+ */
+
+const express = require("express");
+const { ethers } = require("ethers");
+const { NETWORKS } = require("./networks");
+
+const DEFAULTS = {
+  port: 8548,
+  chainId: NETWORKS.localhost.chainId,
+};
+
+// JSON-RPC tx object (hex quantities) → ethers TransactionLike
+function fromRpcTransaction(tx) {
+  const quantity = (value) => (value === undefined ? undefined : BigInt(value));
+  return {
+    to: tx.to,
+    data: tx.data || tx.input || "0x",
+    value: quantity(tx.value),
+    gasLimit: quantity(tx.gas),
+    nonce: tx.nonce === undefined ? undefined : Number(tx.nonce),
+    chainId: quantity(tx.chainId),
+    type: tx.type === undefined ? undefined : Number(tx.type),
+    gasPrice: quantity(tx.gasPrice),
+    maxFeePerGas: quantity(tx.maxFeePerGas),
+    maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas),
+  };
+}
+
+function createApp(wallet, { chainId = DEFAULTS.chainId } = {}) {
+  const methods = {
+    eth_accounts: () => [wallet.address],
+    eth_chainId: () => ethers.toQuantity(chainId),
+    eth_signTransaction: ([tx]) => {
+      if (!tx || !tx.from || ethers.getAddress(tx.from) !== wallet.address) {
+        throw new Error(`Unknown account ${tx && tx.from}`);
+      }
+      const request = fromRpcTransaction(tx);
+      if (request.nonce === undefined || request.gasLimit === undefined) {
+        throw new Error("nonce and gas are required");
+      }
+      return wallet.signTransaction(request);
+    },
+  };
+
+  const app = express();
+  app.use(express.json({ limit: "1mb" }));
+  app.post("/", async (req, res) => {
+    const { id = null, method, params = [] } = req.body || {};
+    const handler = methods[method];
+    if (!handler) {
+      return res.json({ jsonrpc: "2.0", id, error: { code: -32601, message: `Method not found: ${method}` } });
+    }
+    try {
+      res.json({ jsonrpc: "2.0", id, result: await handler(params) });
+    } catch (err) {
+      res.json({ jsonrpc: "2.0", id, error: { code: -32000, message: err.message } });
+    }
+  });
+  return app;
+}
+
+if (require.main === module) {
+  const key = process.env.STUB_SIGNER_KEY;
+  if (!key) {
+    console.error("Missing required env var: STUB_SIGNER_KEY");
+    process.exit(1);
+  }
+  const port = Number(process.env.STUB_SIGNER_PORT || DEFAULTS.port);
+  const chainId = Number(process.env.STUB_SIGNER_CHAIN_ID || DEFAULTS.chainId);
+  const wallet = new ethers.Wallet(key);
+  createApp(wallet, { chainId }).listen(port, () => {
+    console.log(`Stub signer for ${wallet.address} on http://localhost:${port} (chain ${chainId})`);
+  });
+}
+
+module.exports = { fromRpcTransaction, createApp };
@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ROLES } = require("../scripts/roles");
+
+const slotKey = (iso) => ethers.keccak256(ethers.toUtf8Bytes(iso));
+
+const HIGH = slotKey("2026-01-31T17:00Z");
+const LOW = slotKey("2026-01-31T03:00Z");
+
+describe("AccessRoles", function () {
+  async function deployFixture() {
+    const [admin, relayer, submitter, executor, pauser, alice] = await ethers.getSigners();
+    const shim = await (await ethers.getContractFactory("FDCShim")).deploy();
+    await shim.submitAttestation(HIGH, 250);
+    await shim.submitAttestation(LOW, 90);
+
+    const registry = await (await ethers.getContractFactory("HouseholdRegistry")).deploy();
+    await registry.enrollFor(ethers.encodeBytes32String("HH-001"), alice.address, 0, 1);
+    const token = await (await ethers.getContractFactory("FlexToken")).deploy();
+    const dao = await (await ethers.getContractFactory("FlexDAO")).deploy(
+      await shim.getAddress(),
+      150,
+      await token.getAddress(),
+      await registry.getAddress(),
+      admin.address
+    );
+    await token.setMinter(await dao.getAddress(), true);
+
+    const verification = await (await ethers.getContractFactory("MockFdcVerification")).deploy();
+    const rewards = await (await ethers.getContractFactory("RewardExecutor")).deploy(
+      admin.address,
+      await verification.getAddress(),
+      150
+    );
+    return { shim, dao, rewards, admin, relayer, submitter, executor, pauser, alice };
+  }
+
+  it("matches the role IDs used by the scripts", async function () {
+    const { shim } = await loadFixture(deployFixture);
+    expect(await shim.ADMIN_ROLE()).to.equal(ROLES.admin);
+    expect(await shim.RELAYER_ROLE()).to.equal(ROLES.relayer);
+    expect(await shim.SUBMITTER_ROLE()).to.equal(ROLES.submitter);
+    expect(await shim.EXECUTOR_ROLE()).to.equal(ROLES.executor);
+    expect(await shim.PAUSER_ROLE()).to.equal(ROLES.pauser);
+  });
+
+  it("emits events on grant and revoke, only for actual changes", async function () {
+    const { shim, admin, relayer } = await loadFixture(deployFixture);
+    await expect(shim.grantRole(ROLES.relayer, relayer.address))
+      .to.emit(shim, "RoleGranted")
+      .withArgs(ROLES.relayer, relayer.address, admin.address);
+    await expect(shim.grantRole(ROLES.relayer, relayer.address)).to.not.emit(shim, "RoleGranted");
+    await shim.connect(relayer).submitAttestation(HIGH, 260);
+
+    await expect(shim.revokeRole(ROLES.relayer, relayer.address))
+      .to.emit(shim, "RoleRevoked")
+      .withArgs(ROLES.relayer, relayer.address, admin.address);
+    await expect(shim.revokeRole(ROLES.relayer, relayer.address)).to.not.emit(shim, "RoleRevoked");
+    await expect(shim.connect(relayer).submitAttestation(HIGH, 270)).to.be.revertedWith(
+      "AccessRoles: missing role"
+    );
+  });
+
+  it("only lets admins manage roles", async function () {
+    const { shim, relayer } = await loadFixture(deployFixture);
+    await expect(shim.connect(relayer).grantRole(ROLES.relayer, relayer.address)).to.be.revertedWith(
+      "AccessRoles: missing role"
+    );
+    await expect(shim.grantRole(ROLES.relayer, ethers.ZeroAddress)).to.be.revertedWith(
+      "AccessRoles: account is zero"
+    );
+
+    await shim.grantRole(ROLES.admin, relayer.address);
+    await shim.connect(relayer).grantRole(ROLES.relayer, relayer.address);
+    expect(await shim.hasRole(ROLES.relayer, relayer.address)).to.equal(true);
+  });
+
+  it("lets a holder renounce its own role", async function () {
+    const { shim, admin } = await loadFixture(deployFixture);
+    await expect(shim.renounceRole(ROLES.relayer))
+      .to.emit(shim, "RoleRevoked")
+      .withArgs(ROLES.relayer, admin.address, admin.address);
+    await expect(shim.submitAttestation(HIGH, 260)).to.be.revertedWith("AccessRoles: missing role");
+  });
+
+  it("pauses submissions, executions and claims", async function () {
+    const { shim, dao, rewards, pauser, alice } = await loadFixture(deployFixture);
+    for (const contract of [shim, dao, rewards]) {
+      await contract.grantRole(ROLES.pauser, pauser.address);
+    }
+    await dao.submitFlexEvent(0, HIGH, LOW, [{ participant: alice.address, shiftedKw: 1000 }]);
+
+    await expect(shim.connect(alice).pause()).to.be.revertedWith("AccessRoles: missing role");
+    for (const contract of [shim, dao, rewards]) {
+      await expect(contract.connect(pauser).pause()).to.emit(contract, "Paused").withArgs(pauser.address);
+    }
+    await expect(shim.submitAttestation(HIGH, 260)).to.be.revertedWith("AccessRoles: paused");
+    await expect(
+      dao.submitFlexEvent(0, HIGH, LOW, [{ participant: alice.address, shiftedKw: 1000 }])
+    ).to.be.revertedWith("AccessRoles: paused");
+    await expect(dao.connect(alice).claimRewards()).to.be.revertedWith("AccessRoles: paused");
+    await expect(
+      rewards.executeReward(ethers.id("attestation"), ethers.ZeroHash, HIGH, alice.address, 1)
+    ).to.be.revertedWith("AccessRoles: paused");
+    await expect(
+      rewards.connect(alice).claimBatchReward(ethers.id("attestation"), HIGH, 1, 1, [])
+    ).to.be.revertedWith("AccessRoles: paused");
+
+    await expect(dao.connect(pauser).unpause()).to.emit(dao, "Unpaused").withArgs(pauser.address);
+    await dao.connect(alice).claimRewards();
+  });
+
+  it("keeps FlexDAO's submitter role out of admin hands", async function () {
+    const { dao, admin, submitter } = await loadFixture(deployFixture);
+    expect(await dao.operator()).to.equal(admin.address);
+    await expect(dao.grantRole(ROLES.submitter, submitter.address)).to.be.revertedWith(
+      "FlexDAO: submitter is set by governance"
+    );
+    await expect(dao.revokeRole(ROLES.submitter, admin.address)).to.be.revertedWith(
+      "FlexDAO: submitter is set by governance"
+    );
+    expect(await dao.hasRole(ROLES.submitter, submitter.address)).to.equal(false);
+    // Other roles stay admin-managed
+    await dao.grantRole(ROLES.pauser, submitter.address);
+  });
+
+  it("clears FlexDAO's operator when it renounces the submitter role", async function () {
+    const { dao, admin, alice } = await loadFixture(deployFixture);
+    await expect(dao.renounceRole(ROLES.submitter))
+      .to.emit(dao, "RoleRevoked")
+      .withArgs(ROLES.submitter, admin.address, admin.address);
+
+    expect(await dao.operator()).to.equal(ethers.ZeroAddress);
+    await expect(
+      dao.submitFlexEvent(0, HIGH, LOW, [{ participant: alice.address, shiftedKw: 1000 }])
+    ).to.be.revertedWith("AccessRoles: missing role");
+  });
+
+  it("starts FlexDAO's submitter role with its operator argument", async function () {
+    const { dao, submitter } = await loadFixture(deployFixture);
+    const Dao = await ethers.getContractFactory("FlexDAO");
+    const args = [await dao.oracle(), 150, await dao.token(), await dao.registry()];
+    const other = await Dao.deploy(...args, submitter.address);
+    expect(await other.operator()).to.equal(submitter.address);
+    expect(await other.hasRole(ROLES.submitter, submitter.address)).to.equal(true);
+    await expect(Dao.deploy(...args, ethers.ZeroAddress)).to.be.revertedWith("FlexDAO: operator is zero");
+  });
+});
@@ -0,0 +1,85 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { regionalSlotKeyOf } = require("../backend/rewards");
+
+const slotKey = (iso) => ethers.keccak256(ethers.toUtf8Bytes(iso));
+
+describe("FDCShim", function () {
+  async function deployFixture() {
+    const [owner, other] = await ethers.getSigners();
+    const FDCShim = await ethers.getContractFactory("FDCShim");
+    const shim = await FDCShim.deploy();
+    return { shim, owner, other };
+  }
+
+  it("gives the deployer the admin, relayer and pauser roles", async function () {
+    const { shim, owner } = await loadFixture(deployFixture);
+    for (const role of ["ADMIN_ROLE", "RELAYER_ROLE", "PAUSER_ROLE"]) {
+      expect(await shim.hasRole(ethers.id(role), owner.address)).to.equal(true);
+    }
+  });
+
+  it("only lets relayers submit attestations", async function () {
+    const { shim, other } = await loadFixture(deployFixture);
+    await expect(
+      shim.connect(other).submitAttestation(slotKey("2026-01-31T15:00Z"), 210)
+    ).to.be.revertedWith("AccessRoles: missing role");
+  });
+
+  it("stores intensities and emits AttestationSubmitted", async function () {
+    const { shim } = await loadFixture(deployFixture);
+    const key = slotKey("2026-01-31T15:00Z");
+    await expect(shim.submitAttestation(key, 210))
+      .to.emit(shim, "AttestationSubmitted")
+      .withArgs(key, 210);
+    expect(await shim.getIntensity(key)).to.equal(210);
+  });
+
+  it("counts distinct keys only, overwriting re-submitted values", async function () {
+    const { shim } = await loadFixture(deployFixture);
+    const a = slotKey("2026-01-31T15:00Z");
+    const b = slotKey("2026-01-31T15:30Z");
+    await shim.submitAttestation(a, 210);
+    await shim.submitAttestation(b, 190);
+    await shim.submitAttestation(a, 220);
+    expect(await shim.attestationCount()).to.equal(2);
+    expect(await shim.getIntensity(a)).to.equal(220);
+  });
+
+  it("stores regional intensities separately from national ones", async function () {
+    const { shim, other } = await loadFixture(deployFixture);
+    const key = slotKey("2026-01-31T15:00Z");
+    await shim.submitAttestation(key, 210);
+    await expect(shim.submitRegionalAttestation(13, key, 260))
+      .to.emit(shim, "RegionalAttestationSubmitted")
+      .withArgs(13, key, 260);
+
+    expect(await shim.getIntensity(key)).to.equal(210);
+    expect(await shim.getRegionalIntensity(0, key)).to.equal(210);
+    expect(await shim.getRegionalIntensity(13, key)).to.equal(260);
+    // Off-chain key helper matches RegionalSlots.key
+    expect(await shim.getIntensity(regionalSlotKeyOf(13, "2026-01-31T15:00Z"))).to.equal(260);
+    expect(await shim.attestationCount()).to.equal(2);
+    await expect(shim.getRegionalIntensity(14, key)).to.be.revertedWith("FDCShim: key not found");
+    await expect(shim.connect(other).submitRegionalAttestation(13, key, 1)).to.be.revertedWith(
+      "AccessRoles: missing role"
+    );
+  });
+
+  it("treats region 0 regional submissions as national", async function () {
+    const { shim } = await loadFixture(deployFixture);
+    const key = slotKey("2026-01-31T15:00Z");
+    await expect(shim.submitRegionalAttestation(0, key, 210))
+      .to.emit(shim, "AttestationSubmitted")
+      .withArgs(key, 210);
+    expect(await shim.getIntensity(key)).to.equal(210);
+  });
+
+  it("reverts for unknown keys", async function () {
+    const { shim } = await loadFixture(deployFixture);
+    await expect(shim.getIntensity(slotKey("2026-01-31T16:00Z"))).to.be.revertedWith(
+      "FDCShim: key not found"
+    );
+  });
+});
@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { responseLeaf } = require("../scripts/mock_fdc_server");
+const { buildMerkleTree } = require("../scripts/merkle_tree");
+const { getSource } = require("../scripts/carbon_sources");
+const { regionOfProof } = require("../fdc-carbon/submit_proof_to_oracle");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const slotKey = (iso) => ethers.keccak256(ethers.toUtf8Bytes(iso));
+
+const national = getSource("uk-national");
+const regional = getSource("uk-regional");
+
+const HIGH = "2026-01-31T17:00Z";
+const LOW = "2026-01-31T03:00Z";
+
+function web2JsonResponse({ slots, votingRound = 1, source = national, region, jq = source.postProcessJq }) {
+  return {
+    attestationType: ethers.encodeBytes32String("Web2Json"),
+    sourceId: ethers.encodeBytes32String("PublicWeb2"),
+    votingRound,
+    lowestUsedTimestamp: 0,
+    requestBody: {
+      url: source.buildUrl({ fromIso: "2026-01-31T00:00Z", toIso: "2026-02-01T00:00Z", region }),
+      httpMethod: "GET",
+      headers: "",
+      queryParams: "",
+      body: "",
+      postProcessJq: jq,
+      abiSignature: source.abiSignature,
+    },
+    responseBody: {
+      abiEncodedData: coder.encode([source.abiSignature], [slots]),
+    },
+  };
+}
+
+describe("FdcIntensityOracle", function () {
+  async function deployFixture() {
+    const [owner, relayer, alice] = await ethers.getSigners();
+    const verification = await (await ethers.getContractFactory("MockFdcVerification")).deploy();
+    const oracle = await (await ethers.getContractFactory("FdcIntensityOracle")).deploy(
+      owner.address,
+      await verification.getAddress()
+    );
+    const { urlPrefix, urlSuffix } = national.oracleSource();
+    await oracle.setSource(0, urlPrefix, urlSuffix, national.postProcessJq, national.abiSignature);
+
+    // Publishes one root per voting round over the given responses, returns their proofs
+    async function prove(...responses) {
+      const tree = buildMerkleTree(responses.map(responseLeaf));
+      await verification.setMerkleRoot(responses[0].votingRound, tree.root);
+      return responses.map((data) => ({ merkleProof: tree.getProof(responseLeaf(data)), data }));
+    }
+    return { oracle, verification, prove, owner, relayer, alice };
+  }
+
+  it("stores verified per-slot intensities under keccak256(timestamp)", async function () {
+    const { oracle, prove, relayer } = await loadFixture(deployFixture);
+    const [proof] = await prove(
+      web2JsonResponse({
+        slots: [
+          { from: HIGH, intensity: 250 },
+          { from: LOW, intensity: 90 },
+          { from: "2026-01-31T23:30Z", intensity: 0 }, // actual not yet published
+        ],
+      })
+    );
+
+    await expect(oracle.connect(relayer).submitProof(0, proof))
+      .to.emit(oracle, "ProofSubmitted")
+      .withArgs(0, responseLeaf(proof.data), 1, 2);
+    expect(await oracle.getIntensity(slotKey(HIGH))).to.equal(250);
+    expect(await oracle.getRegionalIntensity(0, slotKey(LOW))).to.equal(90);
+    expect(await oracle.attestationCount()).to.equal(2);
+    await expect(oracle.getIntensity(slotKey("2026-01-31T23:30Z"))).to.be.revertedWith(
+      "FdcIntensityOracle: key not found"
+    );
+  });
+
+  it("serves FlexDAO unchanged", async function () {
+    const { oracle, prove, owner, alice } = await loadFixture(deployFixture);
+    const [proof] = await prove(
+      web2JsonResponse({ slots: [{ from: HIGH, intensity: 250 }, { from: LOW, intensity: 90 }] })
+    );
+    await oracle.submitProof(0, proof);
+
+    const registry = await (await ethers.getContractFactory("HouseholdRegistry")).deploy();
+    await registry.enrollFor(ethers.encodeBytes32String("HH-001"), alice.address, 0, 1);
+    const token = await (await ethers.getContractFactory("FlexToken")).deploy();
+    const dao = await (await ethers.getContractFactory("FlexDAO")).deploy(
+      await oracle.getAddress(),
+      150,
+      await token.getAddress(),
+      await registry.getAddress(),
+      owner.address
+    );
+    await dao.connect(owner).submitFlexEvent(0, slotKey(HIGH), slotKey(LOW), [
+      { participant: alice.address, shiftedKw: 1000 },
+    ]);
+    expect(await dao.balances(alice.address)).to.equal(ethers.parseEther("0.08"));
+  });
+
+  it("rejects unproved, non-Web2Json and untrusted requests", async function () {
+    const { oracle, prove } = await loadFixture(deployFixture);
+    const slots = [{ from: HIGH, intensity: 900 }];
+
+    const unproved = { merkleProof: [], data: web2JsonResponse({ slots, votingRound: 7 }) };
+    await expect(oracle.submitProof(0, unproved)).to.be.revertedWith("FdcIntensityOracle: invalid FDC proof");
+
+    const notWeb2Json = { merkleProof: [], data: { ...unproved.data, attestationType: ethers.ZeroHash } };
+    await expect(oracle.submitProof(0, notWeb2Json)).to.be.revertedWith(
+      "FdcIntensityOracle: not a Web2Json attestation"
+    );
+
+    // Proved by FDC, but not a request the owner trusts for the region
+    const otherHost = web2JsonResponse({ slots, votingRound: 2 });
+    otherHost.requestBody.url = "https://evil.example/intensity/2026-01-31T00:00Z/2026-02-01T00:00Z";
+    const forecastJq = web2JsonResponse({ slots, votingRound: 2, jq: ".data | map({from: .from, intensity: .intensity.forecast})" });
+    const [hostProof, jqProof] = await prove(otherHost, forecastJq);
+    for (const proof of [hostProof, jqProof]) {
+      await expect(oracle.submitProof(0, proof)).to.be.revertedWith("FdcIntensityOracle: untrusted source");
+    }
+    await expect(oracle.submitProof(13, jqProof)).to.be.revertedWith("FdcIntensityOracle: untrusted source");
+    expect(await oracle.attestationCount()).to.equal(0);
+  });
+
+  it("keeps regional readings apart and bound to their region's URL", async function () {
+    const { oracle, prove } = await loadFixture(deployFixture);
+    for (const region of [1, 13]) {
+      const { urlPrefix, urlSuffix } = regional.oracleSource({ region });
+      await oracle.setSource(region, urlPrefix, urlSuffix, regional.postProcessJq, regional.abiSignature);
+    }
+    const [proof] = await prove(
+      web2JsonResponse({ slots: [{ from: HIGH, intensity: 310 }], source: regional, region: 13 })
+    );
+    expect(regionOfProof(proof)).to.equal(13);
+
+    // "/regionid/1" must not accept a region 13 URL
+    await expect(oracle.submitProof(1, proof)).to.be.revertedWith("FdcIntensityOracle: untrusted source");
+    await oracle.submitProof(13, proof);
+    expect(await oracle.getRegionalIntensity(13, slotKey(HIGH))).to.equal(310);
+    await expect(oracle.getIntensity(slotKey(HIGH))).to.be.revertedWith("FdcIntensityOracle: key not found");
+  });
+
+  it("rejects proved requests that only share the trusted URL's prefix and suffix", async function () {
+    const { oracle, prove } = await loadFixture(deployFixture);
+    const { urlPrefix, urlSuffix } = regional.oracleSource({ region: 13 });
+    await oracle.setSource(13, urlPrefix, urlSuffix, regional.postProcessJq, regional.abiSignature);
+    const slots = [{ from: HIGH, intensity: 900 }];
+    const window = "2026-01-31T00:00Z/2026-02-01T00:00Z";
+    const request = (changes, source = regional, region = 13) => {
+      const data = web2JsonResponse({ slots, votingRound: 3, source, region });
+      Object.assign(data.requestBody, changes);
+      return data;
+    };
+
+    const nationalPrefix = national.oracleSource().urlPrefix;
+    // [region, request]
+    const forged = [
+      // Another region's data, made to end in "/regionid/13"
+      [13, request({ url: `${urlPrefix}${window}/regionid/1?x=/regionid/13` })],
+      [13, request({ url: `${urlPrefix}${window}/regionid/1/regionid/13` })],
+      [13, request({ url: `${urlPrefix}2026-01-31T00:00Z/x/${window}/regionid/13` })],
+      // National: nothing may follow the window
+      [0, request({ url: `${nationalPrefix}${window}/extra` }, national, undefined)],
+      [0, request({ url: `${nationalPrefix}${window}?region=13` }, national, undefined)],
+      [13, request({ queryParams: '{"regionid":"1"}' })],
+      [13, request({ headers: '{"X-Region":"1"}' })],
+      [13, request({ httpMethod: "POST" })],
+      [13, request({ body: "{}" })],
+    ];
+    const [genuine, ...proofs] = await prove(request({}), ...forged.map(([, data]) => data));
+    for (const [i, proof] of proofs.entries()) {
+      await expect(oracle.submitProof(forged[i][0], proof)).to.be.revertedWith("FdcIntensityOracle: untrusted source");
+    }
+    expect(await oracle.attestationCount()).to.equal(0);
+
+    await oracle.submitProof(13, genuine);
+    expect(await oracle.getRegionalIntensity(13, slotKey(HIGH))).to.equal(900);
+  });
+
+  it("only lets newer voting rounds overwrite a slot", async function () {
+    const { oracle, prove } = await loadFixture(deployFixture);
+    const [newer] = await prove(web2JsonResponse({ slots: [{ from: HIGH, intensity: 260 }], votingRound: 5 }));
+    const [older] = await prove(web2JsonResponse({ slots: [{ from: HIGH, intensity: 240 }], votingRound: 4 }));
+
+    await oracle.submitProof(0, newer);
+    await expect(oracle.submitProof(0, older)).to.emit(oracle, "ProofSubmitted").withArgs(0, responseLeaf(older.data), 4, 0);
+    expect(await oracle.getIntensity(slotKey(HIGH))).to.equal(260);
+    expect(await oracle.attestationCount()).to.equal(1);
+  });
+
+  it("restricts source configuration to the owner", async function () {
+    const { oracle, relayer } = await loadFixture(deployFixture);
+    await expect(
+      oracle.connect(relayer).setSource(0, "https://evil.example/", "", national.postProcessJq, national.abiSignature)
+    ).to.be.revertedWith("FdcIntensityOracle: not owner");
+    await expect(oracle.setOwner(ethers.ZeroAddress)).to.be.revertedWith("FdcIntensityOracle: owner is zero");
+  });
+});
@@ -0,0 +1,252 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const slotKey = (iso) => ethers.keccak256(ethers.toUtf8Bytes(iso));
+
+const HIGH = slotKey("2026-01-31T17:00Z"); // 250 gCO2/kWh
+const LOW = slotKey("2026-01-31T03:00Z"); // 90 gCO2/kWh
+const MID = slotKey("2026-01-31T12:00Z"); // 140 gCO2/kWh (below threshold)
+
+describe("FlexDAO", function () {
+  async function deployFixture() {
+    const [operator, alice, bob, carol] = await ethers.getSigners();
+
+    const shim = await (await ethers.getContractFactory("FDCShim")).deploy();
+    await shim.submitAttestation(HIGH, 250);
+    await shim.submitAttestation(LOW, 90);
+    await shim.submitAttestation(MID, 140);
+
+    const registry = await (await ethers.getContractFactory("HouseholdRegistry")).deploy();
+    await registry.enrollFor(ethers.encodeBytes32String("HH-001"), alice.address, 0, 1);
+    await registry.enrollFor(ethers.encodeBytes32String("HH-002"), bob.address, 0, 2);
+    await registry.enrollFor(ethers.encodeBytes32String("HH-003"), carol.address, 13, 1);
+
+    const token = await (await ethers.getContractFactory("FlexToken")).deploy();
+    const dao = await (await ethers.getContractFactory("FlexDAO")).deploy(
+      await shim.getAddress(),
+      150,
+      await token.getAddress(),
+      await registry.getAddress(),
+      operator.address
+    );
+    await token.setMinter(await dao.getAddress(), true);
+
+    return { shim, token, registry, dao, operator, alice, bob, carol };
+  }
+
+  it("rewards shiftedKw × intensity delta (1 FLEX per kg CO2)", async function () {
+    const { dao, alice, bob } = await loadFixture(deployFixture);
+    await dao.submitFlexEvent(0, HIGH, LOW, [
+      { participant: alice.address, shiftedKw: 1000 }, // 1 kW for 0.5 h × 160 g = 80 g
+      { participant: bob.address, shiftedKw: 2500 },
+    ]);
+    expect(await dao.balances(alice.address)).to.equal(ethers.parseEther("0.08"));
+    expect(await dao.balances(bob.address)).to.equal(ethers.parseEther("0.2"));
+    expect(await dao.totalRewardsIssued()).to.equal(ethers.parseEther("0.28"));
+    expect(await dao.totalEventsVerified()).to.equal(1);
+  });
+
+  it("emits FlexEventVerified with both intensities", async function () {
+    const { dao, alice } = await loadFixture(deployFixture);
+    await expect(dao.submitFlexEvent(0, HIGH, LOW, [{ participant: alice.address, shiftedKw: 1000 }]))
+      .to.emit(dao, "FlexEventVerified")
+      .withArgs(HIGH, LOW, 0, 250, 90, 1, 1000);
+  });
+
+  it("rejects slots below the intensity threshold", async function () {
+    const { dao, alice } = await loadFixture(deployFixture);
+    await expect(
+      dao.submitFlexEvent(0, MID, LOW, [{ participant: alice.address, shiftedKw: 1000 }])
+    ).to.be.revertedWith("FlexDAO: intensity below threshold");
+  });
+
+  it("rejects recovery slots that are not lower-carbon", async function () {
+    const { dao, alice } = await loadFixture(deployFixture);
+    await expect(
+      dao.submitFlexEvent(0, HIGH, HIGH, [{ participant: alice.address, shiftedKw: 1000 }])
+    ).to.be.revertedWith("FlexDAO: recovery slot not lower-carbon");
+  });
+
+  it("rejects slots without an attestation", async function () {
+    const { dao, alice } = await loadFixture(deployFixture);
+    await expect(
+      dao.submitFlexEvent(0, slotKey("2026-02-01T17:00Z"), LOW, [
+        { participant: alice.address, shiftedKw: 1000 },
+      ])
+    ).to.be.revertedWith("FDCShim: key not found");
+  });
+
+  it("processes each slot only once", async function () {
+    const { dao, alice } = await loadFixture(deployFixture);
+    const participants = [{ participant: alice.address, shiftedKw: 1000 }];
+    await dao.submitFlexEvent(0, HIGH, LOW, participants);
+    await expect(dao.submitFlexEvent(0, HIGH, LOW, participants)).to.be.revertedWith(
+      "FlexDAO: slot already processed"
+    );
+  });
+
+  it("rejects participants that are not approved in the registry", async function () {
+    const { dao, registry, operator, alice } = await loadFixture(deployFixture);
+    await expect(
+      dao.submitFlexEvent(0, HIGH, LOW, [{ participant: operator.address, shiftedKw: 1000 }])
+    ).to.be.revertedWith("FlexDAO: participant not enrolled");
+
+    await registry.revoke(ethers.encodeBytes32String("HH-001"));
+    await expect(
+      dao.submitFlexEvent(0, HIGH, LOW, [{ participant: alice.address, shiftedKw: 1000 }])
+    ).to.be.revertedWith("FlexDAO: participant not enrolled");
+  });
+
+  it("only lets submitters submit events", async function () {
+    const { dao, alice } = await loadFixture(deployFixture);
+    await expect(
+      dao.connect(alice).submitFlexEvent(0, HIGH, LOW, [{ participant: alice.address, shiftedKw: 1 }])
+    ).to.be.revertedWith("AccessRoles: missing role");
+  });
+
+  it("mints FLEX on claim and zeroes the balance", async function () {
+    const { dao, token, alice } = await loadFixture(deployFixture);
+    await dao.submitFlexEvent(0, HIGH, LOW, [{ participant: alice.address, shiftedKw: 1000 }]);
+    const amount = ethers.parseEther("0.08");
+
+    await expect(dao.connect(alice).claimRewards())
+      .to.emit(dao, "RewardClaimed")
+      .withArgs(alice.address, amount);
+    expect(await token.balanceOf(alice.address)).to.equal(amount);
+    expect(await dao.balances(alice.address)).to.equal(0);
+    await expect(dao.connect(alice).claimRewards()).to.be.revertedWith("FlexDAO: no rewards");
+  });
+
+  describe("regions", function () {
+    async function regionalFixture() {
+      const fixture = await deployFixture();
+      // Region 13: HIGH 300 → LOW 100; MID is above threshold there.
+      await fixture.shim.submitRegionalAttestation(13, HIGH, 300);
+      await fixture.shim.submitRegionalAttestation(13, LOW, 100);
+      await fixture.shim.submitRegionalAttestation(13, MID, 160);
+      return fixture;
+    }
+
+    it("rewards against the region's intensities", async function () {
+      const { dao, carol } = await loadFixture(regionalFixture);
+      await expect(dao.submitFlexEvent(13, HIGH, LOW, [{ participant: carol.address, shiftedKw: 1000 }]))
+        .to.emit(dao, "FlexEventVerified")
+        .withArgs(HIGH, LOW, 13, 300, 100, 1, 1000);
+      // 1 kW for 0.5 h × 200 g = 100 g
+      expect(await dao.balances(carol.address)).to.equal(ethers.parseEther("0.1"));
+      // Nationally MID is below threshold; regionally it is not.
+      await dao.submitFlexEvent(13, MID, LOW, [{ participant: carol.address, shiftedKw: 1000 }]);
+    });
+
+    it("processes the same slot once per region", async function () {
+      const { dao, alice, carol } = await loadFixture(regionalFixture);
+      await dao.submitFlexEvent(0, HIGH, LOW, [{ participant: alice.address, shiftedKw: 1000 }]);
+      await dao.submitFlexEvent(13, HIGH, LOW, [{ participant: carol.address, shiftedKw: 1000 }]);
+      await expect(
+        dao.submitFlexEvent(13, HIGH, LOW, [{ participant: carol.address, shiftedKw: 1000 }])
+      ).to.be.revertedWith("FlexDAO: slot already processed");
+    });
+
+    it("rejects participants registered in another region", async function () {
+      const { dao, alice } = await loadFixture(regionalFixture);
+      await expect(
+        dao.submitFlexEvent(13, HIGH, LOW, [{ participant: alice.address, shiftedKw: 1000 }])
+      ).to.be.revertedWith("FlexDAO: participant not in region");
+    });
+
+    it("lets regional households fall back to national intensity", async function () {
+      const { dao, carol } = await loadFixture(regionalFixture);
+      await dao.submitFlexEvent(0, HIGH, LOW, [{ participant: carol.address, shiftedKw: 1000 }]);
+      expect(await dao.balances(carol.address)).to.equal(ethers.parseEther("0.08"));
+    });
+
+    it("reverts without regional attestations", async function () {
+      const { dao, alice } = await loadFixture(deployFixture);
+      await expect(
+        dao.submitFlexEvent(14, HIGH, LOW, [{ participant: alice.address, shiftedKw: 1000 }])
+      ).to.be.revertedWith("FDCShim: key not found");
+    });
+  });
+
+  describe("disputes", function () {
+    const DISPUTE_WINDOW = 2 * 24 * 60 * 60;
+
+    it("voids unclaimed rewards of a slot and reports claimed ones", async function () {
+      const { dao, operator, alice, bob } = await loadFixture(deployFixture);
+      await dao.submitFlexEvent(0, HIGH, LOW, [
+        { participant: alice.address, shiftedKw: 1000 },
+        { participant: bob.address, shiftedKw: 2500 },
+      ]);
+      await dao.connect(bob).claimRewards();
+
+      await expect(dao.voidSlotRewards(0, HIGH, "bad attestation"))
+        .to.emit(dao, "RewardVoided")
+        .withArgs(HIGH, 0, alice.address, ethers.parseEther("0.08"), "bad attestation")
+        .and.to.emit(dao, "SlotRewardsVoided")
+        .withArgs(HIGH, 0, operator.address, ethers.parseEther("0.08"), ethers.parseEther("0.2"), "bad attestation");
+      expect(await dao.balances(alice.address)).to.equal(0);
+      expect(await dao.totalRewardsVoided()).to.equal(ethers.parseEther("0.08"));
+      expect((await dao.slotRecords(HIGH)).voided).to.equal(true);
+      await expect(dao.connect(alice).claimRewards()).to.be.revertedWith("FlexDAO: no rewards");
+      // A voided slot stays processed
+      await expect(
+        dao.submitFlexEvent(0, HIGH, LOW, [{ participant: alice.address, shiftedKw: 1000 }])
+      ).to.be.revertedWith("FlexDAO: slot already processed");
+    });
+
+    it("only removes the voided slot's share of a balance", async function () {
+      const { shim, dao, alice } = await loadFixture(deployFixture);
+      const other = slotKey("2026-01-31T18:00Z");
+      await shim.submitAttestation(other, 200);
+      await dao.submitFlexEvent(0, HIGH, LOW, [{ participant: alice.address, shiftedKw: 1000 }]);
+      await dao.connect(alice).claimRewards();
+      await dao.submitFlexEvent(0, other, LOW, [{ participant: alice.address, shiftedKw: 1000 }]);
+
+      // HIGH was claimed before `other` accrued, so nothing is taken from `other`
+      await expect(dao.voidSlotRewards(0, HIGH, "bad attestation")).to.not.emit(dao, "RewardVoided");
+      expect(await dao.balances(alice.address)).to.equal(ethers.parseEther("0.055"));
+      await dao.voidSlotRewards(0, other, "bad attestation");
+      expect(await dao.balances(alice.address)).to.equal(0);
+    });
+
+    it("rejects voids by non-admins, without a reason, twice or after the window", async function () {
+      const { dao, alice } = await loadFixture(deployFixture);
+      await expect(dao.voidSlotRewards(0, HIGH, "bad attestation")).to.be.revertedWith(
+        "FlexDAO: slot not processed"
+      );
+      await dao.submitFlexEvent(0, HIGH, LOW, [{ participant: alice.address, shiftedKw: 1000 }]);
+      await expect(dao.connect(alice).voidSlotRewards(0, HIGH, "mine")).to.be.revertedWith(
+        "AccessRoles: missing role"
+      );
+      await expect(dao.voidSlotRewards(0, HIGH, "")).to.be.revertedWith("FlexDAO: reason is empty");
+      await expect(dao.voidSlotRewards(13, HIGH, "bad attestation")).to.be.revertedWith(
+        "FlexDAO: slot not processed"
+      );
+
+      await time.increase(DISPUTE_WINDOW + 1);
+      await expect(dao.voidSlotRewards(0, HIGH, "bad attestation")).to.be.revertedWith(
+        "FlexDAO: dispute window closed"
+      );
+      await dao.connect(alice).claimRewards();
+    });
+
+    it("voids while paused", async function () {
+      const { dao, alice } = await loadFixture(deployFixture);
+      await dao.submitFlexEvent(0, HIGH, LOW, [{ participant: alice.address, shiftedKw: 1000 }]);
+      await dao.pause();
+      await dao.voidSlotRewards(0, HIGH, "bad attestation");
+      await expect(dao.voidSlotRewards(0, HIGH, "again")).to.be.revertedWith("FlexDAO: slot already voided");
+    });
+  });
+
+  it("reports stats including the oracle's attestation count", async function () {
+    const { dao, alice } = await loadFixture(deployFixture);
+    await dao.submitFlexEvent(0, HIGH, LOW, [{ participant: alice.address, shiftedKw: 1000 }]);
+    const stats = await dao.getStats();
+    expect(stats.eventsVerified).to.equal(1);
+    expect(stats.rewardsIssued).to.equal(ethers.parseEther("0.08"));
+    expect(stats.threshold).to.equal(150);
+    expect(stats.attestations).to.equal(3);
+  });
+});
@@ -0,0 +1,230 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const slotKey = (iso) => ethers.keccak256(ethers.toUtf8Bytes(iso));
+
+const HIGH = slotKey("2026-01-31T17:00Z"); // 250 gCO2/kWh
+const LOW = slotKey("2026-01-31T03:00Z"); // 90 gCO2/kWh
+const MID = slotKey("2026-01-31T12:00Z"); // 140 gCO2/kWh
+
+// FlexGovernance.Parameter / ProposalState
+const Parameter = { IntensityThreshold: 0, RewardPerKgCo2: 1, Operator: 2, Quorum: 3 };
+const State = { Active: 0, Defeated: 1, Queued: 2, Ready: 3, Executed: 4 };
+
+const VOTING_PERIOD = 3 * 24 * 60 * 60;
+const TIMELOCK_DELAY = 2 * 24 * 60 * 60;
+
+describe("FlexGovernance (FlexDAO)", function () {
+  async function deployFixture() {
+    const [operator, alice, bob, carol, dave, outsider] = await ethers.getSigners();
+
+    const shim = await (await ethers.getContractFactory("FDCShim")).deploy();
+    await shim.submitAttestation(HIGH, 250);
+    await shim.submitAttestation(LOW, 90);
+    await shim.submitAttestation(MID, 140);
+
+    const registry = await (await ethers.getContractFactory("HouseholdRegistry")).deploy();
+    const households = [alice, bob, carol, dave];
+    for (const [i, h] of households.entries()) {
+      await registry.enrollFor(ethers.encodeBytes32String(`HH-00${i + 1}`), h.address, 0, 1);
+    }
+
+    const token = await (await ethers.getContractFactory("FlexToken")).deploy();
+    const dao = await (await ethers.getContractFactory("FlexDAO")).deploy(
+      await shim.getAddress(),
+      150,
+      await token.getAddress(),
+      await registry.getAddress(),
+      operator.address
+    );
+    await token.setMinter(await dao.getAddress(), true);
+
+    // Proposes from `proposer`, then casts the given votes ([signer, support] pairs)
+    async function proposeAndVote(proposer, parameter, value, votes) {
+      await dao.connect(proposer).propose(parameter, value);
+      const id = await dao.proposalCount();
+      for (const [voter, support] of votes) {
+        await dao.connect(voter).castVote(id, support);
+      }
+      return id;
+    }
+    return { dao, registry, proposeAndVote, operator, alice, bob, carol, dave, outsider };
+  }
+
+  it("changes the intensity threshold after the vote and the timelock", async function () {
+    const { dao, operator, alice, bob, carol } = await loadFixture(deployFixture);
+
+    const proposedAt = (await time.latest()) + 10;
+    await time.setNextBlockTimestamp(proposedAt);
+    const voteEnd = proposedAt + VOTING_PERIOD;
+    const eta = voteEnd + TIMELOCK_DELAY;
+    await expect(dao.connect(alice).propose(Parameter.IntensityThreshold, 100))
+      .to.emit(dao, "ProposalCreated")
+      .withArgs(1, alice.address, Parameter.IntensityThreshold, 100, voteEnd, eta);
+    const id = 1;
+    await expect(dao.connect(bob).castVote(id, true)).to.emit(dao, "VoteCast").withArgs(id, bob.address, true);
+    await dao.connect(alice).castVote(id, true);
+    await dao.connect(carol).castVote(id, true);
+    expect(await dao.state(id)).to.equal(State.Active);
+
+    await time.increaseTo(voteEnd);
+    expect(await dao.state(id)).to.equal(State.Queued);
+    await expect(dao.execute(id)).to.be.revertedWith("FlexGovernance: not ready");
+
+    await time.increaseTo(eta);
+    expect(await dao.state(id)).to.equal(State.Ready);
+    await expect(dao.connect(operator).execute(id))
+      .to.emit(dao, "ProposalExecuted")
+      .withArgs(id, Parameter.IntensityThreshold, 150, 100);
+    expect(await dao.state(id)).to.equal(State.Executed);
+    expect(await dao.intensityThreshold()).to.equal(100);
+
+    // MID (140 gCO2/kWh) now clears the threshold
+    await dao.submitFlexEvent(0, MID, LOW, [{ participant: alice.address, shiftedKw: 1000 }]);
+    await expect(dao.execute(id)).to.be.revertedWith("FlexGovernance: not ready");
+  });
+
+  it("hands the operator role to another address", async function () {
+    const { dao, proposeAndVote, operator, alice, bob, carol, dave } = await loadFixture(deployFixture);
+    const id = await proposeAndVote(alice, Parameter.Operator, dave.address, [
+      [alice, true],
+      [bob, true],
+      [carol, true],
+    ]);
+    await time.increase(VOTING_PERIOD + TIMELOCK_DELAY);
+    await expect(dao.execute(id))
+      .to.emit(dao, "ProposalExecuted")
+      .withArgs(id, Parameter.Operator, BigInt(operator.address), BigInt(dave.address));
+
+    expect(await dao.operator()).to.equal(dave.address);
+    const participants = [{ participant: alice.address, shiftedKw: 1000 }];
+    const SUBMITTER_ROLE = await dao.SUBMITTER_ROLE();
+    expect(await dao.hasRole(SUBMITTER_ROLE, operator.address)).to.equal(false);
+    expect(await dao.hasRole(SUBMITTER_ROLE, dave.address)).to.equal(true);
+    await expect(dao.connect(operator).submitFlexEvent(0, HIGH, LOW, participants)).to.be.revertedWith(
+      "AccessRoles: missing role"
+    );
+    await dao.connect(dave).submitFlexEvent(0, HIGH, LOW, participants);
+  });
+
+  it("scales rewards with a new reward rate", async function () {
+    const { dao, proposeAndVote, alice, bob, carol } = await loadFixture(deployFixture);
+    const id = await proposeAndVote(bob, Parameter.RewardPerKgCo2, ethers.parseEther("2"), [
+      [alice, true],
+      [bob, true],
+      [carol, true],
+    ]);
+    await time.increase(VOTING_PERIOD + TIMELOCK_DELAY);
+    await dao.execute(id);
+
+    await dao.submitFlexEvent(0, HIGH, LOW, [{ participant: alice.address, shiftedKw: 1000 }]);
+    expect(await dao.balances(alice.address)).to.equal(ethers.parseEther("0.16"));
+  });
+
+  it("defeats proposals below quorum or without a majority", async function () {
+    const { dao, proposeAndVote, alice, bob, carol, dave } = await loadFixture(deployFixture);
+    const short = await proposeAndVote(alice, Parameter.IntensityThreshold, 100, [
+      [alice, true],
+      [bob, true],
+    ]);
+    const split = await proposeAndVote(alice, Parameter.IntensityThreshold, 100, [
+      [alice, true],
+      [bob, true],
+      [carol, true],
+      [dave, false],
+    ]);
+    const tied = await proposeAndVote(alice, Parameter.IntensityThreshold, 100, [
+      [alice, true],
+      [bob, false],
+    ]);
+    await time.increase(VOTING_PERIOD + TIMELOCK_DELAY);
+
+    expect(await dao.state(short)).to.equal(State.Defeated);
+    expect(await dao.state(split)).to.equal(State.Ready);
+    expect(await dao.state(tied)).to.equal(State.Defeated);
+    await expect(dao.execute(short)).to.be.revertedWith("FlexGovernance: not ready");
+  });
+
+  it("only lets enrolled households propose and vote, once, while voting is open", async function () {
+    const { dao, registry, alice, bob, outsider } = await loadFixture(deployFixture);
+    await expect(dao.connect(outsider).propose(Parameter.IntensityThreshold, 100)).to.be.revertedWith(
+      "FlexGovernance: not a voter"
+    );
+    await dao.connect(alice).propose(Parameter.IntensityThreshold, 100);
+    await expect(dao.connect(outsider).castVote(1, true)).to.be.revertedWith("FlexGovernance: not a voter");
+
+    await dao.connect(alice).castVote(1, true);
+    await expect(dao.connect(alice).castVote(1, false)).to.be.revertedWith("FlexGovernance: already voted");
+
+    await registry.revoke(ethers.encodeBytes32String("HH-002"));
+    await expect(dao.connect(bob).castVote(1, true)).to.be.revertedWith("FlexGovernance: not a voter");
+
+    await time.increase(VOTING_PERIOD);
+    await expect(dao.connect(alice).castVote(1, true)).to.be.revertedWith("FlexGovernance: voting closed");
+    await expect(dao.state(2)).to.be.revertedWith("FlexGovernance: unknown proposal");
+  });
+
+  it("only counts households approved before the proposal was made", async function () {
+    const { dao, registry, operator, alice, bob, outsider } = await loadFixture(deployFixture);
+    await dao.connect(alice).propose(Parameter.Operator, BigInt(outsider.address));
+    await dao.connect(alice).castVote(1, true);
+
+    // One operator key enrolling fresh voters while the vote is open cannot reach quorum
+    const sybils = (await ethers.getSigners()).slice(6, 9);
+    for (const [i, sybil] of sybils.entries()) {
+      await registry.enrollFor(ethers.encodeBytes32String(`SYBIL-${i}`), sybil.address, 0, 1);
+      await expect(dao.connect(sybil).castVote(1, true)).to.be.revertedWith("FlexGovernance: not a voter");
+    }
+    // Nor can a household re-approved after the proposal
+    await registry.revoke(ethers.encodeBytes32String("HH-002"));
+    await registry.approve(ethers.encodeBytes32String("HH-002"));
+    await expect(dao.connect(bob).castVote(1, true)).to.be.revertedWith("FlexGovernance: not a voter");
+
+    await time.increase(VOTING_PERIOD + TIMELOCK_DELAY);
+    expect(await dao.state(1)).to.equal(State.Defeated);
+    expect(await dao.operator()).to.equal(operator.address);
+
+    // They vote on proposals made after their approval
+    await dao.connect(sybils[0]).propose(Parameter.IntensityThreshold, 100);
+    await dao.connect(sybils[1]).castVote(2, true);
+    await dao.connect(bob).castVote(2, true);
+  });
+
+  it("changes the quorum, keeping the quorum each proposal was made under", async function () {
+    const { dao, proposeAndVote, alice, bob, carol, dave } = await loadFixture(deployFixture);
+    const raise = await proposeAndVote(alice, Parameter.Quorum, 4, [
+      [alice, true],
+      [bob, true],
+      [carol, true],
+    ]);
+    const before = await proposeAndVote(alice, Parameter.IntensityThreshold, 100, [
+      [alice, true],
+      [bob, true],
+      [carol, true],
+    ]);
+    await time.increase(VOTING_PERIOD + TIMELOCK_DELAY);
+    await expect(dao.execute(raise)).to.emit(dao, "ProposalExecuted").withArgs(raise, Parameter.Quorum, 3, 4);
+    expect(await dao.quorum()).to.equal(4);
+    expect(await dao.state(before)).to.equal(State.Ready);
+
+    const after = await proposeAndVote(dave, Parameter.IntensityThreshold, 120, [
+      [alice, true],
+      [bob, true],
+      [carol, true],
+    ]);
+    await time.increase(VOTING_PERIOD + TIMELOCK_DELAY);
+    expect(await dao.state(after)).to.equal(State.Defeated);
+  });
+
+  it("rejects a zero operator or quorum", async function () {
+    const { dao, alice } = await loadFixture(deployFixture);
+    await expect(dao.connect(alice).propose(Parameter.Operator, 0)).to.be.revertedWith(
+      "FlexGovernance: invalid operator"
+    );
+    await expect(dao.connect(alice).propose(Parameter.Operator, 2n ** 160n)).to.be.revertedWith(
+      "FlexGovernance: invalid operator"
+    );
+    await expect(dao.connect(alice).propose(Parameter.Quorum, 0)).to.be.revertedWith("FlexGovernance: invalid quorum");
+  });
+});
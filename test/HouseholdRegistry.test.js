@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { assetMask, enrollHouseholds } = require("../scripts/enroll_households");
+
+const HH1 = ethers.encodeBytes32String("HH-001");
+const HH2 = ethers.encodeBytes32String("HH-002");
+
+const Status = { None: 0, Pending: 1, Approved: 2, Revoked: 3 };
+
+describe("HouseholdRegistry", function () {
+  async function deployFixture() {
+    const [operator, alice, bob] = await ethers.getSigners();
+    const registry = await (await ethers.getContractFactory("HouseholdRegistry")).deploy();
+    return { registry, operator, alice, bob };
+  }
+
+  it("approves operator enrollments immediately", async function () {
+    const { registry, alice } = await loadFixture(deployFixture);
+    await expect(registry.enrollFor(HH1, alice.address, 0, 5))
+      .to.emit(registry, "HouseholdEnrolled")
+      .withArgs(HH1, alice.address, 0, 5, Status.Approved);
+
+    const household = await registry.households(HH1);
+    expect(household.payout).to.equal(alice.address);
+    expect(household.assets).to.equal(5);
+    expect(await registry.householdOf(alice.address)).to.equal(HH1);
+    expect(await registry.isEnrolled(alice.address)).to.equal(true);
+    expect(await registry.approvedCount()).to.equal(1);
+  });
+
+  it("keeps self-enrollments pending until the operator approves them", async function () {
+    const { registry, alice } = await loadFixture(deployFixture);
+    await registry.connect(alice).enroll(HH1, 0, 2);
+    expect((await registry.households(HH1)).status).to.equal(Status.Pending);
+    expect(await registry.isEnrolled(alice.address)).to.equal(false);
+
+    await expect(registry.connect(alice).approve(HH1)).to.be.revertedWith(
+      "HouseholdRegistry: not operator"
+    );
+    await expect(registry.approve(HH1))
+      .to.emit(registry, "HouseholdStatusChanged")
+      .withArgs(HH1, Status.Approved);
+    expect(await registry.isEnrolled(alice.address)).to.equal(true);
+  });
+
+  it("revokes and re-approves households", async function () {
+    const { registry, alice } = await loadFixture(deployFixture);
+    await registry.enrollFor(HH1, alice.address, 0, 1);
+    await registry.revoke(HH1);
+    expect(await registry.isEnrolled(alice.address)).to.equal(false);
+    expect(await registry.approvedCount()).to.equal(0);
+
+    await registry.approve(HH1);
+    expect(await registry.isEnrolled(alice.address)).to.equal(true);
+    await expect(registry.approve(HH1)).to.be.revertedWith("HouseholdRegistry: not pending or revoked");
+  });
+
+  it("reports when a payout address's household was last approved", async function () {
+    const { registry, alice, bob } = await loadFixture(deployFixture);
+    await registry.enrollFor(HH1, alice.address, 0, 1);
+    const enrolledAt = await time.latest();
+    await registry.connect(bob).enroll(HH2, 0, 1);
+    expect(await registry.approvedSince(alice.address)).to.equal(enrolledAt);
+    expect(await registry.approvedSince(bob.address)).to.equal(0);
+
+    await registry.revoke(HH1);
+    expect(await registry.approvedSince(alice.address)).to.equal(0);
+    await registry.approve(HH1);
+    expect(await registry.approvedSince(alice.address)).to.equal(await time.latest());
+  });
+
+  it("maps each household ID and payout address once", async function () {
+    const { registry, alice, bob } = await loadFixture(deployFixture);
+    await registry.enrollFor(HH1, alice.address, 0, 1);
+    await expect(registry.enrollFor(HH1, bob.address, 0, 1)).to.be.revertedWith(
+      "HouseholdRegistry: already enrolled"
+    );
+    await expect(registry.enrollFor(HH2, alice.address, 0, 1)).to.be.revertedWith(
+      "HouseholdRegistry: payout in use"
+    );
+    await expect(registry.enrollFor(ethers.ZeroHash, bob.address, 0, 1)).to.be.revertedWith(
+      "HouseholdRegistry: id is empty"
+    );
+  });
+
+  it("restricts operator actions", async function () {
+    const { registry, alice, bob } = await loadFixture(deployFixture);
+    await expect(registry.connect(alice).enrollFor(HH1, alice.address, 0, 1)).to.be.revertedWith(
+      "HouseholdRegistry: not operator"
+    );
+    await registry.setOperator(bob.address);
+    await registry.connect(bob).enrollFor(HH1, alice.address, 0, 1);
+    await expect(registry.connect(bob).setAssets(HH1, 7))
+      .to.emit(registry, "HouseholdAssetsUpdated")
+      .withArgs(HH1, 7);
+  });
+
+  it("records and updates each household's grid region", async function () {
+    const { registry, alice, bob } = await loadFixture(deployFixture);
+    await registry.enrollFor(HH1, alice.address, 13, 1);
+    expect(await registry.regionOf(alice.address)).to.equal(13);
+    expect(await registry.regionOf(bob.address)).to.equal(0);
+
+    await expect(registry.setRegion(HH1, 14)).to.emit(registry, "HouseholdRegionUpdated").withArgs(HH1, 14);
+    expect(await registry.regionOf(alice.address)).to.equal(14);
+    await expect(registry.connect(alice).setRegion(HH1, 1)).to.be.revertedWith("HouseholdRegistry: not operator");
+    await expect(registry.setRegion(HH2, 1)).to.be.revertedWith("HouseholdRegistry: unknown household");
+  });
+
+  describe("scripts/enroll_households.js", function () {
+    it("maps simulate.py flex_assets to the asset bitmask", async function () {
+      const registry = (await loadFixture(deployFixture)).registry;
+      expect(assetMask("EV + dishwasher + battery")).to.equal(
+        Number((await registry.ASSET_EV()) | (await registry.ASSET_DISHWASHER()) | (await registry.ASSET_BATTERY()))
+      );
+      expect(assetMask("Heat pump + laundry")).to.equal(18);
+      expect(() => assetMask("EV + hot tub")).to.throw('Unknown flex asset "hot tub"');
+    });
+
+    it("enrolls households once and skips them on re-runs", async function () {
+      const { registry, alice, bob } = await loadFixture(deployFixture);
+      const households = [
+        { id: "HH-001", region: 13, flex_assets: "EV + battery" },
+        { id: "HH-002", flex_assets: "Heat pump + dishwasher" },
+      ];
+      const addresses = { "HH-001": alice.address, "HH-002": bob.address };
+      const log = () => {};
+
+      expect(await enrollHouseholds(registry, households, addresses, { log })).to.deep.equal({
+        enrolled: ["HH-001", "HH-002"],
+        skipped: [],
+      });
+      expect((await registry.households(HH2)).assets).to.equal(10);
+      expect(await registry.regionOf(alice.address)).to.equal(13);
+      expect(await registry.regionOf(bob.address)).to.equal(0);
+      expect((await enrollHouseholds(registry, households, addresses, { log })).skipped).to.have.length(2);
+
+      await expect(
+        enrollHouseholds(registry, households, { ...addresses, "HH-002": alice.address }, { log })
+      ).to.be.rejectedWith("HH-002 is enrolled with payout");
+    });
+  });
+});
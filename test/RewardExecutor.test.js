@@ -0,0 +1,369 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildMerkleTree } = require("../scripts/merkle_tree");
+const { responseLeaf } = require("../scripts/mock_fdc_server");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const slotKey = (iso) => ethers.keccak256(ethers.toUtf8Bytes(iso));
+
+const ATTESTATION = ethers.id("attestation-tx");
+const PAYLOAD_HASH = ethers.id("payload");
+const SLOT = slotKey("2026-01-31T17:00Z");
+const SOURCE = {
+  urlPrefix: "https://api.carbonintensity.org.uk/intensity/",
+  urlSuffix: "",
+  postProcessJq: ".data | map({from: .from, intensity: .intensity.actual})",
+  abiSignature: "tuple(string from,uint256 intensity)[]",
+};
+
+function web2JsonResponse(slots, votingRound = 1, url = `${SOURCE.urlPrefix}2026-01-31T00:00Z/2026-02-01T00:00Z`) {
+  return {
+    attestationType: ethers.encodeBytes32String("Web2Json"),
+    sourceId: ethers.encodeBytes32String("PublicWeb2"),
+    votingRound,
+    lowestUsedTimestamp: 0,
+    requestBody: {
+      url,
+      httpMethod: "GET",
+      headers: "",
+      queryParams: "",
+      body: "",
+      postProcessJq: SOURCE.postProcessJq,
+      abiSignature: SOURCE.abiSignature,
+    },
+    responseBody: {
+      abiEncodedData: coder.encode([SOURCE.abiSignature], [slots]),
+    },
+  };
+}
+
+describe("RewardExecutor", function () {
+  async function deployFixture() {
+    const [owner, other, alice] = await ethers.getSigners();
+    const verification = await (await ethers.getContractFactory("MockFdcVerification")).deploy();
+    const executor = await (await ethers.getContractFactory("RewardExecutor")).deploy(
+      owner.address,
+      await verification.getAddress(),
+      150
+    );
+    return { executor, verification, owner, other, alice };
+  }
+
+  describe("executeReward", function () {
+    it("records a reward once per attestation", async function () {
+      const { executor, alice } = await loadFixture(deployFixture);
+      await expect(executor.executeReward(ATTESTATION, PAYLOAD_HASH, SLOT, alice.address, 1000))
+        .to.emit(executor, "RewardExecuted")
+        .withArgs(ATTESTATION, PAYLOAD_HASH, SLOT, alice.address, 1000);
+      expect(await executor.executedAttestations(ATTESTATION)).to.equal(true);
+
+      await expect(
+        executor.executeReward(ATTESTATION, PAYLOAD_HASH, SLOT, alice.address, 1000)
+      ).to.be.revertedWith("RewardExecutor: already executed");
+    });
+
+    it("is executor-only", async function () {
+      const { executor, other, alice } = await loadFixture(deployFixture);
+      await expect(
+        executor.connect(other).executeReward(ATTESTATION, PAYLOAD_HASH, SLOT, alice.address, 1)
+      ).to.be.revertedWith("AccessRoles: missing role");
+    });
+
+    it("mints shiftedKw × rewardPerKw / 1000 when a token is set", async function () {
+      const { executor, alice } = await loadFixture(deployFixture);
+      const token = await (await ethers.getContractFactory("FlexToken")).deploy();
+      await token.setMinter(await executor.getAddress(), true);
+      await executor.setRewardToken(await token.getAddress(), ethers.parseEther("10"));
+
+      await executor.executeReward(ATTESTATION, PAYLOAD_HASH, SLOT, alice.address, 1500);
+      expect(await token.balanceOf(alice.address)).to.equal(ethers.parseEther("15"));
+    });
+  });
+
+  describe("roles", function () {
+    it("hands execution to another executor", async function () {
+      const { executor, owner, other, alice } = await loadFixture(deployFixture);
+      const EXECUTOR_ROLE = await executor.EXECUTOR_ROLE();
+      await executor.grantRole(EXECUTOR_ROLE, other.address);
+      await executor.revokeRole(EXECUTOR_ROLE, owner.address);
+
+      await expect(
+        executor.executeReward(ATTESTATION, PAYLOAD_HASH, SLOT, alice.address, 1)
+      ).to.be.revertedWith("AccessRoles: missing role");
+      await executor.connect(other).executeReward(ATTESTATION, PAYLOAD_HASH, SLOT, alice.address, 1);
+      // Executing does not make `other` an admin
+      await expect(
+        executor.connect(other).setRewardToken(ethers.ZeroAddress, 0)
+      ).to.be.revertedWith("AccessRoles: missing role");
+    });
+
+    it("rejects a zero owner", async function () {
+      const { verification } = await loadFixture(deployFixture);
+      await expect(
+        (await ethers.getContractFactory("RewardExecutor")).deploy(
+          ethers.ZeroAddress,
+          await verification.getAddress(),
+          150
+        )
+      ).to.be.revertedWith("RewardExecutor: owner is zero");
+    });
+  });
+
+  describe("executeVerifiedReward", function () {
+    async function provedFixture() {
+      const base = await deployFixture();
+      const response = web2JsonResponse([
+        { from: "2026-01-31T17:00Z", intensity: 250 },
+        { from: "2026-01-31T03:00Z", intensity: 90 },
+      ]);
+      await base.verification.setMerkleRoot(response.votingRound, responseLeaf(response));
+      const { urlPrefix, urlSuffix, postProcessJq, abiSignature } = SOURCE;
+      await base.executor.setSource(urlPrefix, urlSuffix, postProcessJq, abiSignature);
+      return { ...base, proof: { merkleProof: [], data: response } };
+    }
+
+    // A proof Flare would accept, but of a request other than the trusted one
+    async function provedElsewhere(verification, requestBody, votingRound = 7) {
+      const response = web2JsonResponse([{ from: "2026-01-31T17:00Z", intensity: 250 }], votingRound);
+      Object.assign(response.requestBody, requestBody);
+      await verification.setMerkleRoot(response.votingRound, responseLeaf(response));
+      return { merkleProof: [], data: response };
+    }
+
+    it("verifies the proof and records the attested intensity", async function () {
+      const { executor, alice, proof } = await loadFixture(provedFixture);
+      await expect(executor.executeVerifiedReward(proof, SLOT, alice.address, 1000))
+        .to.emit(executor, "AttestationVerified")
+        .withArgs(responseLeaf(proof.data), 1, SLOT, 250);
+    });
+
+    it("rejects replays of the same proof", async function () {
+      const { executor, alice, proof } = await loadFixture(provedFixture);
+      await executor.executeVerifiedReward(proof, SLOT, alice.address, 1000);
+      await expect(
+        executor.executeVerifiedReward(proof, SLOT, alice.address, 1000)
+      ).to.be.revertedWith("RewardExecutor: already executed");
+    });
+
+    it("rejects unproved responses, missing slots and low intensity", async function () {
+      const { executor, alice, proof } = await loadFixture(provedFixture);
+      const forged = { ...proof, data: { ...proof.data, votingRound: 2 } };
+      await expect(
+        executor.executeVerifiedReward(forged, SLOT, alice.address, 1000)
+      ).to.be.revertedWith("RewardExecutor: invalid FDC proof");
+      await expect(
+        executor.executeVerifiedReward(proof, slotKey("2026-02-01T17:00Z"), alice.address, 1000)
+      ).to.be.revertedWith("RewardExecutor: slot not attested");
+      await expect(
+        executor.executeVerifiedReward(proof, slotKey("2026-01-31T03:00Z"), alice.address, 1000)
+      ).to.be.revertedWith("RewardExecutor: intensity below threshold");
+    });
+
+    it("rejects valid proofs of an untrusted request", async function () {
+      const { executor, verification, alice } = await loadFixture(provedFixture);
+      const window = "2026-01-31T00:00Z/2026-02-01T00:00Z";
+      const requests = [
+        { url: `https://evil.example/intensity/${window}` },
+        { url: `${SOURCE.urlPrefix}${window}/extra` },
+        { url: `${SOURCE.urlPrefix}${window}?x=1` },
+        { httpMethod: "POST" },
+        { headers: '{"X-Api-Key":"k"}' },
+        { postProcessJq: ".data | map({from: .from, intensity: .intensity.forecast})" },
+      ];
+      for (const [i, requestBody] of requests.entries()) {
+        const proof = await provedElsewhere(verification, requestBody, 10 + i);
+        expect(await verification.verifyWeb2Json(proof)).to.equal(true);
+        await expect(
+          executor.executeVerifiedReward(proof, SLOT, alice.address, 1000)
+        ).to.be.revertedWith("RewardExecutor: untrusted source");
+      }
+    });
+
+    it("trusts nothing until an admin sets a source", async function () {
+      const { executor, verification, other, alice } = await loadFixture(deployFixture);
+      const proof = await provedElsewhere(verification, {});
+      await expect(
+        executor.executeVerifiedReward(proof, SLOT, alice.address, 1000)
+      ).to.be.revertedWith("RewardExecutor: untrusted source");
+
+      const { urlPrefix, urlSuffix, postProcessJq, abiSignature } = SOURCE;
+      await expect(
+        executor.connect(other).setSource("https://evil.example/", "", postProcessJq, abiSignature)
+      ).to.be.revertedWith("AccessRoles: missing role");
+      await expect(executor.setSource(urlPrefix, urlSuffix, postProcessJq, abiSignature))
+        .to.emit(executor, "SourceSet")
+        .withArgs(urlPrefix, urlSuffix, ethers.id(postProcessJq), ethers.id(abiSignature));
+      await executor.executeVerifiedReward(proof, SLOT, alice.address, 1000);
+    });
+  });
+
+  describe("batch rewards", function () {
+    async function batchFixture() {
+      const base = await deployFixture();
+      const [, , alice, bob] = await ethers.getSigners();
+      const claims = [
+        { participant: alice.address, shiftedKw: 1000n, reward: ethers.parseEther("0.08") },
+        { participant: bob.address, shiftedKw: 500n, reward: ethers.parseEther("0.04") },
+      ];
+      for (const c of claims) {
+        c.leaf = await base.executor.rewardLeaf(c.participant, SLOT, c.shiftedKw, c.reward);
+      }
+      const tree = buildMerkleTree(claims.map((c) => c.leaf));
+      await base.executor.commitRewardRoot(ATTESTATION, PAYLOAD_HASH, tree.root, claims.length);
+      return { ...base, bob, claims, tree };
+    }
+
+    it("lets each household claim its own leaf once", async function () {
+      const { executor, alice, bob, claims, tree } = await loadFixture(batchFixture);
+      const [a, b] = claims;
+      await expect(
+        executor.connect(alice).claimBatchReward(ATTESTATION, SLOT, a.shiftedKw, a.reward, tree.getProof(a.leaf))
+      )
+        .to.emit(executor, "BatchRewardClaimed")
+        .withArgs(ATTESTATION, a.leaf, alice.address, a.reward);
+      await executor
+        .connect(bob)
+        .claimBatchReward(ATTESTATION, SLOT, b.shiftedKw, b.reward, tree.getProof(b.leaf));
+
+      await expect(
+        executor.connect(alice).claimBatchReward(ATTESTATION, SLOT, a.shiftedKw, a.reward, tree.getProof(a.leaf))
+      ).to.be.revertedWith("RewardExecutor: slot already claimed");
+    });
+
+    it("pays a household once per slot across attestation roots", async function () {
+      const { executor, alice, claims, tree } = await loadFixture(batchFixture);
+      const [a] = claims;
+      // A second attestation re-commits alice's slot with a different amount
+      const SECOND = ethers.id("attestation-tx-2");
+      const bigger = ethers.parseEther("0.5");
+      const leaf = await executor.rewardLeaf(alice.address, SLOT, a.shiftedKw, bigger);
+      const second = buildMerkleTree([leaf, a.leaf]);
+      await executor.commitRewardRoot(SECOND, PAYLOAD_HASH, second.root, 2);
+
+      await executor.connect(alice).claimBatchReward(ATTESTATION, SLOT, a.shiftedKw, a.reward, tree.getProof(a.leaf));
+      expect(await executor.claimedSlots(alice.address, SLOT)).to.equal(true);
+      await expect(
+        executor.connect(alice).claimBatchReward(SECOND, SLOT, a.shiftedKw, bigger, second.getProof(leaf))
+      ).to.be.revertedWith("RewardExecutor: slot already claimed");
+      await expect(
+        executor.connect(alice).claimBatchReward(SECOND, SLOT, a.shiftedKw, a.reward, second.getProof(a.leaf))
+      ).to.be.revertedWith("RewardExecutor: slot already claimed");
+    });
+
+    it("rejects claims for someone else's leaf or inflated rewards", async function () {
+      const { executor, bob, claims, tree } = await loadFixture(batchFixture);
+      const [a] = claims;
+      await expect(
+        executor.connect(bob).claimBatchReward(ATTESTATION, SLOT, a.shiftedKw, a.reward, tree.getProof(a.leaf))
+      ).to.be.revertedWith("RewardExecutor: invalid proof");
+      await expect(
+        executor.connect(bob).claimBatchReward(ATTESTATION, SLOT, 500n, ethers.parseEther("1"), tree.getProof(claims[1].leaf))
+      ).to.be.revertedWith("RewardExecutor: invalid proof");
+    });
+
+    it("commits one root per attestation", async function () {
+      const { executor, tree } = await loadFixture(batchFixture);
+      await expect(
+        executor.commitRewardRoot(ATTESTATION, PAYLOAD_HASH, tree.root, 2)
+      ).to.be.revertedWith("RewardExecutor: already executed");
+    });
+
+    it("voids a slot's unclaimed leaves within the dispute window", async function () {
+      const { executor, owner, alice, bob, claims, tree } = await loadFixture(batchFixture);
+      const [a, b] = claims;
+      await executor.connect(alice).claimBatchReward(ATTESTATION, SLOT, a.shiftedKw, a.reward, tree.getProof(a.leaf));
+
+      await expect(executor.connect(bob).voidBatchRewards(ATTESTATION, SLOT, "bad attestation")).to.be.revertedWith(
+        "AccessRoles: missing role"
+      );
+      await expect(executor.voidBatchRewards(ATTESTATION, SLOT, "")).to.be.revertedWith(
+        "RewardExecutor: reason is empty"
+      );
+      await expect(executor.voidBatchRewards(ATTESTATION, SLOT, "bad attestation"))
+        .to.emit(executor, "BatchRewardsVoided")
+        .withArgs(ATTESTATION, SLOT, owner.address, "bad attestation");
+      await expect(
+        executor.connect(bob).claimBatchReward(ATTESTATION, SLOT, b.shiftedKw, b.reward, tree.getProof(b.leaf))
+      ).to.be.revertedWith("RewardExecutor: rewards voided");
+      await expect(executor.voidBatchRewards(ATTESTATION, SLOT, "again")).to.be.revertedWith(
+        "RewardExecutor: rewards voided"
+      );
+    });
+
+    it("keeps a voided slot unclaimable under every root", async function () {
+      const { executor, bob, claims, tree } = await loadFixture(batchFixture);
+      const [, b] = claims;
+      // A later attestation re-commits the voided slot
+      const SECOND = ethers.id("attestation-tx-2");
+      await executor.voidBatchRewards(ATTESTATION, SLOT, "bad attestation");
+      await executor.commitRewardRoot(SECOND, PAYLOAD_HASH, tree.root, claims.length);
+
+      expect(await executor.voidedBatchSlots(SLOT)).to.equal(true);
+      await expect(
+        executor.connect(bob).claimBatchReward(SECOND, SLOT, b.shiftedKw, b.reward, tree.getProof(b.leaf))
+      ).to.be.revertedWith("RewardExecutor: rewards voided");
+      await expect(executor.voidBatchRewards(SECOND, SLOT, "again")).to.be.revertedWith(
+        "RewardExecutor: rewards voided"
+      );
+    });
+
+    it("rejects voids without a root or after the dispute window", async function () {
+      const { executor } = await loadFixture(batchFixture);
+      await expect(executor.voidBatchRewards(ethers.id("other"), SLOT, "bad attestation")).to.be.revertedWith(
+        "RewardExecutor: no reward root"
+      );
+      await time.increase(2 * 24 * 60 * 60 + 1);
+      await expect(executor.voidBatchRewards(ATTESTATION, SLOT, "bad attestation")).to.be.revertedWith(
+        "RewardExecutor: dispute window closed"
+      );
+    });
+
+    it("rejects batch claims from unenrolled households once a registry is set", async function () {
+      const { executor, alice, bob, claims, tree } = await loadFixture(batchFixture);
+      const registry = await (await ethers.getContractFactory("HouseholdRegistry")).deploy();
+      await registry.enrollFor(ethers.encodeBytes32String("HH-001"), alice.address, 0, 1);
+      await executor.setHouseholdRegistry(await registry.getAddress());
+
+      const [a, b] = claims;
+      await executor
+        .connect(alice)
+        .claimBatchReward(ATTESTATION, SLOT, a.shiftedKw, a.reward, tree.getProof(a.leaf));
+      await expect(
+        executor.connect(bob).claimBatchReward(ATTESTATION, SLOT, b.shiftedKw, b.reward, tree.getProof(b.leaf))
+      ).to.be.revertedWith("RewardExecutor: participant not enrolled");
+    });
+  });
+
+  describe("setHouseholdRegistry", function () {
+    async function registryFixture() {
+      const base = await deployFixture();
+      const registry = await (await ethers.getContractFactory("HouseholdRegistry")).deploy();
+      await registry.enrollFor(ethers.encodeBytes32String("HH-001"), base.alice.address, 0, 1);
+      return { ...base, registry };
+    }
+
+    it("only records rewards for enrolled participants", async function () {
+      const { executor, registry, other, alice } = await loadFixture(registryFixture);
+      await expect(executor.setHouseholdRegistry(await registry.getAddress()))
+        .to.emit(executor, "HouseholdRegistrySet")
+        .withArgs(await registry.getAddress());
+
+      await expect(
+        executor.executeReward(ATTESTATION, PAYLOAD_HASH, SLOT, other.address, 1000)
+      ).to.be.revertedWith("RewardExecutor: participant not enrolled");
+      await executor.executeReward(ATTESTATION, PAYLOAD_HASH, SLOT, alice.address, 1000);
+
+      // address(0) turns the check off again
+      await executor.setHouseholdRegistry(ethers.ZeroAddress);
+      await executor.executeReward(ethers.id("attestation-2"), PAYLOAD_HASH, SLOT, other.address, 1000);
+    });
+
+    it("is admin-only", async function () {
+      const { executor, registry, other } = await loadFixture(registryFixture);
+      await expect(
+        executor.connect(other).setHouseholdRegistry(await registry.getAddress())
+      ).to.be.revertedWith("AccessRoles: missing role");
+    });
+  });
+});
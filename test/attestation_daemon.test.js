@@ -0,0 +1,172 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const {
+  periodWindow,
+  duePeriods,
+  readLedger,
+  appendLedger,
+  foldLedger,
+  isDone,
+  hasBeenSigned,
+  acquireLock,
+  createDaemon,
+} = require("../fdc-carbon/attestation_daemon");
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "flexdao-daemon-"));
+
+describe("attestation_daemon", function () {
+  describe("duePeriods", function () {
+    const nowMs = Date.parse("2026-02-07T02:00:00Z");
+
+    it("formats windows like the carbon-intensity API", function () {
+      expect(periodWindow(Date.parse("2026-01-31T00:00:00Z"), 7)).to.include({
+        period: "2026-01-31T00:00Z",
+        fromIso: "2026-01-31T00:00Z",
+        toIso: "2026-02-07T00:00Z",
+      });
+    });
+
+    it("defaults to the latest closed period", function () {
+      const periods = duePeriods({ nowMs, periodDays: 1, settleMinutes: 60 });
+      expect(periods.map((p) => p.period)).to.deep.equal(["2026-02-06T00:00Z"]);
+    });
+
+    it("waits for the settle delay after the window closes", function () {
+      const periods = duePeriods({ nowMs, periodDays: 1, settleMinutes: 180 });
+      expect(periods.map((p) => p.period)).to.deep.equal(["2026-02-05T00:00Z"]);
+    });
+
+    it("backfills from the start date or the oldest ledger period", function () {
+      expect(
+        duePeriods({ nowMs, periodDays: 1, settleMinutes: 60, startDate: "2026-02-04" }).map((p) => p.period)
+      ).to.deep.equal(["2026-02-04T00:00Z", "2026-02-05T00:00Z", "2026-02-06T00:00Z"]);
+      expect(
+        duePeriods({ nowMs, periodDays: 1, settleMinutes: 60, knownPeriods: ["2026-02-05T00:00Z"] }).map(
+          (p) => p.period
+        )
+      ).to.deep.equal(["2026-02-05T00:00Z", "2026-02-06T00:00Z"]);
+    });
+
+    it("rejects an unparseable start date", function () {
+      expect(() => duePeriods({ nowMs, periodDays: 1, settleMinutes: 60, startDate: "soon" })).to.throw(
+        "Invalid ATTEST_START_DATE"
+      );
+    });
+  });
+
+  describe("ledger", function () {
+    it("appends records and folds them into per-period state", function () {
+      const ledgerPath = path.join(tmpDir(), "ledger.jsonl");
+      appendLedger(ledgerPath, { period: "p1", status: "fetched", computedMic: "0x01" });
+      appendLedger(ledgerPath, { period: "p1", status: "prepared", abiEncodedRequest: "0xabc" });
+      appendLedger(ledgerPath, { period: "p1", status: "signed", txHash: "0xtx", rawTx: "0xraw" });
+      appendLedger(ledgerPath, { period: "p1", status: "error", stage: "signed", error: "boom" });
+      appendLedger(ledgerPath, { period: "p2", status: "fetched" });
+
+      const states = foldLedger(readLedger(ledgerPath));
+      const p1 = states.get("p1");
+      expect(p1).to.include({
+        status: "signed",
+        abiEncodedRequest: "0xabc",
+        txHash: "0xtx",
+        errors: 1,
+        lastError: "boom",
+      });
+      expect(hasBeenSigned(p1)).to.equal(true);
+      expect(hasBeenSigned(states.get("p2"))).to.equal(false);
+      expect(hasBeenSigned(undefined)).to.equal(false);
+    });
+
+    it("treats verified and abandoned periods as done", function () {
+      expect(isDone({ status: "verified" })).to.equal(true);
+      expect(isDone({ status: "abandoned" })).to.equal(true);
+      expect(isDone({ status: "proved" })).to.equal(false);
+      expect(isDone(undefined)).to.equal(false);
+    });
+
+    it("tolerates a truncated final line but not earlier corruption", function () {
+      const ledgerPath = path.join(tmpDir(), "ledger.jsonl");
+      fs.writeFileSync(ledgerPath, '{"period":"p1","status":"fetched"}\n{"period":"p1","sta');
+      expect(readLedger(ledgerPath)).to.have.length(1);
+
+      fs.writeFileSync(ledgerPath, '{"period":"p1","sta\n{"period":"p1","status":"fetched"}\n');
+      expect(() => readLedger(ledgerPath)).to.throw("Corrupt ledger line 1");
+    });
+  });
+
+  describe("submit", function () {
+    const PERIOD = "2026-02-05T00:00Z";
+    const nowMs = Date.parse("2026-02-06T02:00:00Z");
+
+    it("re-signs a request whose nonce another tx used, with a fresh nonce", async function () {
+      const hub = await (await ethers.getContractFactory("MockFdcHub")).deploy(0);
+      const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+      await network.provider.send("hardhat_setBalance", [wallet.address, ethers.toBeHex(ethers.parseEther("1"))]);
+
+      const outDir = tmpDir();
+      const ledgerPath = path.join(outDir, "ledger.jsonl");
+      const unsigned = await hub.requestAttestation.populateTransaction("0x1234");
+      const rawTx = await wallet.signTransaction(await wallet.populateTransaction(unsigned));
+      appendLedger(ledgerPath, { period: PERIOD, status: "prepared", abiEncodedRequest: "0x1234" });
+      appendLedger(ledgerPath, {
+        period: PERIOD,
+        status: "signed",
+        txHash: ethers.Transaction.from(rawTx).hash,
+        nonce: 0,
+        rawTx,
+      });
+      // Another tx from the same key takes nonce 0 before the request is broadcast
+      await (await wallet.sendTransaction({ to: wallet.address, value: 0 })).wait();
+
+      const daemon = createDaemon(
+        {
+          privateKey: wallet.privateKey,
+          fdcHubAddress: await hub.getAddress(),
+          verificationAddress: ethers.ZeroAddress,
+          daBase: "http://127.0.0.1:9",
+          daAttemptsPerPass: 1,
+          daIntervalMs: 0,
+          txTimeoutMs: 5000,
+          periodDays: 1,
+          settleMinutes: 60,
+          fallbackFeeEther: "0",
+          outDir,
+          ledgerPath,
+        },
+        // JSON-RPC provider over the in-process node, like the daemon's own
+        { log: () => {}, provider: new ethers.BrowserProvider(network.provider) }
+      );
+
+      await daemon.runOnce(nowMs);
+      let state = foldLedger(readLedger(ledgerPath)).get(PERIOD);
+      expect(state).to.include({ status: "prepared", abiEncodedRequest: "0x1234", txHash: null, rawTx: null });
+      expect(isDone(state)).to.equal(false);
+
+      // Next pass signs the same request again and gets it mined (the DA layer is unreachable)
+      await daemon.runOnce(nowMs);
+      state = foldLedger(readLedger(ledgerPath)).get(PERIOD);
+      expect(state).to.include({ status: "submitted", nonce: 1 });
+      const receipt = await ethers.provider.getTransactionReceipt(state.txHash);
+      expect(receipt.status).to.equal(1);
+      expect(ethers.Transaction.from(state.rawTx).data).to.equal(unsigned.data);
+    });
+  });
+
+  describe("acquireLock", function () {
+    it("refuses a lock held by a live process and takes over a stale one", function () {
+      const lockPath = path.join(tmpDir(), "daemon.lock");
+      const release = acquireLock(lockPath);
+      expect(() => acquireLock(lockPath)).to.throw(/Another attestation daemon/);
+      release();
+      expect(fs.existsSync(lockPath)).to.equal(false);
+
+      fs.writeFileSync(lockPath, "999999999");
+      const releaseStale = acquireLock(lockPath);
+      expect(fs.readFileSync(lockPath, "utf8")).to.equal(String(process.pid));
+      releaseStale();
+    });
+  });
+});
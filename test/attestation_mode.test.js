@@ -0,0 +1,77 @@
+const { expect } = require("chai");
+const {
+  parseBooleanLike,
+  getAttestationMode,
+  assertSimulationMode,
+  assertRealMode,
+} = require("../scripts/attestation_mode");
+
+describe("attestation_mode", function () {
+  const saved = {};
+
+  beforeEach(function () {
+    for (const name of ["USE_SIMULATION", "ATTESTATION_MODE"]) {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    }
+  });
+
+  afterEach(function () {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  describe("parseBooleanLike", function () {
+    it("parses simulation-like values as true", function () {
+      for (const value of ["1", "true", "YES", " on ", "simulation"]) {
+        expect(parseBooleanLike(value), value).to.equal(true);
+      }
+    });
+
+    it("parses real-like values as false", function () {
+      for (const value of ["0", "false", "No", "off", "REAL"]) {
+        expect(parseBooleanLike(value), value).to.equal(false);
+      }
+    });
+
+    it("returns null for unset or unknown values", function () {
+      expect(parseBooleanLike(undefined)).to.equal(null);
+      expect(parseBooleanLike(null)).to.equal(null);
+      expect(parseBooleanLike("maybe")).to.equal(null);
+    });
+  });
+
+  describe("getAttestationMode", function () {
+    it("defaults to real", function () {
+      expect(getAttestationMode()).to.equal("real");
+    });
+
+    it("reads ATTESTATION_MODE, treating anything but simulation as real", function () {
+      process.env.ATTESTATION_MODE = " Simulation ";
+      expect(getAttestationMode()).to.equal("simulation");
+      process.env.ATTESTATION_MODE = "mock";
+      expect(getAttestationMode()).to.equal("real");
+    });
+
+    it("lets USE_SIMULATION override ATTESTATION_MODE", function () {
+      process.env.ATTESTATION_MODE = "real";
+      process.env.USE_SIMULATION = "1";
+      expect(getAttestationMode()).to.equal("simulation");
+      process.env.ATTESTATION_MODE = "simulation";
+      process.env.USE_SIMULATION = "0";
+      expect(getAttestationMode()).to.equal("real");
+      process.env.USE_SIMULATION = "unknown";
+      expect(getAttestationMode()).to.equal("simulation");
+    });
+  });
+
+  it("gates scripts on the mode", function () {
+    expect(() => assertRealMode("x.js")).not.to.throw();
+    expect(() => assertSimulationMode("x.js")).to.throw(/x\.js is simulation-only/);
+    process.env.ATTESTATION_MODE = "simulation";
+    expect(() => assertSimulationMode("x.js")).not.to.throw();
+    expect(() => assertRealMode("x.js")).to.throw(/x\.js requires real attestation mode/);
+  });
+});
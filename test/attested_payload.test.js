@@ -0,0 +1,62 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { decodeAttestedSlots, parseAbiSignature, LEGACY_ABI_SIGNATURE } = require("../scripts/attested_payload");
+const { getSource } = require("../scripts/carbon_sources");
+
+const FDC_DIR = path.join(__dirname, "..", "fdc-carbon");
+const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+
+const apiResponse = readJson(path.join(FDC_DIR, "api_response.json"));
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const slotKey = (iso) => ethers.keccak256(ethers.toUtf8Bytes(iso));
+
+describe("attested payloads (scripts/attested_payload.js)", function () {
+  it("decodes a structured tuple-array payload into typed slots", function () {
+    const { abiSignature, project } = getSource("uk-national");
+    const abiEncodedData = coder.encode([parseAbiSignature(abiSignature)], [project(apiResponse)]);
+
+    const { format, slots } = decodeAttestedSlots({ abiSignature, abiEncodedData });
+    expect(format).to.equal("structured");
+    expect(slots).to.have.length(apiResponse.data.length);
+    expect(slots[0]).to.deep.equal({
+      from: "2026-01-30T23:30Z",
+      intensity: 57,
+      slotKey: slotKey("2026-01-30T23:30Z"),
+    });
+  });
+
+  it("accepts the intensity field under another name and JSON ABI signatures", function () {
+    const abiSignature = JSON.stringify({
+      type: "tuple[]",
+      components: [
+        { name: "from", type: "string" },
+        { name: "actual", type: "uint16" },
+      ],
+    });
+    const abiEncodedData = coder.encode([parseAbiSignature(abiSignature)], [[["2026-01-31T17:00Z", 250]]]);
+    expect(decodeAttestedSlots({ abiSignature, abiEncodedData }).slots).to.deep.equal([
+      { from: "2026-01-31T17:00Z", intensity: 250, slotKey: slotKey("2026-01-31T17:00Z") },
+    ]);
+  });
+
+  it("decodes the legacy .data | tostring payload of the Coston2 attestation", function () {
+    const { response } = readJson(path.join(FDC_DIR, "out", "da_proof.json")).response;
+    expect(response.requestBody.abiSignature).to.equal(LEGACY_ABI_SIGNATURE);
+
+    const { format, slots } = decodeAttestedSlots({
+      abiSignature: response.requestBody.abiSignature,
+      abiEncodedData: response.responseBody.abiEncodedData,
+    });
+    expect(format).to.equal("string");
+    expect(slots).to.have.length(apiResponse.data.length);
+    expect(slots[0].intensity).to.equal(57);
+  });
+
+  it("rejects payloads that are not carbon slots", function () {
+    const abiSignature = "tuple(string name,uint256 value)[]";
+    const abiEncodedData = coder.encode([abiSignature], [[["x", 1]]]);
+    expect(() => decodeAttestedSlots({ abiSignature, abiEncodedData })).to.throw("Unsupported abiSignature");
+  });
+});
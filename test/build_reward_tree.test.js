@@ -0,0 +1,90 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { loadRegionalIntensities, buildRewardTree } = require("../scripts/build_reward_tree");
+const { regionalSlotKeyOf, rewardLeaf, computeReward } = require("../backend/rewards");
+const { verifyMerkleProof } = require("../scripts/merkle_tree");
+
+const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const BOB = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+const CAROL = "0x90F79bf6EB2c4f870365E785982E1f101E93b906";
+
+const SLOT = "2026-01-31T17:00Z";
+const RECOVERY = "2026-01-31T03:00Z";
+
+// One high-carbon slot: national 250 → 100, London (13) 300 → 120, North Scotland (1) 90 → 40
+const flexResponses = {
+  events: [
+    {
+      from: SLOT,
+      intensity_actual: 250,
+      flex_requested: true,
+      recovery_from: RECOVERY,
+      recovery_intensity: 100,
+      participants: [
+        { id: "HH-001", region: 13, shifted_kw: 1.0 },
+        { id: "HH-002", region: 1, shifted_kw: 0.5 },
+        { id: "HH-003", shifted_kw: 0.25 },
+      ],
+    },
+  ],
+};
+const regionalAttestations = [
+  { region: 13, timestamp: SLOT, intensity: 300 },
+  { region: 13, timestamp: RECOVERY, intensity: 120 },
+  { region: 1, timestamp: SLOT, intensity: 90 },
+  { region: 1, timestamp: RECOVERY, intensity: 40 },
+];
+
+function regionalIntensitiesFile(attestations) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "flexdao-tree-")), "regional.json");
+  fs.writeFileSync(file, JSON.stringify(attestations));
+  return file;
+}
+
+describe("scripts/build_reward_tree.js", function () {
+  const addresses = { "HH-001": ALICE, "HH-002": BOB, "HH-003": CAROL };
+
+  it("keys and prices each household by its own grid region", function () {
+    const tree = buildRewardTree({
+      flexResponses,
+      addresses,
+      attestationTxHash: ethers.ZeroHash,
+      regionalIntensities: loadRegionalIntensities(regionalIntensitiesFile(regionalAttestations)),
+    });
+
+    expect(tree.leafCount).to.equal(3);
+    expect(tree.unattestedRegions).to.deep.equal([]);
+    const byId = Object.fromEntries(tree.claims.map((c) => [c.householdId, c]));
+    const expected = [
+      ["HH-001", 13, 1000n, 300, 120],
+      ["HH-002", 1, 500n, 90, 40],
+      ["HH-003", 0, 250n, 250, 100],
+    ];
+    for (const [id, region, shiftedKw, intensity, recovery] of expected) {
+      const claim = byId[id];
+      const reward = computeReward(shiftedKw, intensity, recovery);
+      expect(claim).to.include({ region, slotKey: regionalSlotKeyOf(region, SLOT), reward: reward.toString() });
+      expect(claim.leaf).to.equal(rewardLeaf(claim.participant, claim.slotKey, shiftedKw, reward));
+      expect(verifyMerkleProof(claim.proof, tree.root, claim.leaf)).to.equal(true);
+    }
+    expect(byId["HH-001"].slotKey).to.not.equal(byId["HH-002"].slotKey);
+  });
+
+  it("leaves out households whose region has no intensities rather than paying them nationally", function () {
+    const tree = buildRewardTree({
+      flexResponses,
+      addresses,
+      attestationTxHash: ethers.ZeroHash,
+      regionalIntensities: loadRegionalIntensities(
+        regionalIntensitiesFile(regionalAttestations.filter((a) => a.region === 13))
+      ),
+    });
+
+    expect(tree.claims.map((c) => c.householdId)).to.have.members(["HH-001", "HH-003"]);
+    expect(tree.unattestedRegions).to.deep.equal([1]);
+    expect(loadRegionalIntensities(path.join(os.tmpdir(), "no-such-file.json"))).to.deep.equal({});
+  });
+});
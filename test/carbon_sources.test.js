@@ -0,0 +1,118 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { SOURCES, getSource, sourceForUrl, parseRange } = require("../scripts/carbon_sources");
+const { parseRequestRange } = require("../scripts/check_attestation");
+const { JQ_FILTERS } = require("../scripts/mock_fdc_server");
+const { lastWindow, householdRegions } = require("../scripts/fetch_carbon_source");
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+
+// Recorded responses: the Coston2 attestation window, and one London (region 13) window
+const ukNational = readJson(path.join(__dirname, "..", "fdc-carbon", "api_response.json"));
+const ukRegional = readJson(path.join(__dirname, "fixtures", "carbon_sources", "uk_regional_13.json"));
+
+const FROM = "2026-01-31T00:00Z";
+const TO = "2026-02-07T00:00Z";
+
+describe("carbon source adapters (scripts/carbon_sources)", function () {
+  it("round-trips each source's URL through sourceForUrl and parseRange", function () {
+    for (const source of Object.values(SOURCES)) {
+      const url = source.buildUrl({ fromIso: FROM, toIso: TO, region: 13 });
+      expect(sourceForUrl(url)).to.equal(source);
+      expect(parseRange(url)).to.deep.equal({ source: source.id, startIso: FROM, endIso: TO });
+    }
+  });
+
+  it("rejects unknown sources", function () {
+    expect(() => getSource("nowhere")).to.throw('Unknown carbon source "nowhere"');
+  });
+
+  it("registers every adapter's jq filter with the mock verifier", function () {
+    for (const source of Object.values(SOURCES)) {
+      expect(JQ_FILTERS).to.have.property(source.postProcessJq);
+    }
+  });
+
+  describe("uk-national", function () {
+    const source = getSource("uk-national");
+
+    it("builds the national window URL", function () {
+      expect(source.buildUrl({ fromIso: FROM, toIso: TO })).to.equal(
+        `https://api.carbonintensity.org.uk/intensity/${FROM}/${TO}`
+      );
+      expect(source.buildUrl({ baseUrl: "http://localhost:8600/", fromIso: FROM, toIso: TO })).to.equal(
+        `http://localhost:8600/intensity/${FROM}/${TO}`
+      );
+    });
+
+    it("normalizes a recorded response into carbon_week.json slots", function () {
+      const slots = source.normalize(ukNational);
+      expect(slots).to.have.length(ukNational.data.length);
+      expect(slots[0]).to.deep.equal({
+        from: "2026-01-30T23:30Z",
+        to: "2026-01-31T00:00Z",
+        intensity: { forecast: 53, actual: 57, index: "low" },
+      });
+    });
+
+    it("projects the attested (from, intensity) payload", function () {
+      expect(source.project(ukNational)[0]).to.deep.equal({ from: "2026-01-30T23:30Z", intensity: 57 });
+    });
+  });
+
+  describe("uk-regional", function () {
+    const source = getSource("uk-regional");
+
+    it("builds the regional window URL and validates the region", function () {
+      expect(source.buildUrl({ fromIso: FROM, toIso: TO, region: "13" })).to.equal(
+        `https://api.carbonintensity.org.uk/regional/intensity/${FROM}/${TO}/regionid/13`
+      );
+      expect(() => source.buildUrl({ fromIso: FROM, toIso: TO })).to.throw("uk-regional: region must be");
+      expect(() => source.buildUrl({ fromIso: FROM, toIso: TO, region: 18 })).to.throw("uk-regional: region must be");
+    });
+
+    it("normalizes forecast-only slots with a null actual", function () {
+      const slots = source.normalize(ukRegional);
+      expect(slots).to.have.length(6);
+      expect(slots[1]).to.deep.equal({
+        from: "2026-01-31T17:00Z",
+        to: "2026-01-31T17:30Z",
+        intensity: { forecast: 241, actual: null, index: "high" },
+      });
+    });
+
+    it("projects forecasts as the attested intensity", function () {
+      expect(source.project(ukRegional).map((s) => s.intensity)).to.deep.equal([233, 241, 252, 248, 236, 219]);
+    });
+
+    it("reads the region back from a request URL and bounds oracle-trusted URLs by it", function () {
+      expect(source.regionOf(source.buildUrl({ fromIso: FROM, toIso: TO, region: 13 }))).to.equal(13);
+      expect(source.oracleSource({ region: 13 })).to.deep.equal({
+        urlPrefix: "https://api.carbonintensity.org.uk/regional/intensity/",
+        urlSuffix: "/regionid/13",
+      });
+      expect(getSource("uk-national").regionOf(`https://api.carbonintensity.org.uk/intensity/${FROM}/${TO}`)).to.equal(0);
+    });
+  });
+
+  describe("check_attestation parseRequestRange", function () {
+    it("reads the window from regional URLs too", function () {
+      const range = parseRequestRange(
+        `https://api.carbonintensity.org.uk/regional/intensity/${FROM}/${TO}/regionid/13`
+      );
+      expect(range).to.include({ startIso: FROM, endIso: TO, valid: true });
+    });
+  });
+
+  describe("fetch_carbon_source", function () {
+    it("ends the window on the last half-hour boundary", function () {
+      expect(lastWindow(Date.parse("2026-02-07T00:17:42Z"), 7)).to.deep.equal({ fromIso: FROM, toIso: TO });
+    });
+
+    it("fetches each household grid region once, skipping national", function () {
+      const households = [{ region: 14 }, { region: 13 }, { region: 14 }, { region: 0 }, {}];
+      expect(householdRegions(households)).to.deep.equal([13, 14]);
+    });
+  });
+});
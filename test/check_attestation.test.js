@@ -0,0 +1,284 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  parseRequestRange,
+  checkSlotCoverage,
+  checkFreshness,
+  extractDaProofPayload,
+  buildVerifyJsonApiProof,
+  buildVerifyWeb2JsonProof,
+  describeAttestedPayload,
+  validatePayloadHash,
+  assertAttestationUsable,
+} = require("../scripts/check_attestation");
+const { CheckFailedError, NotReadyError, EXIT_CODES, exitCodeOf } = require("../scripts/exit_codes");
+
+const FDC_DIR = path.join(__dirname, "..", "fdc-carbon");
+const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+
+// Real Coston2 artifacts (attestation 0x345fdb12…, voting round 1245334)
+const daProof = readJson(path.join(FDC_DIR, "out", "da_proof.json"));
+const submission = readJson(path.join(FDC_DIR, "out", "request_submission.json"));
+const apiResponsePath = path.join(FDC_DIR, "api_response.json");
+const apiResponseMic = fs.readFileSync(`${apiResponsePath}.sha256`, "utf8").trim();
+
+describe("check_attestation helpers", function () {
+  describe("parseRequestRange", function () {
+    it("parses the carbon-intensity URL window", function () {
+      const range = parseRequestRange(daProof.response.response.requestBody.url);
+      expect(range).to.deep.equal({
+        startIso: "2026-01-31T00:00Z",
+        endIso: "2026-02-07T00:00Z",
+        startMs: Date.parse("2026-01-31T00:00Z"),
+        endMs: Date.parse("2026-02-07T00:00Z"),
+        valid: true,
+      });
+    });
+
+    it("flags inverted ranges as invalid", function () {
+      const range = parseRequestRange(
+        "https://api.carbonintensity.org.uk/intensity/2026-02-07T00:00Z/2026-01-31T00:00Z"
+      );
+      expect(range.valid).to.equal(false);
+    });
+
+    it("returns null for URLs without a parseable range", function () {
+      expect(parseRequestRange("https://example.com/data")).to.equal(null);
+      expect(parseRequestRange("https://api.carbonintensity.org.uk/intensity/2026-01-31T00:00Z")).to.equal(null);
+      expect(parseRequestRange("https://api.carbonintensity.org.uk/intensity/foo/bar")).to.equal(null);
+    });
+  });
+
+  describe("checkSlotCoverage", function () {
+    const range = parseRequestRange(daProof.response.response.requestBody.url);
+    const attestedSlots = describeAttestedPayload(buildVerifyJsonApiProof(extractDaProofPayload(daProof))).slots;
+    const slotKey = (iso) => ethers.keccak256(ethers.toUtf8Bytes(iso));
+
+    it("covers slots starting inside [start, end), given as timestamps or slot keys", function () {
+      const [inside, byKey, first] = checkSlotCoverage({
+        slots: ["2026-01-31T17:00Z", slotKey("2026-02-06T23:30Z"), "2026-01-31T00:00Z"],
+        range,
+        attestedSlots,
+      });
+      expect(inside).to.deep.equal({
+        slot: "2026-01-31T17:00Z",
+        slotIso: "2026-01-31T17:00Z",
+        slotKey: slotKey("2026-01-31T17:00Z"),
+        covered: true,
+      });
+      expect(byKey).to.include({ slotIso: "2026-02-06T23:30Z", covered: true });
+      expect(first.covered).to.equal(true);
+    });
+
+    it("resolves keys from the window when the payload has no slots", function () {
+      const [slot] = checkSlotCoverage({ slots: [slotKey("2026-02-03T12:30Z")], range, attestedSlots: [] });
+      expect(slot).to.include({ slotIso: "2026-02-03T12:30Z", covered: true });
+    });
+
+    it("rejects slots outside the window and unknown keys", function () {
+      // The API returns the slot ending at the window start, but it is not inside the window
+      const [before, end, unknown] = checkSlotCoverage({
+        slots: ["2026-01-30T23:30Z", "2026-02-07T00:00Z", slotKey("2026-03-01T00:00Z")],
+        range,
+        attestedSlots,
+      });
+      expect(before.covered).to.equal(false);
+      expect(end.covered).to.equal(false);
+      expect(unknown).to.include({ slotIso: null, covered: false });
+      expect(checkSlotCoverage({ slots: ["2026-01-31T17:00Z"], range: null, attestedSlots })[0].covered).to.equal(false);
+    });
+  });
+
+  describe("checkFreshness", function () {
+    const range = parseRequestRange(daProof.response.response.requestBody.url);
+    const votingRound = BigInt(daProof.response.response.votingRound);
+
+    it("measures the window end against the Flare voting round start", function () {
+      // Round 1245334 started 2026-02-08T00:21:00Z, ~24h after the window ended
+      expect(checkFreshness({ range, votingRound })).to.deep.equal({
+        windowEndIso: "2026-02-07T00:00Z",
+        votingRound: 1245334,
+        votingRoundStartTs: 1770510060,
+        ageSeconds: 87660,
+        maxAgeSeconds: 172800,
+        fresh: true,
+      });
+    });
+
+    it("flags data older than the max age", function () {
+      expect(checkFreshness({ range, votingRound, maxAgeSeconds: 3600 }).fresh).to.equal(false);
+    });
+
+    it("supports other round schedules and windows reaching past the round", function () {
+      const result = checkFreshness({
+        range,
+        votingRound: Math.floor(Date.parse("2026-02-01T00:00Z") / 5000),
+        firstVotingRoundStartTs: 0,
+        votingEpochSeconds: 5,
+      });
+      expect(result.ageSeconds).to.equal(-6 * 24 * 60 * 60);
+      expect(result.fresh).to.equal(true);
+    });
+
+    it("is never fresh without a readable window", function () {
+      expect(checkFreshness({ range: null, votingRound })).to.include({ ageSeconds: null, fresh: false });
+    });
+  });
+
+  describe("extractDaProofPayload", function () {
+    it("unwraps fetch_da_proof.js output", function () {
+      const payload = extractDaProofPayload(daProof);
+      expect(payload).to.equal(daProof.response);
+      expect(payload.proof).to.have.length(5);
+    });
+
+    it("accepts a bare DA layer response", function () {
+      const payload = extractDaProofPayload(daProof.response);
+      expect(payload).to.equal(daProof.response);
+    });
+
+    it("throws when no proof is present", function () {
+      expect(() => extractDaProofPayload({ response: {} })).to.throw("Could not find DA proof payload.");
+      expect(() => extractDaProofPayload(null)).to.throw("Could not find DA proof payload.");
+    });
+  });
+
+  describe("buildVerifyJsonApiProof", function () {
+    it("maps the Web2Json response to the legacy JsonApi shape", function () {
+      const { data, proofs } = buildVerifyJsonApiProof(extractDaProofPayload(daProof));
+      const response = daProof.response.response;
+
+      expect(proofs).to.deep.equal(daProof.response.proof);
+      expect(data.request.attestationType).to.equal(response.attestationType);
+      expect(data.request.sourceId).to.equal(response.sourceId);
+      expect(data.request.votingRound).to.equal(1245334n);
+      expect(data.request.lowestUsedTimestamp).to.equal(0n);
+      expect(data.request.requestBody).to.deep.equal({
+        url: response.requestBody.url,
+        postprocessJq: ".data | tostring",
+        abi_signature: "string",
+      });
+      expect(data.responseBody.abi_encoded_data).to.equal(response.responseBody.abiEncodedData);
+    });
+
+    it("defaults missing fields", function () {
+      const { data, proofs } = buildVerifyJsonApiProof({});
+      expect(proofs).to.deep.equal([]);
+      expect(data.request.votingRound).to.equal(0n);
+      expect(data.request.requestBody).to.deep.equal({ url: "", postprocessJq: "", abi_signature: "" });
+      expect(data.responseBody.abi_encoded_data).to.equal("0x");
+    });
+  });
+
+  describe("buildVerifyWeb2JsonProof", function () {
+    it("passes the DA response through as IWeb2Json.Proof", function () {
+      const proof = buildVerifyWeb2JsonProof(extractDaProofPayload(daProof));
+      expect(proof.merkleProof).to.deep.equal(daProof.response.proof);
+      expect(proof.data).to.equal(daProof.response.response);
+    });
+  });
+
+  describe("describeAttestedPayload", function () {
+    it("reports the legacy string payload as not readable on-chain", function () {
+      const payload = describeAttestedPayload(buildVerifyJsonApiProof(extractDaProofPayload(daProof)));
+      expect(payload).to.include({ abiSignature: "string", format: "string", onChainReadable: false, slotCount: 337 });
+      expect(payload.slots[0]).to.include({ from: "2026-01-30T23:30Z", intensity: 57 });
+    });
+
+    it("reports undecodable payloads instead of throwing", function () {
+      const payload = describeAttestedPayload(buildVerifyJsonApiProof({}));
+      expect(payload).to.include({ format: null, slotCount: 0 });
+      expect(payload.error).to.be.a("string");
+    });
+  });
+
+  describe("validatePayloadHash", function () {
+    it("hashes api_response.json and matches the recorded MIC", function () {
+      const result = validatePayloadHash({
+        apiResponsePath,
+        expectedMic: apiResponseMic.toUpperCase().replace("0X", "0x"),
+        submissionData: submission,
+      });
+      expect(result).to.deep.equal({
+        computedMic: apiResponseMic,
+        micMatchesExpected: true,
+        micMatchesSubmission: true,
+        payloadHashValid: true,
+      });
+    });
+
+    it("fails when the payload was modified", function () {
+      const tampered = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "flexdao-")), "api_response.json");
+      fs.writeFileSync(tampered, `${fs.readFileSync(apiResponsePath, "utf8")} `);
+      const result = validatePayloadHash({
+        apiResponsePath: tampered,
+        expectedMic: apiResponseMic,
+        submissionData: submission,
+      });
+      expect(result.micMatchesExpected).to.equal(false);
+      expect(result.micMatchesSubmission).to.equal(false);
+      expect(result.payloadHashValid).to.equal(false);
+    });
+
+    it("passes with nothing to compare against", function () {
+      expect(validatePayloadHash({ apiResponsePath: null, expectedMic: null, submissionData: null })).to.deep.equal({
+        computedMic: null,
+        micMatchesExpected: null,
+        micMatchesSubmission: null,
+        payloadHashValid: true,
+      });
+    });
+  });
+
+  describe("assertAttestationUsable", function () {
+    const usable = {
+      confirmationsRequired: 12,
+      confirmations: 20,
+      verificationPassed: true,
+      payloadHashValid: true,
+      timestampValid: true,
+      fresh: true,
+      freshness: { windowEndIso: "2026-02-07T00:00Z", ageSeconds: 600, maxAgeSeconds: 172800, votingRound: 1245334 },
+      requestTimestampRange: { startIso: "2026-01-31T00:00Z", endIso: "2026-02-07T00:00Z" },
+      slotCoverage: [{ slot: "2026-01-31T17:00Z", slotIso: "2026-01-31T17:00Z", covered: true }],
+    };
+    const failure = (attestation, opts) => {
+      try {
+        assertAttestationUsable(attestation, opts);
+      } catch (err) {
+        return err;
+      }
+      return null;
+    };
+
+    it("passes a verified, fresh, covering and confirmed attestation", function () {
+      expect(failure(usable)).to.equal(null);
+    });
+
+    it("fails checks with exit code 3", function () {
+      for (const broken of [
+        { verificationPassed: false },
+        { payloadHashValid: false },
+        { fresh: false },
+        { slotCoverage: [{ slot: "2026-03-01T00:00Z", slotIso: "2026-03-01T00:00Z", covered: false }] },
+      ]) {
+        const err = failure({ ...usable, ...broken });
+        expect(err).to.be.instanceOf(CheckFailedError);
+        expect(exitCodeOf(err)).to.equal(EXIT_CODES.checkFailed);
+      }
+      expect(failure({ ...usable, fresh: false }).message).to.match(/stale: window ended 600s before voting round 1245334/);
+    });
+
+    it("reports too few confirmations as not ready (exit code 4), after the other checks", function () {
+      const err = failure({ ...usable, confirmations: 3 });
+      expect(err).to.be.instanceOf(NotReadyError);
+      expect(exitCodeOf(err)).to.equal(EXIT_CODES.notReady);
+      expect(err.message).to.equal("Attestation has 3 confirmations; requires 12.");
+      expect(failure(usable, { confirmationsRequired: 30 })).to.be.instanceOf(NotReadyError);
+      expect(failure({ ...usable, confirmations: 3, verificationPassed: false })).to.be.instanceOf(CheckFailedError);
+    });
+  });
+});
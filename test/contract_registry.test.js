@@ -0,0 +1,126 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { resolveContract } = require("../scripts/contract_registry");
+const { CheckFailedError } = require("../scripts/exit_codes");
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    return err;
+  }
+  throw new Error("expected a rejection");
+}
+
+describe("contract_registry", function () {
+  let dir;
+  let options;
+
+  async function deployFixture() {
+    const [owner, eoa] = await ethers.getSigners();
+    const registry = await ethers.deployContract("MockContractRegistry");
+    const hub = await ethers.deployContract("MockFdcHub", [0]);
+    const verification = await ethers.deployContract("MockFdcVerification");
+    await registry.setContractAddress("FdcHub", await hub.getAddress());
+    await registry.setContractAddress("FdcVerification", await verification.getAddress());
+    const network = {
+      name: "hardhat",
+      chainId: 31337,
+      registry: await registry.getAddress(),
+      contracts: {},
+    };
+    return { owner, eoa, registry, hub, verification, network };
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "contract-registry-"));
+    options = { cachePath: path.join(dir, "cache.json"), cacheTtlSeconds: 3600 };
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("resolves registered contracts and caches them per chain and registry", async function () {
+    const { registry, hub, verification, network } = await loadFixture(deployFixture);
+    expect(await resolveContract(network, "FdcHub", ethers.provider, undefined, options)).to.equal(await hub.getAddress());
+    expect(await resolveContract(network, "FdcVerification", ethers.provider, undefined, options)).to.equal(
+      await verification.getAddress()
+    );
+
+    const cache = JSON.parse(fs.readFileSync(options.cachePath, "utf8"));
+    expect(Object.keys(cache)).to.deep.equal([`31337:${network.registry}`]);
+    expect(cache[`31337:${network.registry}`].FdcHub.address).to.equal(await hub.getAddress());
+
+    // Within the TTL the cached answer is used; after it the registry is asked again
+    await registry.setContractAddress("FdcHub", await verification.getAddress());
+    expect(await resolveContract(network, "FdcHub", ethers.provider, undefined, options)).to.equal(await hub.getAddress());
+    const later = { ...options, now: () => Date.now() + 2 * 3600 * 1000 };
+    expect(await resolveContract(network, "FdcHub", ethers.provider, undefined, later)).to.equal(
+      await verification.getAddress()
+    );
+  });
+
+  it("fails loudly when the registry and the configured address disagree", async function () {
+    const { registry, hub, verification, network } = await loadFixture(deployFixture);
+    const hubAddress = await hub.getAddress();
+    expect(await resolveContract(network, "FdcHub", ethers.provider, hubAddress.toLowerCase(), options)).to.equal(
+      hubAddress
+    );
+
+    const err = await rejection(
+      resolveContract(network, "FdcHub", ethers.provider, await verification.getAddress(), options)
+    );
+    expect(err).to.be.instanceOf(CheckFailedError);
+    expect(err.message).to.equal(
+      `FdcHub mismatch on hardhat: configured ${await verification.getAddress()}, ` +
+        `but the ContractRegistry at ${network.registry} returns ${hubAddress}.`
+    );
+
+    // A pinned address is held to the same check; a stale cache is refreshed before failing
+    await registry.setContractAddress("FdcHub", await verification.getAddress());
+    const pinned = { ...network, contracts: { FdcHub: await verification.getAddress() } };
+    expect(await resolveContract(pinned, "FdcHub", ethers.provider, undefined, options)).to.equal(
+      await verification.getAddress()
+    );
+  });
+
+  it("rejects unregistered names and addresses without code", async function () {
+    const { registry, eoa, network } = await loadFixture(deployFixture);
+    const unregistered = await rejection(resolveContract(network, "Relay", ethers.provider, undefined, options));
+    expect(unregistered).to.be.instanceOf(CheckFailedError);
+    expect(unregistered.message).to.match(/Relay is not registered/);
+
+    await registry.setContractAddress("Relay", eoa.address);
+    const noCode = await rejection(resolveContract(network, "Relay", ethers.provider, undefined, options));
+    expect(noCode).to.be.instanceOf(CheckFailedError);
+    expect(noCode.message).to.equal(
+      `Relay from the ContractRegistry at ${network.registry} ${eoa.address} has no contract code.`
+    );
+  });
+
+  it("uses the configured address on networks without a registry", async function () {
+    const { hub, eoa, network } = await loadFixture(deployFixture);
+    const local = { ...network, registry: null };
+    expect(await resolveContract(local, "FdcHub", ethers.provider, await hub.getAddress(), options)).to.equal(
+      await hub.getAddress()
+    );
+    expect((await rejection(resolveContract(local, "FdcHub", ethers.provider, eoa.address, options))).message).to.match(
+      /has no contract code/
+    );
+    expect((await rejection(resolveContract(local, "FdcHub", ethers.provider, undefined, options))).message).to.equal(
+      "hardhat has no ContractRegistry; set the FdcHub address explicitly."
+    );
+    expect(fs.existsSync(options.cachePath)).to.equal(false);
+  });
+
+  it("refuses an RPC on another chain", async function () {
+    const { network } = await loadFixture(deployFixture);
+    const err = await rejection(resolveContract({ ...network, name: "coston2", chainId: 114 }, "FdcHub", ethers.provider));
+    expect(err.message).to.equal("RPC is chain 31337, but network coston2 is chain 114.");
+  });
+});
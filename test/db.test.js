@@ -0,0 +1,202 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { expect } = require("chai");
+const { SCHEMA_VERSION, openStore } = require("../backend/db");
+const { slotKeyOf } = require("../backend/rewards");
+const { describeRewardExecution } = require("../scripts/run_reward_flow");
+
+const FDC_OUT = path.join(__dirname, "..", "fdc-carbon", "out");
+const readJson = (p) => JSON.parse(fs.readFileSync(p, "utf8"));
+
+const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const BOB = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+const REWARD_TX = `0x${"ab".repeat(32)}`;
+
+const flexResponses = {
+  events: [
+    {
+      from: "2026-01-31T14:30Z",
+      to: "2026-01-31T15:00Z",
+      intensity_actual: 153,
+      flex_requested: true,
+      participants: [
+        { id: "HH-001", shifted_kw: 0.623 },
+        { id: "HH-002", shifted_kw: 0.455 },
+      ],
+      aggregate_shifted_kw: 1.078,
+      recovery_from: "2026-01-31T23:00Z",
+      recovery_intensity: 111,
+    },
+    {
+      from: "2026-01-31T23:00Z",
+      to: "2026-01-31T23:30Z",
+      intensity_actual: 111,
+      flex_requested: false,
+      participants: [],
+      aggregate_shifted_kw: 0,
+      recovery_from: null,
+      recovery_intensity: null,
+    },
+  ],
+};
+
+describe("FlexDAO store (backend/db.js)", function () {
+  let store;
+
+  beforeEach(function () {
+    store = openStore(":memory:");
+  });
+
+  afterEach(function () {
+    store.close();
+  });
+
+  it("migrates a fresh database to the latest schema", function () {
+    expect(store.db.pragma("user_version", { simple: true })).to.equal(SCHEMA_VERSION);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "flexdao-db-"));
+    const dbPath = path.join(dir, "flexdao.sqlite");
+    openStore(dbPath).close();
+    const reopened = openStore(dbPath);
+    expect(reopened.db.pragma("user_version", { simple: true })).to.equal(SCHEMA_VERSION);
+    reopened.close();
+  });
+
+  it("links request, proof and verification history by attestation tx hash", function () {
+    const submission = readJson(path.join(FDC_OUT, "request_submission.json"));
+    const daProof = readJson(path.join(FDC_OUT, "da_proof.json"));
+
+    // Proof first: it is linked once the matching request is recorded.
+    store.recordProof(daProof);
+    store.recordAttestationRequest(submission);
+    store.recordVerification({ txHash: submission.txHash, verificationPassed: true, confirmed: true });
+    store.recordVerification({ txHash: submission.txHash, verificationPassed: false, confirmed: true });
+
+    const history = store.getAttestationHistory(submission.txHash);
+    expect(history.request.api_url).to.equal(submission.apiUrl);
+    expect(history.proofs).to.have.length(1);
+    expect(history.proofs[0].voting_round).to.equal(daProof.votingRoundId);
+    expect(JSON.parse(history.proofs[0].proof_json)).to.deep.equal(daProof.response.proof);
+    expect(history.verifications.map((v) => v.verification_passed)).to.deep.equal([1, 0]);
+  });
+
+  it("keeps one proof per request and voting round", function () {
+    const daProof = readJson(path.join(FDC_OUT, "da_proof.json"));
+    store.recordProof(daProof);
+    store.recordProof({ ...daProof, fetchedAtIso: new Date().toISOString() });
+    expect(store.db.prepare("SELECT COUNT(*) AS n FROM attestation_proofs").get().n).to.equal(1);
+  });
+
+  it("records reward txs once and queries them by participant and slot", function () {
+    const slotKey = slotKeyOf("2026-01-31T14:30Z");
+    const execution = {
+      txHash: REWARD_TX,
+      chainId: 31337n,
+      contractAddress: BOB,
+      functionName: "submitFlexEvent",
+      slotKey,
+      recoverySlotKey: slotKeyOf("2026-01-31T23:00Z"),
+      blockNumber: 7,
+      recipients: [
+        { participant: ALICE.toLowerCase(), householdId: "HH-001", shiftedKw: 623 },
+        { participant: BOB, householdId: "HH-002", shiftedKw: 455 },
+      ],
+    };
+    expect(store.recordRewardExecution(execution)).to.equal(true);
+    expect(store.recordRewardExecution(execution)).to.equal(false);
+
+    const alice = store.getParticipantHistory(ALICE);
+    expect(alice.rewards).to.have.length(1);
+    expect(alice.rewards[0]).to.include({ tx_hash: REWARD_TX, recipient_shifted_kw: "623", chain_id: "31337" });
+
+    const slot = store.getSlotHistory("2026-01-31T14:30Z");
+    expect(slot.rewards).to.have.length(1);
+    expect(slot.rewards[0].recipients.map((r) => r.participant)).to.deep.equal([ALICE, BOB]);
+    expect(store.getSlotHistory(execution.recoverySlotKey).rewards).to.have.length(1);
+  });
+
+  it("imports simulated flex events idempotently", function () {
+    expect(store.importFlexEvents(flexResponses)).to.equal(2);
+    store.importFlexEvents(flexResponses);
+
+    const slot = store.getSlotHistory("2026-01-31T14:30Z");
+    expect(slot.event).to.include({ intensity: 153, flex_requested: 1, recovery_intensity: 111 });
+    expect(slot.participations).to.deep.equal([
+      { household_id: "HH-001", shifted_kw: 0.623 },
+      { household_id: "HH-002", shifted_kw: 0.455 },
+    ]);
+
+    const household = store.getParticipantHistory("HH-002");
+    expect(household.flexParticipations).to.have.length(1);
+    expect(household.flexParticipations[0]).to.include({ slot_from: "2026-01-31T14:30Z", shifted_kw: 0.455 });
+  });
+
+  describe("recordToStore", function () {
+    // Runs `code` in a fresh node where better-sqlite3 cannot be resolved
+    function withoutSqlite(code, env = {}) {
+      const hide = `
+        const Module = require("module");
+        const resolve = Module._resolveFilename;
+        Module._resolveFilename = function (request, ...rest) {
+          if (request === "better-sqlite3") throw new Error("Cannot find module 'better-sqlite3'");
+          return resolve.call(this, request, ...rest);
+        };`;
+      return execFileSync(process.execPath, ["-e", `${hide}\n${code}`], {
+        cwd: path.join(__dirname, ".."),
+        env: { ...process.env, FLEXDAO_DB_PATH: ":memory:", ...env },
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "pipe"],
+      });
+    }
+
+    it("lets the pipeline scripts load and run without better-sqlite3", function () {
+      const output = withoutSqlite(`
+        for (const script of ["./scripts/check_attestation", "./scripts/run_reward_flow", "./fdc-carbon/fetch_da_proof",
+          "./fdc-carbon/request_jsonapi_attestation"]) require(script);
+        const { recordToStore } = require("./backend/db");
+        console.warn = (line) => console.log(line);
+        recordToStore(() => console.log("recorded"));
+      `);
+      expect(output.trim()).to.equal(
+        "FlexDAO store not updated: better-sqlite3 is not available (Cannot find module 'better-sqlite3'); " +
+          "run npm install in the repo root"
+      );
+    });
+
+    it("does not open the store when FLEXDAO_DB_DISABLED is set", function () {
+      const output = withoutSqlite(
+        `console.warn = (line) => console.log(line);
+        require("./backend/db").recordToStore(() => console.log("recorded"));`,
+        { FLEXDAO_DB_DISABLED: "1" }
+      );
+      expect(output).to.equal("");
+    });
+  });
+
+  describe("describeRewardExecution", function () {
+    const attestation = { txHash: `0x${"11".repeat(32)}` };
+
+    it("maps executeReward args", function () {
+      const slotKey = slotKeyOf("2026-01-31T14:30Z");
+      const execution = describeRewardExecution({
+        functionName: "executeReward",
+        callArgs: [attestation.txHash, `0x${"22".repeat(32)}`, slotKey, ALICE, "623"],
+        attestation,
+      });
+      expect(execution).to.deep.include({ slotKey, recipients: [{ participant: ALICE, shiftedKw: "623" }] });
+    });
+
+    it("maps commitRewardRoot to the tree claims", function () {
+      const claim = { householdId: "HH-001", participant: ALICE, slotKey: slotKeyOf("x"), shiftedKw: "1", reward: "2" };
+      const execution = describeRewardExecution({
+        functionName: "commitRewardRoot",
+        callArgs: [attestation.txHash, `0x${"22".repeat(32)}`, `0x${"33".repeat(32)}`, 1],
+        attestation,
+        rewardTree: { claims: [{ ...claim, leaf: "0x", proof: [] }] },
+      });
+      expect(execution.attestationTxHash).to.equal(attestation.txHash);
+      expect(execution.recipients).to.deep.equal([claim]);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  RequestRejectedError,
+  votingRoundOfTx,
+  backoffDelay,
+  classifyAttempt,
+  pollDaProof,
+} = require("../fdc-carbon/fetch_da_proof");
+const { NotReadyError } = require("../scripts/exit_codes");
+const { getNetwork, votingEpochOf, votingRoundAt } = require("../scripts/networks");
+
+const REQUEST = "0x1234";
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    return err;
+  }
+  throw new Error("expected a rejection");
+}
+
+// DA layer stub: `state.latest` is the latest finalized round, `state.proofs` maps round -> proof
+function startDaLayer(state) {
+  const app = express();
+  app.use(express.json());
+  app.get("/api/v0/fsp/latest-voting-round", (_req, res) => res.json({ voting_round_id: state.latest }));
+  app.post("/api/v1/fdc/proof-by-request-round", (req, res) => {
+    state.calls += 1;
+    const { votingRoundId, requestBytes } = req.body;
+    if (votingRoundId > state.latest) return res.status(400).json({ error: "round not finalized" });
+    const proof = requestBytes === REQUEST && state.proofs[votingRoundId];
+    if (!proof) return res.status(404).json({ error: "attestation request not found" });
+    res.json(proof);
+  });
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () =>
+      resolve({ server, daBase: `http://127.0.0.1:${server.address().port}` })
+    );
+  });
+}
+
+describe("fetch_da_proof", function () {
+  let dir;
+  let progressPath;
+  let da;
+  let state;
+  const quiet = () => {};
+  const noWait = async () => {};
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "da-proof-"));
+    progressPath = path.join(dir, "da_proof.progress.json");
+    state = { latest: 100, proofs: {}, calls: 0 };
+    da = await startDaLayer(state);
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => da.server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("derives the voting round from the FSP epoch", function () {
+    // fdc-carbon/out/da_proof.json is for Coston2 round 1245334, which spans 1770510060..1770510149
+    const coston2 = votingEpochOf(getNetwork("coston2"));
+    expect(votingRoundAt(1770510060, coston2)).to.equal(1245334);
+    expect(votingRoundAt(1770510149, coston2)).to.equal(1245334);
+    const epoch = { firstVotingRoundStartTs: 1000, votingEpochSeconds: 90 };
+    expect(votingRoundAt(1089, epoch)).to.equal(0);
+    expect(votingRoundAt(1090, epoch)).to.equal(1);
+  });
+
+  it("finds the round of a mined request tx", async function () {
+    const [signer] = await ethers.getSigners();
+    const tx = await signer.sendTransaction({ to: signer.address, value: 0 });
+    const receipt = await tx.wait();
+    const block = await ethers.provider.getBlock(receipt.blockNumber);
+    const epoch = { firstVotingRoundStartTs: block.timestamp - 200, votingEpochSeconds: 90 };
+
+    const derived = await votingRoundOfTx(ethers.provider, tx.hash, epoch);
+    expect(derived).to.deep.equal({ votingRoundId: 2, blockNumber: receipt.blockNumber, blockTimestamp: block.timestamp });
+    const unmined = await rejection(votingRoundOfTx(ethers.provider, ethers.ZeroHash, epoch));
+    expect(unmined).to.be.instanceOf(NotReadyError);
+  });
+
+  it("backs off exponentially up to the cap, with jitter", function () {
+    const opts = { intervalMs: 1000, maxIntervalMs: 5000 };
+    expect([1, 2, 3, 4].map((n) => backoffDelay(n, { ...opts, random: () => 1 }))).to.deep.equal([
+      1000, 2000, 4000, 5000,
+    ]);
+    expect(backoffDelay(3, { ...opts, random: () => 0 })).to.equal(2000);
+  });
+
+  it("tells a rejected request from one that is not ready", function () {
+    const proved = { ok: true, status: 200, data: { response: {}, proof: [] } };
+    const missing = { ok: false, status: 404, data: {} };
+    expect(classifyAttempt(proved, 10, 9)).to.equal("proved");
+    expect(classifyAttempt(missing, 10, 9)).to.equal("pending");
+    expect(classifyAttempt(missing, 10, null)).to.equal("pending");
+    expect(classifyAttempt(missing, 10, 10)).to.equal("rejected");
+    expect(classifyAttempt({ ok: false, status: 503, data: {} }, 10, 12)).to.equal("pending");
+    expect(classifyAttempt({ ok: false, status: null, data: {} }, 10, 12)).to.equal("pending");
+  });
+
+  it("resumes an interrupted poll and deletes its progress once proved", async function () {
+    const delays = [];
+    const options = {
+      daBase: da.daBase,
+      requestBytes: REQUEST,
+      votingRoundId: 101,
+      maxAttempts: 2,
+      intervalMs: 1000,
+      maxIntervalMs: 10000,
+      progressPath,
+      log: quiet,
+      wait: async (ms) => delays.push(ms),
+      random: () => 1,
+    };
+
+    const notReady = await rejection(pollDaProof(options));
+    expect(notReady).to.be.instanceOf(NotReadyError);
+    expect(delays).to.deep.equal([1000]);
+    const progress = JSON.parse(fs.readFileSync(progressPath, "utf8"));
+    expect(progress).to.include({ requestBytes: REQUEST, votingRoundId: 101, attempts: 2, lastStatus: 400 });
+    expect(progress.lastOutcome).to.equal("pending");
+
+    // Later runs carry on from the saved attempt count
+    await rejection(pollDaProof({ ...options, maxAttempts: 1 }));
+    state.latest = 101;
+    state.proofs[101] = { response: { votingRound: 101 }, proof: [] };
+    const result = await pollDaProof(options);
+    expect(result).to.deep.equal({
+      votingRoundId: 101,
+      endpoint: "/api/v1/fdc/proof-by-request-round",
+      response: state.proofs[101],
+      attempts: 4,
+    });
+    expect(fs.existsSync(progressPath)).to.equal(false);
+  });
+
+  it("starts over when the saved progress is for another round", async function () {
+    const options = { daBase: da.daBase, requestBytes: REQUEST, maxAttempts: 1, progressPath, log: quiet, wait: noWait };
+    await rejection(pollDaProof({ ...options, votingRoundId: 105 }));
+    state.proofs[99] = { response: {}, proof: [] };
+    const result = await pollDaProof({ ...options, votingRoundId: 99 });
+    expect(result.attempts).to.equal(1);
+  });
+
+  it("gives up for good once the finalized round lacks the request", async function () {
+    const err = await rejection(
+      pollDaProof({ daBase: da.daBase, requestBytes: REQUEST, votingRoundId: 100, progressPath, log: quiet, wait: noWait })
+    );
+    expect(err).to.be.instanceOf(RequestRejectedError);
+    expect(err.message).to.match(/^Request not included in voting round 100 \(finalized; latest 100\)/);
+    expect(state.calls).to.equal(1);
+    expect(JSON.parse(fs.readFileSync(progressPath, "utf8")).lastOutcome).to.equal("rejected");
+  });
+});
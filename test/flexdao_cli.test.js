@@ -0,0 +1,195 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { resolveProfile, artifactPaths, profileEnv, overrideVarOf } = require("../scripts/flexdao_config");
+const { main, parseCli } = require("../scripts/flexdao");
+const { EXIT_CODES, UsageError } = require("../scripts/exit_codes");
+
+// Captures what main() writes to stdout/stderr
+function sink() {
+  let text = "";
+  return { write: (chunk) => (text += chunk), get text() { return text; } };
+}
+
+describe("flexdao CLI", function () {
+  let dir;
+  let configPath;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "flexdao-cli-"));
+    configPath = path.join(dir, "flexdao.config.json");
+    fs.writeFileSync(
+      path.join(dir, "mock_fdc_deployment.json"),
+      JSON.stringify({ fdcHub: "0xHub", fdcVerification: "0xVerification", fdcIntensityOracle: "0xOracle" })
+    );
+    fs.writeFileSync(
+      configPath,
+      JSON.stringify({
+        defaultNetwork: "coston2",
+        networks: {
+          coston2: { rpcUrl: "https://rpc.example", chainId: 114, fdcHub: "0xCostonHub", confirmations: 12 },
+          mock: {
+            rpcUrl: "http://127.0.0.1:8545",
+            chainId: 31337,
+            fdcVerification: "0xProfileVerification",
+            deploymentPath: "mock_fdc_deployment.json",
+            hardhatNetwork: "localhost",
+            outDir: "out/mock",
+          },
+        },
+      })
+    );
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("resolveProfile", function () {
+    it("picks --network, then FLEXDAO_NETWORK, then defaultNetwork", function () {
+      expect(resolveProfile({ configPath, env: {} }).network).to.equal("coston2");
+      expect(resolveProfile({ configPath, env: { FLEXDAO_NETWORK: "mock" } }).network).to.equal("mock");
+      expect(resolveProfile({ configPath, network: "coston2", env: { FLEXDAO_NETWORK: "mock" } }).network).to.equal(
+        "coston2"
+      );
+    });
+
+    it("layers the deployment file, the profile and FLEXDAO_* overrides", function () {
+      const { profile } = resolveProfile({
+        configPath,
+        network: "mock",
+        env: { FLEXDAO_RPC_URL: "http://10.0.0.1:8545", FLEXDAO_REWARD_EXECUTOR: "0xExecutor" },
+      });
+      expect(profile.fdcHub).to.equal("0xHub");
+      expect(profile.fdcVerification).to.equal("0xProfileVerification");
+      expect(profile.intensityOracle).to.equal("0xOracle");
+      expect(profile.rpcUrl).to.equal("http://10.0.0.1:8545");
+      expect(profile.rewardExecutor).to.equal("0xExecutor");
+      expect(profile.outDir).to.equal(path.join(dir, "out", "mock"));
+      expect(overrideVarOf("maxAttestationAgeSeconds")).to.equal("FLEXDAO_MAX_ATTESTATION_AGE_SECONDS");
+    });
+
+    it("fills in what the profile leaves out from its Flare network", function () {
+      const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+      config.networks.songbird = { confirmations: 6 };
+      config.networks.mock.flareNetwork = "localhost";
+      delete config.networks.mock.rpcUrl;
+      fs.writeFileSync(configPath, JSON.stringify(config));
+
+      // coston2 by name; the profile's own values win
+      const coston2 = resolveProfile({ configPath, env: {} }).profile;
+      expect(coston2).to.include({ flareNetwork: "coston2", rpcUrl: "https://rpc.example", fdcHub: "0xCostonHub" });
+      expect(coston2.daBase).to.equal("https://ctn2-data-availability.flare.network");
+      expect(coston2.fdcVerification).to.equal("0x906507E0B64bcD494Db73bd0459d1C667e14B933");
+
+      // No pinned contracts: the scripts look them up in the ContractRegistry
+      const songbird = resolveProfile({ configPath, network: "songbird", env: {} }).profile;
+      expect(songbird).to.include({ chainId: 19, confirmations: 6 });
+      expect(songbird).to.not.have.property("fdcHub");
+      expect(profileEnv(songbird, {})).to.include({ FLARE_NETWORK: "songbird", FLARE_CHAIN_ID: "19" });
+
+      // The deployment file still beats the network
+      const mock = resolveProfile({ configPath, network: "mock", env: {} }).profile;
+      expect(mock).to.include({ flareNetwork: "localhost", rpcUrl: "http://127.0.0.1:8545", fdcHub: "0xHub" });
+
+      config.networks.mock.flareNetwork = "mainnet";
+      fs.writeFileSync(configPath, JSON.stringify(config));
+      expect(() => resolveProfile({ configPath, network: "mock", env: {} })).to.throw(UsageError, /Unknown network "mainnet"/);
+    });
+
+    it("rejects unknown networks, unknown settings and secrets in the file", function () {
+      expect(() => resolveProfile({ configPath, network: "mainnet", env: {} })).to.throw(UsageError, /Unknown network "mainnet"/);
+
+      const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+      config.networks.coston2.rpcURL = "typo";
+      fs.writeFileSync(configPath, JSON.stringify(config));
+      expect(() => resolveProfile({ configPath, env: {} })).to.throw(UsageError, /unknown setting "rpcURL"/);
+
+      delete config.networks.coston2.rpcURL;
+      config.networks.coston2.privateKey = "0xabc";
+      fs.writeFileSync(configPath, JSON.stringify(config));
+      expect(() => resolveProfile({ configPath, env: {} })).to.throw(UsageError, /set FLEXDAO_PRIVATE_KEY/);
+    });
+  });
+
+  describe("profileEnv", function () {
+    it("maps each setting onto every script's env var name", function () {
+      const { profile } = resolveProfile({ configPath, env: {} });
+      const env = profileEnv(profile, {});
+      expect(env).to.include({
+        RPC_URL: "https://rpc.example",
+        FLARE_RPC_URL: "https://rpc.example",
+        FLARE_CHAIN_ID: "114",
+        FDC_HUB_ADDRESS: "0xCostonHub",
+        FDC_ATTESTATION_CONTRACT: "0xCostonHub",
+        CONFIRMATIONS: "12",
+      });
+      expect(env).to.not.have.property("REWARD_CONTRACT_ADDRESS");
+    });
+
+    it("points every script at the profile's artifacts", function () {
+      const { profile } = resolveProfile({ configPath, network: "mock", env: {} });
+      const paths = artifactPaths(profile);
+      const env = profileEnv(profile, {});
+      expect(paths.daProof).to.equal(path.join(dir, "out", "mock", "da_proof.json"));
+      expect(env.DA_PROOF_PATH).to.equal(paths.daProof);
+      expect(env.REQUEST_SUBMISSION_PATH).to.equal(paths.requestSubmission);
+      expect(env.CHECK_ATTESTATION_OUT_PATH).to.equal(paths.checkResult);
+      expect(env.REWARD_FLOW_OUT_PATH).to.equal(paths.rewardFlow);
+      expect(env.MOCK_FDC_DEPLOYMENT_PATH).to.equal(path.join(dir, "mock_fdc_deployment.json"));
+    });
+
+    it("passes signing secrets under each of their names", function () {
+      const { profile } = resolveProfile({ configPath, env: {} });
+      expect(profileEnv(profile, { FLEXDAO_PRIVATE_KEY: "0xkey" })).to.include({
+        PRIVATE_KEY: "0xkey",
+        FLARE_SIGNER_KEY: "0xkey",
+      });
+      expect(profileEnv(profile, { PRIVATE_KEY: "0xlegacy" })).to.include({ FLARE_SIGNER_KEY: "0xlegacy" });
+      expect(profileEnv(profile, { FLEXDAO_KEYSTORE_PASSWORD: "pw" })).to.include({ SIGNER_KEYSTORE_PASSWORD: "pw" });
+    });
+  });
+
+  describe("main", function () {
+    it("parses global flags before or after the command", function () {
+      expect(parseCli(["--network", "mock", "verify", "--slot", "a", "--slot", "b", "--json"])).to.deep.equal({
+        command: "verify",
+        positionals: [],
+        flags: { network: "mock", slot: ["a", "b"], json: true },
+      });
+    });
+
+    it("exits 2 on usage errors, with a JSON report under --json", async function () {
+      const stdout = sink();
+      const stderr = sink();
+      expect(await main(["--config", configPath, "--json", "verify", "--execute"], { stdout, stderr })).to.equal(
+        EXIT_CODES.usage
+      );
+      expect(JSON.parse(stdout.text)).to.deep.include({
+        command: "verify",
+        ok: false,
+        exitCode: EXIT_CODES.usage,
+        error: "verify does not take --execute",
+      });
+      expect(stderr.text).to.equal("");
+
+      for (const argv of [["launch"], ["deploy", "mainnet"], ["inspect"], ["--bogus"], ["proof", "extra"]]) {
+        expect(await main(["--config", configPath, ...argv], { stdout: sink(), stderr: sink() })).to.equal(
+          EXIT_CODES.usage
+        );
+      }
+      expect(await main(["--config", configPath, "--network", "coston2", "simulate"], { stdout: sink(), stderr })).to.equal(
+        EXIT_CODES.usage
+      );
+      expect(stderr.text).to.match(/has no hardhatNetwork/);
+    });
+
+    it("prints usage for --help", async function () {
+      const stdout = sink();
+      expect(await main(["--help"], { stdout, stderr: sink() })).to.equal(EXIT_CODES.ok);
+      expect(stdout.text).to.match(/^Usage: flexdao/);
+      expect(stdout.text).to.match(/4 not ready/);
+    });
+  });
+});
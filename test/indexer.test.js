@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { openStore } = require("../backend/db");
+const { createIndexer } = require("../backend/indexer");
+
+const slotKey = (iso) => ethers.keccak256(ethers.toUtf8Bytes(iso));
+
+const HIGH = slotKey("2026-01-31T17:00Z");
+const LOW = slotKey("2026-01-31T03:00Z");
+const PAYLOAD_HASH = ethers.id("payload");
+const CONFIRMATIONS = 3;
+
+// Buries the latest blocks deep enough for the indexer to read them
+const confirm = () => network.provider.send("hardhat_mine", [ethers.toQuantity(CONFIRMATIONS)]);
+
+describe("backend/indexer.js", function () {
+  let store;
+  let contracts;
+  let startBlock;
+  let signers;
+
+  beforeEach(async function () {
+    store = openStore(":memory:");
+    signers = await ethers.getSigners();
+    const [owner, alice] = signers;
+    startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    const shim = await (await ethers.getContractFactory("FDCShim")).deploy();
+    const token = await (await ethers.getContractFactory("FlexToken")).deploy();
+    const registry = await (await ethers.getContractFactory("HouseholdRegistry")).deploy();
+    await registry.enrollFor(ethers.encodeBytes32String("HH-001"), alice.address, 0, 1);
+    const dao = await (await ethers.getContractFactory("FlexDAO")).deploy(
+      await shim.getAddress(),
+      150,
+      await token.getAddress(),
+      await registry.getAddress(),
+      owner.address
+    );
+    await token.setMinter(await dao.getAddress(), true);
+    const verification = await (await ethers.getContractFactory("MockFdcVerification")).deploy();
+    const executor = await (await ethers.getContractFactory("RewardExecutor")).deploy(
+      owner.address,
+      await verification.getAddress(),
+      150
+    );
+
+    await shim.submitAttestation(HIGH, 250);
+    await shim.submitAttestation(LOW, 90);
+    await dao.submitFlexEvent(0, HIGH, LOW, [{ participant: alice.address, shiftedKw: 1000 }]);
+    await dao.connect(alice).claimRewards();
+    await executor.executeReward(ethers.id("attestation-1"), PAYLOAD_HASH, HIGH, alice.address, 1000);
+
+    contracts = { shim, dao, executor };
+    await confirm();
+  });
+
+  afterEach(function () {
+    store.close();
+  });
+
+  async function indexer() {
+    return createIndexer(
+      {
+        contracts: [
+          { kind: "rewardExecutor", address: await contracts.executor.getAddress() },
+          { kind: "flexDAO", address: await contracts.dao.getAddress() },
+          { kind: "fdcShim", address: await contracts.shim.getAddress() },
+        ],
+        confirmations: CONFIRMATIONS,
+        startBlock,
+        batchSize: 3,
+      },
+      { provider: ethers.provider, store, log: () => {} }
+    );
+  }
+
+  it("backfills all indexed events across batches", async function () {
+    const alice = signers[1];
+    const { head, toBlock, indexed } = await (await indexer()).runOnce();
+    expect(head).to.equal(await ethers.provider.getBlockNumber());
+    expect(toBlock).to.equal(head - CONFIRMATIONS);
+    expect(indexed).to.deep.equal({ rewardExecutor: 1, flexDAO: 2, fdcShim: 2 });
+
+    const aliceEvents = store.getChainEvents({ participant: alice.address });
+    expect(aliceEvents.map((e) => e.event_name)).to.deep.equal(["RewardClaimed", "RewardExecuted"]);
+    expect(aliceEvents[0].amount).to.equal(ethers.parseEther("0.08").toString());
+    expect(aliceEvents[1].args).to.include({ participant: alice.address, shiftedKw: "1000" });
+
+    const slotEvents = store.getChainEvents({ slotKey: HIGH });
+    expect(slotEvents.map((e) => e.event_name)).to.deep.equal([
+      "AttestationSubmitted",
+      "FlexEventVerified",
+      "RewardExecuted",
+    ]);
+    // The recovery slot matches FlexEventVerified too.
+    expect(store.getChainEvents({ slotKey: LOW }).map((e) => e.event_name)).to.deep.equal([
+      "AttestationSubmitted",
+      "FlexEventVerified",
+    ]);
+  });
+
+  it("resumes from the checkpoint without duplicating events", async function () {
+    const alice = signers[1];
+    const idx = await indexer();
+    await idx.runOnce();
+    const again = await idx.runOnce();
+    expect(again.indexed).to.deep.equal({ rewardExecutor: 0, flexDAO: 0, fdcShim: 0 });
+
+    await contracts.executor.executeReward(ethers.id("attestation-2"), PAYLOAD_HASH, LOW, alice.address, 500);
+    await confirm();
+    const next = await (await indexer()).runOnce();
+    expect(next.indexed.rewardExecutor).to.equal(1);
+    expect(store.getChainEvents({ eventName: "RewardExecuted" })).to.have.length(2);
+  });
+
+  it("leaves blocks within the confirmation depth for a later pass", async function () {
+    const alice = signers[1];
+    const idx = await indexer();
+    await idx.runOnce();
+
+    await contracts.executor.executeReward(ethers.id("attestation-2"), PAYLOAD_HASH, LOW, alice.address, 500);
+    await network.provider.send("hardhat_mine", [ethers.toQuantity(CONFIRMATIONS - 1)]);
+    expect((await idx.runOnce()).indexed.rewardExecutor).to.equal(0);
+    await network.provider.send("evm_mine");
+    expect((await idx.runOnce()).indexed.rewardExecutor).to.equal(1);
+  });
+
+  it("indexes governance proposals and votes", async function () {
+    const alice = signers[1];
+    await contracts.dao.connect(alice).propose(0, 120); // IntensityThreshold
+    await contracts.dao.connect(alice).castVote(1, true);
+    await confirm();
+    await (await indexer()).runOnce();
+
+    const [created] = store.getChainEvents({ eventName: "ProposalCreated" });
+    expect(created).to.include({ participant: alice.address, amount: "120" });
+    expect(created.args).to.include({ proposalId: "1", parameter: "0", value: "120" });
+    const [vote] = store.getChainEvents({ eventName: "VoteCast" });
+    expect(vote.args).to.include({ proposalId: "1", voter: alice.address, support: true });
+  });
+
+  it("indexes voided rewards", async function () {
+    const alice = signers[1];
+    const other = slotKey("2026-01-31T18:00Z");
+    await contracts.shim.submitAttestation(other, 200);
+    await contracts.dao.submitFlexEvent(0, other, LOW, [{ participant: alice.address, shiftedKw: 1000 }]);
+    await contracts.dao.voidSlotRewards(0, other, "bad attestation");
+    await confirm();
+    await (await indexer()).runOnce();
+
+    const [voided] = store.getChainEvents({ participant: alice.address, eventName: "RewardVoided" });
+    expect(voided).to.include({ slot_key: other.toLowerCase(), amount: ethers.parseEther("0.055").toString() });
+    expect(voided.args).to.include({ reason: "bad attestation" });
+    const [slot] = store.getChainEvents({ eventName: "SlotRewardsVoided" });
+    expect(slot.args).to.include({ totalVoided: ethers.parseEther("0.055").toString(), alreadyClaimed: "0" });
+  });
+
+  it("drops events from blocks reorged after indexing and re-indexes the canonical chain", async function () {
+    const [, alice, bob] = signers;
+    const idx = await indexer();
+    await idx.runOnce();
+
+    // A reorg deeper than the confirmation depth: the rewind is the safety net
+    const snapshot = await network.provider.send("evm_snapshot");
+    await contracts.executor.executeReward(ethers.id("orphaned"), PAYLOAD_HASH, LOW, bob.address, 700);
+    await confirm();
+    await idx.runOnce();
+    expect(store.getChainEvents({ participant: bob.address })).to.have.length(1);
+
+    // Replace the indexed blocks with different ones at the same heights.
+    await network.provider.send("evm_revert", [snapshot]);
+    const tx = await contracts.executor.executeReward(ethers.id("canonical"), PAYLOAD_HASH, LOW, alice.address, 300);
+    const receipt = await tx.wait();
+    await confirm();
+    await idx.runOnce();
+
+    expect(store.getChainEvents({ participant: bob.address })).to.have.length(0);
+    const canonical = store.getChainEvents({ attestationTxHash: ethers.id("canonical") });
+    expect(canonical).to.have.length(1);
+    expect(canonical[0].block_hash).to.equal(receipt.blockHash.toLowerCase());
+    // Events below the rewind point are kept exactly once.
+    expect(store.getChainEvents({ eventName: "RewardExecuted" })).to.have.length(2);
+  });
+});
@@ -0,0 +1,70 @@
+const { expect } = require("chai");
+const { NETWORKS, getNetwork, networkForChainId, networkSetting, votingEpochOf } = require("../scripts/networks");
+
+describe("networks", function () {
+  const savedEnv = { ...process.env };
+
+  afterEach(function () {
+    process.env = { ...savedEnv };
+  });
+
+  it("picks the network by name, then FLARE_NETWORK, then coston2", function () {
+    delete process.env.FLARE_NETWORK;
+    expect(getNetwork().name).to.equal("coston2");
+    expect(getNetwork().chainId).to.equal(114);
+    process.env.FLARE_NETWORK = "songbird";
+    expect(getNetwork().chainId).to.equal(19);
+    expect(getNetwork("flare").rpcUrl).to.equal("https://flare-api.flare.network/ext/C/rpc");
+    expect(() => getNetwork("mainnet")).to.throw(/Unknown network "mainnet"/);
+
+    // Copies: callers can't edit the table
+    getNetwork("coston2").contracts.FdcHub = "0x0";
+    expect(NETWORKS.coston2.contracts.FdcHub).to.not.equal("0x0");
+  });
+
+  it("finds a network by chain ID", function () {
+    expect(networkForChainId(16n).name).to.equal("coston");
+    expect(networkForChainId(31337).name).to.equal("localhost");
+    expect(networkForChainId(1)).to.equal(null);
+  });
+
+  it("lets a script's env var override a network setting", function () {
+    const network = getNetwork("coston2");
+    delete process.env.DA_BASE;
+    expect(networkSetting(network, "daBase", "DA_BASE")).to.equal("https://ctn2-data-availability.flare.network");
+    process.env.DA_BASE = "http://localhost:8600";
+    expect(networkSetting(network, "daBase", "DA_BASE")).to.equal("http://localhost:8600");
+
+    delete process.env.DA_BASE;
+    expect(() => networkSetting(getNetwork("localhost"), "daBase", "DA_BASE")).to.throw(
+      "Missing DA_BASE: network localhost has no default daBase."
+    );
+  });
+
+  it("parses the voting epoch timing and rejects non-positive epochs", function () {
+    const network = getNetwork("coston2");
+    delete process.env.FDC_FIRST_VOTING_ROUND_START_TS;
+    delete process.env.FDC_VOTING_EPOCH_SECONDS;
+    expect(votingEpochOf(network)).to.deep.equal({
+      firstVotingRoundStartTs: NETWORKS.coston2.firstVotingRoundStartTs,
+      votingEpochSeconds: NETWORKS.coston2.votingEpochSeconds,
+    });
+
+    // The mock FDC server starts round 0 at the epoch
+    process.env.FDC_FIRST_VOTING_ROUND_START_TS = "0";
+    process.env.FDC_VOTING_EPOCH_SECONDS = "20";
+    expect(votingEpochOf(network)).to.deep.equal({ firstVotingRoundStartTs: 0, votingEpochSeconds: 20 });
+
+    for (const value of ["0", "-90", "1.5", "ninety"]) {
+      process.env.FDC_VOTING_EPOCH_SECONDS = value;
+      expect(() => votingEpochOf(network)).to.throw(
+        `Invalid FDC_VOTING_EPOCH_SECONDS "${value}": expected an integer of at least 1.`
+      );
+    }
+    process.env.FDC_VOTING_EPOCH_SECONDS = "90";
+    process.env.FDC_FIRST_VOTING_ROUND_START_TS = "-1";
+    expect(() => votingEpochOf(network)).to.throw(
+      'Invalid FDC_FIRST_VOTING_ROUND_START_TS "-1": expected an integer of at least 0.'
+    );
+  });
+});
@@ -0,0 +1,195 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { signerMode, signerAddressOf, openSigner } = require("../scripts/signers");
+const { createApp, fromRpcTransaction } = require("../scripts/stub_signer_server");
+const { trackRewardTx } = require("../scripts/run_reward_flow");
+const { UsageError, NotReadyError } = require("../scripts/exit_codes");
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    return err;
+  }
+  throw new Error("expected a rejection");
+}
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+function urlOf(server) {
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+async function postJson(url, body) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+describe("signers", function () {
+  const track = { confirmations: 1, timeoutMs: 5000, wait: async () => {} };
+  let dir;
+  let servers;
+
+  // A fresh account with gas money, so nonces don't collide with other tests
+  async function fundedWallet() {
+    const [funder] = await ethers.getSigners();
+    const wallet = ethers.Wallet.createRandom();
+    await (await funder.sendTransaction({ to: wallet.address, value: ethers.parseEther("1") })).wait();
+    return wallet;
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "signers-"));
+    servers = [];
+  });
+
+  afterEach(async function () {
+    for (const server of servers) server.closeAllConnections();
+    await Promise.all(servers.map((server) => new Promise((resolve) => server.close(resolve))));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("accepts the known modes and metamask as the browser bridge", function () {
+    expect(signerMode(undefined)).to.equal("private_key");
+    expect(signerMode(" MetaMask ")).to.equal("browser");
+    expect(signerMode("remote")).to.equal("remote");
+    expect(() => signerMode("ledger")).to.throw(UsageError, /Unknown SIGNER_MODE "ledger"/);
+  });
+
+  it("unlocks an encrypted keystore and sends with it", async function () {
+    const wallet = await fundedWallet();
+    const keystorePath = path.join(dir, "keystore.json");
+    // Cheap scrypt so the test stays fast
+    fs.writeFileSync(
+      keystorePath,
+      await ethers.encryptKeystoreJson(wallet, "correct horse", { scrypt: { N: 1 << 10 } })
+    );
+    const options = { mode: "keystore", keystorePath, keystorePassword: "correct horse" };
+
+    expect(signerAddressOf({ mode: "keystore", keystorePath })).to.equal(wallet.address);
+    const { signer, close } = await openSigner(ethers.provider, options);
+    const tx = await signer.sendTransaction({ to: ethers.ZeroAddress, value: 1n });
+    expect((await trackRewardTx(ethers.provider, tx.hash, track)).from).to.equal(wallet.address);
+    await close();
+
+    const wrong = await rejection(openSigner(ethers.provider, { ...options, keystorePassword: "wrong" }));
+    expect(wrong.message).to.match(/^Cannot unlock keystore .*keystore\.json/);
+    const missing = await rejection(openSigner(ethers.provider, { mode: "keystore", keystorePath }));
+    expect(missing).to.be.instanceOf(UsageError);
+    expect(missing.message).to.equal("SIGNER_MODE=keystore needs SIGNER_KEYSTORE_PASSWORD.");
+  });
+
+  it("signs through a remote JSON-RPC signer and broadcasts itself", async function () {
+    const wallet = await fundedWallet();
+    const server = await listen(createApp(wallet));
+    servers.push(server);
+
+    const { signer } = await openSigner(ethers.provider, { mode: "remote", rpcUrl: urlOf(server) });
+    expect(await signer.getAddress()).to.equal(wallet.address);
+    const tx = await signer.sendTransaction({ to: ethers.ZeroAddress, value: 2n });
+    const receipt = await trackRewardTx(ethers.provider, tx.hash, track);
+    expect(receipt.from).to.equal(wallet.address);
+
+    const other = ethers.Wallet.createRandom().address;
+    const pinned = await rejection(
+      openSigner(ethers.provider, { mode: "remote", rpcUrl: urlOf(server), address: other })
+    );
+    expect(pinned.message).to.equal(
+      `Remote signer ${urlOf(server)} does not hold ${other} (SIGNER_ADDRESS); it offers ${wallet.address}.`
+    );
+  });
+
+  it("refuses a remote signature over another transaction", async function () {
+    const wallet = await fundedWallet();
+    const app = express();
+    app.use(express.json());
+    app.post("/", async (req, res) => {
+      const { id, method, params } = req.body;
+      if (method === "eth_accounts") return res.json({ jsonrpc: "2.0", id, result: [wallet.address] });
+      const tx = { ...fromRpcTransaction(params[0]), to: wallet.address };
+      res.json({ jsonrpc: "2.0", id, result: { raw: await wallet.signTransaction(tx) } });
+    });
+    const server = await listen(app);
+    servers.push(server);
+
+    const { signer } = await openSigner(ethers.provider, { mode: "remote", rpcUrl: urlOf(server) });
+    const err = await rejection(signer.sendTransaction({ to: ethers.ZeroAddress, value: 1n }));
+    expect(err.message).to.equal(`Remote signer ${urlOf(server)} returned another transaction than the one requested.`);
+  });
+
+  it("relays transactions to a browser wallet through the bridge page", async function () {
+    const [, browserAccount, stranger] = await ethers.getSigners();
+    const logs = [];
+    const { signer, close } = await openSigner(ethers.provider, {
+      mode: "browser",
+      bridgePort: 0,
+      bridgeTimeoutMs: 5000,
+      log: (line) => logs.push(line),
+    });
+    const bridgeUrl = logs[0].match(/Open (\S+) in the browser/)[1];
+    try {
+      // Act as the page: connect, then send what the script queues with the node's account
+      const config = await (await fetch(`${bridgeUrl}config`)).json();
+      expect(config).to.deep.equal({ chainId: "0x7a69", address: null });
+      const wrongChain = await postJson(`${bridgeUrl}connect`, { account: browserAccount.address, chainId: "0x72" });
+      expect(wrongChain.status).to.equal(409);
+      expect(wrongChain.body.error).to.equal("Switch the wallet to chain 31337 (it is on 114).");
+      await postJson(`${bridgeUrl}connect`, { account: browserAccount.address, chainId: config.chainId });
+      expect(await signer.getAddress()).to.equal(browserAccount.address);
+      const switched = await postJson(`${bridgeUrl}connect`, { account: stranger.address, chainId: config.chainId });
+      expect(switched.body.error).to.equal(`Already signing as ${browserAccount.address}.`);
+
+      const sending = signer.sendTransaction({ to: ethers.ZeroAddress, value: 3n });
+      let pending = {};
+      while (!pending.id) pending = await (await fetch(`${bridgeUrl}pending`)).json();
+      expect(pending.tx).to.deep.include({ from: browserAccount.address, to: ethers.ZeroAddress, value: "0x3" });
+      const hash = await ethers.provider.send("eth_sendTransaction", [pending.tx]);
+      await postJson(`${bridgeUrl}result`, { id: pending.id, hash });
+      const tx = await sending;
+      expect(tx.hash).to.equal(hash);
+      expect((await trackRewardTx(ethers.provider, hash, track)).from).to.equal(browserAccount.address);
+
+      const rejected = rejection(signer.sendTransaction({ to: ethers.ZeroAddress }));
+      pending = {};
+      while (!pending.id) pending = await (await fetch(`${bridgeUrl}pending`)).json();
+      await postJson(`${bridgeUrl}result`, { id: pending.id, error: "Rejected in wallet" });
+      expect((await rejected).message).to.equal("Wallet did not send the transaction: Rejected in wallet");
+    } finally {
+      await close();
+    }
+  });
+
+  it("waits for the reward tx's confirmations, then gives up as not ready", async function () {
+    const wallet = await fundedWallet();
+    const { signer } = await openSigner(ethers.provider, { mode: "private_key", privateKey: wallet.privateKey });
+    const tx = await signer.sendTransaction({ to: ethers.ZeroAddress });
+
+    let mined = 0;
+    const mine = async () => {
+      mined += 1;
+      await ethers.provider.send("evm_mine", []);
+    };
+    const receipt = await trackRewardTx(ethers.provider, tx.hash, { confirmations: 3, timeoutMs: 5000, wait: mine });
+    expect(receipt.hash).to.equal(tx.hash);
+    expect(mined).to.equal(2);
+
+    const unknown = ethers.keccak256("0x01");
+    const err = await rejection(trackRewardTx(ethers.provider, unknown, { confirmations: 1, timeoutMs: 0 }));
+    expect(err).to.be.instanceOf(NotReadyError);
+    expect(err.message).to.equal(
+      `Reward tx ${unknown} is not mined after 0s; rerun with REWARD_TX_HASH=${unknown} to keep tracking it.`
+    );
+  });
+});